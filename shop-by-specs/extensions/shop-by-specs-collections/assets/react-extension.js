@@ -1,4 +1,4 @@
-(()=>{"use strict";var e={221:(e,t,n)=>{
+(()=>{"use strict";var e={221:(e,n,t)=>{
 /**
  * @license React
  * react-dom.production.js
@@ -8,7 +8,7 @@
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this source tree.
  */
-var r=n(540);function l(e){var t="https://react.dev/errors/"+e;if(1<arguments.length){t+="?args[]="+encodeURIComponent(arguments[1]);for(var n=2;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n])}return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function a(){}var o={d:{f:a,r:function(){throw Error(l(522))},D:a,C:a,L:a,m:a,X:a,S:a,M:a},p:0,findDOMNode:null},i=Symbol.for("react.portal");var u=r.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE;function s(e,t){return"font"===e?"":"string"==typeof t?"use-credentials"===t?t:"":void 0}t.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=o,t.createPortal=function(e,t){var n=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!t||1!==t.nodeType&&9!==t.nodeType&&11!==t.nodeType)throw Error(l(299));return function(e,t,n){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:i,key:null==r?null:""+r,children:e,containerInfo:t,implementation:n}}(e,t,null,n)},t.flushSync=function(e){var t=u.T,n=o.p;try{if(u.T=null,o.p=2,e)return e()}finally{u.T=t,o.p=n,o.d.f()}},t.preconnect=function(e,t){"string"==typeof e&&(t?t="string"==typeof(t=t.crossOrigin)?"use-credentials"===t?t:"":void 0:t=null,o.d.C(e,t))},t.prefetchDNS=function(e){"string"==typeof e&&o.d.D(e)},t.preinit=function(e,t){if("string"==typeof e&&t&&"string"==typeof t.as){var n=t.as,r=s(n,t.crossOrigin),l="string"==typeof t.integrity?t.integrity:void 0,a="string"==typeof t.fetchPriority?t.fetchPriority:void 0;"style"===n?o.d.S(e,"string"==typeof t.precedence?t.precedence:void 0,{crossOrigin:r,integrity:l,fetchPriority:a}):"script"===n&&o.d.X(e,{crossOrigin:r,integrity:l,fetchPriority:a,nonce:"string"==typeof t.nonce?t.nonce:void 0})}},t.preinitModule=function(e,t){if("string"==typeof e)if("object"==typeof t&&null!==t){if(null==t.as||"script"===t.as){var n=s(t.as,t.crossOrigin);o.d.M(e,{crossOrigin:n,integrity:"string"==typeof t.integrity?t.integrity:void 0,nonce:"string"==typeof t.nonce?t.nonce:void 0})}}else null==t&&o.d.M(e)},t.preload=function(e,t){if("string"==typeof e&&"object"==typeof t&&null!==t&&"string"==typeof t.as){var n=t.as,r=s(n,t.crossOrigin);o.d.L(e,n,{crossOrigin:r,integrity:"string"==typeof t.integrity?t.integrity:void 0,nonce:"string"==typeof t.nonce?t.nonce:void 0,type:"string"==typeof t.type?t.type:void 0,fetchPriority:"string"==typeof t.fetchPriority?t.fetchPriority:void 0,referrerPolicy:"string"==typeof t.referrerPolicy?t.referrerPolicy:void 0,imageSrcSet:"string"==typeof t.imageSrcSet?t.imageSrcSet:void 0,imageSizes:"string"==typeof t.imageSizes?t.imageSizes:void 0,media:"string"==typeof t.media?t.media:void 0})}},t.preloadModule=function(e,t){if("string"==typeof e)if(t){var n=s(t.as,t.crossOrigin);o.d.m(e,{as:"string"==typeof t.as&&"script"!==t.as?t.as:void 0,crossOrigin:n,integrity:"string"==typeof t.integrity?t.integrity:void 0})}else o.d.m(e)},t.requestFormReset=function(e){o.d.r(e)},t.unstable_batchedUpdates=function(e,t){return e(t)},t.useFormState=function(e,t,n){return u.H.useFormState(e,t,n)},t.useFormStatus=function(){return u.H.useHostTransitionStatus()},t.version="19.0.0"},247:(e,t,n)=>{var r=n(982),l=n(540),a=n(961);
+var r=t(540);function l(e){var n="https://react.dev/errors/"+e;if(1<arguments.length){n+="?args[]="+encodeURIComponent(arguments[1]);for(var t=2;t<arguments.length;t++)n+="&args[]="+encodeURIComponent(arguments[t])}return"Minified React error #"+e+"; visit "+n+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function a(){}var o={d:{f:a,r:function(){throw Error(l(522))},D:a,C:a,L:a,m:a,X:a,S:a,M:a},p:0,findDOMNode:null},i=Symbol.for("react.portal");var u=r.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE;function s(e,n){return"font"===e?"":"string"==typeof n?"use-credentials"===n?n:"":void 0}n.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=o,n.createPortal=function(e,n){var t=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!n||1!==n.nodeType&&9!==n.nodeType&&11!==n.nodeType)throw Error(l(299));return function(e,n,t){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:i,key:null==r?null:""+r,children:e,containerInfo:n,implementation:t}}(e,n,null,t)},n.flushSync=function(e){var n=u.T,t=o.p;try{if(u.T=null,o.p=2,e)return e()}finally{u.T=n,o.p=t,o.d.f()}},n.preconnect=function(e,n){"string"==typeof e&&(n?n="string"==typeof(n=n.crossOrigin)?"use-credentials"===n?n:"":void 0:n=null,o.d.C(e,n))},n.prefetchDNS=function(e){"string"==typeof e&&o.d.D(e)},n.preinit=function(e,n){if("string"==typeof e&&n&&"string"==typeof n.as){var t=n.as,r=s(t,n.crossOrigin),l="string"==typeof n.integrity?n.integrity:void 0,a="string"==typeof n.fetchPriority?n.fetchPriority:void 0;"style"===t?o.d.S(e,"string"==typeof n.precedence?n.precedence:void 0,{crossOrigin:r,integrity:l,fetchPriority:a}):"script"===t&&o.d.X(e,{crossOrigin:r,integrity:l,fetchPriority:a,nonce:"string"==typeof n.nonce?n.nonce:void 0})}},n.preinitModule=function(e,n){if("string"==typeof e)if("object"==typeof n&&null!==n){if(null==n.as||"script"===n.as){var t=s(n.as,n.crossOrigin);o.d.M(e,{crossOrigin:t,integrity:"string"==typeof n.integrity?n.integrity:void 0,nonce:"string"==typeof n.nonce?n.nonce:void 0})}}else null==n&&o.d.M(e)},n.preload=function(e,n){if("string"==typeof e&&"object"==typeof n&&null!==n&&"string"==typeof n.as){var t=n.as,r=s(t,n.crossOrigin);o.d.L(e,t,{crossOrigin:r,integrity:"string"==typeof n.integrity?n.integrity:void 0,nonce:"string"==typeof n.nonce?n.nonce:void 0,type:"string"==typeof n.type?n.type:void 0,fetchPriority:"string"==typeof n.fetchPriority?n.fetchPriority:void 0,referrerPolicy:"string"==typeof n.referrerPolicy?n.referrerPolicy:void 0,imageSrcSet:"string"==typeof n.imageSrcSet?n.imageSrcSet:void 0,imageSizes:"string"==typeof n.imageSizes?n.imageSizes:void 0,media:"string"==typeof n.media?n.media:void 0})}},n.preloadModule=function(e,n){if("string"==typeof e)if(n){var t=s(n.as,n.crossOrigin);o.d.m(e,{as:"string"==typeof n.as&&"script"!==n.as?n.as:void 0,crossOrigin:t,integrity:"string"==typeof n.integrity?n.integrity:void 0})}else o.d.m(e)},n.requestFormReset=function(e){o.d.r(e)},n.unstable_batchedUpdates=function(e,n){return e(n)},n.useFormState=function(e,n,t){return u.H.useFormState(e,n,t)},n.useFormStatus=function(){return u.H.useHostTransitionStatus()},n.version="19.0.0"},247:(e,n,t)=>{var r=t(982),l=t(540),a=t(961);
 /**
  * @license React
  * react-dom-client.production.js
@@ -17,7 +17,7 @@ var r=n(540);function l(e){var t="https://react.dev/errors/"+e;if(1<arguments.le
  *
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this source tree.
- */function o(e){var t="https://react.dev/errors/"+e;if(1<arguments.length){t+="?args[]="+encodeURIComponent(arguments[1]);for(var n=2;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n])}return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function i(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}var u=Symbol.for("react.element"),s=Symbol.for("react.transitional.element"),c=Symbol.for("react.portal"),f=Symbol.for("react.fragment"),d=Symbol.for("react.strict_mode"),p=Symbol.for("react.profiler"),m=Symbol.for("react.provider"),h=Symbol.for("react.consumer"),g=Symbol.for("react.context"),y=Symbol.for("react.forward_ref"),v=Symbol.for("react.suspense"),b=Symbol.for("react.suspense_list"),k=Symbol.for("react.memo"),w=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var S=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.tracing_marker");var E=Symbol.for("react.memo_cache_sentinel"),x=Symbol.iterator;function C(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=x&&e[x]||e["@@iterator"])?e:null}var _=Symbol.for("react.client.reference");function z(e){if(null==e)return null;if("function"==typeof e)return e.$$typeof===_?null:e.displayName||e.name||null;if("string"==typeof e)return e;switch(e){case f:return"Fragment";case c:return"Portal";case p:return"Profiler";case d:return"StrictMode";case v:return"Suspense";case b:return"SuspenseList"}if("object"==typeof e)switch(e.$$typeof){case g:return(e.displayName||"Context")+".Provider";case h:return(e._context.displayName||"Context")+".Consumer";case y:var t=e.render;return(e=e.displayName)||(e=""!==(e=t.displayName||t.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case k:return null!==(t=e.displayName||null)?t:z(e.type)||"Memo";case w:t=e._payload,e=e._init;try{return z(e(t))}catch(e){}}return null}var P,N,T=l.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,L=Object.assign;function O(e){if(void 0===P)try{throw Error()}catch(e){var t=e.stack.trim().match(/\n( *(at )?)/);P=t&&t[1]||"",N=-1<e.stack.indexOf("\n    at")?" (<anonymous>)":-1<e.stack.indexOf("@")?"@unknown:0:0":""}return"\n"+P+e+N}var A=!1;function R(e,t){if(!e||A)return"";A=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{var r={DetermineComponentFrameRoot:function(){try{if(t){var n=function(){throw Error()};if(Object.defineProperty(n.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(n,[])}catch(e){var r=e}Reflect.construct(e,[],n)}else{try{n.call()}catch(e){r=e}e.call(n.prototype)}}else{try{throw Error()}catch(e){r=e}(n=e())&&"function"==typeof n.catch&&n.catch((function(){}))}}catch(e){if(e&&r&&"string"==typeof e.stack)return[e.stack,r.stack]}return[null,null]}};r.DetermineComponentFrameRoot.displayName="DetermineComponentFrameRoot";var l=Object.getOwnPropertyDescriptor(r.DetermineComponentFrameRoot,"name");l&&l.configurable&&Object.defineProperty(r.DetermineComponentFrameRoot,"name",{value:"DetermineComponentFrameRoot"});var a=r.DetermineComponentFrameRoot(),o=a[0],i=a[1];if(o&&i){var u=o.split("\n"),s=i.split("\n");for(l=r=0;r<u.length&&!u[r].includes("DetermineComponentFrameRoot");)r++;for(;l<s.length&&!s[l].includes("DetermineComponentFrameRoot");)l++;if(r===u.length||l===s.length)for(r=u.length-1,l=s.length-1;1<=r&&0<=l&&u[r]!==s[l];)l--;for(;1<=r&&0<=l;r--,l--)if(u[r]!==s[l]){if(1!==r||1!==l)do{if(r--,0>--l||u[r]!==s[l]){var c="\n"+u[r].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}}while(1<=r&&0<=l);break}}}finally{A=!1,Error.prepareStackTrace=n}return(n=e?e.displayName||e.name:"")?O(n):""}function F(e){switch(e.tag){case 26:case 27:case 5:return O(e.type);case 16:return O("Lazy");case 13:return O("Suspense");case 19:return O("SuspenseList");case 0:case 15:return e=R(e.type,!1);case 11:return e=R(e.type.render,!1);case 1:return e=R(e.type,!0);default:return""}}function D(e){try{var t="";do{t+=F(e),e=e.return}while(e);return t}catch(e){return"\nError generating stack: "+e.message+"\n"+e.stack}}function M(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do{!!(4098&(t=e).flags)&&(n=t.return),e=t.return}while(e)}return 3===t.tag?n:null}function I(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&(null!==(e=e.alternate)&&(t=e.memoizedState)),null!==t)return t.dehydrated}return null}function U(e){if(M(e)!==e)throw Error(o(188))}function j(e){var t=e.tag;if(5===t||26===t||27===t||6===t)return e;for(e=e.child;null!==e;){if(null!==(t=j(e)))return t;e=e.sibling}return null}var $=Array.isArray,H=a.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,V={pending:!1,data:null,method:null,action:null},B=[],W=-1;function Q(e){return{current:e}}function q(e){0>W||(e.current=B[W],B[W]=null,W--)}function K(e,t){W++,B[W]=e.current,e.current=t}var Y=Q(null),G=Q(null),X=Q(null),Z=Q(null);function J(e,t){switch(K(X,t),K(G,e),K(Y,null),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)&&(t=t.namespaceURI)?Gc(t):0;break;default:if(t=(e=8===e?t.parentNode:t).tagName,e=e.namespaceURI)t=Xc(e=Gc(e),t);else switch(t){case"svg":t=1;break;case"math":t=2;break;default:t=0}}q(Y),K(Y,t)}function ee(){q(Y),q(G),q(X)}function te(e){null!==e.memoizedState&&K(Z,e);var t=Y.current,n=Xc(t,e.type);t!==n&&(K(G,e),K(Y,n))}function ne(e){G.current===e&&(q(Y),q(G)),Z.current===e&&(q(Z),Mf._currentValue=V)}var re=Object.prototype.hasOwnProperty,le=r.unstable_scheduleCallback,ae=r.unstable_cancelCallback,oe=r.unstable_shouldYield,ie=r.unstable_requestPaint,ue=r.unstable_now,se=r.unstable_getCurrentPriorityLevel,ce=r.unstable_ImmediatePriority,fe=r.unstable_UserBlockingPriority,de=r.unstable_NormalPriority,pe=r.unstable_LowPriority,me=r.unstable_IdlePriority,he=r.log,ge=r.unstable_setDisableYieldValue,ye=null,ve=null;function be(e){if("function"==typeof he&&ge(e),ve&&"function"==typeof ve.setStrictMode)try{ve.setStrictMode(ye,e)}catch(e){}}var ke=Math.clz32?Math.clz32:function(e){return 0===(e>>>=0)?32:31-(we(e)/Se|0)|0},we=Math.log,Se=Math.LN2;var Ee=128,xe=4194304;function Ce(e){var t=42&e;if(0!==t)return t;switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194176&e;case 4194304:case 8388608:case 16777216:case 33554432:return 62914560&e;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return e}}function _e(e,t){var n=e.pendingLanes;if(0===n)return 0;var r=0,l=e.suspendedLanes,a=e.pingedLanes,o=e.warmLanes;e=0!==e.finishedLanes;var i=134217727&n;return 0!==i?0!==(n=i&~l)?r=Ce(n):0!==(a&=i)?r=Ce(a):e||0!==(o=i&~o)&&(r=Ce(o)):0!==(i=n&~l)?r=Ce(i):0!==a?r=Ce(a):e||0!==(o=n&~o)&&(r=Ce(o)),0===r?0:0!==t&&t!==r&&!(t&l)&&((l=r&-r)>=(o=t&-t)||32===l&&4194176&o)?t:r}function ze(e,t){return!(e.pendingLanes&~(e.suspendedLanes&~e.pingedLanes)&t)}function Pe(e,t){switch(e){case 1:case 2:case 4:case 8:return t+250;case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return-1}}function Ne(){var e=Ee;return!(4194176&(Ee<<=1))&&(Ee=128),e}function Te(){var e=xe;return!(62914560&(xe<<=1))&&(xe=4194304),e}function Le(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function Oe(e,t){e.pendingLanes|=t,268435456!==t&&(e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0)}function Ae(e,t,n){e.pendingLanes|=t,e.suspendedLanes&=~t;var r=31-ke(t);e.entangledLanes|=t,e.entanglements[r]=1073741824|e.entanglements[r]|4194218&n}function Re(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-ke(n),l=1<<r;l&t|e[r]&t&&(e[r]|=t),n&=~l}}function Fe(e){return 2<(e&=-e)?8<e?134217727&e?32:268435456:8:2}function De(){var e=H.p;return 0!==e?e:void 0===(e=window.event)?32:Zf(e.type)}var Me=Math.random().toString(36).slice(2),Ie="__reactFiber$"+Me,Ue="__reactProps$"+Me,je="__reactContainer$"+Me,$e="__reactEvents$"+Me,He="__reactListeners$"+Me,Ve="__reactHandles$"+Me,Be="__reactResources$"+Me,We="__reactMarker$"+Me;function Qe(e){delete e[Ie],delete e[Ue],delete e[$e],delete e[He],delete e[Ve]}function qe(e){var t=e[Ie];if(t)return t;for(var n=e.parentNode;n;){if(t=n[je]||n[Ie]){if(n=t.alternate,null!==t.child||null!==n&&null!==n.child)for(e=sf(e);null!==e;){if(n=e[Ie])return n;e=sf(e)}return t}n=(e=n).parentNode}return null}function Ke(e){if(e=e[Ie]||e[je]){var t=e.tag;if(5===t||6===t||13===t||26===t||27===t||3===t)return e}return null}function Ye(e){var t=e.tag;if(5===t||26===t||27===t||6===t)return e.stateNode;throw Error(o(33))}function Ge(e){var t=e[Be];return t||(t=e[Be]={hoistableStyles:new Map,hoistableScripts:new Map}),t}function Xe(e){e[We]=!0}var Ze=new Set,Je={};function et(e,t){tt(e,t),tt(e+"Capture",t)}function tt(e,t){for(Je[e]=t,e=0;e<t.length;e++)Ze.add(t[e])}var nt=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),rt=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),lt={},at={};function ot(e,t,n){if(l=t,re.call(at,l)||!re.call(lt,l)&&(rt.test(l)?at[l]=!0:(lt[l]=!0,0)))if(null===n)e.removeAttribute(t);else{switch(typeof n){case"undefined":case"function":case"symbol":return void e.removeAttribute(t);case"boolean":var r=t.toLowerCase().slice(0,5);if("data-"!==r&&"aria-"!==r)return void e.removeAttribute(t)}e.setAttribute(t,""+n)}var l}function it(e,t,n){if(null===n)e.removeAttribute(t);else{switch(typeof n){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(t)}e.setAttribute(t,""+n)}}function ut(e,t,n,r){if(null===r)e.removeAttribute(n);else{switch(typeof r){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(n)}e.setAttributeNS(t,n,""+r)}}function st(e){switch(typeof e){case"bigint":case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function ct(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function ft(e){e._valueTracker||(e._valueTracker=function(e){var t=ct(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&void 0!==n&&"function"==typeof n.get&&"function"==typeof n.set){var l=n.get,a=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return l.call(this)},set:function(e){r=""+e,a.call(this,e)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function dt(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=ct(e)?e.checked?"true":"false":e.value),(e=r)!==n&&(t.setValue(e),!0)}function pt(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}var mt=/[\n"\\]/g;function ht(e){return e.replace(mt,(function(e){return"\\"+e.charCodeAt(0).toString(16)+" "}))}function gt(e,t,n,r,l,a,o,i){e.name="",null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o?e.type=o:e.removeAttribute("type"),null!=t?"number"===o?(0===t&&""===e.value||e.value!=t)&&(e.value=""+st(t)):e.value!==""+st(t)&&(e.value=""+st(t)):"submit"!==o&&"reset"!==o||e.removeAttribute("value"),null!=t?vt(e,o,st(t)):null!=n?vt(e,o,st(n)):null!=r&&e.removeAttribute("value"),null==l&&null!=a&&(e.defaultChecked=!!a),null!=l&&(e.checked=l&&"function"!=typeof l&&"symbol"!=typeof l),null!=i&&"function"!=typeof i&&"symbol"!=typeof i&&"boolean"!=typeof i?e.name=""+st(i):e.removeAttribute("name")}function yt(e,t,n,r,l,a,o,i){if(null!=a&&"function"!=typeof a&&"symbol"!=typeof a&&"boolean"!=typeof a&&(e.type=a),null!=t||null!=n){if(("submit"===a||"reset"===a)&&null==t)return;n=null!=n?""+st(n):"",t=null!=t?""+st(t):n,i||t===e.value||(e.value=t),e.defaultValue=t}r="function"!=typeof(r=null!=r?r:l)&&"symbol"!=typeof r&&!!r,e.checked=i?e.checked:!!r,e.defaultChecked=!!r,null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o&&(e.name=o)}function vt(e,t,n){"number"===t&&pt(e.ownerDocument)===e||e.defaultValue===""+n||(e.defaultValue=""+n)}function bt(e,t,n,r){if(e=e.options,t){t={};for(var l=0;l<n.length;l++)t["$"+n[l]]=!0;for(n=0;n<e.length;n++)l=t.hasOwnProperty("$"+e[n].value),e[n].selected!==l&&(e[n].selected=l),l&&r&&(e[n].defaultSelected=!0)}else{for(n=""+st(n),t=null,l=0;l<e.length;l++){if(e[l].value===n)return e[l].selected=!0,void(r&&(e[l].defaultSelected=!0));null!==t||e[l].disabled||(t=e[l])}null!==t&&(t.selected=!0)}}function kt(e,t,n){null==t||((t=""+st(t))!==e.value&&(e.value=t),null!=n)?e.defaultValue=null!=n?""+st(n):"":e.defaultValue!==t&&(e.defaultValue=t)}function wt(e,t,n,r){if(null==t){if(null!=r){if(null!=n)throw Error(o(92));if($(r)){if(1<r.length)throw Error(o(93));r=r[0]}n=r}null==n&&(n=""),t=n}n=st(t),e.defaultValue=n,(r=e.textContent)===n&&""!==r&&null!==r&&(e.value=r)}function St(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&3===n.nodeType)return void(n.nodeValue=t)}e.textContent=t}var Et=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function xt(e,t,n){var r=0===t.indexOf("--");null==n||"boolean"==typeof n||""===n?r?e.setProperty(t,""):"float"===t?e.cssFloat="":e[t]="":r?e.setProperty(t,n):"number"!=typeof n||0===n||Et.has(t)?"float"===t?e.cssFloat=n:e[t]=(""+n).trim():e[t]=n+"px"}function Ct(e,t,n){if(null!=t&&"object"!=typeof t)throw Error(o(62));if(e=e.style,null!=n){for(var r in n)!n.hasOwnProperty(r)||null!=t&&t.hasOwnProperty(r)||(0===r.indexOf("--")?e.setProperty(r,""):"float"===r?e.cssFloat="":e[r]="");for(var l in t)r=t[l],t.hasOwnProperty(l)&&n[l]!==r&&xt(e,l,r)}else for(var a in t)t.hasOwnProperty(a)&&xt(e,a,t[a])}function _t(e){if(-1===e.indexOf("-"))return!1;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var zt=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),Pt=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function Nt(e){return Pt.test(""+e)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":e}var Tt=null;function Lt(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var Ot=null,At=null;function Rt(e){var t=Ke(e);if(t&&(e=t.stateNode)){var n=e[Ue]||null;e:switch(e=t.stateNode,t.type){case"input":if(gt(e,n.value,n.defaultValue,n.defaultValue,n.checked,n.defaultChecked,n.type,n.name),t=n.name,"radio"===n.type&&null!=t){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll('input[name="'+ht(""+t)+'"][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var l=r[Ue]||null;if(!l)throw Error(o(90));gt(r,l.value,l.defaultValue,l.defaultValue,l.checked,l.defaultChecked,l.type,l.name)}}for(t=0;t<n.length;t++)(r=n[t]).form===e.form&&dt(r)}break e;case"textarea":kt(e,n.value,n.defaultValue);break e;case"select":null!=(t=n.value)&&bt(e,!!n.multiple,t,!1)}}}var Ft=!1;function Dt(e,t,n){if(Ft)return e(t,n);Ft=!0;try{return e(t)}finally{if(Ft=!1,(null!==Ot||null!==At)&&(Is(),Ot&&(t=Ot,e=At,At=Ot=null,Rt(t),e)))for(t=0;t<e.length;t++)Rt(e[t])}}function Mt(e,t){var n=e.stateNode;if(null===n)return null;var r=n[Ue]||null;if(null===r)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(n&&"function"!=typeof n)throw Error(o(231,t,typeof n));return n}var It=!1;if(nt)try{var Ut={};Object.defineProperty(Ut,"passive",{get:function(){It=!0}}),window.addEventListener("test",Ut,Ut),window.removeEventListener("test",Ut,Ut)}catch(e){It=!1}var jt=null,$t=null,Ht=null;function Vt(){if(Ht)return Ht;var e,t,n=$t,r=n.length,l="value"in jt?jt.value:jt.textContent,a=l.length;for(e=0;e<r&&n[e]===l[e];e++);var o=r-e;for(t=1;t<=o&&n[r-t]===l[a-t];t++);return Ht=l.slice(e,1<t?1-t:void 0)}function Bt(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function Wt(){return!0}function Qt(){return!1}function qt(e){function t(t,n,r,l,a){for(var o in this._reactName=t,this._targetInst=r,this.type=n,this.nativeEvent=l,this.target=a,this.currentTarget=null,e)e.hasOwnProperty(o)&&(t=e[o],this[o]=t?t(l):l[o]);return this.isDefaultPrevented=(null!=l.defaultPrevented?l.defaultPrevented:!1===l.returnValue)?Wt:Qt,this.isPropagationStopped=Qt,this}return L(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=Wt)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=Wt)},persist:function(){},isPersistent:Wt}),t}var Kt,Yt,Gt,Xt={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Zt=qt(Xt),Jt=L({},Xt,{view:0,detail:0}),en=qt(Jt),tn=L({},Jt,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:pn,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Gt&&(Gt&&"mousemove"===e.type?(Kt=e.screenX-Gt.screenX,Yt=e.screenY-Gt.screenY):Yt=Kt=0,Gt=e),Kt)},movementY:function(e){return"movementY"in e?e.movementY:Yt}}),nn=qt(tn),rn=qt(L({},tn,{dataTransfer:0})),ln=qt(L({},Jt,{relatedTarget:0})),an=qt(L({},Xt,{animationName:0,elapsedTime:0,pseudoElement:0})),on=qt(L({},Xt,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),un=qt(L({},Xt,{data:0})),sn={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},cn={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},fn={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function dn(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=fn[e])&&!!t[e]}function pn(){return dn}var mn=qt(L({},Jt,{key:function(e){if(e.key){var t=sn[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=Bt(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?cn[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:pn,charCode:function(e){return"keypress"===e.type?Bt(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?Bt(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),hn=qt(L({},tn,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),gn=qt(L({},Jt,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:pn})),yn=qt(L({},Xt,{propertyName:0,elapsedTime:0,pseudoElement:0})),vn=qt(L({},tn,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),bn=qt(L({},Xt,{newState:0,oldState:0})),kn=[9,13,27,32],wn=nt&&"CompositionEvent"in window,Sn=null;nt&&"documentMode"in document&&(Sn=document.documentMode);var En=nt&&"TextEvent"in window&&!Sn,xn=nt&&(!wn||Sn&&8<Sn&&11>=Sn),Cn=String.fromCharCode(32),_n=!1;function zn(e,t){switch(e){case"keyup":return-1!==kn.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Pn(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var Nn=!1;var Tn={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Ln(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!Tn[e.type]:"textarea"===t}function On(e,t,n,r){Ot?At?At.push(r):At=[r]:Ot=r,0<(t=Dc(t,"onChange")).length&&(n=new Zt("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var An=null,Rn=null;function Fn(e){Pc(e,0)}function Dn(e){if(dt(Ye(e)))return e}function Mn(e,t){if("change"===e)return t}var In=!1;if(nt){var Un;if(nt){var jn="oninput"in document;if(!jn){var $n=document.createElement("div");$n.setAttribute("oninput","return;"),jn="function"==typeof $n.oninput}Un=jn}else Un=!1;In=Un&&(!document.documentMode||9<document.documentMode)}function Hn(){An&&(An.detachEvent("onpropertychange",Vn),Rn=An=null)}function Vn(e){if("value"===e.propertyName&&Dn(Rn)){var t=[];On(t,Rn,e,Lt(e)),Dt(Fn,t)}}function Bn(e,t,n){"focusin"===e?(Hn(),Rn=n,(An=t).attachEvent("onpropertychange",Vn)):"focusout"===e&&Hn()}function Wn(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return Dn(Rn)}function Qn(e,t){if("click"===e)return Dn(t)}function qn(e,t){if("input"===e||"change"===e)return Dn(t)}var Kn="function"==typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e==1/t)||e!=e&&t!=t};function Yn(e,t){if(Kn(e,t))return!0;if("object"!=typeof e||null===e||"object"!=typeof t||null===t)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var l=n[r];if(!re.call(t,l)||!Kn(e[l],t[l]))return!1}return!0}function Gn(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Xn(e,t){var n,r=Gn(e);for(e=0;r;){if(3===r.nodeType){if(n=e+r.textContent.length,e<=t&&n>=t)return{node:r,offset:t-e};e=n}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=Gn(r)}}function Zn(e,t){return!(!e||!t)&&(e===t||(!e||3!==e.nodeType)&&(t&&3===t.nodeType?Zn(e,t.parentNode):"contains"in e?e.contains(t):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(t))))}function Jn(e){for(var t=pt((e=null!=e&&null!=e.ownerDocument&&null!=e.ownerDocument.defaultView?e.ownerDocument.defaultView:window).document);t instanceof e.HTMLIFrameElement;){try{var n="string"==typeof t.contentWindow.location.href}catch(e){n=!1}if(!n)break;t=pt((e=t.contentWindow).document)}return t}function er(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}function tr(e,t){var n=Jn(t);t=e.focusedElem;var r=e.selectionRange;if(n!==t&&t&&t.ownerDocument&&Zn(t.ownerDocument.documentElement,t)){if(null!==r&&er(t))if(e=r.start,void 0===(n=r.end)&&(n=e),"selectionStart"in t)t.selectionStart=e,t.selectionEnd=Math.min(n,t.value.length);else if((n=(e=t.ownerDocument||document)&&e.defaultView||window).getSelection){n=n.getSelection();var l=t.textContent.length,a=Math.min(r.start,l);r=void 0===r.end?a:Math.min(r.end,l),!n.extend&&a>r&&(l=r,r=a,a=l),l=Xn(t,a);var o=Xn(t,r);l&&o&&(1!==n.rangeCount||n.anchorNode!==l.node||n.anchorOffset!==l.offset||n.focusNode!==o.node||n.focusOffset!==o.offset)&&((e=e.createRange()).setStart(l.node,l.offset),n.removeAllRanges(),a>r?(n.addRange(e),n.extend(o.node,o.offset)):(e.setEnd(o.node,o.offset),n.addRange(e)))}for(e=[],n=t;n=n.parentNode;)1===n.nodeType&&e.push({element:n,left:n.scrollLeft,top:n.scrollTop});for("function"==typeof t.focus&&t.focus(),t=0;t<e.length;t++)(n=e[t]).element.scrollLeft=n.left,n.element.scrollTop=n.top}}var nr=nt&&"documentMode"in document&&11>=document.documentMode,rr=null,lr=null,ar=null,or=!1;function ir(e,t,n){var r=n.window===n?n.document:9===n.nodeType?n:n.ownerDocument;or||null==rr||rr!==pt(r)||("selectionStart"in(r=rr)&&er(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},ar&&Yn(ar,r)||(ar=r,0<(r=Dc(lr,"onSelect")).length&&(t=new Zt("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=rr)))}function ur(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var sr={animationend:ur("Animation","AnimationEnd"),animationiteration:ur("Animation","AnimationIteration"),animationstart:ur("Animation","AnimationStart"),transitionrun:ur("Transition","TransitionRun"),transitionstart:ur("Transition","TransitionStart"),transitioncancel:ur("Transition","TransitionCancel"),transitionend:ur("Transition","TransitionEnd")},cr={},fr={};function dr(e){if(cr[e])return cr[e];if(!sr[e])return e;var t,n=sr[e];for(t in n)if(n.hasOwnProperty(t)&&t in fr)return cr[e]=n[t];return e}nt&&(fr=document.createElement("div").style,"AnimationEvent"in window||(delete sr.animationend.animation,delete sr.animationiteration.animation,delete sr.animationstart.animation),"TransitionEvent"in window||delete sr.transitionend.transition);var pr=dr("animationend"),mr=dr("animationiteration"),hr=dr("animationstart"),gr=dr("transitionrun"),yr=dr("transitionstart"),vr=dr("transitioncancel"),br=dr("transitionend"),kr=new Map,wr="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll scrollEnd toggle touchMove waiting wheel".split(" ");function Sr(e,t){kr.set(e,t),et(t,[e])}var Er=[],xr=0,Cr=0;function _r(){for(var e=xr,t=Cr=xr=0;t<e;){var n=Er[t];Er[t++]=null;var r=Er[t];Er[t++]=null;var l=Er[t];Er[t++]=null;var a=Er[t];if(Er[t++]=null,null!==r&&null!==l){var o=r.pending;null===o?l.next=l:(l.next=o.next,o.next=l),r.pending=l}0!==a&&Tr(n,l,a)}}function zr(e,t,n,r){Er[xr++]=e,Er[xr++]=t,Er[xr++]=n,Er[xr++]=r,Cr|=r,e.lanes|=r,null!==(e=e.alternate)&&(e.lanes|=r)}function Pr(e,t,n,r){return zr(e,t,n,r),Lr(e)}function Nr(e,t){return zr(e,null,null,t),Lr(e)}function Tr(e,t,n){e.lanes|=n;var r=e.alternate;null!==r&&(r.lanes|=n);for(var l=!1,a=e.return;null!==a;)a.childLanes|=n,null!==(r=a.alternate)&&(r.childLanes|=n),22===a.tag&&(null===(e=a.stateNode)||1&e._visibility||(l=!0)),e=a,a=a.return;l&&null!==t&&3===e.tag&&(a=e.stateNode,l=31-ke(n),null===(e=(a=a.hiddenUpdates)[l])?a[l]=[t]:e.push(t),t.lane=536870912|n)}function Lr(e){if(50<Ps)throw Ps=0,Ns=null,Error(o(185));for(var t=e.return;null!==t;)t=(e=t).return;return 3===e.tag?e.stateNode:null}var Or={},Ar=new WeakMap;function Rr(e,t){if("object"==typeof e&&null!==e){var n=Ar.get(e);return void 0!==n?n:(t={value:e,source:t,stack:D(t)},Ar.set(e,t),t)}return{value:e,source:t,stack:D(t)}}var Fr=[],Dr=0,Mr=null,Ir=0,Ur=[],jr=0,$r=null,Hr=1,Vr="";function Br(e,t){Fr[Dr++]=Ir,Fr[Dr++]=Mr,Mr=e,Ir=t}function Wr(e,t,n){Ur[jr++]=Hr,Ur[jr++]=Vr,Ur[jr++]=$r,$r=e;var r=Hr;e=Vr;var l=32-ke(r)-1;r&=~(1<<l),n+=1;var a=32-ke(t)+l;if(30<a){var o=l-l%5;a=(r&(1<<o)-1).toString(32),r>>=o,l-=o,Hr=1<<32-ke(t)+l|n<<l|r,Vr=a+e}else Hr=1<<a|n<<l|r,Vr=e}function Qr(e){null!==e.return&&(Br(e,1),Wr(e,1,0))}function qr(e){for(;e===Mr;)Mr=Fr[--Dr],Fr[Dr]=null,Ir=Fr[--Dr],Fr[Dr]=null;for(;e===$r;)$r=Ur[--jr],Ur[jr]=null,Vr=Ur[--jr],Ur[jr]=null,Hr=Ur[--jr],Ur[jr]=null}var Kr=null,Yr=null,Gr=!1,Xr=null,Zr=!1,Jr=Error(o(519));function el(e){throw al(Rr(Error(o(418,"")),e)),Jr}function tl(e){var t=e.stateNode,n=e.type,r=e.memoizedProps;switch(t[Ie]=e,t[Ue]=r,n){case"dialog":Nc("cancel",t),Nc("close",t);break;case"iframe":case"object":case"embed":Nc("load",t);break;case"video":case"audio":for(n=0;n<_c.length;n++)Nc(_c[n],t);break;case"source":Nc("error",t);break;case"img":case"image":case"link":Nc("error",t),Nc("load",t);break;case"details":Nc("toggle",t);break;case"input":Nc("invalid",t),yt(t,r.value,r.defaultValue,r.checked,r.defaultChecked,r.type,r.name,!0),ft(t);break;case"select":Nc("invalid",t);break;case"textarea":Nc("invalid",t),wt(t,r.value,r.defaultValue,r.children),ft(t)}"string"!=typeof(n=r.children)&&"number"!=typeof n&&"bigint"!=typeof n||t.textContent===""+n||!0===r.suppressHydrationWarning||Hc(t.textContent,n)?(null!=r.popover&&(Nc("beforetoggle",t),Nc("toggle",t)),null!=r.onScroll&&Nc("scroll",t),null!=r.onScrollEnd&&Nc("scrollend",t),null!=r.onClick&&(t.onclick=Vc),t=!0):t=!1,t||el(e)}function nl(e){for(Kr=e.return;Kr;)switch(Kr.tag){case 3:case 27:return void(Zr=!0);case 5:case 13:return void(Zr=!1);default:Kr=Kr.return}}function rl(e){if(e!==Kr)return!1;if(!Gr)return nl(e),Gr=!0,!1;var t,n=!1;if((t=3!==e.tag&&27!==e.tag)&&((t=5===e.tag)&&(t=!("form"!==(t=e.type)&&"button"!==t)||Zc(e.type,e.memoizedProps)),t=!t),t&&(n=!0),n&&Yr&&el(e),nl(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));e:{for(e=e.nextSibling,n=0;e;){if(8===e.nodeType)if("/$"===(t=e.data)){if(0===n){Yr=uf(e.nextSibling);break e}n--}else"$"!==t&&"$!"!==t&&"$?"!==t||n++;e=e.nextSibling}Yr=null}}else Yr=Kr?uf(e.stateNode.nextSibling):null;return!0}function ll(){Yr=Kr=null,Gr=!1}function al(e){null===Xr?Xr=[e]:Xr.push(e)}var ol=Error(o(460)),il=Error(o(474)),ul={then:function(){}};function sl(e){return"fulfilled"===(e=e.status)||"rejected"===e}function cl(){}function fl(e,t,n){switch(void 0===(n=e[n])?e.push(t):n!==t&&(t.then(cl,cl),t=n),t.status){case"fulfilled":return t.value;case"rejected":if((e=t.reason)===ol)throw Error(o(483));throw e;default:if("string"==typeof t.status)t.then(cl,cl);else{if(null!==(e=ts)&&100<e.shellSuspendCounter)throw Error(o(482));(e=t).status="pending",e.then((function(e){if("pending"===t.status){var n=t;n.status="fulfilled",n.value=e}}),(function(e){if("pending"===t.status){var n=t;n.status="rejected",n.reason=e}}))}switch(t.status){case"fulfilled":return t.value;case"rejected":if((e=t.reason)===ol)throw Error(o(483));throw e}throw dl=t,ol}}var dl=null;function pl(){if(null===dl)throw Error(o(459));var e=dl;return dl=null,e}var ml=null,hl=0;function gl(e){var t=hl;return hl+=1,null===ml&&(ml=[]),fl(ml,e,t)}function yl(e,t){t=t.props.ref,e.ref=void 0!==t?t:null}function vl(e,t){if(t.$$typeof===u)throw Error(o(525));throw e=Object.prototype.toString.call(t),Error(o(31,"[object Object]"===e?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function bl(e){return(0,e._init)(e._payload)}function kl(e){function t(t,n){if(e){var r=t.deletions;null===r?(t.deletions=[n],t.flags|=16):r.push(n)}}function n(n,r){if(!e)return null;for(;null!==r;)t(n,r),r=r.sibling;return null}function r(e){for(var t=new Map;null!==e;)null!==e.key?t.set(e.key,e):t.set(e.index,e),e=e.sibling;return t}function l(e,t){return(e=Mu(e,t)).index=0,e.sibling=null,e}function a(t,n,r){return t.index=r,e?null!==(r=t.alternate)?(r=r.index)<n?(t.flags|=33554434,n):r:(t.flags|=33554434,n):(t.flags|=1048576,n)}function i(t){return e&&null===t.alternate&&(t.flags|=33554434),t}function u(e,t,n,r){return null===t||6!==t.tag?((t=Hu(n,e.mode,r)).return=e,t):((t=l(t,n)).return=e,t)}function d(e,t,n,r){var a=n.type;return a===f?m(e,t,n.props.children,r,n.key):null!==t&&(t.elementType===a||"object"==typeof a&&null!==a&&a.$$typeof===w&&bl(a)===t.type)?(yl(t=l(t,n.props),n),t.return=e,t):(yl(t=Uu(n.type,n.key,n.props,null,e.mode,r),n),t.return=e,t)}function p(e,t,n,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==n.containerInfo||t.stateNode.implementation!==n.implementation?((t=Vu(n,e.mode,r)).return=e,t):((t=l(t,n.children||[])).return=e,t)}function m(e,t,n,r,a){return null===t||7!==t.tag?((t=ju(n,e.mode,r,a)).return=e,t):((t=l(t,n)).return=e,t)}function h(e,t,n){if("string"==typeof t&&""!==t||"number"==typeof t||"bigint"==typeof t)return(t=Hu(""+t,e.mode,n)).return=e,t;if("object"==typeof t&&null!==t){switch(t.$$typeof){case s:return yl(n=Uu(t.type,t.key,t.props,null,e.mode,n),t),n.return=e,n;case c:return(t=Vu(t,e.mode,n)).return=e,t;case w:return h(e,t=(0,t._init)(t._payload),n)}if($(t)||C(t))return(t=ju(t,e.mode,n,null)).return=e,t;if("function"==typeof t.then)return h(e,gl(t),n);if(t.$$typeof===g)return h(e,_i(e,t),n);vl(e,t)}return null}function y(e,t,n,r){var l=null!==t?t.key:null;if("string"==typeof n&&""!==n||"number"==typeof n||"bigint"==typeof n)return null!==l?null:u(e,t,""+n,r);if("object"==typeof n&&null!==n){switch(n.$$typeof){case s:return n.key===l?d(e,t,n,r):null;case c:return n.key===l?p(e,t,n,r):null;case w:return y(e,t,n=(l=n._init)(n._payload),r)}if($(n)||C(n))return null!==l?null:m(e,t,n,r,null);if("function"==typeof n.then)return y(e,t,gl(n),r);if(n.$$typeof===g)return y(e,t,_i(e,n),r);vl(e,n)}return null}function v(e,t,n,r,l){if("string"==typeof r&&""!==r||"number"==typeof r||"bigint"==typeof r)return u(t,e=e.get(n)||null,""+r,l);if("object"==typeof r&&null!==r){switch(r.$$typeof){case s:return d(t,e=e.get(null===r.key?n:r.key)||null,r,l);case c:return p(t,e=e.get(null===r.key?n:r.key)||null,r,l);case w:return v(e,t,n,r=(0,r._init)(r._payload),l)}if($(r)||C(r))return m(t,e=e.get(n)||null,r,l,null);if("function"==typeof r.then)return v(e,t,n,gl(r),l);if(r.$$typeof===g)return v(e,t,n,_i(t,r),l);vl(t,r)}return null}function b(u,d,p,m){if("object"==typeof p&&null!==p&&p.type===f&&null===p.key&&(p=p.props.children),"object"==typeof p&&null!==p){switch(p.$$typeof){case s:e:{for(var k=p.key;null!==d;){if(d.key===k){if((k=p.type)===f){if(7===d.tag){n(u,d.sibling),(m=l(d,p.props.children)).return=u,u=m;break e}}else if(d.elementType===k||"object"==typeof k&&null!==k&&k.$$typeof===w&&bl(k)===d.type){n(u,d.sibling),yl(m=l(d,p.props),p),m.return=u,u=m;break e}n(u,d);break}t(u,d),d=d.sibling}p.type===f?((m=ju(p.props.children,u.mode,m,p.key)).return=u,u=m):(yl(m=Uu(p.type,p.key,p.props,null,u.mode,m),p),m.return=u,u=m)}return i(u);case c:e:{for(k=p.key;null!==d;){if(d.key===k){if(4===d.tag&&d.stateNode.containerInfo===p.containerInfo&&d.stateNode.implementation===p.implementation){n(u,d.sibling),(m=l(d,p.children||[])).return=u,u=m;break e}n(u,d);break}t(u,d),d=d.sibling}(m=Vu(p,u.mode,m)).return=u,u=m}return i(u);case w:return b(u,d,p=(k=p._init)(p._payload),m)}if($(p))return function(l,o,i,u){for(var s=null,c=null,f=o,d=o=0,p=null;null!==f&&d<i.length;d++){f.index>d?(p=f,f=null):p=f.sibling;var m=y(l,f,i[d],u);if(null===m){null===f&&(f=p);break}e&&f&&null===m.alternate&&t(l,f),o=a(m,o,d),null===c?s=m:c.sibling=m,c=m,f=p}if(d===i.length)return n(l,f),Gr&&Br(l,d),s;if(null===f){for(;d<i.length;d++)null!==(f=h(l,i[d],u))&&(o=a(f,o,d),null===c?s=f:c.sibling=f,c=f);return Gr&&Br(l,d),s}for(f=r(f);d<i.length;d++)null!==(p=v(f,l,d,i[d],u))&&(e&&null!==p.alternate&&f.delete(null===p.key?d:p.key),o=a(p,o,d),null===c?s=p:c.sibling=p,c=p);return e&&f.forEach((function(e){return t(l,e)})),Gr&&Br(l,d),s}(u,d,p,m);if(C(p)){if("function"!=typeof(k=C(p)))throw Error(o(150));return function(l,i,u,s){if(null==u)throw Error(o(151));for(var c=null,f=null,d=i,p=i=0,m=null,g=u.next();null!==d&&!g.done;p++,g=u.next()){d.index>p?(m=d,d=null):m=d.sibling;var b=y(l,d,g.value,s);if(null===b){null===d&&(d=m);break}e&&d&&null===b.alternate&&t(l,d),i=a(b,i,p),null===f?c=b:f.sibling=b,f=b,d=m}if(g.done)return n(l,d),Gr&&Br(l,p),c;if(null===d){for(;!g.done;p++,g=u.next())null!==(g=h(l,g.value,s))&&(i=a(g,i,p),null===f?c=g:f.sibling=g,f=g);return Gr&&Br(l,p),c}for(d=r(d);!g.done;p++,g=u.next())null!==(g=v(d,l,p,g.value,s))&&(e&&null!==g.alternate&&d.delete(null===g.key?p:g.key),i=a(g,i,p),null===f?c=g:f.sibling=g,f=g);return e&&d.forEach((function(e){return t(l,e)})),Gr&&Br(l,p),c}(u,d,p=k.call(p),m)}if("function"==typeof p.then)return b(u,d,gl(p),m);if(p.$$typeof===g)return b(u,d,_i(u,p),m);vl(u,p)}return"string"==typeof p&&""!==p||"number"==typeof p||"bigint"==typeof p?(p=""+p,null!==d&&6===d.tag?(n(u,d.sibling),(m=l(d,p)).return=u,u=m):(n(u,d),(m=Hu(p,u.mode,m)).return=u,u=m),i(u)):n(u,d)}return function(e,t,n,r){try{hl=0;var l=b(e,t,n,r);return ml=null,l}catch(t){if(t===ol)throw t;var a=Fu(29,t,null,e.mode);return a.lanes=r,a.return=e,a}}}var wl=kl(!0),Sl=kl(!1),El=Q(null),xl=Q(0);function Cl(e,t){K(xl,e=ss),K(El,t),ss=e|t.baseLanes}function _l(){K(xl,ss),K(El,El.current)}function zl(){ss=xl.current,q(El),q(xl)}var Pl=Q(null),Nl=null;function Tl(e){var t=e.alternate;K(Rl,1&Rl.current),K(Pl,e),null===Nl&&(null===t||null!==El.current||null!==t.memoizedState)&&(Nl=e)}function Ll(e){if(22===e.tag){if(K(Rl,Rl.current),K(Pl,e),null===Nl){var t=e.alternate;null!==t&&null!==t.memoizedState&&(Nl=e)}}else Ol()}function Ol(){K(Rl,Rl.current),K(Pl,Pl.current)}function Al(e){q(Pl),Nl===e&&(Nl=null),q(Rl)}var Rl=Q(0);function Fl(e){for(var t=e;null!==t;){if(13===t.tag){var n=t.memoizedState;if(null!==n&&(null===(n=n.dehydrated)||"$?"===n.data||"$!"===n.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(128&t.flags)return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var Dl="undefined"!=typeof AbortController?AbortController:function(){var e=[],t=this.signal={aborted:!1,addEventListener:function(t,n){e.push(n)}};this.abort=function(){t.aborted=!0,e.forEach((function(e){return e()}))}},Ml=r.unstable_scheduleCallback,Il=r.unstable_NormalPriority,Ul={$$typeof:g,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function jl(){return{controller:new Dl,data:new Map,refCount:0}}function $l(e){e.refCount--,0===e.refCount&&Ml(Il,(function(){e.controller.abort()}))}var Hl=null,Vl=0,Bl=0,Wl=null;function Ql(){if(0==--Vl&&null!==Hl){null!==Wl&&(Wl.status="fulfilled");var e=Hl;Hl=null,Bl=0,Wl=null;for(var t=0;t<e.length;t++)(0,e[t])()}}var ql=T.S;T.S=function(e,t){"object"==typeof t&&null!==t&&"function"==typeof t.then&&function(e,t){if(null===Hl){var n=Hl=[];Vl=0,Bl=wc(),Wl={status:"pending",value:void 0,then:function(e){n.push(e)}}}Vl++,t.then(Ql,Ql)}(0,t),null!==ql&&ql(e,t)};var Kl=Q(null);function Yl(){var e=Kl.current;return null!==e?e:ts.pooledCache}function Gl(e,t){K(Kl,null===t?Kl.current:t.pool)}function Xl(){var e=Yl();return null===e?null:{parent:Ul._currentValue,pool:e}}var Zl=0,Jl=null,ea=null,ta=null,na=!1,ra=!1,la=!1,aa=0,oa=0,ia=null,ua=0;function sa(){throw Error(o(321))}function ca(e,t){if(null===t)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Kn(e[n],t[n]))return!1;return!0}function fa(e,t,n,r,l,a){return Zl=a,Jl=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,T.H=null===e||null===e.memoizedState?_o:zo,la=!1,a=n(r,l),la=!1,ra&&(a=pa(t,n,r,l)),da(e),a}function da(e){T.H=Co;var t=null!==ea&&null!==ea.next;if(Zl=0,ta=ea=Jl=null,na=!1,oa=0,ia=null,t)throw Error(o(300));null===e||Bo||null!==(e=e.dependencies)&&Ei(e)&&(Bo=!0)}function pa(e,t,n,r){Jl=e;var l=0;do{if(ra&&(ia=null),oa=0,ra=!1,25<=l)throw Error(o(301));if(l+=1,ta=ea=null,null!=e.updateQueue){var a=e.updateQueue;a.lastEffect=null,a.events=null,a.stores=null,null!=a.memoCache&&(a.memoCache.index=0)}T.H=Po,a=t(n,r)}while(ra);return a}function ma(){var e=T.H,t=e.useState()[0];return t="function"==typeof t.then?ka(t):t,e=e.useState()[0],(null!==ea?ea.memoizedState:null)!==e&&(Jl.flags|=1024),t}function ha(){var e=0!==aa;return aa=0,e}function ga(e,t,n){t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~n}function ya(e){if(na){for(e=e.memoizedState;null!==e;){var t=e.queue;null!==t&&(t.pending=null),e=e.next}na=!1}Zl=0,ta=ea=Jl=null,ra=!1,oa=aa=0,ia=null}function va(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===ta?Jl.memoizedState=ta=e:ta=ta.next=e,ta}function ba(){if(null===ea){var e=Jl.alternate;e=null!==e?e.memoizedState:null}else e=ea.next;var t=null===ta?Jl.memoizedState:ta.next;if(null!==t)ta=t,ea=e;else{if(null===e){if(null===Jl.alternate)throw Error(o(467));throw Error(o(310))}e={memoizedState:(ea=e).memoizedState,baseState:ea.baseState,baseQueue:ea.baseQueue,queue:ea.queue,next:null},null===ta?Jl.memoizedState=ta=e:ta=ta.next=e}return ta}function ka(e){var t=oa;return oa+=1,null===ia&&(ia=[]),e=fl(ia,e,t),t=Jl,null===(null===ta?t.memoizedState:ta.next)&&(t=t.alternate,T.H=null===t||null===t.memoizedState?_o:zo),e}function wa(e){if(null!==e&&"object"==typeof e){if("function"==typeof e.then)return ka(e);if(e.$$typeof===g)return Ci(e)}throw Error(o(438,String(e)))}function Sa(e){var t=null,n=Jl.updateQueue;if(null!==n&&(t=n.memoCache),null==t){var r=Jl.alternate;null!==r&&(null!==(r=r.updateQueue)&&(null!=(r=r.memoCache)&&(t={data:r.data.map((function(e){return e.slice()})),index:0})))}if(null==t&&(t={data:[],index:0}),null===n&&(n={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=n),n.memoCache=t,void 0===(n=t.data[t.index]))for(n=t.data[t.index]=Array(e),r=0;r<e;r++)n[r]=E;return t.index++,n}function Ea(e,t){return"function"==typeof t?t(e):t}function xa(e){return Ca(ba(),ea,e)}function Ca(e,t,n){var r=e.queue;if(null===r)throw Error(o(311));r.lastRenderedReducer=n;var l=e.baseQueue,a=r.pending;if(null!==a){if(null!==l){var i=l.next;l.next=a.next,a.next=i}t.baseQueue=l=a,r.pending=null}if(a=e.baseState,null===l)e.memoizedState=a;else{var u=i=null,s=null,c=t=l.next,f=!1;do{var d=-536870913&c.lane;if(d!==c.lane?(rs&d)===d:(Zl&d)===d){var p=c.revertLane;if(0===p)null!==s&&(s=s.next={lane:0,revertLane:0,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),d===Bl&&(f=!0);else{if((Zl&p)===p){c=c.next,p===Bl&&(f=!0);continue}d={lane:0,revertLane:c.revertLane,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=d,i=a):s=s.next=d,Jl.lanes|=p,fs|=p}d=c.action,la&&n(a,d),a=c.hasEagerState?c.eagerState:n(a,d)}else p={lane:d,revertLane:c.revertLane,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=p,i=a):s=s.next=p,Jl.lanes|=d,fs|=d;c=c.next}while(null!==c&&c!==t);if(null===s?i=a:s.next=u,!Kn(a,e.memoizedState)&&(Bo=!0,f&&null!==(n=Wl)))throw n;e.memoizedState=a,e.baseState=i,e.baseQueue=s,r.lastRenderedState=a}return null===l&&(r.lanes=0),[e.memoizedState,r.dispatch]}function _a(e){var t=ba(),n=t.queue;if(null===n)throw Error(o(311));n.lastRenderedReducer=e;var r=n.dispatch,l=n.pending,a=t.memoizedState;if(null!==l){n.pending=null;var i=l=l.next;do{a=e(a,i.action),i=i.next}while(i!==l);Kn(a,t.memoizedState)||(Bo=!0),t.memoizedState=a,null===t.baseQueue&&(t.baseState=a),n.lastRenderedState=a}return[a,r]}function za(e,t,n){var r=Jl,l=ba(),a=Gr;if(a){if(void 0===n)throw Error(o(407));n=n()}else n=t();var i=!Kn((ea||l).memoizedState,n);if(i&&(l.memoizedState=n,Bo=!0),l=l.queue,Za(Ta.bind(null,r,l,e),[e]),l.getSnapshot!==t||i||null!==ta&&1&ta.memoizedState.tag){if(r.flags|=2048,qa(9,Na.bind(null,r,l,n,t),{destroy:void 0},null),null===ts)throw Error(o(349));a||60&Zl||Pa(r,t,n)}return n}function Pa(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},null===(t=Jl.updateQueue)?(t={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=t,t.stores=[e]):null===(n=t.stores)?t.stores=[e]:n.push(e)}function Na(e,t,n,r){t.value=n,t.getSnapshot=r,La(t)&&Oa(e)}function Ta(e,t,n){return n((function(){La(t)&&Oa(e)}))}function La(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Kn(e,n)}catch(e){return!0}}function Oa(e){var t=Nr(e,2);null!==t&&Os(t,e,2)}function Aa(e){var t=va();if("function"==typeof e){var n=e;if(e=n(),la){be(!0);try{n()}finally{be(!1)}}}return t.memoizedState=t.baseState=e,t.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:e},t}function Ra(e,t,n,r){return e.baseState=n,Ca(e,ea,"function"==typeof r?r:Ea)}function Fa(e,t,n,r,l){if(So(e))throw Error(o(485));if(null!==(e=t.action)){var a={payload:l,action:e,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(e){a.listeners.push(e)}};null!==T.T?n(!0):a.isTransition=!1,r(a),null===(n=t.pending)?(a.next=t.pending=a,Da(t,a)):(a.next=n.next,t.pending=n.next=a)}}function Da(e,t){var n=t.action,r=t.payload,l=e.state;if(t.isTransition){var a=T.T,o={};T.T=o;try{var i=n(l,r),u=T.S;null!==u&&u(o,i),Ma(e,t,i)}catch(n){Ua(e,t,n)}finally{T.T=a}}else try{Ma(e,t,a=n(l,r))}catch(n){Ua(e,t,n)}}function Ma(e,t,n){null!==n&&"object"==typeof n&&"function"==typeof n.then?n.then((function(n){Ia(e,t,n)}),(function(n){return Ua(e,t,n)})):Ia(e,t,n)}function Ia(e,t,n){t.status="fulfilled",t.value=n,ja(t),e.state=n,null!==(t=e.pending)&&((n=t.next)===t?e.pending=null:(n=n.next,t.next=n,Da(e,n)))}function Ua(e,t,n){var r=e.pending;if(e.pending=null,null!==r){r=r.next;do{t.status="rejected",t.reason=n,ja(t),t=t.next}while(t!==r)}e.action=null}function ja(e){e=e.listeners;for(var t=0;t<e.length;t++)(0,e[t])()}function $a(e,t){return t}function Ha(e,t){if(Gr){var n=ts.formState;if(null!==n){e:{var r=Jl;if(Gr){if(Yr){t:{for(var l=Yr,a=Zr;8!==l.nodeType;){if(!a){l=null;break t}if(null===(l=uf(l.nextSibling))){l=null;break t}}l="F!"===(a=l.data)||"F"===a?l:null}if(l){Yr=uf(l.nextSibling),r="F!"===l.data;break e}}el(r)}r=!1}r&&(t=n[0])}}return(n=va()).memoizedState=n.baseState=t,r={pending:null,lanes:0,dispatch:null,lastRenderedReducer:$a,lastRenderedState:t},n.queue=r,n=bo.bind(null,Jl,r),r.dispatch=n,r=Aa(!1),a=wo.bind(null,Jl,!1,r.queue),l={state:t,dispatch:null,action:e,pending:null},(r=va()).queue=l,n=Fa.bind(null,Jl,l,a,n),l.dispatch=n,r.memoizedState=e,[t,n,!1]}function Va(e){return Ba(ba(),ea,e)}function Ba(e,t,n){t=Ca(e,t,$a)[0],e=xa(Ea)[0],t="object"==typeof t&&null!==t&&"function"==typeof t.then?ka(t):t;var r=ba(),l=r.queue,a=l.dispatch;return n!==r.memoizedState&&(Jl.flags|=2048,qa(9,Wa.bind(null,l,n),{destroy:void 0},null)),[t,a,e]}function Wa(e,t){e.action=t}function Qa(e){var t=ba(),n=ea;if(null!==n)return Ba(t,n,e);ba(),t=t.memoizedState;var r=(n=ba()).queue.dispatch;return n.memoizedState=e,[t,r,!1]}function qa(e,t,n,r){return e={tag:e,create:t,inst:n,deps:r,next:null},null===(t=Jl.updateQueue)&&(t={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=t),null===(n=t.lastEffect)?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e),e}function Ka(){return ba().memoizedState}function Ya(e,t,n,r){var l=va();Jl.flags|=e,l.memoizedState=qa(1|t,n,{destroy:void 0},void 0===r?null:r)}function Ga(e,t,n,r){var l=ba();r=void 0===r?null:r;var a=l.memoizedState.inst;null!==ea&&null!==r&&ca(r,ea.memoizedState.deps)?l.memoizedState=qa(t,n,a,r):(Jl.flags|=e,l.memoizedState=qa(1|t,n,a,r))}function Xa(e,t){Ya(8390656,8,e,t)}function Za(e,t){Ga(2048,8,e,t)}function Ja(e,t){return Ga(4,2,e,t)}function eo(e,t){return Ga(4,4,e,t)}function to(e,t){if("function"==typeof t){e=e();var n=t(e);return function(){"function"==typeof n?n():t(null)}}if(null!=t)return e=e(),t.current=e,function(){t.current=null}}function no(e,t,n){n=null!=n?n.concat([e]):null,Ga(4,4,to.bind(null,t,e),n)}function ro(){}function lo(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;return null!==t&&ca(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function ao(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;if(null!==t&&ca(t,r[1]))return r[0];if(r=e(),la){be(!0);try{e()}finally{be(!1)}}return n.memoizedState=[r,t],r}function oo(e,t,n){return void 0===n||1073741824&Zl?e.memoizedState=t:(e.memoizedState=n,e=Ls(),Jl.lanes|=e,fs|=e,n)}function io(e,t,n,r){return Kn(n,t)?n:null!==El.current?(e=oo(e,n,r),Kn(e,t)||(Bo=!0),e):42&Zl?(e=Ls(),Jl.lanes|=e,fs|=e,t):(Bo=!0,e.memoizedState=n)}function uo(e,t,n,r,l){var a=H.p;H.p=0!==a&&8>a?a:8;var o,i,u,s=T.T,c={};T.T=c,wo(e,!1,t,n);try{var f=l(),d=T.S;if(null!==d&&d(c,f),null!==f&&"object"==typeof f&&"function"==typeof f.then)ko(e,t,(o=r,i=[],u={status:"pending",value:null,reason:null,then:function(e){i.push(e)}},f.then((function(){u.status="fulfilled",u.value=o;for(var e=0;e<i.length;e++)(0,i[e])(o)}),(function(e){for(u.status="rejected",u.reason=e,e=0;e<i.length;e++)(0,i[e])(void 0)})),u),Ts());else ko(e,t,r,Ts())}catch(n){ko(e,t,{then:function(){},status:"rejected",reason:n},Ts())}finally{H.p=a,T.T=s}}function so(){}function co(e,t,n,r){if(5!==e.tag)throw Error(o(476));var l=fo(e).queue;uo(e,l,t,V,null===n?so:function(){return po(e),n(r)})}function fo(e){var t=e.memoizedState;if(null!==t)return t;var n={};return(t={memoizedState:V,baseState:V,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:V},next:null}).next={memoizedState:n,baseState:n,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:n},next:null},e.memoizedState=t,null!==(e=e.alternate)&&(e.memoizedState=t),t}function po(e){ko(e,fo(e).next.queue,{},Ts())}function mo(){return Ci(Mf)}function ho(){return ba().memoizedState}function go(){return ba().memoizedState}function yo(e){for(var t=e.return;null!==t;){switch(t.tag){case 24:case 3:var n=Ts(),r=Oi(t,e=Li(n),n);return null!==r&&(Os(r,t,n),Ai(r,t,n)),t={cache:jl()},void(e.payload=t)}t=t.return}}function vo(e,t,n){var r=Ts();n={lane:r,revertLane:0,action:n,hasEagerState:!1,eagerState:null,next:null},So(e)?Eo(t,n):null!==(n=Pr(e,t,n,r))&&(Os(n,e,r),xo(n,t,r))}function bo(e,t,n){ko(e,t,n,Ts())}function ko(e,t,n,r){var l={lane:r,revertLane:0,action:n,hasEagerState:!1,eagerState:null,next:null};if(So(e))Eo(t,l);else{var a=e.alternate;if(0===e.lanes&&(null===a||0===a.lanes)&&null!==(a=t.lastRenderedReducer))try{var o=t.lastRenderedState,i=a(o,n);if(l.hasEagerState=!0,l.eagerState=i,Kn(i,o))return zr(e,t,l,0),null===ts&&_r(),!1}catch(e){}if(null!==(n=Pr(e,t,l,r)))return Os(n,e,r),xo(n,t,r),!0}return!1}function wo(e,t,n,r){if(r={lane:2,revertLane:wc(),action:r,hasEagerState:!1,eagerState:null,next:null},So(e)){if(t)throw Error(o(479))}else null!==(t=Pr(e,n,r,2))&&Os(t,e,2)}function So(e){var t=e.alternate;return e===Jl||null!==t&&t===Jl}function Eo(e,t){ra=na=!0;var n=e.pending;null===n?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function xo(e,t,n){if(4194176&n){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,Re(e,n)}}var Co={readContext:Ci,use:wa,useCallback:sa,useContext:sa,useEffect:sa,useImperativeHandle:sa,useLayoutEffect:sa,useInsertionEffect:sa,useMemo:sa,useReducer:sa,useRef:sa,useState:sa,useDebugValue:sa,useDeferredValue:sa,useTransition:sa,useSyncExternalStore:sa,useId:sa};Co.useCacheRefresh=sa,Co.useMemoCache=sa,Co.useHostTransitionStatus=sa,Co.useFormState=sa,Co.useActionState=sa,Co.useOptimistic=sa;var _o={readContext:Ci,use:wa,useCallback:function(e,t){return va().memoizedState=[e,void 0===t?null:t],e},useContext:Ci,useEffect:Xa,useImperativeHandle:function(e,t,n){n=null!=n?n.concat([e]):null,Ya(4194308,4,to.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Ya(4194308,4,e,t)},useInsertionEffect:function(e,t){Ya(4,2,e,t)},useMemo:function(e,t){var n=va();t=void 0===t?null:t;var r=e();if(la){be(!0);try{e()}finally{be(!1)}}return n.memoizedState=[r,t],r},useReducer:function(e,t,n){var r=va();if(void 0!==n){var l=n(t);if(la){be(!0);try{n(t)}finally{be(!1)}}}else l=t;return r.memoizedState=r.baseState=l,e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:l},r.queue=e,e=e.dispatch=vo.bind(null,Jl,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},va().memoizedState=e},useState:function(e){var t=(e=Aa(e)).queue,n=bo.bind(null,Jl,t);return t.dispatch=n,[e.memoizedState,n]},useDebugValue:ro,useDeferredValue:function(e,t){return oo(va(),e,t)},useTransition:function(){var e=Aa(!1);return e=uo.bind(null,Jl,e.queue,!0,!1),va().memoizedState=e,[!1,e]},useSyncExternalStore:function(e,t,n){var r=Jl,l=va();if(Gr){if(void 0===n)throw Error(o(407));n=n()}else{if(n=t(),null===ts)throw Error(o(349));60&rs||Pa(r,t,n)}l.memoizedState=n;var a={value:n,getSnapshot:t};return l.queue=a,Xa(Ta.bind(null,r,a,e),[e]),r.flags|=2048,qa(9,Na.bind(null,r,a,n,t),{destroy:void 0},null),n},useId:function(){var e=va(),t=ts.identifierPrefix;if(Gr){var n=Vr;t=":"+t+"R"+(n=(Hr&~(1<<32-ke(Hr)-1)).toString(32)+n),0<(n=aa++)&&(t+="H"+n.toString(32)),t+=":"}else t=":"+t+"r"+(n=ua++).toString(32)+":";return e.memoizedState=t},useCacheRefresh:function(){return va().memoizedState=yo.bind(null,Jl)}};_o.useMemoCache=Sa,_o.useHostTransitionStatus=mo,_o.useFormState=Ha,_o.useActionState=Ha,_o.useOptimistic=function(e){var t=va();t.memoizedState=t.baseState=e;var n={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return t.queue=n,t=wo.bind(null,Jl,!0,n),n.dispatch=t,[e,t]};var zo={readContext:Ci,use:wa,useCallback:lo,useContext:Ci,useEffect:Za,useImperativeHandle:no,useInsertionEffect:Ja,useLayoutEffect:eo,useMemo:ao,useReducer:xa,useRef:Ka,useState:function(){return xa(Ea)},useDebugValue:ro,useDeferredValue:function(e,t){return io(ba(),ea.memoizedState,e,t)},useTransition:function(){var e=xa(Ea)[0],t=ba().memoizedState;return["boolean"==typeof e?e:ka(e),t]},useSyncExternalStore:za,useId:ho};zo.useCacheRefresh=go,zo.useMemoCache=Sa,zo.useHostTransitionStatus=mo,zo.useFormState=Va,zo.useActionState=Va,zo.useOptimistic=function(e,t){return Ra(ba(),0,e,t)};var Po={readContext:Ci,use:wa,useCallback:lo,useContext:Ci,useEffect:Za,useImperativeHandle:no,useInsertionEffect:Ja,useLayoutEffect:eo,useMemo:ao,useReducer:_a,useRef:Ka,useState:function(){return _a(Ea)},useDebugValue:ro,useDeferredValue:function(e,t){var n=ba();return null===ea?oo(n,e,t):io(n,ea.memoizedState,e,t)},useTransition:function(){var e=_a(Ea)[0],t=ba().memoizedState;return["boolean"==typeof e?e:ka(e),t]},useSyncExternalStore:za,useId:ho};function No(e,t,n,r){n=null==(n=n(r,t=e.memoizedState))?t:L({},t,n),e.memoizedState=n,0===e.lanes&&(e.updateQueue.baseState=n)}Po.useCacheRefresh=go,Po.useMemoCache=Sa,Po.useHostTransitionStatus=mo,Po.useFormState=Qa,Po.useActionState=Qa,Po.useOptimistic=function(e,t){var n=ba();return null!==ea?Ra(n,0,e,t):(n.baseState=e,[e,n.queue.dispatch])};var To={isMounted:function(e){return!!(e=e._reactInternals)&&M(e)===e},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=Ts(),l=Li(r);l.payload=t,null!=n&&(l.callback=n),null!==(t=Oi(e,l,r))&&(Os(t,e,r),Ai(t,e,r))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=Ts(),l=Li(r);l.tag=1,l.payload=t,null!=n&&(l.callback=n),null!==(t=Oi(e,l,r))&&(Os(t,e,r),Ai(t,e,r))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=Ts(),r=Li(n);r.tag=2,null!=t&&(r.callback=t),null!==(t=Oi(e,r,n))&&(Os(t,e,n),Ai(t,e,n))}};function Lo(e,t,n,r,l,a,o){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,a,o):!t.prototype||!t.prototype.isPureReactComponent||(!Yn(n,r)||!Yn(l,a))}function Oo(e,t,n,r){e=t.state,"function"==typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(n,r),"function"==typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&To.enqueueReplaceState(t,t.state,null)}function Ao(e,t){var n=t;if("ref"in t)for(var r in n={},t)"ref"!==r&&(n[r]=t[r]);if(e=e.defaultProps)for(var l in n===t&&(n=L({},n)),e)void 0===n[l]&&(n[l]=e[l]);return n}var Ro="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var t=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(t))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)};function Fo(e){Ro(e)}function Do(e){console.error(e)}function Mo(e){Ro(e)}function Io(e,t){try{(0,e.onUncaughtError)(t.value,{componentStack:t.stack})}catch(e){setTimeout((function(){throw e}))}}function Uo(e,t,n){try{(0,e.onCaughtError)(n.value,{componentStack:n.stack,errorBoundary:1===t.tag?t.stateNode:null})}catch(e){setTimeout((function(){throw e}))}}function jo(e,t,n){return(n=Li(n)).tag=3,n.payload={element:null},n.callback=function(){Io(e,t)},n}function $o(e){return(e=Li(e)).tag=3,e}function Ho(e,t,n,r){var l=n.type.getDerivedStateFromError;if("function"==typeof l){var a=r.value;e.payload=function(){return l(a)},e.callback=function(){Uo(t,n,r)}}var o=n.stateNode;null!==o&&"function"==typeof o.componentDidCatch&&(e.callback=function(){Uo(t,n,r),"function"!=typeof l&&(null===Ss?Ss=new Set([this]):Ss.add(this));var e=r.stack;this.componentDidCatch(r.value,{componentStack:null!==e?e:""})})}var Vo=Error(o(461)),Bo=!1;function Wo(e,t,n,r){t.child=null===e?Sl(t,null,n,r):wl(t,e.child,n,r)}function Qo(e,t,n,r,l){n=n.render;var a=t.ref;if("ref"in r){var o={};for(var i in r)"ref"!==i&&(o[i]=r[i])}else o=r;return xi(t),r=fa(e,t,n,o,a,l),i=ha(),null===e||Bo?(Gr&&i&&Qr(t),t.flags|=1,Wo(e,t,r,l),t.child):(ga(e,t,l),di(e,t,l))}function qo(e,t,n,r,l){if(null===e){var a=n.type;return"function"!=typeof a||Du(a)||void 0!==a.defaultProps||null!==n.compare?((e=Uu(n.type,null,r,t,t.mode,l)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=a,Ko(e,t,a,r,l))}if(a=e.child,!pi(e,l)){var o=a.memoizedProps;if((n=null!==(n=n.compare)?n:Yn)(o,r)&&e.ref===t.ref)return di(e,t,l)}return t.flags|=1,(e=Mu(a,r)).ref=t.ref,e.return=t,t.child=e}function Ko(e,t,n,r,l){if(null!==e){var a=e.memoizedProps;if(Yn(a,r)&&e.ref===t.ref){if(Bo=!1,t.pendingProps=r=a,!pi(e,l))return t.lanes=e.lanes,di(e,t,l);131072&e.flags&&(Bo=!0)}}return Zo(e,t,n,r,l)}function Yo(e,t,n){var r=t.pendingProps,l=r.children,a=!!(2&t.stateNode._pendingVisibility),o=null!==e?e.memoizedState:null;if(Xo(e,t),"hidden"===r.mode||a){if(128&t.flags){if(r=null!==o?o.baseLanes|n:n,null!==e){for(l=t.child=e.child,a=0;null!==l;)a=a|l.lanes|l.childLanes,l=l.sibling;t.childLanes=a&~r}else t.childLanes=0,t.child=null;return Go(e,t,r,n)}if(!(536870912&n))return t.lanes=t.childLanes=536870912,Go(e,t,null!==o?o.baseLanes|n:n,n);t.memoizedState={baseLanes:0,cachePool:null},null!==e&&Gl(0,null!==o?o.cachePool:null),null!==o?Cl(t,o):_l(),Ll(t)}else null!==o?(Gl(0,o.cachePool),Cl(t,o),Ol(),t.memoizedState=null):(null!==e&&Gl(0,null),_l(),Ol());return Wo(e,t,l,n),t.child}function Go(e,t,n,r){var l=Yl();return l=null===l?null:{parent:Ul._currentValue,pool:l},t.memoizedState={baseLanes:n,cachePool:l},null!==e&&Gl(0,null),_l(),Ll(t),null!==e&&Si(e,t,r,!0),null}function Xo(e,t){var n=t.ref;if(null===n)null!==e&&null!==e.ref&&(t.flags|=2097664);else{if("function"!=typeof n&&"object"!=typeof n)throw Error(o(284));null!==e&&e.ref===n||(t.flags|=2097664)}}function Zo(e,t,n,r,l){return xi(t),n=fa(e,t,n,r,void 0,l),r=ha(),null===e||Bo?(Gr&&r&&Qr(t),t.flags|=1,Wo(e,t,n,l),t.child):(ga(e,t,l),di(e,t,l))}function Jo(e,t,n,r,l,a){return xi(t),t.updateQueue=null,n=pa(t,r,n,l),da(e),r=ha(),null===e||Bo?(Gr&&r&&Qr(t),t.flags|=1,Wo(e,t,n,a),t.child):(ga(e,t,a),di(e,t,a))}function ei(e,t,n,r,l){if(xi(t),null===t.stateNode){var a=Or,o=n.contextType;"object"==typeof o&&null!==o&&(a=Ci(o)),a=new n(r,a),t.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,a.updater=To,t.stateNode=a,a._reactInternals=t,(a=t.stateNode).props=r,a.state=t.memoizedState,a.refs={},Ni(t),o=n.contextType,a.context="object"==typeof o&&null!==o?Ci(o):Or,a.state=t.memoizedState,"function"==typeof(o=n.getDerivedStateFromProps)&&(No(t,n,o,r),a.state=t.memoizedState),"function"==typeof n.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(o=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),o!==a.state&&To.enqueueReplaceState(a,a.state,null),Mi(t,r,a,l),Di(),a.state=t.memoizedState),"function"==typeof a.componentDidMount&&(t.flags|=4194308),r=!0}else if(null===e){a=t.stateNode;var i=t.memoizedProps,u=Ao(n,i);a.props=u;var s=a.context,c=n.contextType;o=Or,"object"==typeof c&&null!==c&&(o=Ci(c));var f=n.getDerivedStateFromProps;c="function"==typeof f||"function"==typeof a.getSnapshotBeforeUpdate,i=t.pendingProps!==i,c||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(i||s!==o)&&Oo(t,a,r,o),Pi=!1;var d=t.memoizedState;a.state=d,Mi(t,r,a,l),Di(),s=t.memoizedState,i||d!==s||Pi?("function"==typeof f&&(No(t,n,f,r),s=t.memoizedState),(u=Pi||Lo(t,n,u,r,d,s,o))?(c||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||("function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount()),"function"==typeof a.componentDidMount&&(t.flags|=4194308)):("function"==typeof a.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=s),a.props=r,a.state=s,a.context=o,r=u):("function"==typeof a.componentDidMount&&(t.flags|=4194308),r=!1)}else{a=t.stateNode,Ti(e,t),c=Ao(n,o=t.memoizedProps),a.props=c,f=t.pendingProps,d=a.context,s=n.contextType,u=Or,"object"==typeof s&&null!==s&&(u=Ci(s)),(s="function"==typeof(i=n.getDerivedStateFromProps)||"function"==typeof a.getSnapshotBeforeUpdate)||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(o!==f||d!==u)&&Oo(t,a,r,u),Pi=!1,d=t.memoizedState,a.state=d,Mi(t,r,a,l),Di();var p=t.memoizedState;o!==f||d!==p||Pi||null!==e&&null!==e.dependencies&&Ei(e.dependencies)?("function"==typeof i&&(No(t,n,i,r),p=t.memoizedState),(c=Pi||Lo(t,n,c,r,d,p,u)||null!==e&&null!==e.dependencies&&Ei(e.dependencies))?(s||"function"!=typeof a.UNSAFE_componentWillUpdate&&"function"!=typeof a.componentWillUpdate||("function"==typeof a.componentWillUpdate&&a.componentWillUpdate(r,p,u),"function"==typeof a.UNSAFE_componentWillUpdate&&a.UNSAFE_componentWillUpdate(r,p,u)),"function"==typeof a.componentDidUpdate&&(t.flags|=4),"function"==typeof a.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=p),a.props=r,a.state=p,a.context=u,r=c):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),r=!1)}return a=r,Xo(e,t),r=!!(128&t.flags),a||r?(a=t.stateNode,n=r&&"function"!=typeof n.getDerivedStateFromError?null:a.render(),t.flags|=1,null!==e&&r?(t.child=wl(t,e.child,null,l),t.child=wl(t,null,n,l)):Wo(e,t,n,l),t.memoizedState=a.state,e=t.child):e=di(e,t,l),e}function ti(e,t,n,r){return ll(),t.flags|=256,Wo(e,t,n,r),t.child}var ni={dehydrated:null,treeContext:null,retryLane:0};function ri(e){return{baseLanes:e,cachePool:Xl()}}function li(e,t,n){return e=null!==e?e.childLanes&~n:0,t&&(e|=ms),e}function ai(e,t,n){var r,l=t.pendingProps,a=!1,i=!!(128&t.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&!!(2&Rl.current)),r&&(a=!0,t.flags&=-129),r=!!(32&t.flags),t.flags&=-33,null===e){if(Gr){if(a?Tl(t):Ol(),Gr){var u,s=Yr;if(u=s){e:{for(u=s,s=Zr;8!==u.nodeType;){if(!s){s=null;break e}if(null===(u=uf(u.nextSibling))){s=null;break e}}s=u}null!==s?(t.memoizedState={dehydrated:s,treeContext:null!==$r?{id:Hr,overflow:Vr}:null,retryLane:536870912},(u=Fu(18,null,null,0)).stateNode=s,u.return=t,t.child=u,Kr=t,Yr=null,u=!0):u=!1}u||el(t)}if(null!==(s=t.memoizedState)&&null!==(s=s.dehydrated))return"$!"===s.data?t.lanes=16:t.lanes=536870912,null;Al(t)}return s=l.children,l=l.fallback,a?(Ol(),s=ii({mode:"hidden",children:s},a=t.mode),l=ju(l,a,n,null),s.return=t,l.return=t,s.sibling=l,t.child=s,(a=t.child).memoizedState=ri(n),a.childLanes=li(e,r,n),t.memoizedState=ni,l):(Tl(t),oi(t,s))}if(null!==(u=e.memoizedState)&&null!==(s=u.dehydrated)){if(i)256&t.flags?(Tl(t),t.flags&=-257,t=ui(e,t,n)):null!==t.memoizedState?(Ol(),t.child=e.child,t.flags|=128,t=null):(Ol(),a=l.fallback,s=t.mode,l=ii({mode:"visible",children:l.children},s),(a=ju(a,s,n,null)).flags|=2,l.return=t,a.return=t,l.sibling=a,t.child=l,wl(t,e.child,null,n),(l=t.child).memoizedState=ri(n),l.childLanes=li(e,r,n),t.memoizedState=ni,t=a);else if(Tl(t),"$!"===s.data){if(r=s.nextSibling&&s.nextSibling.dataset)var c=r.dgst;r=c,(l=Error(o(419))).stack="",l.digest=r,al({value:l,source:null,stack:null}),t=ui(e,t,n)}else if(Bo||Si(e,t,n,!1),r=!!(n&e.childLanes),Bo||r){if(null!==(r=ts)){if(42&(l=n&-n))l=1;else switch(l){case 2:l=1;break;case 8:l=4;break;case 32:l=16;break;case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:l=64;break;case 268435456:l=134217728;break;default:l=0}if(0!==(l=l&(r.suspendedLanes|n)?0:l)&&l!==u.retryLane)throw u.retryLane=l,Nr(e,l),Os(r,e,l),Vo}"$?"===s.data||Bs(),t=ui(e,t,n)}else"$?"===s.data?(t.flags|=128,t.child=e.child,t=ic.bind(null,e),s._reactRetry=t,t=null):(e=u.treeContext,Yr=uf(s.nextSibling),Kr=t,Gr=!0,Xr=null,Zr=!1,null!==e&&(Ur[jr++]=Hr,Ur[jr++]=Vr,Ur[jr++]=$r,Hr=e.id,Vr=e.overflow,$r=t),(t=oi(t,l.children)).flags|=4096);return t}return a?(Ol(),a=l.fallback,s=t.mode,c=(u=e.child).sibling,(l=Mu(u,{mode:"hidden",children:l.children})).subtreeFlags=31457280&u.subtreeFlags,null!==c?a=Mu(c,a):(a=ju(a,s,n,null)).flags|=2,a.return=t,l.return=t,l.sibling=a,t.child=l,l=a,a=t.child,null===(s=e.child.memoizedState)?s=ri(n):(null!==(u=s.cachePool)?(c=Ul._currentValue,u=u.parent!==c?{parent:c,pool:c}:u):u=Xl(),s={baseLanes:s.baseLanes|n,cachePool:u}),a.memoizedState=s,a.childLanes=li(e,r,n),t.memoizedState=ni,l):(Tl(t),e=(n=e.child).sibling,(n=Mu(n,{mode:"visible",children:l.children})).return=t,n.sibling=null,null!==e&&(null===(r=t.deletions)?(t.deletions=[e],t.flags|=16):r.push(e)),t.child=n,t.memoizedState=null,n)}function oi(e,t){return(t=ii({mode:"visible",children:t},e.mode)).return=e,e.child=t}function ii(e,t){return $u(e,t,0,null)}function ui(e,t,n){return wl(t,e.child,null,n),(e=oi(t,t.pendingProps.children)).flags|=2,t.memoizedState=null,e}function si(e,t,n){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),ki(e.return,t,n)}function ci(e,t,n,r,l){var a=e.memoizedState;null===a?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:l}:(a.isBackwards=t,a.rendering=null,a.renderingStartTime=0,a.last=r,a.tail=n,a.tailMode=l)}function fi(e,t,n){var r=t.pendingProps,l=r.revealOrder,a=r.tail;if(Wo(e,t,r.children,n),2&(r=Rl.current))r=1&r|2,t.flags|=128;else{if(null!==e&&128&e.flags)e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&si(e,n,t);else if(19===e.tag)si(e,n,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}switch(K(Rl,r),l){case"forwards":for(n=t.child,l=null;null!==n;)null!==(e=n.alternate)&&null===Fl(e)&&(l=n),n=n.sibling;null===(n=l)?(l=t.child,t.child=null):(l=n.sibling,n.sibling=null),ci(t,!1,l,n,a);break;case"backwards":for(n=null,l=t.child,t.child=null;null!==l;){if(null!==(e=l.alternate)&&null===Fl(e)){t.child=l;break}e=l.sibling,l.sibling=n,n=l,l=e}ci(t,!0,n,null,a);break;case"together":ci(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function di(e,t,n){if(null!==e&&(t.dependencies=e.dependencies),fs|=t.lanes,!(n&t.childLanes)){if(null===e)return null;if(Si(e,t,n,!1),!(n&t.childLanes))return null}if(null!==e&&t.child!==e.child)throw Error(o(153));if(null!==t.child){for(n=Mu(e=t.child,e.pendingProps),t.child=n,n.return=t;null!==e.sibling;)e=e.sibling,(n=n.sibling=Mu(e,e.pendingProps)).return=t;n.sibling=null}return t.child}function pi(e,t){return!!(e.lanes&t)||!(null===(e=e.dependencies)||!Ei(e))}function mi(e,t,n){if(null!==e)if(e.memoizedProps!==t.pendingProps)Bo=!0;else{if(!(pi(e,n)||128&t.flags))return Bo=!1,function(e,t,n){switch(t.tag){case 3:J(t,t.stateNode.containerInfo),vi(t,Ul,e.memoizedState.cache),ll();break;case 27:case 5:te(t);break;case 4:J(t,t.stateNode.containerInfo);break;case 10:vi(t,t.type,t.memoizedProps.value);break;case 13:var r=t.memoizedState;if(null!==r)return null!==r.dehydrated?(Tl(t),t.flags|=128,null):n&t.child.childLanes?ai(e,t,n):(Tl(t),null!==(e=di(e,t,n))?e.sibling:null);Tl(t);break;case 19:var l=!!(128&e.flags);if((r=!!(n&t.childLanes))||(Si(e,t,n,!1),r=!!(n&t.childLanes)),l){if(r)return fi(e,t,n);t.flags|=128}if(null!==(l=t.memoizedState)&&(l.rendering=null,l.tail=null,l.lastEffect=null),K(Rl,Rl.current),r)break;return null;case 22:case 23:return t.lanes=0,Yo(e,t,n);case 24:vi(t,Ul,e.memoizedState.cache)}return di(e,t,n)}(e,t,n);Bo=!!(131072&e.flags)}else Bo=!1,Gr&&1048576&t.flags&&Wr(t,Ir,t.index);switch(t.lanes=0,t.tag){case 16:e:{e=t.pendingProps;var r=t.elementType,l=r._init;if(r=l(r._payload),t.type=r,"function"!=typeof r){if(null!=r){if((l=r.$$typeof)===y){t.tag=11,t=Qo(null,t,r,e,n);break e}if(l===k){t.tag=14,t=qo(null,t,r,e,n);break e}}throw t=z(r)||r,Error(o(306,t,""))}Du(r)?(e=Ao(r,e),t.tag=1,t=ei(null,t,r,e,n)):(t.tag=0,t=Zo(null,t,r,e,n))}return t;case 0:return Zo(e,t,t.type,t.pendingProps,n);case 1:return ei(e,t,r=t.type,l=Ao(r,t.pendingProps),n);case 3:e:{if(J(t,t.stateNode.containerInfo),null===e)throw Error(o(387));var a=t.pendingProps;r=(l=t.memoizedState).element,Ti(e,t),Mi(t,a,null,n);var i=t.memoizedState;if(a=i.cache,vi(t,Ul,a),a!==l.cache&&wi(t,[Ul],n,!0),Di(),a=i.element,l.isDehydrated){if(l={element:a,isDehydrated:!1,cache:i.cache},t.updateQueue.baseState=l,t.memoizedState=l,256&t.flags){t=ti(e,t,a,n);break e}if(a!==r){al(r=Rr(Error(o(424)),t)),t=ti(e,t,a,n);break e}for(Yr=uf(t.stateNode.containerInfo.firstChild),Kr=t,Gr=!0,Xr=null,Zr=!0,n=Sl(t,null,a,n),t.child=n;n;)n.flags=-3&n.flags|4096,n=n.sibling}else{if(ll(),a===r){t=di(e,t,n);break e}Wo(e,t,a,n)}t=t.child}return t;case 26:return Xo(e,t),null===e?(n=yf(t.type,null,t.pendingProps,null))?t.memoizedState=n:Gr||(n=t.type,e=t.pendingProps,(r=Yc(X.current).createElement(n))[Ie]=t,r[Ue]=e,Qc(r,n,e),Xe(r),t.stateNode=r):t.memoizedState=yf(t.type,e.memoizedProps,t.pendingProps,e.memoizedState),null;case 27:return te(t),null===e&&Gr&&(r=t.stateNode=cf(t.type,t.pendingProps,X.current),Kr=t,Zr=!0,Yr=uf(r.firstChild)),r=t.pendingProps.children,null!==e||Gr?Wo(e,t,r,n):t.child=wl(t,null,r,n),Xo(e,t),t.child;case 5:return null===e&&Gr&&((l=r=Yr)&&(null!==(r=function(e,t,n,r){for(;1===e.nodeType;){var l=n;if(e.nodeName.toLowerCase()!==t.toLowerCase()){if(!r&&("INPUT"!==e.nodeName||"hidden"!==e.type))break}else if(r){if(!e[We])switch(t){case"meta":if(!e.hasAttribute("itemprop"))break;return e;case"link":if("stylesheet"===(a=e.getAttribute("rel"))&&e.hasAttribute("data-precedence"))break;if(a!==l.rel||e.getAttribute("href")!==(null==l.href?null:l.href)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin)||e.getAttribute("title")!==(null==l.title?null:l.title))break;return e;case"style":if(e.hasAttribute("data-precedence"))break;return e;case"script":if(((a=e.getAttribute("src"))!==(null==l.src?null:l.src)||e.getAttribute("type")!==(null==l.type?null:l.type)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin))&&a&&e.hasAttribute("async")&&!e.hasAttribute("itemprop"))break;return e;default:return e}}else{if("input"!==t||"hidden"!==e.type)return e;var a=null==l.name?null:""+l.name;if("hidden"===l.type&&e.getAttribute("name")===a)return e}if(null===(e=uf(e.nextSibling)))break}return null}(r,t.type,t.pendingProps,Zr))?(t.stateNode=r,Kr=t,Yr=uf(r.firstChild),Zr=!1,l=!0):l=!1),l||el(t)),te(t),l=t.type,a=t.pendingProps,i=null!==e?e.memoizedProps:null,r=a.children,Zc(l,a)?r=null:null!==i&&Zc(l,i)&&(t.flags|=32),null!==t.memoizedState&&(l=fa(e,t,ma,null,null,n),Mf._currentValue=l),Xo(e,t),Wo(e,t,r,n),t.child;case 6:return null===e&&Gr&&((e=n=Yr)&&(null!==(n=function(e,t,n){if(""===t)return null;for(;3!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!n)return null;if(null===(e=uf(e.nextSibling)))return null}return e}(n,t.pendingProps,Zr))?(t.stateNode=n,Kr=t,Yr=null,e=!0):e=!1),e||el(t)),null;case 13:return ai(e,t,n);case 4:return J(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=wl(t,null,r,n):Wo(e,t,r,n),t.child;case 11:return Qo(e,t,t.type,t.pendingProps,n);case 7:return Wo(e,t,t.pendingProps,n),t.child;case 8:case 12:return Wo(e,t,t.pendingProps.children,n),t.child;case 10:return r=t.pendingProps,vi(t,t.type,r.value),Wo(e,t,r.children,n),t.child;case 9:return l=t.type._context,r=t.pendingProps.children,xi(t),r=r(l=Ci(l)),t.flags|=1,Wo(e,t,r,n),t.child;case 14:return qo(e,t,t.type,t.pendingProps,n);case 15:return Ko(e,t,t.type,t.pendingProps,n);case 19:return fi(e,t,n);case 22:return Yo(e,t,n);case 24:return xi(t),r=Ci(Ul),null===e?(null===(l=Yl())&&(l=ts,a=jl(),l.pooledCache=a,a.refCount++,null!==a&&(l.pooledCacheLanes|=n),l=a),t.memoizedState={parent:r,cache:l},Ni(t),vi(t,Ul,l)):(!!(e.lanes&n)&&(Ti(e,t),Mi(t,null,null,n),Di()),l=e.memoizedState,a=t.memoizedState,l.parent!==r?(l={parent:r,cache:r},t.memoizedState=l,0===t.lanes&&(t.memoizedState=t.updateQueue.baseState=l),vi(t,Ul,r)):(r=a.cache,vi(t,Ul,r),r!==l.cache&&wi(t,[Ul],n,!0))),Wo(e,t,t.pendingProps.children,n),t.child;case 29:throw t.pendingProps}throw Error(o(156,t.tag))}var hi=Q(null),gi=null,yi=null;function vi(e,t,n){K(hi,t._currentValue),t._currentValue=n}function bi(e){e._currentValue=hi.current,q(hi)}function ki(e,t,n){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function wi(e,t,n,r){var l=e.child;for(null!==l&&(l.return=e);null!==l;){var a=l.dependencies;if(null!==a){var i=l.child;a=a.firstContext;e:for(;null!==a;){var u=a;a=l;for(var s=0;s<t.length;s++)if(u.context===t[s]){a.lanes|=n,null!==(u=a.alternate)&&(u.lanes|=n),ki(a.return,n,e),r||(i=null);break e}a=u.next}}else if(18===l.tag){if(null===(i=l.return))throw Error(o(341));i.lanes|=n,null!==(a=i.alternate)&&(a.lanes|=n),ki(i,n,e),i=null}else i=l.child;if(null!==i)i.return=l;else for(i=l;null!==i;){if(i===e){i=null;break}if(null!==(l=i.sibling)){l.return=i.return,i=l;break}i=i.return}l=i}}function Si(e,t,n,r){e=null;for(var l=t,a=!1;null!==l;){if(!a)if(524288&l.flags)a=!0;else if(262144&l.flags)break;if(10===l.tag){var i=l.alternate;if(null===i)throw Error(o(387));if(null!==(i=i.memoizedProps)){var u=l.type;Kn(l.pendingProps.value,i.value)||(null!==e?e.push(u):e=[u])}}else if(l===Z.current){if(null===(i=l.alternate))throw Error(o(387));i.memoizedState.memoizedState!==l.memoizedState.memoizedState&&(null!==e?e.push(Mf):e=[Mf])}l=l.return}null!==e&&wi(t,e,n,r),t.flags|=262144}function Ei(e){for(e=e.firstContext;null!==e;){if(!Kn(e.context._currentValue,e.memoizedValue))return!0;e=e.next}return!1}function xi(e){gi=e,yi=null,null!==(e=e.dependencies)&&(e.firstContext=null)}function Ci(e){return zi(gi,e)}function _i(e,t){return null===gi&&xi(e),zi(e,t)}function zi(e,t){var n=t._currentValue;if(t={context:t,memoizedValue:n,next:null},null===yi){if(null===e)throw Error(o(308));yi=t,e.dependencies={lanes:0,firstContext:t},e.flags|=524288}else yi=yi.next=t;return n}var Pi=!1;function Ni(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function Ti(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,callbacks:null})}function Li(e){return{lane:e,tag:0,payload:null,callback:null,next:null}}function Oi(e,t,n){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,2&es){var l=r.pending;return null===l?t.next=t:(t.next=l.next,l.next=t),r.pending=t,t=Lr(e),Tr(e,null,n),t}return zr(e,r,t,n),Lr(e)}function Ai(e,t,n){if(null!==(t=t.updateQueue)&&(t=t.shared,4194176&n)){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,Re(e,n)}}function Ri(e,t){var n=e.updateQueue,r=e.alternate;if(null!==r&&n===(r=r.updateQueue)){var l=null,a=null;if(null!==(n=n.firstBaseUpdate)){do{var o={lane:n.lane,tag:n.tag,payload:n.payload,callback:null,next:null};null===a?l=a=o:a=a.next=o,n=n.next}while(null!==n);null===a?l=a=t:a=a.next=t}else l=a=t;return n={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:a,shared:r.shared,callbacks:r.callbacks},void(e.updateQueue=n)}null===(e=n.lastBaseUpdate)?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}var Fi=!1;function Di(){if(Fi){if(null!==Wl)throw Wl}}function Mi(e,t,n,r){Fi=!1;var l=e.updateQueue;Pi=!1;var a=l.firstBaseUpdate,o=l.lastBaseUpdate,i=l.shared.pending;if(null!==i){l.shared.pending=null;var u=i,s=u.next;u.next=null,null===o?a=s:o.next=s,o=u;var c=e.alternate;null!==c&&((i=(c=c.updateQueue).lastBaseUpdate)!==o&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u))}if(null!==a){var f=l.baseState;for(o=0,c=s=u=null,i=a;;){var d=-536870913&i.lane,p=d!==i.lane;if(p?(rs&d)===d:(r&d)===d){0!==d&&d===Bl&&(Fi=!0),null!==c&&(c=c.next={lane:0,tag:i.tag,payload:i.payload,callback:null,next:null});e:{var m=e,h=i;d=t;var g=n;switch(h.tag){case 1:if("function"==typeof(m=h.payload)){f=m.call(g,f,d);break e}f=m;break e;case 3:m.flags=-65537&m.flags|128;case 0:if(null==(d="function"==typeof(m=h.payload)?m.call(g,f,d):m))break e;f=L({},f,d);break e;case 2:Pi=!0}}null!==(d=i.callback)&&(e.flags|=64,p&&(e.flags|=8192),null===(p=l.callbacks)?l.callbacks=[d]:p.push(d))}else p={lane:d,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=f):c=c.next=p,o|=d;if(null===(i=i.next)){if(null===(i=l.shared.pending))break;i=(p=i).next,p.next=null,l.lastBaseUpdate=p,l.shared.pending=null}}null===c&&(u=f),l.baseState=u,l.firstBaseUpdate=s,l.lastBaseUpdate=c,null===a&&(l.shared.lanes=0),fs|=o,e.lanes=o,e.memoizedState=f}}function Ii(e,t){if("function"!=typeof e)throw Error(o(191,e));e.call(t)}function Ui(e,t){var n=e.callbacks;if(null!==n)for(e.callbacks=null,e=0;e<n.length;e++)Ii(n[e],t)}function ji(e,t){try{var n=t.updateQueue,r=null!==n?n.lastEffect:null;if(null!==r){var l=r.next;n=l;do{if((n.tag&e)===e){r=void 0;var a=n.create,o=n.inst;r=a(),o.destroy=r}n=n.next}while(n!==l)}}catch(e){rc(t,t.return,e)}}function $i(e,t,n){try{var r=t.updateQueue,l=null!==r?r.lastEffect:null;if(null!==l){var a=l.next;r=a;do{if((r.tag&e)===e){var o=r.inst,i=o.destroy;if(void 0!==i){o.destroy=void 0,l=t;var u=n;try{i()}catch(e){rc(l,u,e)}}}r=r.next}while(r!==a)}}catch(e){rc(t,t.return,e)}}function Hi(e){var t=e.updateQueue;if(null!==t){var n=e.stateNode;try{Ui(t,n)}catch(t){rc(e,e.return,t)}}}function Vi(e,t,n){n.props=Ao(e.type,e.memoizedProps),n.state=e.memoizedState;try{n.componentWillUnmount()}catch(n){rc(e,t,n)}}function Bi(e,t){try{var n=e.ref;if(null!==n){var r=e.stateNode;switch(e.tag){case 26:case 27:case 5:var l=r;break;default:l=r}"function"==typeof n?e.refCleanup=n(l):n.current=l}}catch(n){rc(e,t,n)}}function Wi(e,t){var n=e.ref,r=e.refCleanup;if(null!==n)if("function"==typeof r)try{r()}catch(n){rc(e,t,n)}finally{e.refCleanup=null,null!=(e=e.alternate)&&(e.refCleanup=null)}else if("function"==typeof n)try{n(null)}catch(n){rc(e,t,n)}else n.current=null}function Qi(e){var t=e.type,n=e.memoizedProps,r=e.stateNode;try{e:switch(t){case"button":case"input":case"select":case"textarea":n.autoFocus&&r.focus();break e;case"img":n.src?r.src=n.src:n.srcSet&&(r.srcset=n.srcSet)}}catch(t){rc(e,e.return,t)}}function qi(e,t,n){try{var r=e.stateNode;!function(e,t,n,r){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var l=null,a=null,i=null,u=null,s=null,c=null,f=null;for(m in n){var d=n[m];if(n.hasOwnProperty(m)&&null!=d)switch(m){case"checked":case"value":break;case"defaultValue":s=d;default:r.hasOwnProperty(m)||Bc(e,t,m,null,r,d)}}for(var p in r){var m=r[p];if(d=n[p],r.hasOwnProperty(p)&&(null!=m||null!=d))switch(p){case"type":a=m;break;case"name":l=m;break;case"checked":c=m;break;case"defaultChecked":f=m;break;case"value":i=m;break;case"defaultValue":u=m;break;case"children":case"dangerouslySetInnerHTML":if(null!=m)throw Error(o(137,t));break;default:m!==d&&Bc(e,t,p,m,r,d)}}return void gt(e,i,u,s,c,f,a,l);case"select":for(a in m=i=u=p=null,n)if(s=n[a],n.hasOwnProperty(a)&&null!=s)switch(a){case"value":break;case"multiple":m=s;default:r.hasOwnProperty(a)||Bc(e,t,a,null,r,s)}for(l in r)if(a=r[l],s=n[l],r.hasOwnProperty(l)&&(null!=a||null!=s))switch(l){case"value":p=a;break;case"defaultValue":u=a;break;case"multiple":i=a;default:a!==s&&Bc(e,t,l,a,r,s)}return t=u,n=i,r=m,void(null!=p?bt(e,!!n,p,!1):!!r!=!!n&&(null!=t?bt(e,!!n,t,!0):bt(e,!!n,n?[]:"",!1)));case"textarea":for(u in m=p=null,n)if(l=n[u],n.hasOwnProperty(u)&&null!=l&&!r.hasOwnProperty(u))switch(u){case"value":case"children":break;default:Bc(e,t,u,null,r,l)}for(i in r)if(l=r[i],a=n[i],r.hasOwnProperty(i)&&(null!=l||null!=a))switch(i){case"value":p=l;break;case"defaultValue":m=l;break;case"children":break;case"dangerouslySetInnerHTML":if(null!=l)throw Error(o(91));break;default:l!==a&&Bc(e,t,i,l,r,a)}return void kt(e,p,m);case"option":for(var h in n)if(p=n[h],n.hasOwnProperty(h)&&null!=p&&!r.hasOwnProperty(h))if("selected"===h)e.selected=!1;else Bc(e,t,h,null,r,p);for(s in r)if(p=r[s],m=n[s],r.hasOwnProperty(s)&&p!==m&&(null!=p||null!=m))if("selected"===s)e.selected=p&&"function"!=typeof p&&"symbol"!=typeof p;else Bc(e,t,s,p,r,m);return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var g in n)p=n[g],n.hasOwnProperty(g)&&null!=p&&!r.hasOwnProperty(g)&&Bc(e,t,g,null,r,p);for(c in r)if(p=r[c],m=n[c],r.hasOwnProperty(c)&&p!==m&&(null!=p||null!=m))switch(c){case"children":case"dangerouslySetInnerHTML":if(null!=p)throw Error(o(137,t));break;default:Bc(e,t,c,p,r,m)}return;default:if(_t(t)){for(var y in n)p=n[y],n.hasOwnProperty(y)&&void 0!==p&&!r.hasOwnProperty(y)&&Wc(e,t,y,void 0,r,p);for(f in r)p=r[f],m=n[f],!r.hasOwnProperty(f)||p===m||void 0===p&&void 0===m||Wc(e,t,f,p,r,m);return}}for(var v in n)p=n[v],n.hasOwnProperty(v)&&null!=p&&!r.hasOwnProperty(v)&&Bc(e,t,v,null,r,p);for(d in r)p=r[d],m=n[d],!r.hasOwnProperty(d)||p===m||null==p&&null==m||Bc(e,t,d,p,r,m)}(r,e.type,n,t),r[Ue]=t}catch(t){rc(e,e.return,t)}}function Ki(e){return 5===e.tag||3===e.tag||26===e.tag||27===e.tag||4===e.tag}function Yi(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||Ki(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&27!==e.tag&&18!==e.tag;){if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function Gi(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?8===n.nodeType?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(8===n.nodeType?(t=n.parentNode).insertBefore(e,n):(t=n).appendChild(e),null!=(n=n._reactRootContainer)||null!==t.onclick||(t.onclick=Vc));else if(4!==r&&27!==r&&null!==(e=e.child))for(Gi(e,t,n),e=e.sibling;null!==e;)Gi(e,t,n),e=e.sibling}function Xi(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(4!==r&&27!==r&&null!==(e=e.child))for(Xi(e,t,n),e=e.sibling;null!==e;)Xi(e,t,n),e=e.sibling}var Zi=!1,Ji=!1,eu=!1,tu="function"==typeof WeakSet?WeakSet:Set,nu=null,ru=!1;function lu(e,t,n){var r=n.flags;switch(n.tag){case 0:case 11:case 15:yu(e,n),4&r&&ji(5,n);break;case 1:if(yu(e,n),4&r)if(e=n.stateNode,null===t)try{e.componentDidMount()}catch(e){rc(n,n.return,e)}else{var l=Ao(n.type,t.memoizedProps);t=t.memoizedState;try{e.componentDidUpdate(l,t,e.__reactInternalSnapshotBeforeUpdate)}catch(e){rc(n,n.return,e)}}64&r&&Hi(n),512&r&&Bi(n,n.return);break;case 3:if(yu(e,n),64&r&&null!==(r=n.updateQueue)){if(e=null,null!==n.child)switch(n.child.tag){case 27:case 5:case 1:e=n.child.stateNode}try{Ui(r,e)}catch(e){rc(n,n.return,e)}}break;case 26:yu(e,n),512&r&&Bi(n,n.return);break;case 27:case 5:yu(e,n),null===t&&4&r&&Qi(n),512&r&&Bi(n,n.return);break;case 12:default:yu(e,n);break;case 13:yu(e,n),4&r&&cu(e,n);break;case 22:if(!(l=null!==n.memoizedState||Zi)){t=null!==t&&null!==t.memoizedState||Ji;var a=Zi,o=Ji;Zi=l,(Ji=t)&&!o?bu(e,n,!!(8772&n.subtreeFlags)):yu(e,n),Zi=a,Ji=o}512&r&&("manual"===n.memoizedProps.mode?Bi(n,n.return):Wi(n,n.return))}}function au(e){var t=e.alternate;null!==t&&(e.alternate=null,au(t)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(t=e.stateNode)&&Qe(t)),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}var ou=null,iu=!1;function uu(e,t,n){for(n=n.child;null!==n;)su(e,t,n),n=n.sibling}function su(e,t,n){if(ve&&"function"==typeof ve.onCommitFiberUnmount)try{ve.onCommitFiberUnmount(ye,n)}catch(e){}switch(n.tag){case 26:Ji||Wi(n,t),uu(e,t,n),n.memoizedState?n.memoizedState.count--:n.stateNode&&(n=n.stateNode).parentNode.removeChild(n);break;case 27:Ji||Wi(n,t);var r=ou,l=iu;for(ou=n.stateNode,uu(e,t,n),t=(n=n.stateNode).attributes;t.length;)n.removeAttributeNode(t[0]);Qe(n),ou=r,iu=l;break;case 5:Ji||Wi(n,t);case 6:l=ou;var a=iu;if(ou=null,uu(e,t,n),iu=a,null!==(ou=l))if(iu)try{e=ou,r=n.stateNode,8===e.nodeType?e.parentNode.removeChild(r):e.removeChild(r)}catch(e){rc(n,t,e)}else try{ou.removeChild(n.stateNode)}catch(e){rc(n,t,e)}break;case 18:null!==ou&&(iu?(t=ou,n=n.stateNode,8===t.nodeType?af(t.parentNode,n):1===t.nodeType&&af(t,n),gd(t)):af(ou,n.stateNode));break;case 4:r=ou,l=iu,ou=n.stateNode.containerInfo,iu=!0,uu(e,t,n),ou=r,iu=l;break;case 0:case 11:case 14:case 15:Ji||$i(2,n,t),Ji||$i(4,n,t),uu(e,t,n);break;case 1:Ji||(Wi(n,t),"function"==typeof(r=n.stateNode).componentWillUnmount&&Vi(n,t,r)),uu(e,t,n);break;case 21:uu(e,t,n);break;case 22:Ji||Wi(n,t),Ji=(r=Ji)||null!==n.memoizedState,uu(e,t,n),Ji=r;break;default:uu(e,t,n)}}function cu(e,t){if(null===t.memoizedState&&(null!==(e=t.alternate)&&(null!==(e=e.memoizedState)&&null!==(e=e.dehydrated))))try{gd(e)}catch(e){rc(t,t.return,e)}}function fu(e,t){var n=function(e){switch(e.tag){case 13:case 19:var t=e.stateNode;return null===t&&(t=e.stateNode=new tu),t;case 22:return null===(t=(e=e.stateNode)._retryCache)&&(t=e._retryCache=new tu),t;default:throw Error(o(435,e.tag))}}(e);t.forEach((function(t){var r=uc.bind(null,e,t);n.has(t)||(n.add(t),t.then(r,r))}))}function du(e,t){var n=t.deletions;if(null!==n)for(var r=0;r<n.length;r++){var l=n[r],a=e,i=t,u=i;e:for(;null!==u;){switch(u.tag){case 27:case 5:ou=u.stateNode,iu=!1;break e;case 3:case 4:ou=u.stateNode.containerInfo,iu=!0;break e}u=u.return}if(null===ou)throw Error(o(160));su(a,i,l),ou=null,iu=!1,null!==(a=l.alternate)&&(a.return=null),l.return=null}if(13878&t.subtreeFlags)for(t=t.child;null!==t;)mu(t,e),t=t.sibling}var pu=null;function mu(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:du(t,e),hu(e),4&r&&($i(3,e,e.return),ji(3,e),$i(5,e,e.return));break;case 1:du(t,e),hu(e),512&r&&(Ji||null===n||Wi(n,n.return)),64&r&&Zi&&(null!==(e=e.updateQueue)&&(null!==(r=e.callbacks)&&(n=e.shared.hiddenCallbacks,e.shared.hiddenCallbacks=null===n?r:n.concat(r))));break;case 26:var l=pu;if(du(t,e),hu(e),512&r&&(Ji||null===n||Wi(n,n.return)),4&r){var a=null!==n?n.memoizedState:null;if(r=e.memoizedState,null===n)if(null===r)if(null===e.stateNode){e:{r=e.type,n=e.memoizedProps,l=l.ownerDocument||l;t:switch(r){case"title":(!(a=l.getElementsByTagName("title")[0])||a[We]||a[Ie]||"http://www.w3.org/2000/svg"===a.namespaceURI||a.hasAttribute("itemprop"))&&(a=l.createElement(r),l.head.insertBefore(a,l.querySelector("head > title"))),Qc(a,r,n),a[Ie]=e,Xe(a),r=a;break e;case"link":var i=Pf("link","href",l).get(r+(n.href||""));if(i)for(var u=0;u<i.length;u++)if((a=i[u]).getAttribute("href")===(null==n.href?null:n.href)&&a.getAttribute("rel")===(null==n.rel?null:n.rel)&&a.getAttribute("title")===(null==n.title?null:n.title)&&a.getAttribute("crossorigin")===(null==n.crossOrigin?null:n.crossOrigin)){i.splice(u,1);break t}Qc(a=l.createElement(r),r,n),l.head.appendChild(a);break;case"meta":if(i=Pf("meta","content",l).get(r+(n.content||"")))for(u=0;u<i.length;u++)if((a=i[u]).getAttribute("content")===(null==n.content?null:""+n.content)&&a.getAttribute("name")===(null==n.name?null:n.name)&&a.getAttribute("property")===(null==n.property?null:n.property)&&a.getAttribute("http-equiv")===(null==n.httpEquiv?null:n.httpEquiv)&&a.getAttribute("charset")===(null==n.charSet?null:n.charSet)){i.splice(u,1);break t}Qc(a=l.createElement(r),r,n),l.head.appendChild(a);break;default:throw Error(o(468,r))}a[Ie]=e,Xe(a),r=a}e.stateNode=r}else Nf(l,e.type,e.stateNode);else e.stateNode=Ef(l,r,e.memoizedProps);else a!==r?(null===a?null!==n.stateNode&&(n=n.stateNode).parentNode.removeChild(n):a.count--,null===r?Nf(l,e.type,e.stateNode):Ef(l,r,e.memoizedProps)):null===r&&null!==e.stateNode&&qi(e,e.memoizedProps,n.memoizedProps)}break;case 27:if(4&r&&null===e.alternate){l=e.stateNode,a=e.memoizedProps;try{for(var s=l.firstChild;s;){var c=s.nextSibling,f=s.nodeName;s[We]||"HEAD"===f||"BODY"===f||"SCRIPT"===f||"STYLE"===f||"LINK"===f&&"stylesheet"===s.rel.toLowerCase()||l.removeChild(s),s=c}for(var d=e.type,p=l.attributes;p.length;)l.removeAttributeNode(p[0]);Qc(l,d,a),l[Ie]=e,l[Ue]=a}catch(t){rc(e,e.return,t)}}case 5:if(du(t,e),hu(e),512&r&&(Ji||null===n||Wi(n,n.return)),32&e.flags){l=e.stateNode;try{St(l,"")}catch(t){rc(e,e.return,t)}}4&r&&null!=e.stateNode&&qi(e,l=e.memoizedProps,null!==n?n.memoizedProps:l),1024&r&&(eu=!0);break;case 6:if(du(t,e),hu(e),4&r){if(null===e.stateNode)throw Error(o(162));r=e.memoizedProps,n=e.stateNode;try{n.nodeValue=r}catch(t){rc(e,e.return,t)}}break;case 3:if(zf=null,l=pu,pu=pf(t.containerInfo),du(t,e),pu=l,hu(e),4&r&&null!==n&&n.memoizedState.isDehydrated)try{gd(t.containerInfo)}catch(t){rc(e,e.return,t)}eu&&(eu=!1,gu(e));break;case 4:r=pu,pu=pf(e.stateNode.containerInfo),du(t,e),hu(e),pu=r;break;case 12:du(t,e),hu(e);break;case 13:du(t,e),hu(e),8192&e.child.flags&&null!==e.memoizedState!=(null!==n&&null!==n.memoizedState)&&(bs=ue()),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,fu(e,r)));break;case 22:if(512&r&&(Ji||null===n||Wi(n,n.return)),s=null!==e.memoizedState,c=null!==n&&null!==n.memoizedState,Zi=(f=Zi)||s,Ji=(d=Ji)||c,du(t,e),Ji=d,Zi=f,hu(e),(t=e.stateNode)._current=e,t._visibility&=-3,t._visibility|=2&t._pendingVisibility,8192&r&&(t._visibility=s?-2&t._visibility:1|t._visibility,s&&(t=Zi||Ji,null===n||c||t||vu(e)),null===e.memoizedProps||"manual"!==e.memoizedProps.mode))e:for(n=null,t=e;;){if(5===t.tag||26===t.tag||27===t.tag){if(null===n){c=n=t;try{if(l=c.stateNode,s)"function"==typeof(a=l.style).setProperty?a.setProperty("display","none","important"):a.display="none";else{i=c.stateNode;var m=null!=(u=c.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null;i.style.display=null==m||"boolean"==typeof m?"":(""+m).trim()}}catch(e){rc(c,c.return,e)}}}else if(6===t.tag){if(null===n){c=t;try{c.stateNode.nodeValue=s?"":c.memoizedProps}catch(e){rc(c,c.return,e)}}}else if((22!==t.tag&&23!==t.tag||null===t.memoizedState||t===e)&&null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break e;for(;null===t.sibling;){if(null===t.return||t.return===e)break e;n===t&&(n=null),t=t.return}n===t&&(n=null),t.sibling.return=t.return,t=t.sibling}4&r&&(null!==(r=e.updateQueue)&&(null!==(n=r.retryQueue)&&(r.retryQueue=null,fu(e,n))));break;case 19:du(t,e),hu(e),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,fu(e,r)));break;case 21:break;default:du(t,e),hu(e)}}function hu(e){var t=e.flags;if(2&t){try{if(27!==e.tag){e:{for(var n=e.return;null!==n;){if(Ki(n)){var r=n;break e}n=n.return}throw Error(o(160))}switch(r.tag){case 27:var l=r.stateNode;Xi(e,Yi(e),l);break;case 5:var a=r.stateNode;32&r.flags&&(St(a,""),r.flags&=-33),Xi(e,Yi(e),a);break;case 3:case 4:var i=r.stateNode.containerInfo;Gi(e,Yi(e),i);break;default:throw Error(o(161))}}}catch(t){rc(e,e.return,t)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function gu(e){if(1024&e.subtreeFlags)for(e=e.child;null!==e;){var t=e;gu(t),5===t.tag&&1024&t.flags&&t.stateNode.reset(),e=e.sibling}}function yu(e,t){if(8772&t.subtreeFlags)for(t=t.child;null!==t;)lu(e,t.alternate,t),t=t.sibling}function vu(e){for(e=e.child;null!==e;){var t=e;switch(t.tag){case 0:case 11:case 14:case 15:$i(4,t,t.return),vu(t);break;case 1:Wi(t,t.return);var n=t.stateNode;"function"==typeof n.componentWillUnmount&&Vi(t,t.return,n),vu(t);break;case 26:case 27:case 5:Wi(t,t.return),vu(t);break;case 22:Wi(t,t.return),null===t.memoizedState&&vu(t);break;default:vu(t)}e=e.sibling}}function bu(e,t,n){for(n=n&&!!(8772&t.subtreeFlags),t=t.child;null!==t;){var r=t.alternate,l=e,a=t,o=a.flags;switch(a.tag){case 0:case 11:case 15:bu(l,a,n),ji(4,a);break;case 1:if(bu(l,a,n),"function"==typeof(l=(r=a).stateNode).componentDidMount)try{l.componentDidMount()}catch(e){rc(r,r.return,e)}if(null!==(l=(r=a).updateQueue)){var i=r.stateNode;try{var u=l.shared.hiddenCallbacks;if(null!==u)for(l.shared.hiddenCallbacks=null,l=0;l<u.length;l++)Ii(u[l],i)}catch(e){rc(r,r.return,e)}}n&&64&o&&Hi(a),Bi(a,a.return);break;case 26:case 27:case 5:bu(l,a,n),n&&null===r&&4&o&&Qi(a),Bi(a,a.return);break;case 12:default:bu(l,a,n);break;case 13:bu(l,a,n),n&&4&o&&cu(l,a);break;case 22:null===a.memoizedState&&bu(l,a,n),Bi(a,a.return)}t=t.sibling}}function ku(e,t){var n=null;null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(n=e.memoizedState.cachePool.pool),e=null,null!==t.memoizedState&&null!==t.memoizedState.cachePool&&(e=t.memoizedState.cachePool.pool),e!==n&&(null!=e&&e.refCount++,null!=n&&$l(n))}function wu(e,t){e=null,null!==t.alternate&&(e=t.alternate.memoizedState.cache),(t=t.memoizedState.cache)!==e&&(t.refCount++,null!=e&&$l(e))}function Su(e,t,n,r){if(10256&t.subtreeFlags)for(t=t.child;null!==t;)Eu(e,t,n,r),t=t.sibling}function Eu(e,t,n,r){var l=t.flags;switch(t.tag){case 0:case 11:case 15:Su(e,t,n,r),2048&l&&ji(9,t);break;case 3:Su(e,t,n,r),2048&l&&(e=null,null!==t.alternate&&(e=t.alternate.memoizedState.cache),(t=t.memoizedState.cache)!==e&&(t.refCount++,null!=e&&$l(e)));break;case 12:if(2048&l){Su(e,t,n,r),e=t.stateNode;try{var a=t.memoizedProps,o=a.id,i=a.onPostCommit;"function"==typeof i&&i(o,null===t.alternate?"mount":"update",e.passiveEffectDuration,-0)}catch(e){rc(t,t.return,e)}}else Su(e,t,n,r);break;case 23:break;case 22:a=t.stateNode,null!==t.memoizedState?4&a._visibility?Su(e,t,n,r):Cu(e,t):4&a._visibility?Su(e,t,n,r):(a._visibility|=4,xu(e,t,n,r,!!(10256&t.subtreeFlags))),2048&l&&ku(t.alternate,t);break;case 24:Su(e,t,n,r),2048&l&&wu(t.alternate,t);break;default:Su(e,t,n,r)}}function xu(e,t,n,r,l){for(l=l&&!!(10256&t.subtreeFlags),t=t.child;null!==t;){var a=e,o=t,i=n,u=r,s=o.flags;switch(o.tag){case 0:case 11:case 15:xu(a,o,i,u,l),ji(8,o);break;case 23:break;case 22:var c=o.stateNode;null!==o.memoizedState?4&c._visibility?xu(a,o,i,u,l):Cu(a,o):(c._visibility|=4,xu(a,o,i,u,l)),l&&2048&s&&ku(o.alternate,o);break;case 24:xu(a,o,i,u,l),l&&2048&s&&wu(o.alternate,o);break;default:xu(a,o,i,u,l)}t=t.sibling}}function Cu(e,t){if(10256&t.subtreeFlags)for(t=t.child;null!==t;){var n=e,r=t,l=r.flags;switch(r.tag){case 22:Cu(n,r),2048&l&&ku(r.alternate,r);break;case 24:Cu(n,r),2048&l&&wu(r.alternate,r);break;default:Cu(n,r)}t=t.sibling}}var _u=8192;function zu(e){if(e.subtreeFlags&_u)for(e=e.child;null!==e;)Pu(e),e=e.sibling}function Pu(e){switch(e.tag){case 26:zu(e),e.flags&_u&&null!==e.memoizedState&&function(e,t,n){if(null===Lf)throw Error(o(475));var r=Lf;if(!("stylesheet"!==t.type||"string"==typeof n.media&&!1===matchMedia(n.media).matches||4&t.state.loading)){if(null===t.instance){var l=vf(n.href),a=e.querySelector(bf(l));if(a)return null!==(e=a._p)&&"object"==typeof e&&"function"==typeof e.then&&(r.count++,r=Af.bind(r),e.then(r,r)),t.state.loading|=4,t.instance=a,void Xe(a);a=e.ownerDocument||e,n=kf(n),(l=ff.get(l))&&Cf(n,l),Xe(a=a.createElement("link"));var i=a;i._p=new Promise((function(e,t){i.onload=e,i.onerror=t})),Qc(a,"link",n),t.instance=a}null===r.stylesheets&&(r.stylesheets=new Map),r.stylesheets.set(t,e),(e=t.state.preload)&&!(3&t.state.loading)&&(r.count++,t=Af.bind(r),e.addEventListener("load",t),e.addEventListener("error",t))}}(pu,e.memoizedState,e.memoizedProps);break;case 5:default:zu(e);break;case 3:case 4:var t=pu;pu=pf(e.stateNode.containerInfo),zu(e),pu=t;break;case 22:null===e.memoizedState&&(null!==(t=e.alternate)&&null!==t.memoizedState?(t=_u,_u=16777216,zu(e),_u=t):zu(e))}}function Nu(e){var t=e.alternate;if(null!==t&&null!==(e=t.child)){t.child=null;do{t=e.sibling,e.sibling=null,e=t}while(null!==e)}}function Tu(e){var t=e.deletions;if(16&e.flags){if(null!==t)for(var n=0;n<t.length;n++){var r=t[n];nu=r,Au(r,e)}Nu(e)}if(10256&e.subtreeFlags)for(e=e.child;null!==e;)Lu(e),e=e.sibling}function Lu(e){switch(e.tag){case 0:case 11:case 15:Tu(e),2048&e.flags&&$i(9,e,e.return);break;case 3:case 12:default:Tu(e);break;case 22:var t=e.stateNode;null!==e.memoizedState&&4&t._visibility&&(null===e.return||13!==e.return.tag)?(t._visibility&=-5,Ou(e)):Tu(e)}}function Ou(e){var t=e.deletions;if(16&e.flags){if(null!==t)for(var n=0;n<t.length;n++){var r=t[n];nu=r,Au(r,e)}Nu(e)}for(e=e.child;null!==e;){switch((t=e).tag){case 0:case 11:case 15:$i(8,t,t.return),Ou(t);break;case 22:4&(n=t.stateNode)._visibility&&(n._visibility&=-5,Ou(t));break;default:Ou(t)}e=e.sibling}}function Au(e,t){for(;null!==nu;){var n=nu;switch(n.tag){case 0:case 11:case 15:$i(8,n,t);break;case 23:case 22:if(null!==n.memoizedState&&null!==n.memoizedState.cachePool){var r=n.memoizedState.cachePool.pool;null!=r&&r.refCount++}break;case 24:$l(n.memoizedState.cache)}if(null!==(r=n.child))r.return=n,nu=r;else e:for(n=e;null!==nu;){var l=(r=nu).sibling,a=r.return;if(au(r),r===n){nu=null;break e}if(null!==l){l.return=a,nu=l;break e}nu=a}}}function Ru(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Fu(e,t,n,r){return new Ru(e,t,n,r)}function Du(e){return!(!(e=e.prototype)||!e.isReactComponent)}function Mu(e,t){var n=e.alternate;return null===n?((n=Fu(e.tag,t,e.key,e.mode)).elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=31457280&e.flags,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n.refCleanup=e.refCleanup,n}function Iu(e,t){e.flags&=31457282;var n=e.alternate;return null===n?(e.childLanes=0,e.lanes=t,e.child=null,e.subtreeFlags=0,e.memoizedProps=null,e.memoizedState=null,e.updateQueue=null,e.dependencies=null,e.stateNode=null):(e.childLanes=n.childLanes,e.lanes=n.lanes,e.child=n.child,e.subtreeFlags=0,e.deletions=null,e.memoizedProps=n.memoizedProps,e.memoizedState=n.memoizedState,e.updateQueue=n.updateQueue,e.type=n.type,t=n.dependencies,e.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext}),e}function Uu(e,t,n,r,l,a){var i=0;if(r=e,"function"==typeof e)Du(e)&&(i=1);else if("string"==typeof e)i=function(e,t,n){if(1===n||null!=t.itemProp)return!1;switch(e){case"meta":case"title":return!0;case"style":if("string"!=typeof t.precedence||"string"!=typeof t.href||""===t.href)break;return!0;case"link":if("string"!=typeof t.rel||"string"!=typeof t.href||""===t.href||t.onLoad||t.onError)break;return"stylesheet"!==t.rel||(e=t.disabled,"string"==typeof t.precedence&&null==e);case"script":if(t.async&&"function"!=typeof t.async&&"symbol"!=typeof t.async&&!t.onLoad&&!t.onError&&t.src&&"string"==typeof t.src)return!0}return!1}(e,n,Y.current)?26:"html"===e||"head"===e||"body"===e?27:5;else e:switch(e){case f:return ju(n.children,l,a,t);case d:i=8,l|=24;break;case p:return(e=Fu(12,n,t,2|l)).elementType=p,e.lanes=a,e;case v:return(e=Fu(13,n,t,l)).elementType=v,e.lanes=a,e;case b:return(e=Fu(19,n,t,l)).elementType=b,e.lanes=a,e;case S:return $u(n,l,a,t);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case m:case g:i=10;break e;case h:i=9;break e;case y:i=11;break e;case k:i=14;break e;case w:i=16,r=null;break e}i=29,n=Error(o(130,null===e?"null":typeof e,"")),r=null}return(t=Fu(i,n,t,l)).elementType=e,t.type=r,t.lanes=a,t}function ju(e,t,n,r){return(e=Fu(7,e,r,t)).lanes=n,e}function $u(e,t,n,r){(e=Fu(22,e,r,t)).elementType=S,e.lanes=n;var l={_visibility:1,_pendingVisibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null,_current:null,detach:function(){var e=l._current;if(null===e)throw Error(o(456));if(!(2&l._pendingVisibility)){var t=Nr(e,2);null!==t&&(l._pendingVisibility|=2,Os(t,e,2))}},attach:function(){var e=l._current;if(null===e)throw Error(o(456));if(2&l._pendingVisibility){var t=Nr(e,2);null!==t&&(l._pendingVisibility&=-3,Os(t,e,2))}}};return e.stateNode=l,e}function Hu(e,t,n){return(e=Fu(6,e,null,t)).lanes=n,e}function Vu(e,t,n){return(t=Fu(4,null!==e.children?e.children:[],e.key,t)).lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Bu(e){e.flags|=4}function Wu(e,t){if("stylesheet"!==t.type||4&t.state.loading)e.flags&=-16777217;else if(e.flags|=16777216,!Tf(t)){if(null!==(t=Pl.current)&&((4194176&rs)===rs?null!==Nl:(62914560&rs)!==rs&&!(536870912&rs)||t!==Nl))throw dl=ul,il;e.flags|=8192}}function Qu(e,t){null!==t&&(e.flags|=4),16384&e.flags&&(t=22!==e.tag?Te():536870912,e.lanes|=t,hs|=t)}function qu(e,t){if(!Gr)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;null!==t;)null!==t.alternate&&(n=t),t=t.sibling;null===n?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;null!==n;)null!==n.alternate&&(r=n),n=n.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function Ku(e){var t=null!==e.alternate&&e.alternate.child===e.child,n=0,r=0;if(t)for(var l=e.child;null!==l;)n|=l.lanes|l.childLanes,r|=31457280&l.subtreeFlags,r|=31457280&l.flags,l.return=e,l=l.sibling;else for(l=e.child;null!==l;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function Yu(e,t,n){var r=t.pendingProps;switch(qr(t),t.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:case 1:return Ku(t),null;case 3:return n=t.stateNode,r=null,null!==e&&(r=e.memoizedState.cache),t.memoizedState.cache!==r&&(t.flags|=2048),bi(Ul),ee(),n.pendingContext&&(n.context=n.pendingContext,n.pendingContext=null),null!==e&&null!==e.child||(rl(t)?Bu(t):null===e||e.memoizedState.isDehydrated&&!(256&t.flags)||(t.flags|=1024,null!==Xr&&(Rs(Xr),Xr=null))),Ku(t),null;case 26:return n=t.memoizedState,null===e?(Bu(t),null!==n?(Ku(t),Wu(t,n)):(Ku(t),t.flags&=-16777217)):n?n!==e.memoizedState?(Bu(t),Ku(t),Wu(t,n)):(Ku(t),t.flags&=-16777217):(e.memoizedProps!==r&&Bu(t),Ku(t),t.flags&=-16777217),null;case 27:ne(t),n=X.current;var l=t.type;if(null!==e&&null!=t.stateNode)e.memoizedProps!==r&&Bu(t);else{if(!r){if(null===t.stateNode)throw Error(o(166));return Ku(t),null}e=Y.current,rl(t)?tl(t):(e=cf(l,r,n),t.stateNode=e,Bu(t))}return Ku(t),null;case 5:if(ne(t),n=t.type,null!==e&&null!=t.stateNode)e.memoizedProps!==r&&Bu(t);else{if(!r){if(null===t.stateNode)throw Error(o(166));return Ku(t),null}if(e=Y.current,rl(t))tl(t);else{switch(l=Yc(X.current),e){case 1:e=l.createElementNS("http://www.w3.org/2000/svg",n);break;case 2:e=l.createElementNS("http://www.w3.org/1998/Math/MathML",n);break;default:switch(n){case"svg":e=l.createElementNS("http://www.w3.org/2000/svg",n);break;case"math":e=l.createElementNS("http://www.w3.org/1998/Math/MathML",n);break;case"script":(e=l.createElement("div")).innerHTML="<script><\/script>",e=e.removeChild(e.firstChild);break;case"select":e="string"==typeof r.is?l.createElement("select",{is:r.is}):l.createElement("select"),r.multiple?e.multiple=!0:r.size&&(e.size=r.size);break;default:e="string"==typeof r.is?l.createElement(n,{is:r.is}):l.createElement(n)}}e[Ie]=t,e[Ue]=r;e:for(l=t.child;null!==l;){if(5===l.tag||6===l.tag)e.appendChild(l.stateNode);else if(4!==l.tag&&27!==l.tag&&null!==l.child){l.child.return=l,l=l.child;continue}if(l===t)break e;for(;null===l.sibling;){if(null===l.return||l.return===t)break e;l=l.return}l.sibling.return=l.return,l=l.sibling}t.stateNode=e;e:switch(Qc(e,n,r),n){case"button":case"input":case"select":case"textarea":e=!!r.autoFocus;break e;case"img":e=!0;break e;default:e=!1}e&&Bu(t)}}return Ku(t),t.flags&=-16777217,null;case 6:if(e&&null!=t.stateNode)e.memoizedProps!==r&&Bu(t);else{if("string"!=typeof r&&null===t.stateNode)throw Error(o(166));if(e=X.current,rl(t)){if(e=t.stateNode,n=t.memoizedProps,r=null,null!==(l=Kr))switch(l.tag){case 27:case 5:r=l.memoizedProps}e[Ie]=t,(e=!!(e.nodeValue===n||null!==r&&!0===r.suppressHydrationWarning||Hc(e.nodeValue,n)))||el(t)}else(e=Yc(e).createTextNode(r))[Ie]=t,t.stateNode=e}return Ku(t),null;case 13:if(r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(l=rl(t),null!==r&&null!==r.dehydrated){if(null===e){if(!l)throw Error(o(318));if(!(l=null!==(l=t.memoizedState)?l.dehydrated:null))throw Error(o(317));l[Ie]=t}else ll(),!(128&t.flags)&&(t.memoizedState=null),t.flags|=4;Ku(t),l=!1}else null!==Xr&&(Rs(Xr),Xr=null),l=!0;if(!l)return 256&t.flags?(Al(t),t):(Al(t),null)}if(Al(t),128&t.flags)return t.lanes=n,t;if(n=null!==r,e=null!==e&&null!==e.memoizedState,n){l=null,null!==(r=t.child).alternate&&null!==r.alternate.memoizedState&&null!==r.alternate.memoizedState.cachePool&&(l=r.alternate.memoizedState.cachePool.pool);var a=null;null!==r.memoizedState&&null!==r.memoizedState.cachePool&&(a=r.memoizedState.cachePool.pool),a!==l&&(r.flags|=2048)}return n!==e&&n&&(t.child.flags|=8192),Qu(t,t.updateQueue),Ku(t),null;case 4:return ee(),null===e&&Oc(t.stateNode.containerInfo),Ku(t),null;case 10:return bi(t.type),Ku(t),null;case 19:if(q(Rl),null===(l=t.memoizedState))return Ku(t),null;if(r=!!(128&t.flags),null===(a=l.rendering))if(r)qu(l,!1);else{if(0!==cs||null!==e&&128&e.flags)for(e=t.child;null!==e;){if(null!==(a=Fl(e))){for(t.flags|=128,qu(l,!1),e=a.updateQueue,t.updateQueue=e,Qu(t,e),t.subtreeFlags=0,e=n,n=t.child;null!==n;)Iu(n,e),n=n.sibling;return K(Rl,1&Rl.current|2),t.child}e=e.sibling}null!==l.tail&&ue()>ks&&(t.flags|=128,r=!0,qu(l,!1),t.lanes=4194304)}else{if(!r)if(null!==(e=Fl(a))){if(t.flags|=128,r=!0,e=e.updateQueue,t.updateQueue=e,Qu(t,e),qu(l,!0),null===l.tail&&"hidden"===l.tailMode&&!a.alternate&&!Gr)return Ku(t),null}else 2*ue()-l.renderingStartTime>ks&&536870912!==n&&(t.flags|=128,r=!0,qu(l,!1),t.lanes=4194304);l.isBackwards?(a.sibling=t.child,t.child=a):(null!==(e=l.last)?e.sibling=a:t.child=a,l.last=a)}return null!==l.tail?(t=l.tail,l.rendering=t,l.tail=t.sibling,l.renderingStartTime=ue(),t.sibling=null,e=Rl.current,K(Rl,r?1&e|2:1&e),t):(Ku(t),null);case 22:case 23:return Al(t),zl(),r=null!==t.memoizedState,null!==e?null!==e.memoizedState!==r&&(t.flags|=8192):r&&(t.flags|=8192),r?!!(536870912&n)&&!(128&t.flags)&&(Ku(t),6&t.subtreeFlags&&(t.flags|=8192)):Ku(t),null!==(n=t.updateQueue)&&Qu(t,n.retryQueue),n=null,null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(n=e.memoizedState.cachePool.pool),r=null,null!==t.memoizedState&&null!==t.memoizedState.cachePool&&(r=t.memoizedState.cachePool.pool),r!==n&&(t.flags|=2048),null!==e&&q(Kl),null;case 24:return n=null,null!==e&&(n=e.memoizedState.cache),t.memoizedState.cache!==n&&(t.flags|=2048),bi(Ul),Ku(t),null;case 25:return null}throw Error(o(156,t.tag))}function Gu(e,t){switch(qr(t),t.tag){case 1:return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return bi(Ul),ee(),65536&(e=t.flags)&&!(128&e)?(t.flags=-65537&e|128,t):null;case 26:case 27:case 5:return ne(t),null;case 13:if(Al(t),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(o(340));ll()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return q(Rl),null;case 4:return ee(),null;case 10:return bi(t.type),null;case 22:case 23:return Al(t),zl(),null!==e&&q(Kl),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 24:return bi(Ul),null;default:return null}}function Xu(e,t){switch(qr(t),t.tag){case 3:bi(Ul),ee();break;case 26:case 27:case 5:ne(t);break;case 4:ee();break;case 13:Al(t);break;case 19:q(Rl);break;case 10:bi(t.type);break;case 22:case 23:Al(t),zl(),null!==e&&q(Kl);break;case 24:bi(Ul)}}var Zu={getCacheForType:function(e){var t=Ci(Ul),n=t.data.get(e);return void 0===n&&(n=e(),t.data.set(e,n)),n}},Ju="function"==typeof WeakMap?WeakMap:Map,es=0,ts=null,ns=null,rs=0,ls=0,as=null,os=!1,is=!1,us=!1,ss=0,cs=0,fs=0,ds=0,ps=0,ms=0,hs=0,gs=null,ys=null,vs=!1,bs=0,ks=1/0,ws=null,Ss=null,Es=!1,xs=null,Cs=0,_s=0,zs=null,Ps=0,Ns=null;function Ts(){if(2&es&&0!==rs)return rs&-rs;if(null!==T.T){return 0!==Bl?Bl:wc()}return De()}function Ls(){0===ms&&(ms=536870912&rs&&!Gr?536870912:Ne());var e=Pl.current;return null!==e&&(e.flags|=32),ms}function Os(e,t,n){(e===ts&&2===ls||null!==e.cancelPendingCommit)&&(js(e,0),Ms(e,rs,ms,!1)),Oe(e,n),2&es&&e===ts||(e===ts&&(!(2&es)&&(ds|=n),4===cs&&Ms(e,rs,ms,!1)),hc(e))}function As(e,t,n){if(6&es)throw Error(o(327));for(var r=!n&&!(60&t)&&!(t&e.expiredLanes)||ze(e,t),l=r?function(e,t){var n=es;es|=2;var r=Hs(),l=Vs();ts!==e||rs!==t?(ws=null,ks=ue()+500,js(e,t)):is=ze(e,t);e:for(;;)try{if(0!==ls&&null!==ns){t=ns;var a=as;t:switch(ls){case 1:ls=0,as=null,Gs(e,t,a,1);break;case 2:if(sl(a)){ls=0,as=null,Ys(t);break}t=function(){2===ls&&ts===e&&(ls=7),hc(e)},a.then(t,t);break e;case 3:ls=7;break e;case 4:ls=5;break e;case 7:sl(a)?(ls=0,as=null,Ys(t)):(ls=0,as=null,Gs(e,t,a,7));break;case 5:var i=null;switch(ns.tag){case 26:i=ns.memoizedState;case 5:case 27:var u=ns;if(!i||Tf(i)){ls=0,as=null;var s=u.sibling;if(null!==s)ns=s;else{var c=u.return;null!==c?(ns=c,Xs(c)):ns=null}break t}}ls=0,as=null,Gs(e,t,a,5);break;case 6:ls=0,as=null,Gs(e,t,a,6);break;case 8:Us(),cs=6;break e;default:throw Error(o(462))}}qs();break}catch(t){$s(e,t)}return yi=gi=null,T.H=r,T.A=l,es=n,null!==ns?0:(ts=null,rs=0,_r(),cs)}(e,t):Ws(e,t,!0),a=r;;){if(0===l){is&&!r&&Ms(e,t,0,!1);break}if(6===l)Ms(e,t,0,!os);else{if(n=e.current.alternate,a&&!Ds(n)){l=Ws(e,t,!1),a=!1;continue}if(2===l){if(a=t,e.errorRecoveryDisabledLanes&a)var i=0;else i=0!==(i=-536870913&e.pendingLanes)?i:536870912&i?536870912:0;if(0!==i){t=i;e:{var u=e;l=gs;var s=u.current.memoizedState.isDehydrated;if(s&&(js(u,i).flags|=256),2!==(i=Ws(u,i,!1))){if(us&&!s){u.errorRecoveryDisabledLanes|=a,ds|=a,l=4;break e}a=ys,ys=l,null!==a&&Rs(a)}l=i}if(a=!1,2!==l)continue}}if(1===l){js(e,0),Ms(e,t,0,!0);break}e:{switch(r=e,l){case 0:case 1:throw Error(o(345));case 4:if((4194176&t)===t){Ms(r,t,ms,!os);break e}break;case 2:ys=null;break;case 3:case 5:break;default:throw Error(o(329))}if(r.finishedWork=n,r.finishedLanes=t,(62914560&t)===t&&10<(a=bs+300-ue())){if(Ms(r,t,ms,!os),0!==_e(r,0))break e;r.timeoutHandle=ef(Fs.bind(null,r,n,ys,ws,vs,t,ms,ds,hs,os,2,-0,0),a)}else Fs(r,n,ys,ws,vs,t,ms,ds,hs,os,0,-0,0)}}break}hc(e)}function Rs(e){null===ys?ys=e:ys.push.apply(ys,e)}function Fs(e,t,n,r,l,a,i,u,s,c,f,d,p){var m=t.subtreeFlags;if((8192&m||!(16785408&~m))&&(Lf={stylesheets:null,count:0,unsuspend:Of},Pu(t),null!==(t=function(){if(null===Lf)throw Error(o(475));var e=Lf;return e.stylesheets&&0===e.count&&Ff(e,e.stylesheets),0<e.count?function(t){var n=setTimeout((function(){if(e.stylesheets&&Ff(e,e.stylesheets),e.unsuspend){var t=e.unsuspend;e.unsuspend=null,t()}}),6e4);return e.unsuspend=t,function(){e.unsuspend=null,clearTimeout(n)}}:null}())))return e.cancelPendingCommit=t(Js.bind(null,e,n,r,l,i,u,s,1,d,p)),void Ms(e,a,i,!c);Js(e,n,r,l,i,u,s,f,d,p)}function Ds(e){for(var t=e;;){var n=t.tag;if((0===n||11===n||15===n)&&16384&t.flags&&(null!==(n=t.updateQueue)&&null!==(n=n.stores)))for(var r=0;r<n.length;r++){var l=n[r],a=l.getSnapshot;l=l.value;try{if(!Kn(a(),l))return!1}catch(e){return!1}}if(n=t.child,16384&t.subtreeFlags&&null!==n)n.return=t,t=n;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function Ms(e,t,n,r){t&=~ps,t&=~ds,e.suspendedLanes|=t,e.pingedLanes&=~t,r&&(e.warmLanes|=t),r=e.expirationTimes;for(var l=t;0<l;){var a=31-ke(l),o=1<<a;r[a]=-1,l&=~o}0!==n&&Ae(e,n,t)}function Is(){return!!(6&es)||(gc(0,!1),!1)}function Us(){if(null!==ns){if(0===ls)var e=ns.return;else yi=gi=null,ya(e=ns),ml=null,hl=0,e=ns;for(;null!==e;)Xu(e.alternate,e),e=e.return;ns=null}}function js(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;-1!==n&&(e.timeoutHandle=-1,tf(n)),null!==(n=e.cancelPendingCommit)&&(e.cancelPendingCommit=null,n()),Us(),ts=e,ns=n=Mu(e.current,null),rs=t,ls=0,as=null,os=!1,is=ze(e,t),us=!1,hs=ms=ps=ds=fs=cs=0,ys=gs=null,vs=!1,8&t&&(t|=32&t);var r=e.entangledLanes;if(0!==r)for(e=e.entanglements,r&=t;0<r;){var l=31-ke(r),a=1<<l;t|=e[l],r&=~a}return ss=t,_r(),n}function $s(e,t){Jl=null,T.H=Co,t===ol?(t=pl(),ls=3):t===il?(t=pl(),ls=4):ls=t===Vo?8:null!==t&&"object"==typeof t&&"function"==typeof t.then?6:1,as=t,null===ns&&(cs=1,Io(e,Rr(t,e.current)))}function Hs(){var e=T.H;return T.H=Co,null===e?Co:e}function Vs(){var e=T.A;return T.A=Zu,e}function Bs(){cs=4,os||(4194176&rs)!==rs&&null!==Pl.current||(is=!0),!(134217727&fs)&&!(134217727&ds)||null===ts||Ms(ts,rs,ms,!1)}function Ws(e,t,n){var r=es;es|=2;var l=Hs(),a=Vs();ts===e&&rs===t||(ws=null,js(e,t)),t=!1;var o=cs;e:for(;;)try{if(0!==ls&&null!==ns){var i=ns,u=as;switch(ls){case 8:Us(),o=6;break e;case 3:case 2:case 6:null===Pl.current&&(t=!0);var s=ls;if(ls=0,as=null,Gs(e,i,u,s),n&&is){o=0;break e}break;default:s=ls,ls=0,as=null,Gs(e,i,u,s)}}Qs(),o=cs;break}catch(t){$s(e,t)}return t&&e.shellSuspendCounter++,yi=gi=null,es=r,T.H=l,T.A=a,null===ns&&(ts=null,rs=0,_r()),o}function Qs(){for(;null!==ns;)Ks(ns)}function qs(){for(;null!==ns&&!oe();)Ks(ns)}function Ks(e){var t=mi(e.alternate,e,ss);e.memoizedProps=e.pendingProps,null===t?Xs(e):ns=t}function Ys(e){var t=e,n=t.alternate;switch(t.tag){case 15:case 0:t=Jo(n,t,t.pendingProps,t.type,void 0,rs);break;case 11:t=Jo(n,t,t.pendingProps,t.type.render,t.ref,rs);break;case 5:ya(t);default:Xu(n,t),t=mi(n,t=ns=Iu(t,ss),ss)}e.memoizedProps=e.pendingProps,null===t?Xs(e):ns=t}function Gs(e,t,n,r){yi=gi=null,ya(t),ml=null,hl=0;var l=t.return;try{if(function(e,t,n,r,l){if(n.flags|=32768,null!==r&&"object"==typeof r&&"function"==typeof r.then){if(null!==(t=n.alternate)&&Si(t,n,l,!0),null!==(n=Pl.current)){switch(n.tag){case 13:return null===Nl?Bs():null===n.alternate&&0===cs&&(cs=3),n.flags&=-257,n.flags|=65536,n.lanes=l,r===ul?n.flags|=16384:(null===(t=n.updateQueue)?n.updateQueue=new Set([r]):t.add(r),lc(e,r,l)),!1;case 22:return n.flags|=65536,r===ul?n.flags|=16384:(null===(t=n.updateQueue)?(t={transitions:null,markerInstances:null,retryQueue:new Set([r])},n.updateQueue=t):null===(n=t.retryQueue)?t.retryQueue=new Set([r]):n.add(r),lc(e,r,l)),!1}throw Error(o(435,n.tag))}return lc(e,r,l),Bs(),!1}if(Gr)return null!==(t=Pl.current)?(!(65536&t.flags)&&(t.flags|=256),t.flags|=65536,t.lanes=l,r!==Jr&&al(Rr(e=Error(o(422),{cause:r}),n))):(r!==Jr&&al(Rr(t=Error(o(423),{cause:r}),n)),(e=e.current.alternate).flags|=65536,l&=-l,e.lanes|=l,r=Rr(r,n),Ri(e,l=jo(e.stateNode,r,l)),4!==cs&&(cs=2)),!1;var a=Error(o(520),{cause:r});if(a=Rr(a,n),null===gs?gs=[a]:gs.push(a),4!==cs&&(cs=2),null===t)return!0;r=Rr(r,n),n=t;do{switch(n.tag){case 3:return n.flags|=65536,e=l&-l,n.lanes|=e,Ri(n,e=jo(n.stateNode,r,e)),!1;case 1:if(t=n.type,a=n.stateNode,!(128&n.flags||"function"!=typeof t.getDerivedStateFromError&&(null===a||"function"!=typeof a.componentDidCatch||null!==Ss&&Ss.has(a))))return n.flags|=65536,l&=-l,n.lanes|=l,Ho(l=$o(l),e,n,r),Ri(n,l),!1}n=n.return}while(null!==n);return!1}(e,l,t,n,rs))return cs=1,Io(e,Rr(n,e.current)),void(ns=null)}catch(t){if(null!==l)throw ns=l,t;return cs=1,Io(e,Rr(n,e.current)),void(ns=null)}32768&t.flags?(Gr||1===r?e=!0:is||536870912&rs?e=!1:(os=e=!0,(2===r||3===r||6===r)&&(null!==(r=Pl.current)&&13===r.tag&&(r.flags|=16384))),Zs(t,e)):Xs(t)}function Xs(e){var t=e;do{if(32768&t.flags)return void Zs(t,os);e=t.return;var n=Yu(t.alternate,t,ss);if(null!==n)return void(ns=n);if(null!==(t=t.sibling))return void(ns=t);ns=t=e}while(null!==t);0===cs&&(cs=5)}function Zs(e,t){do{var n=Gu(e.alternate,e);if(null!==n)return n.flags&=32767,void(ns=n);if(null!==(n=e.return)&&(n.flags|=32768,n.subtreeFlags=0,n.deletions=null),!t&&null!==(e=e.sibling))return void(ns=e);ns=e=n}while(null!==e);cs=6,ns=null}function Js(e,t,n,r,l,a,i,u,s,c){var f=T.T,d=H.p;try{H.p=2,T.T=null,function(e,t,n,r,l,a,i,u){do{tc()}while(null!==xs);if(6&es)throw Error(o(327));var s=e.finishedWork;if(r=e.finishedLanes,null===s)return null;if(e.finishedWork=null,e.finishedLanes=0,s===e.current)throw Error(o(177));e.callbackNode=null,e.callbackPriority=0,e.cancelPendingCommit=null;var c=s.lanes|s.childLanes;if(function(e,t,n,r,l,a){var o=e.pendingLanes;e.pendingLanes=n,e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0,e.expiredLanes&=n,e.entangledLanes&=n,e.errorRecoveryDisabledLanes&=n,e.shellSuspendCounter=0;var i=e.entanglements,u=e.expirationTimes,s=e.hiddenUpdates;for(n=o&~n;0<n;){var c=31-ke(n),f=1<<c;i[c]=0,u[c]=-1;var d=s[c];if(null!==d)for(s[c]=null,c=0;c<d.length;c++){var p=d[c];null!==p&&(p.lane&=-536870913)}n&=~f}0!==r&&Ae(e,r,0),0!==a&&0===l&&0!==e.tag&&(e.suspendedLanes|=a&~(o&~t))}(e,r,c|=Cr,a,i,u),e===ts&&(ns=ts=null,rs=0),!(10256&s.subtreeFlags)&&!(10256&s.flags)||Es||(Es=!0,_s=c,zs=n,function(e,t){le(e,t)}(de,(function(){return tc(),null}))),n=!!(15990&s.flags),15990&s.subtreeFlags||n?(n=T.T,T.T=null,a=H.p,H.p=2,i=es,es|=4,function(e,t){if(e=e.containerInfo,qc=Wf,er(e=Jn(e))){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(n=(n=e.ownerDocument)&&n.defaultView||window).getSelection&&n.getSelection();if(r&&0!==r.rangeCount){n=r.anchorNode;var l=r.anchorOffset,a=r.focusNode;r=r.focusOffset;try{n.nodeType,a.nodeType}catch(e){n=null;break e}var i=0,u=-1,s=-1,c=0,f=0,d=e,p=null;t:for(;;){for(var m;d!==n||0!==l&&3!==d.nodeType||(u=i+l),d!==a||0!==r&&3!==d.nodeType||(s=i+r),3===d.nodeType&&(i+=d.nodeValue.length),null!==(m=d.firstChild);)p=d,d=m;for(;;){if(d===e)break t;if(p===n&&++c===l&&(u=i),p===a&&++f===r&&(s=i),null!==(m=d.nextSibling))break;p=(d=p).parentNode}d=m}n=-1===u||-1===s?null:{start:u,end:s}}else n=null}n=n||{start:0,end:0}}else n=null;for(Kc={focusedElem:e,selectionRange:n},Wf=!1,nu=t;null!==nu;)if(e=(t=nu).child,1028&t.subtreeFlags&&null!==e)e.return=t,nu=e;else for(;null!==nu;){switch(a=(t=nu).alternate,e=t.flags,t.tag){case 0:case 11:case 15:case 5:case 26:case 27:case 6:case 4:case 17:break;case 1:if(1024&e&&null!==a){e=void 0,n=t,l=a.memoizedProps,a=a.memoizedState,r=n.stateNode;try{var h=Ao(n.type,l,(n.elementType,n.type));e=r.getSnapshotBeforeUpdate(h,a),r.__reactInternalSnapshotBeforeUpdate=e}catch(e){rc(n,n.return,e)}}break;case 3:if(1024&e)if(9===(n=(e=t.stateNode.containerInfo).nodeType))of(e);else if(1===n)switch(e.nodeName){case"HEAD":case"HTML":case"BODY":of(e);break;default:e.textContent=""}break;default:if(1024&e)throw Error(o(163))}if(null!==(e=t.sibling)){e.return=t.return,nu=e;break}nu=t.return}h=ru,ru=!1}(e,s),mu(s,e),tr(Kc,e.containerInfo),Wf=!!qc,Kc=qc=null,e.current=s,lu(e,s.alternate,s),ie(),es=i,H.p=a,T.T=n):e.current=s,Es?(Es=!1,xs=e,Cs=r):ec(e,c),c=e.pendingLanes,0===c&&(Ss=null),function(e){if(ve&&"function"==typeof ve.onCommitFiberRoot)try{ve.onCommitFiberRoot(ye,e,void 0,!(128&~e.current.flags))}catch(e){}}(s.stateNode),hc(e),null!==t)for(l=e.onRecoverableError,s=0;s<t.length;s++)c=t[s],l(c.value,{componentStack:c.stack});!!(3&Cs)&&tc(),c=e.pendingLanes,4194218&r&&42&c?e===Ns?Ps++:(Ps=0,Ns=e):Ps=0,gc(0,!1)}(e,t,n,r,d,l,a,i)}finally{T.T=f,H.p=d}}function ec(e,t){0==(e.pooledCacheLanes&=t)&&(null!=(t=e.pooledCache)&&(e.pooledCache=null,$l(t)))}function tc(){if(null!==xs){var e=xs,t=_s;_s=0;var n=Fe(Cs),r=T.T,l=H.p;try{if(H.p=32>n?32:n,T.T=null,null===xs)var a=!1;else{n=zs,zs=null;var i=xs,u=Cs;if(xs=null,Cs=0,6&es)throw Error(o(331));var s=es;if(es|=4,Lu(i.current),Eu(i,i.current,u,n),es=s,gc(0,!1),ve&&"function"==typeof ve.onPostCommitFiberRoot)try{ve.onPostCommitFiberRoot(ye,i)}catch(e){}a=!0}return a}finally{H.p=l,T.T=r,ec(e,t)}}return!1}function nc(e,t,n){t=Rr(n,t),null!==(e=Oi(e,t=jo(e.stateNode,t,2),2))&&(Oe(e,2),hc(e))}function rc(e,t,n){if(3===e.tag)nc(e,e,n);else for(;null!==t;){if(3===t.tag){nc(t,e,n);break}if(1===t.tag){var r=t.stateNode;if("function"==typeof t.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===Ss||!Ss.has(r))){e=Rr(n,e),null!==(r=Oi(t,n=$o(2),2))&&(Ho(n,r,t,e),Oe(r,2),hc(r));break}}t=t.return}}function lc(e,t,n){var r=e.pingCache;if(null===r){r=e.pingCache=new Ju;var l=new Set;r.set(t,l)}else void 0===(l=r.get(t))&&(l=new Set,r.set(t,l));l.has(n)||(us=!0,l.add(n),e=ac.bind(null,e,t,n),t.then(e,e))}function ac(e,t,n){var r=e.pingCache;null!==r&&r.delete(t),e.pingedLanes|=e.suspendedLanes&n,e.warmLanes&=~n,ts===e&&(rs&n)===n&&(4===cs||3===cs&&(62914560&rs)===rs&&300>ue()-bs?!(2&es)&&js(e,0):ps|=n,hs===rs&&(hs=0)),hc(e)}function oc(e,t){0===t&&(t=Te()),null!==(e=Nr(e,t))&&(Oe(e,t),hc(e))}function ic(e){var t=e.memoizedState,n=0;null!==t&&(n=t.retryLane),oc(e,n)}function uc(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,l=e.memoizedState;null!==l&&(n=l.retryLane);break;case 19:r=e.stateNode;break;case 22:r=e.stateNode._retryCache;break;default:throw Error(o(314))}null!==r&&r.delete(t),oc(e,n)}var sc=null,cc=null,fc=!1,dc=!1,pc=!1,mc=0;function hc(e){var t;e!==cc&&null===e.next&&(null===cc?sc=cc=e:cc=cc.next=e),dc=!0,fc||(fc=!0,t=yc,rf((function(){6&es?le(ce,t):t()})))}function gc(e,t){if(!pc&&dc){pc=!0;do{for(var n=!1,r=sc;null!==r;){if(!t)if(0!==e){var l=r.pendingLanes;if(0===l)var a=0;else{var o=r.suspendedLanes,i=r.pingedLanes;a=(1<<31-ke(42|e)+1)-1,a=201326677&(a&=l&~(o&~i))?201326677&a|1:a?2|a:0}0!==a&&(n=!0,kc(r,a))}else a=rs,!(3&(a=_e(r,r===ts?a:0)))||ze(r,a)||(n=!0,kc(r,a));r=r.next}}while(n);pc=!1}}function yc(){dc=fc=!1;var e=0;0!==mc&&(function(){var e=window.event;if(e&&"popstate"===e.type)return e!==Jc&&(Jc=e,!0);return Jc=null,!1}()&&(e=mc),mc=0);for(var t=ue(),n=null,r=sc;null!==r;){var l=r.next,a=vc(r,t);0===a?(r.next=null,null===n?sc=l:n.next=l,null===l&&(cc=n)):(n=r,(0!==e||3&a)&&(dc=!0)),r=l}gc(e,!1)}function vc(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,a=-62914561&e.pendingLanes;0<a;){var o=31-ke(a),i=1<<o,u=l[o];-1===u?i&n&&!(i&r)||(l[o]=Pe(i,t)):u<=t&&(e.expiredLanes|=i),a&=~i}if(n=rs,n=_e(e,e===(t=ts)?n:0),r=e.callbackNode,0===n||e===t&&2===ls||null!==e.cancelPendingCommit)return null!==r&&null!==r&&ae(r),e.callbackNode=null,e.callbackPriority=0;if(!(3&n)||ze(e,n)){if((t=n&-n)===e.callbackPriority)return t;switch(null!==r&&ae(r),Fe(n)){case 2:case 8:n=fe;break;case 32:default:n=de;break;case 268435456:n=me}return r=bc.bind(null,e),n=le(n,r),e.callbackPriority=t,e.callbackNode=n,t}return null!==r&&null!==r&&ae(r),e.callbackPriority=2,e.callbackNode=null,2}function bc(e,t){var n=e.callbackNode;if(tc()&&e.callbackNode!==n)return null;var r=rs;return 0===(r=_e(e,e===ts?r:0))?null:(As(e,r,t),vc(e,ue()),null!=e.callbackNode&&e.callbackNode===n?bc.bind(null,e):null)}function kc(e,t){if(tc())return null;As(e,t,!0)}function wc(){return 0===mc&&(mc=Ne()),mc}function Sc(e){return null==e||"symbol"==typeof e||"boolean"==typeof e?null:"function"==typeof e?e:Nt(""+e)}function Ec(e,t){var n=t.ownerDocument.createElement("input");return n.name=t.name,n.value=t.value,e.id&&n.setAttribute("form",e.id),t.parentNode.insertBefore(n,t),e=new FormData(e),n.parentNode.removeChild(n),e}for(var xc=0;xc<wr.length;xc++){var Cc=wr[xc];Sr(Cc.toLowerCase(),"on"+(Cc[0].toUpperCase()+Cc.slice(1)))}Sr(pr,"onAnimationEnd"),Sr(mr,"onAnimationIteration"),Sr(hr,"onAnimationStart"),Sr("dblclick","onDoubleClick"),Sr("focusin","onFocus"),Sr("focusout","onBlur"),Sr(gr,"onTransitionRun"),Sr(yr,"onTransitionStart"),Sr(vr,"onTransitionCancel"),Sr(br,"onTransitionEnd"),tt("onMouseEnter",["mouseout","mouseover"]),tt("onMouseLeave",["mouseout","mouseover"]),tt("onPointerEnter",["pointerout","pointerover"]),tt("onPointerLeave",["pointerout","pointerover"]),et("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),et("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),et("onBeforeInput",["compositionend","keypress","textInput","paste"]),et("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),et("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),et("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var _c="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),zc=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(_c));function Pc(e,t){t=!!(4&t);for(var n=0;n<e.length;n++){var r=e[n],l=r.event;r=r.listeners;e:{var a=void 0;if(t)for(var o=r.length-1;0<=o;o--){var i=r[o],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==a&&l.isPropagationStopped())break e;a=i,l.currentTarget=s;try{a(l)}catch(e){Ro(e)}l.currentTarget=null,a=u}else for(o=0;o<r.length;o++){if(u=(i=r[o]).instance,s=i.currentTarget,i=i.listener,u!==a&&l.isPropagationStopped())break e;a=i,l.currentTarget=s;try{a(l)}catch(e){Ro(e)}l.currentTarget=null,a=u}}}}function Nc(e,t){var n=t[$e];void 0===n&&(n=t[$e]=new Set);var r=e+"__bubble";n.has(r)||(Ac(t,e,2,!1),n.add(r))}function Tc(e,t,n){var r=0;t&&(r|=4),Ac(n,e,r,t)}var Lc="_reactListening"+Math.random().toString(36).slice(2);function Oc(e){if(!e[Lc]){e[Lc]=!0,Ze.forEach((function(t){"selectionchange"!==t&&(zc.has(t)||Tc(t,!1,e),Tc(t,!0,e))}));var t=9===e.nodeType?e:e.ownerDocument;null===t||t[Lc]||(t[Lc]=!0,Tc("selectionchange",!1,t))}}function Ac(e,t,n,r){switch(Zf(t)){case 2:var l=Qf;break;case 8:l=qf;break;default:l=Kf}n=l.bind(null,t,n,e),l=void 0,!It||"touchstart"!==t&&"touchmove"!==t&&"wheel"!==t||(l=!0),r?void 0!==l?e.addEventListener(t,n,{capture:!0,passive:l}):e.addEventListener(t,n,!0):void 0!==l?e.addEventListener(t,n,{passive:l}):e.addEventListener(t,n,!1)}function Rc(e,t,n,r,l){var a=r;if(!(1&t||2&t||null===r))e:for(;;){if(null===r)return;var o=r.tag;if(3===o||4===o){var i=r.stateNode.containerInfo;if(i===l||8===i.nodeType&&i.parentNode===l)break;if(4===o)for(o=r.return;null!==o;){var u=o.tag;if((3===u||4===u)&&((u=o.stateNode.containerInfo)===l||8===u.nodeType&&u.parentNode===l))return;o=o.return}for(;null!==i;){if(null===(o=qe(i)))return;if(5===(u=o.tag)||6===u||26===u||27===u){r=a=o;continue e}i=i.parentNode}}r=r.return}Dt((function(){var r=a,l=Lt(n),o=[];e:{var i=kr.get(e);if(void 0!==i){var u=Zt,s=e;switch(e){case"keypress":if(0===Bt(n))break e;case"keydown":case"keyup":u=mn;break;case"focusin":s="focus",u=ln;break;case"focusout":s="blur",u=ln;break;case"beforeblur":case"afterblur":u=ln;break;case"click":if(2===n.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=nn;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=rn;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=gn;break;case pr:case mr:case hr:u=an;break;case br:u=yn;break;case"scroll":case"scrollend":u=en;break;case"wheel":u=vn;break;case"copy":case"cut":case"paste":u=on;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=hn;break;case"toggle":case"beforetoggle":u=bn}var c=!!(4&t),f=!c&&("scroll"===e||"scrollend"===e),d=c?null!==i?i+"Capture":null:i;c=[];for(var p,m=r;null!==m;){var h=m;if(p=h.stateNode,5!==(h=h.tag)&&26!==h&&27!==h||null===p||null===d||null!=(h=Mt(m,d))&&c.push(Fc(m,h,p)),f)break;m=m.return}0<c.length&&(i=new u(i,s,null,n,l),o.push({event:i,listeners:c}))}}if(!(7&t)){if(u="mouseout"===e||"pointerout"===e,(!(i="mouseover"===e||"pointerover"===e)||n===Tt||!(s=n.relatedTarget||n.fromElement)||!qe(s)&&!s[je])&&(u||i)&&(i=l.window===l?l:(i=l.ownerDocument)?i.defaultView||i.parentWindow:window,u?(u=r,null!==(s=(s=n.relatedTarget||n.toElement)?qe(s):null)&&(f=M(s),c=s.tag,s!==f||5!==c&&27!==c&&6!==c)&&(s=null)):(u=null,s=r),u!==s)){if(c=nn,h="onMouseLeave",d="onMouseEnter",m="mouse","pointerout"!==e&&"pointerover"!==e||(c=hn,h="onPointerLeave",d="onPointerEnter",m="pointer"),f=null==u?i:Ye(u),p=null==s?i:Ye(s),(i=new c(h,m+"leave",u,n,l)).target=f,i.relatedTarget=p,h=null,qe(l)===r&&((c=new c(d,m+"enter",s,n,l)).target=p,c.relatedTarget=f,h=c),f=h,u&&s)e:{for(d=s,m=0,p=c=u;p;p=Mc(p))m++;for(p=0,h=d;h;h=Mc(h))p++;for(;0<m-p;)c=Mc(c),m--;for(;0<p-m;)d=Mc(d),p--;for(;m--;){if(c===d||null!==d&&c===d.alternate)break e;c=Mc(c),d=Mc(d)}c=null}else c=null;null!==u&&Ic(o,i,u,c,!1),null!==s&&null!==f&&Ic(o,f,s,c,!0)}if("select"===(u=(i=r?Ye(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var g=Mn;else if(Ln(i))if(In)g=qn;else{g=Wn;var y=Bn}else!(u=i.nodeName)||"input"!==u.toLowerCase()||"checkbox"!==i.type&&"radio"!==i.type?r&&_t(r.elementType)&&(g=Mn):g=Qn;switch(g&&(g=g(e,r))?On(o,g,n,l):(y&&y(e,i,r),"focusout"===e&&r&&"number"===i.type&&null!=r.memoizedProps.value&&vt(i,"number",i.value)),y=r?Ye(r):window,e){case"focusin":(Ln(y)||"true"===y.contentEditable)&&(rr=y,lr=r,ar=null);break;case"focusout":ar=lr=rr=null;break;case"mousedown":or=!0;break;case"contextmenu":case"mouseup":case"dragend":or=!1,ir(o,n,l);break;case"selectionchange":if(nr)break;case"keydown":case"keyup":ir(o,n,l)}var v;if(wn)e:{switch(e){case"compositionstart":var b="onCompositionStart";break e;case"compositionend":b="onCompositionEnd";break e;case"compositionupdate":b="onCompositionUpdate";break e}b=void 0}else Nn?zn(e,n)&&(b="onCompositionEnd"):"keydown"===e&&229===n.keyCode&&(b="onCompositionStart");b&&(xn&&"ko"!==n.locale&&(Nn||"onCompositionStart"!==b?"onCompositionEnd"===b&&Nn&&(v=Vt()):($t="value"in(jt=l)?jt.value:jt.textContent,Nn=!0)),0<(y=Dc(r,b)).length&&(b=new un(b,e,null,n,l),o.push({event:b,listeners:y}),v?b.data=v:null!==(v=Pn(n))&&(b.data=v))),(v=En?function(e,t){switch(e){case"compositionend":return Pn(t);case"keypress":return 32!==t.which?null:(_n=!0,Cn);case"textInput":return(e=t.data)===Cn&&_n?null:e;default:return null}}(e,n):function(e,t){if(Nn)return"compositionend"===e||!wn&&zn(e,t)?(e=Vt(),Ht=$t=jt=null,Nn=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return xn&&"ko"!==t.locale?null:t.data}}(e,n))&&(0<(b=Dc(r,"onBeforeInput")).length&&(y=new un("onBeforeInput","beforeinput",null,n,l),o.push({event:y,listeners:b}),y.data=v)),function(e,t,n,r,l){if("submit"===t&&n&&n.stateNode===l){var a=Sc((l[Ue]||null).action),o=r.submitter;o&&null!==(t=(t=o[Ue]||null)?Sc(t.formAction):o.getAttribute("formAction"))&&(a=t,o=null);var i=new Zt("action","action",null,r,l);e.push({event:i,listeners:[{instance:null,listener:function(){if(r.defaultPrevented){if(0!==mc){var e=o?Ec(l,o):new FormData(l);co(n,{pending:!0,data:e,method:l.method,action:a},null,e)}}else"function"==typeof a&&(i.preventDefault(),e=o?Ec(l,o):new FormData(l),co(n,{pending:!0,data:e,method:l.method,action:a},a,e))},currentTarget:l}]})}}(o,e,r,n,l)}Pc(o,t)}))}function Fc(e,t,n){return{instance:e,listener:t,currentTarget:n}}function Dc(e,t){for(var n=t+"Capture",r=[];null!==e;){var l=e,a=l.stateNode;5!==(l=l.tag)&&26!==l&&27!==l||null===a||(null!=(l=Mt(e,n))&&r.unshift(Fc(e,l,a)),null!=(l=Mt(e,t))&&r.push(Fc(e,l,a))),e=e.return}return r}function Mc(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag&&27!==e.tag);return e||null}function Ic(e,t,n,r,l){for(var a=t._reactName,o=[];null!==n&&n!==r;){var i=n,u=i.alternate,s=i.stateNode;if(i=i.tag,null!==u&&u===r)break;5!==i&&26!==i&&27!==i||null===s||(u=s,l?null!=(s=Mt(n,a))&&o.unshift(Fc(n,s,u)):l||null!=(s=Mt(n,a))&&o.push(Fc(n,s,u))),n=n.return}0!==o.length&&e.push({event:t,listeners:o})}var Uc=/\r\n?/g,jc=/\u0000|\uFFFD/g;function $c(e){return("string"==typeof e?e:""+e).replace(Uc,"\n").replace(jc,"")}function Hc(e,t){return t=$c(t),$c(e)===t}function Vc(){}function Bc(e,t,n,r,l,a){switch(n){case"children":"string"==typeof r?"body"===t||"textarea"===t&&""===r||St(e,r):("number"==typeof r||"bigint"==typeof r)&&"body"!==t&&St(e,""+r);break;case"className":it(e,"class",r);break;case"tabIndex":it(e,"tabindex",r);break;case"dir":case"role":case"viewBox":case"width":case"height":it(e,n,r);break;case"style":Ct(e,r,a);break;case"data":if("object"!==t){it(e,"data",r);break}case"src":case"href":if(""===r&&("a"!==t||"href"!==n)){e.removeAttribute(n);break}if(null==r||"function"==typeof r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(n);break}r=Nt(""+r),e.setAttribute(n,r);break;case"action":case"formAction":if("function"==typeof r){e.setAttribute(n,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}if("function"==typeof a&&("formAction"===n?("input"!==t&&Bc(e,t,"name",l.name,l,null),Bc(e,t,"formEncType",l.formEncType,l,null),Bc(e,t,"formMethod",l.formMethod,l,null),Bc(e,t,"formTarget",l.formTarget,l,null)):(Bc(e,t,"encType",l.encType,l,null),Bc(e,t,"method",l.method,l,null),Bc(e,t,"target",l.target,l,null))),null==r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(n);break}r=Nt(""+r),e.setAttribute(n,r);break;case"onClick":null!=r&&(e.onclick=Vc);break;case"onScroll":null!=r&&Nc("scroll",e);break;case"onScrollEnd":null!=r&&Nc("scrollend",e);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(n=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=n}}break;case"multiple":e.multiple=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"muted":e.muted=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":case"autoFocus":break;case"xlinkHref":if(null==r||"function"==typeof r||"boolean"==typeof r||"symbol"==typeof r){e.removeAttribute("xlink:href");break}n=Nt(""+r),e.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",n);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(n,""+r):e.removeAttribute(n);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(n,""):e.removeAttribute(n);break;case"capture":case"download":!0===r?e.setAttribute(n,""):!1!==r&&null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(n,r):e.removeAttribute(n);break;case"cols":case"rows":case"size":case"span":null!=r&&"function"!=typeof r&&"symbol"!=typeof r&&!isNaN(r)&&1<=r?e.setAttribute(n,r):e.removeAttribute(n);break;case"rowSpan":case"start":null==r||"function"==typeof r||"symbol"==typeof r||isNaN(r)?e.removeAttribute(n):e.setAttribute(n,r);break;case"popover":Nc("beforetoggle",e),Nc("toggle",e),ot(e,"popover",r);break;case"xlinkActuate":ut(e,"http://www.w3.org/1999/xlink","xlink:actuate",r);break;case"xlinkArcrole":ut(e,"http://www.w3.org/1999/xlink","xlink:arcrole",r);break;case"xlinkRole":ut(e,"http://www.w3.org/1999/xlink","xlink:role",r);break;case"xlinkShow":ut(e,"http://www.w3.org/1999/xlink","xlink:show",r);break;case"xlinkTitle":ut(e,"http://www.w3.org/1999/xlink","xlink:title",r);break;case"xlinkType":ut(e,"http://www.w3.org/1999/xlink","xlink:type",r);break;case"xmlBase":ut(e,"http://www.w3.org/XML/1998/namespace","xml:base",r);break;case"xmlLang":ut(e,"http://www.w3.org/XML/1998/namespace","xml:lang",r);break;case"xmlSpace":ut(e,"http://www.w3.org/XML/1998/namespace","xml:space",r);break;case"is":ot(e,"is",r);break;case"innerText":case"textContent":break;default:(!(2<n.length)||"o"!==n[0]&&"O"!==n[0]||"n"!==n[1]&&"N"!==n[1])&&ot(e,n=zt.get(n)||n,r)}}function Wc(e,t,n,r,l,a){switch(n){case"style":Ct(e,r,a);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(n=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=n}}break;case"children":"string"==typeof r?St(e,r):("number"==typeof r||"bigint"==typeof r)&&St(e,""+r);break;case"onScroll":null!=r&&Nc("scroll",e);break;case"onScrollEnd":null!=r&&Nc("scrollend",e);break;case"onClick":null!=r&&(e.onclick=Vc);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":case"innerText":case"textContent":break;default:Je.hasOwnProperty(n)||("o"!==n[0]||"n"!==n[1]||(l=n.endsWith("Capture"),t=n.slice(2,l?n.length-7:void 0),"function"==typeof(a=null!=(a=e[Ue]||null)?a[n]:null)&&e.removeEventListener(t,a,l),"function"!=typeof r)?n in e?e[n]=r:!0===r?e.setAttribute(n,""):ot(e,n,r):("function"!=typeof a&&null!==a&&(n in e?e[n]=null:e.hasAttribute(n)&&e.removeAttribute(n)),e.addEventListener(t,r,l)))}}function Qc(e,t,n){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":Nc("error",e),Nc("load",e);var r,l=!1,a=!1;for(r in n)if(n.hasOwnProperty(r)){var i=n[r];if(null!=i)switch(r){case"src":l=!0;break;case"srcSet":a=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:Bc(e,t,r,i,n,null)}}return a&&Bc(e,t,"srcSet",n.srcSet,n,null),void(l&&Bc(e,t,"src",n.src,n,null));case"input":Nc("invalid",e);var u=r=i=a=null,s=null,c=null;for(l in n)if(n.hasOwnProperty(l)){var f=n[l];if(null!=f)switch(l){case"name":a=f;break;case"type":i=f;break;case"checked":s=f;break;case"defaultChecked":c=f;break;case"value":r=f;break;case"defaultValue":u=f;break;case"children":case"dangerouslySetInnerHTML":if(null!=f)throw Error(o(137,t));break;default:Bc(e,t,l,f,n,null)}}return yt(e,r,u,s,c,i,a,!1),void ft(e);case"select":for(a in Nc("invalid",e),l=i=r=null,n)if(n.hasOwnProperty(a)&&null!=(u=n[a]))switch(a){case"value":r=u;break;case"defaultValue":i=u;break;case"multiple":l=u;default:Bc(e,t,a,u,n,null)}return t=r,n=i,e.multiple=!!l,void(null!=t?bt(e,!!l,t,!1):null!=n&&bt(e,!!l,n,!0));case"textarea":for(i in Nc("invalid",e),r=a=l=null,n)if(n.hasOwnProperty(i)&&null!=(u=n[i]))switch(i){case"value":l=u;break;case"defaultValue":a=u;break;case"children":r=u;break;case"dangerouslySetInnerHTML":if(null!=u)throw Error(o(91));break;default:Bc(e,t,i,u,n,null)}return wt(e,l,a,r),void ft(e);case"option":for(s in n)if(n.hasOwnProperty(s)&&null!=(l=n[s]))if("selected"===s)e.selected=l&&"function"!=typeof l&&"symbol"!=typeof l;else Bc(e,t,s,l,n,null);return;case"dialog":Nc("cancel",e),Nc("close",e);break;case"iframe":case"object":Nc("load",e);break;case"video":case"audio":for(l=0;l<_c.length;l++)Nc(_c[l],e);break;case"image":Nc("error",e),Nc("load",e);break;case"details":Nc("toggle",e);break;case"embed":case"source":case"link":Nc("error",e),Nc("load",e);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(c in n)if(n.hasOwnProperty(c)&&null!=(l=n[c]))switch(c){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:Bc(e,t,c,l,n,null)}return;default:if(_t(t)){for(f in n)n.hasOwnProperty(f)&&(void 0!==(l=n[f])&&Wc(e,t,f,l,n,void 0));return}}for(u in n)n.hasOwnProperty(u)&&(null!=(l=n[u])&&Bc(e,t,u,l,n,null))}var qc=null,Kc=null;function Yc(e){return 9===e.nodeType?e:e.ownerDocument}function Gc(e){switch(e){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function Xc(e,t){if(0===e)switch(t){case"svg":return 1;case"math":return 2;default:return 0}return 1===e&&"foreignObject"===t?0:e}function Zc(e,t){return"textarea"===e||"noscript"===e||"string"==typeof t.children||"number"==typeof t.children||"bigint"==typeof t.children||"object"==typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var Jc=null;var ef="function"==typeof setTimeout?setTimeout:void 0,tf="function"==typeof clearTimeout?clearTimeout:void 0,nf="function"==typeof Promise?Promise:void 0,rf="function"==typeof queueMicrotask?queueMicrotask:void 0!==nf?function(e){return nf.resolve(null).then(e).catch(lf)}:ef;function lf(e){setTimeout((function(){throw e}))}function af(e,t){var n=t,r=0;do{var l=n.nextSibling;if(e.removeChild(n),l&&8===l.nodeType)if("/$"===(n=l.data)){if(0===r)return e.removeChild(l),void gd(t);r--}else"$"!==n&&"$?"!==n&&"$!"!==n||r++;n=l}while(n);gd(t)}function of(e){var t=e.firstChild;for(t&&10===t.nodeType&&(t=t.nextSibling);t;){var n=t;switch(t=t.nextSibling,n.nodeName){case"HTML":case"HEAD":case"BODY":of(n),Qe(n);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if("stylesheet"===n.rel.toLowerCase())continue}e.removeChild(n)}}function uf(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t||"F!"===t||"F"===t)break;if("/$"===t)return null}}return e}function sf(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var n=e.data;if("$"===n||"$!"===n||"$?"===n){if(0===t)return e;t--}else"/$"===n&&t++}e=e.previousSibling}return null}function cf(e,t,n){switch(t=Yc(n),e){case"html":if(!(e=t.documentElement))throw Error(o(452));return e;case"head":if(!(e=t.head))throw Error(o(453));return e;case"body":if(!(e=t.body))throw Error(o(454));return e;default:throw Error(o(451))}}var ff=new Map,df=new Set;function pf(e){return"function"==typeof e.getRootNode?e.getRootNode():e.ownerDocument}var mf=H.d;H.d={f:function(){var e=mf.f(),t=Is();return e||t},r:function(e){var t=Ke(e);null!==t&&5===t.tag&&"form"===t.type?po(t):mf.r(e)},D:function(e){mf.D(e),gf("dns-prefetch",e,null)},C:function(e,t){mf.C(e,t),gf("preconnect",e,t)},L:function(e,t,n){mf.L(e,t,n);var r=hf;if(r&&e&&t){var l='link[rel="preload"][as="'+ht(t)+'"]';"image"===t&&n&&n.imageSrcSet?(l+='[imagesrcset="'+ht(n.imageSrcSet)+'"]',"string"==typeof n.imageSizes&&(l+='[imagesizes="'+ht(n.imageSizes)+'"]')):l+='[href="'+ht(e)+'"]';var a=l;switch(t){case"style":a=vf(e);break;case"script":a=wf(e)}ff.has(a)||(e=L({rel:"preload",href:"image"===t&&n&&n.imageSrcSet?void 0:e,as:t},n),ff.set(a,e),null!==r.querySelector(l)||"style"===t&&r.querySelector(bf(a))||"script"===t&&r.querySelector(Sf(a))||(Qc(t=r.createElement("link"),"link",e),Xe(t),r.head.appendChild(t)))}},m:function(e,t){mf.m(e,t);var n=hf;if(n&&e){var r=t&&"string"==typeof t.as?t.as:"script",l='link[rel="modulepreload"][as="'+ht(r)+'"][href="'+ht(e)+'"]',a=l;switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":a=wf(e)}if(!ff.has(a)&&(e=L({rel:"modulepreload",href:e},t),ff.set(a,e),null===n.querySelector(l))){switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(n.querySelector(Sf(a)))return}Qc(r=n.createElement("link"),"link",e),Xe(r),n.head.appendChild(r)}}},X:function(e,t){mf.X(e,t);var n=hf;if(n&&e){var r=Ge(n).hoistableScripts,l=wf(e),a=r.get(l);a||((a=n.querySelector(Sf(l)))||(e=L({src:e,async:!0},t),(t=ff.get(l))&&_f(e,t),Xe(a=n.createElement("script")),Qc(a,"link",e),n.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}},S:function(e,t,n){mf.S(e,t,n);var r=hf;if(r&&e){var l=Ge(r).hoistableStyles,a=vf(e);t=t||"default";var o=l.get(a);if(!o){var i={loading:0,preload:null};if(o=r.querySelector(bf(a)))i.loading=5;else{e=L({rel:"stylesheet",href:e,"data-precedence":t},n),(n=ff.get(a))&&Cf(e,n);var u=o=r.createElement("link");Xe(u),Qc(u,"link",e),u._p=new Promise((function(e,t){u.onload=e,u.onerror=t})),u.addEventListener("load",(function(){i.loading|=1})),u.addEventListener("error",(function(){i.loading|=2})),i.loading|=4,xf(o,t,r)}o={type:"stylesheet",instance:o,count:1,state:i},l.set(a,o)}}},M:function(e,t){mf.M(e,t);var n=hf;if(n&&e){var r=Ge(n).hoistableScripts,l=wf(e),a=r.get(l);a||((a=n.querySelector(Sf(l)))||(e=L({src:e,async:!0,type:"module"},t),(t=ff.get(l))&&_f(e,t),Xe(a=n.createElement("script")),Qc(a,"link",e),n.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}}};var hf="undefined"==typeof document?null:document;function gf(e,t,n){var r=hf;if(r&&"string"==typeof t&&t){var l=ht(t);l='link[rel="'+e+'"][href="'+l+'"]',"string"==typeof n&&(l+='[crossorigin="'+n+'"]'),df.has(l)||(df.add(l),e={rel:e,crossOrigin:n,href:t},null===r.querySelector(l)&&(Qc(t=r.createElement("link"),"link",e),Xe(t),r.head.appendChild(t)))}}function yf(e,t,n,r){var l,a,i,u,s=(s=X.current)?pf(s):null;if(!s)throw Error(o(446));switch(e){case"meta":case"title":return null;case"style":return"string"==typeof n.precedence&&"string"==typeof n.href?(t=vf(n.href),(r=(n=Ge(s).hoistableStyles).get(t))||(r={type:"style",instance:null,count:0,state:null},n.set(t,r)),r):{type:"void",instance:null,count:0,state:null};case"link":if("stylesheet"===n.rel&&"string"==typeof n.href&&"string"==typeof n.precedence){e=vf(n.href);var c=Ge(s).hoistableStyles,f=c.get(e);if(f||(s=s.ownerDocument||s,f={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},c.set(e,f),(c=s.querySelector(bf(e)))&&!c._p&&(f.instance=c,f.state.loading=5),ff.has(e)||(n={rel:"preload",as:"style",href:n.href,crossOrigin:n.crossOrigin,integrity:n.integrity,media:n.media,hrefLang:n.hrefLang,referrerPolicy:n.referrerPolicy},ff.set(e,n),c||(l=s,a=e,i=n,u=f.state,l.querySelector('link[rel="preload"][as="style"]['+a+"]")?u.loading=1:(a=l.createElement("link"),u.preload=a,a.addEventListener("load",(function(){return u.loading|=1})),a.addEventListener("error",(function(){return u.loading|=2})),Qc(a,"link",i),Xe(a),l.head.appendChild(a))))),t&&null===r)throw Error(o(528,""));return f}if(t&&null!==r)throw Error(o(529,""));return null;case"script":return t=n.async,"string"==typeof(n=n.src)&&t&&"function"!=typeof t&&"symbol"!=typeof t?(t=wf(n),(r=(n=Ge(s).hoistableScripts).get(t))||(r={type:"script",instance:null,count:0,state:null},n.set(t,r)),r):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,e))}}function vf(e){return'href="'+ht(e)+'"'}function bf(e){return'link[rel="stylesheet"]['+e+"]"}function kf(e){return L({},e,{"data-precedence":e.precedence,precedence:null})}function wf(e){return'[src="'+ht(e)+'"]'}function Sf(e){return"script[async]"+e}function Ef(e,t,n){if(t.count++,null===t.instance)switch(t.type){case"style":var r=e.querySelector('style[data-href~="'+ht(n.href)+'"]');if(r)return t.instance=r,Xe(r),r;var l=L({},n,{"data-href":n.href,"data-precedence":n.precedence,href:null,precedence:null});return Xe(r=(e.ownerDocument||e).createElement("style")),Qc(r,"style",l),xf(r,n.precedence,e),t.instance=r;case"stylesheet":l=vf(n.href);var a=e.querySelector(bf(l));if(a)return t.state.loading|=4,t.instance=a,Xe(a),a;r=kf(n),(l=ff.get(l))&&Cf(r,l),Xe(a=(e.ownerDocument||e).createElement("link"));var i=a;return i._p=new Promise((function(e,t){i.onload=e,i.onerror=t})),Qc(a,"link",r),t.state.loading|=4,xf(a,n.precedence,e),t.instance=a;case"script":return a=wf(n.src),(l=e.querySelector(Sf(a)))?(t.instance=l,Xe(l),l):(r=n,(l=ff.get(a))&&_f(r=L({},n),l),Xe(l=(e=e.ownerDocument||e).createElement("script")),Qc(l,"link",r),e.head.appendChild(l),t.instance=l);case"void":return null;default:throw Error(o(443,t.type))}else"stylesheet"===t.type&&!(4&t.state.loading)&&(r=t.instance,t.state.loading|=4,xf(r,n.precedence,e));return t.instance}function xf(e,t,n){for(var r=n.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),l=r.length?r[r.length-1]:null,a=l,o=0;o<r.length;o++){var i=r[o];if(i.dataset.precedence===t)a=i;else if(a!==l)break}a?a.parentNode.insertBefore(e,a.nextSibling):(t=9===n.nodeType?n.head:n).insertBefore(e,t.firstChild)}function Cf(e,t){null==e.crossOrigin&&(e.crossOrigin=t.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=t.referrerPolicy),null==e.title&&(e.title=t.title)}function _f(e,t){null==e.crossOrigin&&(e.crossOrigin=t.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=t.referrerPolicy),null==e.integrity&&(e.integrity=t.integrity)}var zf=null;function Pf(e,t,n){if(null===zf){var r=new Map,l=zf=new Map;l.set(n,r)}else(r=(l=zf).get(n))||(r=new Map,l.set(n,r));if(r.has(e))return r;for(r.set(e,null),n=n.getElementsByTagName(e),l=0;l<n.length;l++){var a=n[l];if(!(a[We]||a[Ie]||"link"===e&&"stylesheet"===a.getAttribute("rel"))&&"http://www.w3.org/2000/svg"!==a.namespaceURI){var o=a.getAttribute(t)||"";o=e+o;var i=r.get(o);i?i.push(a):r.set(o,[a])}}return r}function Nf(e,t,n){(e=e.ownerDocument||e).head.insertBefore(n,"title"===t?e.querySelector("head > title"):null)}function Tf(e){return!!("stylesheet"!==e.type||3&e.state.loading)}var Lf=null;function Of(){}function Af(){if(this.count--,0===this.count)if(this.stylesheets)Ff(this,this.stylesheets);else if(this.unsuspend){var e=this.unsuspend;this.unsuspend=null,e()}}var Rf=null;function Ff(e,t){e.stylesheets=null,null!==e.unsuspend&&(e.count++,Rf=new Map,t.forEach(Df,e),Rf=null,Af.call(e))}function Df(e,t){if(!(4&t.state.loading)){var n=Rf.get(e);if(n)var r=n.get(null);else{n=new Map,Rf.set(e,n);for(var l=e.querySelectorAll("link[data-precedence],style[data-precedence]"),a=0;a<l.length;a++){var o=l[a];"LINK"!==o.nodeName&&"not all"===o.getAttribute("media")||(n.set(o.dataset.precedence,o),r=o)}r&&n.set(null,r)}o=(l=t.instance).getAttribute("data-precedence"),(a=n.get(o)||r)===r&&n.set(null,l),n.set(o,l),this.count++,r=Af.bind(this),l.addEventListener("load",r),l.addEventListener("error",r),a?a.parentNode.insertBefore(l,a.nextSibling):(e=9===e.nodeType?e.head:e).insertBefore(l,e.firstChild),t.state.loading|=4}}var Mf={$$typeof:g,Provider:null,Consumer:null,_currentValue:V,_currentValue2:V,_threadCount:0};function If(e,t,n,r,l,a,o,i){this.tag=1,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=Le(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.finishedLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Le(0),this.hiddenUpdates=Le(null),this.identifierPrefix=r,this.onUncaughtError=l,this.onCaughtError=a,this.onRecoverableError=o,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=i,this.incompleteTransitions=new Map}function Uf(e,t,n,r,l,a,o,i,u,s,c,f){return e=new If(e,t,n,o,i,u,s,f),t=1,!0===a&&(t|=24),a=Fu(3,null,null,t),e.current=a,a.stateNode=e,(t=jl()).refCount++,e.pooledCache=t,t.refCount++,a.memoizedState={element:r,isDehydrated:n,cache:t},Ni(a),e}function jf(e){return e?e=Or:Or}function $f(e,t,n,r,l,a){l=jf(l),null===r.context?r.context=l:r.pendingContext=l,(r=Li(t)).payload={element:n},null!==(a=void 0===a?null:a)&&(r.callback=a),null!==(n=Oi(e,r,t))&&(Os(n,0,t),Ai(n,e,t))}function Hf(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var n=e.retryLane;e.retryLane=0!==n&&n<t?n:t}}function Vf(e,t){Hf(e,t),(e=e.alternate)&&Hf(e,t)}function Bf(e){if(13===e.tag){var t=Nr(e,67108864);null!==t&&Os(t,0,67108864),Vf(e,67108864)}}var Wf=!0;function Qf(e,t,n,r){var l=T.T;T.T=null;var a=H.p;try{H.p=2,Kf(e,t,n,r)}finally{H.p=a,T.T=l}}function qf(e,t,n,r){var l=T.T;T.T=null;var a=H.p;try{H.p=8,Kf(e,t,n,r)}finally{H.p=a,T.T=l}}function Kf(e,t,n,r){if(Wf){var l=Yf(r);if(null===l)Rc(e,t,r,Gf,n),id(e,r);else if(function(e,t,n,r,l){switch(t){case"focusin":return ed=ud(ed,e,t,n,r,l),!0;case"dragenter":return td=ud(td,e,t,n,r,l),!0;case"mouseover":return nd=ud(nd,e,t,n,r,l),!0;case"pointerover":var a=l.pointerId;return rd.set(a,ud(rd.get(a)||null,e,t,n,r,l)),!0;case"gotpointercapture":return a=l.pointerId,ld.set(a,ud(ld.get(a)||null,e,t,n,r,l)),!0}return!1}(l,e,t,n,r))r.stopPropagation();else if(id(e,r),4&t&&-1<od.indexOf(e)){for(;null!==l;){var a=Ke(l);if(null!==a)switch(a.tag){case 3:if((a=a.stateNode).current.memoizedState.isDehydrated){var o=Ce(a.pendingLanes);if(0!==o){var i=a;for(i.pendingLanes|=2,i.entangledLanes|=2;o;){var u=1<<31-ke(o);i.entanglements[1]|=u,o&=~u}hc(a),!(6&es)&&(ks=ue()+500,gc(0,!1))}}break;case 13:null!==(i=Nr(a,2))&&Os(i,0,2),Is(),Vf(a,2)}if(null===(a=Yf(r))&&Rc(e,t,r,Gf,n),a===l)break;l=a}null!==l&&r.stopPropagation()}else Rc(e,t,r,null,n)}}function Yf(e){return Xf(e=Lt(e))}var Gf=null;function Xf(e){if(Gf=null,null!==(e=qe(e))){var t=M(e);if(null===t)e=null;else{var n=t.tag;if(13===n){if(null!==(e=I(t)))return e;e=null}else if(3===n){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}}return Gf=e,null}function Zf(e){switch(e){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(se()){case ce:return 2;case fe:return 8;case de:case pe:return 32;case me:return 268435456;default:return 32}default:return 32}}var Jf=!1,ed=null,td=null,nd=null,rd=new Map,ld=new Map,ad=[],od="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function id(e,t){switch(e){case"focusin":case"focusout":ed=null;break;case"dragenter":case"dragleave":td=null;break;case"mouseover":case"mouseout":nd=null;break;case"pointerover":case"pointerout":rd.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":ld.delete(t.pointerId)}}function ud(e,t,n,r,l,a){return null===e||e.nativeEvent!==a?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:a,targetContainers:[l]},null!==t&&(null!==(t=Ke(t))&&Bf(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,null!==l&&-1===t.indexOf(l)&&t.push(l),e)}function sd(e){var t=qe(e.target);if(null!==t){var n=M(t);if(null!==n)if(13===(t=n.tag)){if(null!==(t=I(n)))return e.blockedOn=t,void function(e,t){var n=H.p;try{return H.p=e,t()}finally{H.p=n}}(e.priority,(function(){if(13===n.tag){var e=Ts(),t=Nr(n,e);null!==t&&Os(t,0,e),Vf(n,e)}}))}else if(3===t&&n.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===n.tag?n.stateNode.containerInfo:null)}e.blockedOn=null}function cd(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var n=Yf(e.nativeEvent);if(null!==n)return null!==(t=Ke(n))&&Bf(t),e.blockedOn=n,!1;var r=new(n=e.nativeEvent).constructor(n.type,n);Tt=r,n.target.dispatchEvent(r),Tt=null,t.shift()}return!0}function fd(e,t,n){cd(e)&&n.delete(t)}function dd(){Jf=!1,null!==ed&&cd(ed)&&(ed=null),null!==td&&cd(td)&&(td=null),null!==nd&&cd(nd)&&(nd=null),rd.forEach(fd),ld.forEach(fd)}function pd(e,t){e.blockedOn===t&&(e.blockedOn=null,Jf||(Jf=!0,r.unstable_scheduleCallback(r.unstable_NormalPriority,dd)))}var md=null;function hd(e){md!==e&&(md=e,r.unstable_scheduleCallback(r.unstable_NormalPriority,(function(){md===e&&(md=null);for(var t=0;t<e.length;t+=3){var n=e[t],r=e[t+1],l=e[t+2];if("function"!=typeof r){if(null===Xf(r||n))continue;break}var a=Ke(n);null!==a&&(e.splice(t,3),t-=3,co(a,{pending:!0,data:l,method:n.method,action:r},r,l))}})))}function gd(e){function t(t){return pd(t,e)}null!==ed&&pd(ed,e),null!==td&&pd(td,e),null!==nd&&pd(nd,e),rd.forEach(t),ld.forEach(t);for(var n=0;n<ad.length;n++){var r=ad[n];r.blockedOn===e&&(r.blockedOn=null)}for(;0<ad.length&&null===(n=ad[0]).blockedOn;)sd(n),null===n.blockedOn&&ad.shift();if(null!=(n=(e.ownerDocument||e).$$reactFormReplay))for(r=0;r<n.length;r+=3){var l=n[r],a=n[r+1],o=l[Ue]||null;if("function"==typeof a)o||hd(n);else if(o){var i=null;if(a&&a.hasAttribute("formAction")){if(l=a,o=a[Ue]||null)i=o.formAction;else if(null!==Xf(l))continue}else i=o.action;"function"==typeof i?n[r+1]=i:(n.splice(r,3),r-=3),hd(n)}}}function yd(e){this._internalRoot=e}function vd(e){this._internalRoot=e}vd.prototype.render=yd.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(o(409));$f(t.current,Ts(),e,t,null,null)},vd.prototype.unmount=yd.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;0===e.tag&&tc(),$f(e.current,2,null,e,null,null),Is(),t[je]=null}},vd.prototype.unstable_scheduleHydration=function(e){if(e){var t=De();e={blockedOn:null,target:e,priority:t};for(var n=0;n<ad.length&&0!==t&&t<ad[n].priority;n++);ad.splice(n,0,e),0===n&&sd(e)}};var bd=l.version;if("19.0.0"!==bd)throw Error(o(527,bd,"19.0.0"));H.findDOMNode=function(e){var t=e._reactInternals;if(void 0===t){if("function"==typeof e.render)throw Error(o(188));throw e=Object.keys(e).join(","),Error(o(268,e))}return e=function(e){var t=e.alternate;if(!t){if(null===(t=M(e)))throw Error(o(188));return t!==e?null:e}for(var n=e,r=t;;){var l=n.return;if(null===l)break;var a=l.alternate;if(null===a){if(null!==(r=l.return)){n=r;continue}break}if(l.child===a.child){for(a=l.child;a;){if(a===n)return U(l),e;if(a===r)return U(l),t;a=a.sibling}throw Error(o(188))}if(n.return!==r.return)n=l,r=a;else{for(var i=!1,u=l.child;u;){if(u===n){i=!0,n=l,r=a;break}if(u===r){i=!0,r=l,n=a;break}u=u.sibling}if(!i){for(u=a.child;u;){if(u===n){i=!0,n=a,r=l;break}if(u===r){i=!0,r=a,n=l;break}u=u.sibling}if(!i)throw Error(o(189))}}if(n.alternate!==r)throw Error(o(190))}if(3!==n.tag)throw Error(o(188));return n.stateNode.current===n?e:t}(t),e=null===(e=null!==e?j(e):null)?null:e.stateNode};var kd={bundleType:0,version:"19.0.0",rendererPackageName:"react-dom",currentDispatcherRef:T,findFiberByHostInstance:qe,reconcilerVersion:"19.0.0"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var wd=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!wd.isDisabled&&wd.supportsFiber)try{ye=wd.inject(kd),ve=wd}catch(e){}}t.createRoot=function(e,t){if(!i(e))throw Error(o(299));var n=!1,r="",l=Fo,a=Do,u=Mo;return null!=t&&(!0===t.unstable_strictMode&&(n=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onUncaughtError&&(l=t.onUncaughtError),void 0!==t.onCaughtError&&(a=t.onCaughtError),void 0!==t.onRecoverableError&&(u=t.onRecoverableError),void 0!==t.unstable_transitionCallbacks&&t.unstable_transitionCallbacks),t=Uf(e,1,!1,null,0,n,r,l,a,u,0,null),e[je]=t.current,Oc(8===e.nodeType?e.parentNode:e),new yd(t)}},338:(e,t,n)=>{!function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}}(),e.exports=n(247)},477:(e,t)=>{
+ */function o(e){var n="https://react.dev/errors/"+e;if(1<arguments.length){n+="?args[]="+encodeURIComponent(arguments[1]);for(var t=2;t<arguments.length;t++)n+="&args[]="+encodeURIComponent(arguments[t])}return"Minified React error #"+e+"; visit "+n+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function i(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}var u=Symbol.for("react.element"),s=Symbol.for("react.transitional.element"),c=Symbol.for("react.portal"),f=Symbol.for("react.fragment"),d=Symbol.for("react.strict_mode"),p=Symbol.for("react.profiler"),m=Symbol.for("react.provider"),h=Symbol.for("react.consumer"),g=Symbol.for("react.context"),y=Symbol.for("react.forward_ref"),v=Symbol.for("react.suspense"),b=Symbol.for("react.suspense_list"),k=Symbol.for("react.memo"),w=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var S=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.tracing_marker");var E=Symbol.for("react.memo_cache_sentinel"),x=Symbol.iterator;function C(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=x&&e[x]||e["@@iterator"])?e:null}var _=Symbol.for("react.client.reference");function P(e){if(null==e)return null;if("function"==typeof e)return e.$$typeof===_?null:e.displayName||e.name||null;if("string"==typeof e)return e;switch(e){case f:return"Fragment";case c:return"Portal";case p:return"Profiler";case d:return"StrictMode";case v:return"Suspense";case b:return"SuspenseList"}if("object"==typeof e)switch(e.$$typeof){case g:return(e.displayName||"Context")+".Provider";case h:return(e._context.displayName||"Context")+".Consumer";case y:var n=e.render;return(e=e.displayName)||(e=""!==(e=n.displayName||n.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case k:return null!==(n=e.displayName||null)?n:P(e.type)||"Memo";case w:n=e._payload,e=e._init;try{return P(e(n))}catch(e){}}return null}var z,N,T=l.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,L=Object.assign;function O(e){if(void 0===z)try{throw Error()}catch(e){var n=e.stack.trim().match(/\n( *(at )?)/);z=n&&n[1]||"",N=-1<e.stack.indexOf("\n    at")?" (<anonymous>)":-1<e.stack.indexOf("@")?"@unknown:0:0":""}return"\n"+z+e+N}var R=!1;function A(e,n){if(!e||R)return"";R=!0;var t=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{var r={DetermineComponentFrameRoot:function(){try{if(n){var t=function(){throw Error()};if(Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(e){var r=e}Reflect.construct(e,[],t)}else{try{t.call()}catch(e){r=e}e.call(t.prototype)}}else{try{throw Error()}catch(e){r=e}(t=e())&&"function"==typeof t.catch&&t.catch((function(){}))}}catch(e){if(e&&r&&"string"==typeof e.stack)return[e.stack,r.stack]}return[null,null]}};r.DetermineComponentFrameRoot.displayName="DetermineComponentFrameRoot";var l=Object.getOwnPropertyDescriptor(r.DetermineComponentFrameRoot,"name");l&&l.configurable&&Object.defineProperty(r.DetermineComponentFrameRoot,"name",{value:"DetermineComponentFrameRoot"});var a=r.DetermineComponentFrameRoot(),o=a[0],i=a[1];if(o&&i){var u=o.split("\n"),s=i.split("\n");for(l=r=0;r<u.length&&!u[r].includes("DetermineComponentFrameRoot");)r++;for(;l<s.length&&!s[l].includes("DetermineComponentFrameRoot");)l++;if(r===u.length||l===s.length)for(r=u.length-1,l=s.length-1;1<=r&&0<=l&&u[r]!==s[l];)l--;for(;1<=r&&0<=l;r--,l--)if(u[r]!==s[l]){if(1!==r||1!==l)do{if(r--,0>--l||u[r]!==s[l]){var c="\n"+u[r].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}}while(1<=r&&0<=l);break}}}finally{R=!1,Error.prepareStackTrace=t}return(t=e?e.displayName||e.name:"")?O(t):""}function F(e){switch(e.tag){case 26:case 27:case 5:return O(e.type);case 16:return O("Lazy");case 13:return O("Suspense");case 19:return O("SuspenseList");case 0:case 15:return e=A(e.type,!1);case 11:return e=A(e.type.render,!1);case 1:return e=A(e.type,!0);default:return""}}function D(e){try{var n="";do{n+=F(e),e=e.return}while(e);return n}catch(e){return"\nError generating stack: "+e.message+"\n"+e.stack}}function M(e){var n=e,t=e;if(e.alternate)for(;n.return;)n=n.return;else{e=n;do{!!(4098&(n=e).flags)&&(t=n.return),e=n.return}while(e)}return 3===n.tag?t:null}function I(e){if(13===e.tag){var n=e.memoizedState;if(null===n&&(null!==(e=e.alternate)&&(n=e.memoizedState)),null!==n)return n.dehydrated}return null}function U(e){if(M(e)!==e)throw Error(o(188))}function j(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e;for(e=e.child;null!==e;){if(null!==(n=j(e)))return n;e=e.sibling}return null}var $=Array.isArray,H=a.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,V={pending:!1,data:null,method:null,action:null},B=[],W=-1;function Q(e){return{current:e}}function q(e){0>W||(e.current=B[W],B[W]=null,W--)}function K(e,n){W++,B[W]=e.current,e.current=n}var Y=Q(null),G=Q(null),X=Q(null),Z=Q(null);function J(e,n){switch(K(X,n),K(G,e),K(Y,null),e=n.nodeType){case 9:case 11:n=(n=n.documentElement)&&(n=n.namespaceURI)?Gc(n):0;break;default:if(n=(e=8===e?n.parentNode:n).tagName,e=e.namespaceURI)n=Xc(e=Gc(e),n);else switch(n){case"svg":n=1;break;case"math":n=2;break;default:n=0}}q(Y),K(Y,n)}function ee(){q(Y),q(G),q(X)}function ne(e){null!==e.memoizedState&&K(Z,e);var n=Y.current,t=Xc(n,e.type);n!==t&&(K(G,e),K(Y,t))}function te(e){G.current===e&&(q(Y),q(G)),Z.current===e&&(q(Z),Mf._currentValue=V)}var re=Object.prototype.hasOwnProperty,le=r.unstable_scheduleCallback,ae=r.unstable_cancelCallback,oe=r.unstable_shouldYield,ie=r.unstable_requestPaint,ue=r.unstable_now,se=r.unstable_getCurrentPriorityLevel,ce=r.unstable_ImmediatePriority,fe=r.unstable_UserBlockingPriority,de=r.unstable_NormalPriority,pe=r.unstable_LowPriority,me=r.unstable_IdlePriority,he=r.log,ge=r.unstable_setDisableYieldValue,ye=null,ve=null;function be(e){if("function"==typeof he&&ge(e),ve&&"function"==typeof ve.setStrictMode)try{ve.setStrictMode(ye,e)}catch(e){}}var ke=Math.clz32?Math.clz32:function(e){return 0===(e>>>=0)?32:31-(we(e)/Se|0)|0},we=Math.log,Se=Math.LN2;var Ee=128,xe=4194304;function Ce(e){var n=42&e;if(0!==n)return n;switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194176&e;case 4194304:case 8388608:case 16777216:case 33554432:return 62914560&e;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return e}}function _e(e,n){var t=e.pendingLanes;if(0===t)return 0;var r=0,l=e.suspendedLanes,a=e.pingedLanes,o=e.warmLanes;e=0!==e.finishedLanes;var i=134217727&t;return 0!==i?0!==(t=i&~l)?r=Ce(t):0!==(a&=i)?r=Ce(a):e||0!==(o=i&~o)&&(r=Ce(o)):0!==(i=t&~l)?r=Ce(i):0!==a?r=Ce(a):e||0!==(o=t&~o)&&(r=Ce(o)),0===r?0:0!==n&&n!==r&&!(n&l)&&((l=r&-r)>=(o=n&-n)||32===l&&4194176&o)?n:r}function Pe(e,n){return!(e.pendingLanes&~(e.suspendedLanes&~e.pingedLanes)&n)}function ze(e,n){switch(e){case 1:case 2:case 4:case 8:return n+250;case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return n+5e3;default:return-1}}function Ne(){var e=Ee;return!(4194176&(Ee<<=1))&&(Ee=128),e}function Te(){var e=xe;return!(62914560&(xe<<=1))&&(xe=4194304),e}function Le(e){for(var n=[],t=0;31>t;t++)n.push(e);return n}function Oe(e,n){e.pendingLanes|=n,268435456!==n&&(e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0)}function Re(e,n,t){e.pendingLanes|=n,e.suspendedLanes&=~n;var r=31-ke(n);e.entangledLanes|=n,e.entanglements[r]=1073741824|e.entanglements[r]|4194218&t}function Ae(e,n){var t=e.entangledLanes|=n;for(e=e.entanglements;t;){var r=31-ke(t),l=1<<r;l&n|e[r]&n&&(e[r]|=n),t&=~l}}function Fe(e){return 2<(e&=-e)?8<e?134217727&e?32:268435456:8:2}function De(){var e=H.p;return 0!==e?e:void 0===(e=window.event)?32:Zf(e.type)}var Me=Math.random().toString(36).slice(2),Ie="__reactFiber$"+Me,Ue="__reactProps$"+Me,je="__reactContainer$"+Me,$e="__reactEvents$"+Me,He="__reactListeners$"+Me,Ve="__reactHandles$"+Me,Be="__reactResources$"+Me,We="__reactMarker$"+Me;function Qe(e){delete e[Ie],delete e[Ue],delete e[$e],delete e[He],delete e[Ve]}function qe(e){var n=e[Ie];if(n)return n;for(var t=e.parentNode;t;){if(n=t[je]||t[Ie]){if(t=n.alternate,null!==n.child||null!==t&&null!==t.child)for(e=sf(e);null!==e;){if(t=e[Ie])return t;e=sf(e)}return n}t=(e=t).parentNode}return null}function Ke(e){if(e=e[Ie]||e[je]){var n=e.tag;if(5===n||6===n||13===n||26===n||27===n||3===n)return e}return null}function Ye(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e.stateNode;throw Error(o(33))}function Ge(e){var n=e[Be];return n||(n=e[Be]={hoistableStyles:new Map,hoistableScripts:new Map}),n}function Xe(e){e[We]=!0}var Ze=new Set,Je={};function en(e,n){nn(e,n),nn(e+"Capture",n)}function nn(e,n){for(Je[e]=n,e=0;e<n.length;e++)Ze.add(n[e])}var tn=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),rn=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),ln={},an={};function on(e,n,t){if(l=n,re.call(an,l)||!re.call(ln,l)&&(rn.test(l)?an[l]=!0:(ln[l]=!0,0)))if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":return void e.removeAttribute(n);case"boolean":var r=n.toLowerCase().slice(0,5);if("data-"!==r&&"aria-"!==r)return void e.removeAttribute(n)}e.setAttribute(n,""+t)}var l}function un(e,n,t){if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(n)}e.setAttribute(n,""+t)}}function sn(e,n,t,r){if(null===r)e.removeAttribute(t);else{switch(typeof r){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(t)}e.setAttributeNS(n,t,""+r)}}function cn(e){switch(typeof e){case"bigint":case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function fn(e){var n=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===n||"radio"===n)}function dn(e){e._valueTracker||(e._valueTracker=function(e){var n=fn(e)?"checked":"value",t=Object.getOwnPropertyDescriptor(e.constructor.prototype,n),r=""+e[n];if(!e.hasOwnProperty(n)&&void 0!==t&&"function"==typeof t.get&&"function"==typeof t.set){var l=t.get,a=t.set;return Object.defineProperty(e,n,{configurable:!0,get:function(){return l.call(this)},set:function(e){r=""+e,a.call(this,e)}}),Object.defineProperty(e,n,{enumerable:t.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[n]}}}}(e))}function pn(e){if(!e)return!1;var n=e._valueTracker;if(!n)return!0;var t=n.getValue(),r="";return e&&(r=fn(e)?e.checked?"true":"false":e.value),(e=r)!==t&&(n.setValue(e),!0)}function mn(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(n){return e.body}}var hn=/[\n"\\]/g;function gn(e){return e.replace(hn,(function(e){return"\\"+e.charCodeAt(0).toString(16)+" "}))}function yn(e,n,t,r,l,a,o,i){e.name="",null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o?e.type=o:e.removeAttribute("type"),null!=n?"number"===o?(0===n&&""===e.value||e.value!=n)&&(e.value=""+cn(n)):e.value!==""+cn(n)&&(e.value=""+cn(n)):"submit"!==o&&"reset"!==o||e.removeAttribute("value"),null!=n?bn(e,o,cn(n)):null!=t?bn(e,o,cn(t)):null!=r&&e.removeAttribute("value"),null==l&&null!=a&&(e.defaultChecked=!!a),null!=l&&(e.checked=l&&"function"!=typeof l&&"symbol"!=typeof l),null!=i&&"function"!=typeof i&&"symbol"!=typeof i&&"boolean"!=typeof i?e.name=""+cn(i):e.removeAttribute("name")}function vn(e,n,t,r,l,a,o,i){if(null!=a&&"function"!=typeof a&&"symbol"!=typeof a&&"boolean"!=typeof a&&(e.type=a),null!=n||null!=t){if(("submit"===a||"reset"===a)&&null==n)return;t=null!=t?""+cn(t):"",n=null!=n?""+cn(n):t,i||n===e.value||(e.value=n),e.defaultValue=n}r="function"!=typeof(r=null!=r?r:l)&&"symbol"!=typeof r&&!!r,e.checked=i?e.checked:!!r,e.defaultChecked=!!r,null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o&&(e.name=o)}function bn(e,n,t){"number"===n&&mn(e.ownerDocument)===e||e.defaultValue===""+t||(e.defaultValue=""+t)}function kn(e,n,t,r){if(e=e.options,n){n={};for(var l=0;l<t.length;l++)n["$"+t[l]]=!0;for(t=0;t<e.length;t++)l=n.hasOwnProperty("$"+e[t].value),e[t].selected!==l&&(e[t].selected=l),l&&r&&(e[t].defaultSelected=!0)}else{for(t=""+cn(t),n=null,l=0;l<e.length;l++){if(e[l].value===t)return e[l].selected=!0,void(r&&(e[l].defaultSelected=!0));null!==n||e[l].disabled||(n=e[l])}null!==n&&(n.selected=!0)}}function wn(e,n,t){null==n||((n=""+cn(n))!==e.value&&(e.value=n),null!=t)?e.defaultValue=null!=t?""+cn(t):"":e.defaultValue!==n&&(e.defaultValue=n)}function Sn(e,n,t,r){if(null==n){if(null!=r){if(null!=t)throw Error(o(92));if($(r)){if(1<r.length)throw Error(o(93));r=r[0]}t=r}null==t&&(t=""),n=t}t=cn(n),e.defaultValue=t,(r=e.textContent)===t&&""!==r&&null!==r&&(e.value=r)}function En(e,n){if(n){var t=e.firstChild;if(t&&t===e.lastChild&&3===t.nodeType)return void(t.nodeValue=n)}e.textContent=n}var xn=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function Cn(e,n,t){var r=0===n.indexOf("--");null==t||"boolean"==typeof t||""===t?r?e.setProperty(n,""):"float"===n?e.cssFloat="":e[n]="":r?e.setProperty(n,t):"number"!=typeof t||0===t||xn.has(n)?"float"===n?e.cssFloat=t:e[n]=(""+t).trim():e[n]=t+"px"}function _n(e,n,t){if(null!=n&&"object"!=typeof n)throw Error(o(62));if(e=e.style,null!=t){for(var r in t)!t.hasOwnProperty(r)||null!=n&&n.hasOwnProperty(r)||(0===r.indexOf("--")?e.setProperty(r,""):"float"===r?e.cssFloat="":e[r]="");for(var l in n)r=n[l],n.hasOwnProperty(l)&&t[l]!==r&&Cn(e,l,r)}else for(var a in n)n.hasOwnProperty(a)&&Cn(e,a,n[a])}function Pn(e){if(-1===e.indexOf("-"))return!1;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var zn=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),Nn=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function Tn(e){return Nn.test(""+e)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":e}var Ln=null;function On(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var Rn=null,An=null;function Fn(e){var n=Ke(e);if(n&&(e=n.stateNode)){var t=e[Ue]||null;e:switch(e=n.stateNode,n.type){case"input":if(yn(e,t.value,t.defaultValue,t.defaultValue,t.checked,t.defaultChecked,t.type,t.name),n=t.name,"radio"===t.type&&null!=n){for(t=e;t.parentNode;)t=t.parentNode;for(t=t.querySelectorAll('input[name="'+gn(""+n)+'"][type="radio"]'),n=0;n<t.length;n++){var r=t[n];if(r!==e&&r.form===e.form){var l=r[Ue]||null;if(!l)throw Error(o(90));yn(r,l.value,l.defaultValue,l.defaultValue,l.checked,l.defaultChecked,l.type,l.name)}}for(n=0;n<t.length;n++)(r=t[n]).form===e.form&&pn(r)}break e;case"textarea":wn(e,t.value,t.defaultValue);break e;case"select":null!=(n=t.value)&&kn(e,!!t.multiple,n,!1)}}}var Dn=!1;function Mn(e,n,t){if(Dn)return e(n,t);Dn=!0;try{return e(n)}finally{if(Dn=!1,(null!==Rn||null!==An)&&(Is(),Rn&&(n=Rn,e=An,An=Rn=null,Fn(n),e)))for(n=0;n<e.length;n++)Fn(e[n])}}function In(e,n){var t=e.stateNode;if(null===t)return null;var r=t[Ue]||null;if(null===r)return null;t=r[n];e:switch(n){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(t&&"function"!=typeof t)throw Error(o(231,n,typeof t));return t}var Un=!1;if(tn)try{var jn={};Object.defineProperty(jn,"passive",{get:function(){Un=!0}}),window.addEventListener("test",jn,jn),window.removeEventListener("test",jn,jn)}catch(e){Un=!1}var $n=null,Hn=null,Vn=null;function Bn(){if(Vn)return Vn;var e,n,t=Hn,r=t.length,l="value"in $n?$n.value:$n.textContent,a=l.length;for(e=0;e<r&&t[e]===l[e];e++);var o=r-e;for(n=1;n<=o&&t[r-n]===l[a-n];n++);return Vn=l.slice(e,1<n?1-n:void 0)}function Wn(e){var n=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===n&&(e=13):e=n,10===e&&(e=13),32<=e||13===e?e:0}function Qn(){return!0}function qn(){return!1}function Kn(e){function n(n,t,r,l,a){for(var o in this._reactName=n,this._targetInst=r,this.type=t,this.nativeEvent=l,this.target=a,this.currentTarget=null,e)e.hasOwnProperty(o)&&(n=e[o],this[o]=n?n(l):l[o]);return this.isDefaultPrevented=(null!=l.defaultPrevented?l.defaultPrevented:!1===l.returnValue)?Qn:qn,this.isPropagationStopped=qn,this}return L(n.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=Qn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=Qn)},persist:function(){},isPersistent:Qn}),n}var Yn,Gn,Xn,Zn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Jn=Kn(Zn),et=L({},Zn,{view:0,detail:0}),nt=Kn(et),tt=L({},et,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:pt,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Xn&&(Xn&&"mousemove"===e.type?(Yn=e.screenX-Xn.screenX,Gn=e.screenY-Xn.screenY):Gn=Yn=0,Xn=e),Yn)},movementY:function(e){return"movementY"in e?e.movementY:Gn}}),rt=Kn(tt),lt=Kn(L({},tt,{dataTransfer:0})),at=Kn(L({},et,{relatedTarget:0})),ot=Kn(L({},Zn,{animationName:0,elapsedTime:0,pseudoElement:0})),it=Kn(L({},Zn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),ut=Kn(L({},Zn,{data:0})),st={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ct={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},ft={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function dt(e){var n=this.nativeEvent;return n.getModifierState?n.getModifierState(e):!!(e=ft[e])&&!!n[e]}function pt(){return dt}var mt=Kn(L({},et,{key:function(e){if(e.key){var n=st[e.key]||e.key;if("Unidentified"!==n)return n}return"keypress"===e.type?13===(e=Wn(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ct[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:pt,charCode:function(e){return"keypress"===e.type?Wn(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?Wn(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),ht=Kn(L({},tt,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),gt=Kn(L({},et,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:pt})),yt=Kn(L({},Zn,{propertyName:0,elapsedTime:0,pseudoElement:0})),vt=Kn(L({},tt,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),bt=Kn(L({},Zn,{newState:0,oldState:0})),kt=[9,13,27,32],wt=tn&&"CompositionEvent"in window,St=null;tn&&"documentMode"in document&&(St=document.documentMode);var Et=tn&&"TextEvent"in window&&!St,xt=tn&&(!wt||St&&8<St&&11>=St),Ct=String.fromCharCode(32),_t=!1;function Pt(e,n){switch(e){case"keyup":return-1!==kt.indexOf(n.keyCode);case"keydown":return 229!==n.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function zt(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var Nt=!1;var Tt={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Lt(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===n?!!Tt[e.type]:"textarea"===n}function Ot(e,n,t,r){Rn?An?An.push(r):An=[r]:Rn=r,0<(n=Dc(n,"onChange")).length&&(t=new Jn("onChange","change",null,t,r),e.push({event:t,listeners:n}))}var Rt=null,At=null;function Ft(e){zc(e,0)}function Dt(e){if(pn(Ye(e)))return e}function Mt(e,n){if("change"===e)return n}var It=!1;if(tn){var Ut;if(tn){var jt="oninput"in document;if(!jt){var $t=document.createElement("div");$t.setAttribute("oninput","return;"),jt="function"==typeof $t.oninput}Ut=jt}else Ut=!1;It=Ut&&(!document.documentMode||9<document.documentMode)}function Ht(){Rt&&(Rt.detachEvent("onpropertychange",Vt),At=Rt=null)}function Vt(e){if("value"===e.propertyName&&Dt(At)){var n=[];Ot(n,At,e,On(e)),Mn(Ft,n)}}function Bt(e,n,t){"focusin"===e?(Ht(),At=t,(Rt=n).attachEvent("onpropertychange",Vt)):"focusout"===e&&Ht()}function Wt(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return Dt(At)}function Qt(e,n){if("click"===e)return Dt(n)}function qt(e,n){if("input"===e||"change"===e)return Dt(n)}var Kt="function"==typeof Object.is?Object.is:function(e,n){return e===n&&(0!==e||1/e==1/n)||e!=e&&n!=n};function Yt(e,n){if(Kt(e,n))return!0;if("object"!=typeof e||null===e||"object"!=typeof n||null===n)return!1;var t=Object.keys(e),r=Object.keys(n);if(t.length!==r.length)return!1;for(r=0;r<t.length;r++){var l=t[r];if(!re.call(n,l)||!Kt(e[l],n[l]))return!1}return!0}function Gt(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Xt(e,n){var t,r=Gt(e);for(e=0;r;){if(3===r.nodeType){if(t=e+r.textContent.length,e<=n&&t>=n)return{node:r,offset:n-e};e=t}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=Gt(r)}}function Zt(e,n){return!(!e||!n)&&(e===n||(!e||3!==e.nodeType)&&(n&&3===n.nodeType?Zt(e,n.parentNode):"contains"in e?e.contains(n):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(n))))}function Jt(e){for(var n=mn((e=null!=e&&null!=e.ownerDocument&&null!=e.ownerDocument.defaultView?e.ownerDocument.defaultView:window).document);n instanceof e.HTMLIFrameElement;){try{var t="string"==typeof n.contentWindow.location.href}catch(e){t=!1}if(!t)break;n=mn((e=n.contentWindow).document)}return n}function er(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return n&&("input"===n&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===n||"true"===e.contentEditable)}function nr(e,n){var t=Jt(n);n=e.focusedElem;var r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&Zt(n.ownerDocument.documentElement,n)){if(null!==r&&er(n))if(e=r.start,void 0===(t=r.end)&&(t=e),"selectionStart"in n)n.selectionStart=e,n.selectionEnd=Math.min(t,n.value.length);else if((t=(e=n.ownerDocument||document)&&e.defaultView||window).getSelection){t=t.getSelection();var l=n.textContent.length,a=Math.min(r.start,l);r=void 0===r.end?a:Math.min(r.end,l),!t.extend&&a>r&&(l=r,r=a,a=l),l=Xt(n,a);var o=Xt(n,r);l&&o&&(1!==t.rangeCount||t.anchorNode!==l.node||t.anchorOffset!==l.offset||t.focusNode!==o.node||t.focusOffset!==o.offset)&&((e=e.createRange()).setStart(l.node,l.offset),t.removeAllRanges(),a>r?(t.addRange(e),t.extend(o.node,o.offset)):(e.setEnd(o.node,o.offset),t.addRange(e)))}for(e=[],t=n;t=t.parentNode;)1===t.nodeType&&e.push({element:t,left:t.scrollLeft,top:t.scrollTop});for("function"==typeof n.focus&&n.focus(),n=0;n<e.length;n++)(t=e[n]).element.scrollLeft=t.left,t.element.scrollTop=t.top}}var tr=tn&&"documentMode"in document&&11>=document.documentMode,rr=null,lr=null,ar=null,or=!1;function ir(e,n,t){var r=t.window===t?t.document:9===t.nodeType?t:t.ownerDocument;or||null==rr||rr!==mn(r)||("selectionStart"in(r=rr)&&er(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},ar&&Yt(ar,r)||(ar=r,0<(r=Dc(lr,"onSelect")).length&&(n=new Jn("onSelect","select",null,n,t),e.push({event:n,listeners:r}),n.target=rr)))}function ur(e,n){var t={};return t[e.toLowerCase()]=n.toLowerCase(),t["Webkit"+e]="webkit"+n,t["Moz"+e]="moz"+n,t}var sr={animationend:ur("Animation","AnimationEnd"),animationiteration:ur("Animation","AnimationIteration"),animationstart:ur("Animation","AnimationStart"),transitionrun:ur("Transition","TransitionRun"),transitionstart:ur("Transition","TransitionStart"),transitioncancel:ur("Transition","TransitionCancel"),transitionend:ur("Transition","TransitionEnd")},cr={},fr={};function dr(e){if(cr[e])return cr[e];if(!sr[e])return e;var n,t=sr[e];for(n in t)if(t.hasOwnProperty(n)&&n in fr)return cr[e]=t[n];return e}tn&&(fr=document.createElement("div").style,"AnimationEvent"in window||(delete sr.animationend.animation,delete sr.animationiteration.animation,delete sr.animationstart.animation),"TransitionEvent"in window||delete sr.transitionend.transition);var pr=dr("animationend"),mr=dr("animationiteration"),hr=dr("animationstart"),gr=dr("transitionrun"),yr=dr("transitionstart"),vr=dr("transitioncancel"),br=dr("transitionend"),kr=new Map,wr="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll scrollEnd toggle touchMove waiting wheel".split(" ");function Sr(e,n){kr.set(e,n),en(n,[e])}var Er=[],xr=0,Cr=0;function _r(){for(var e=xr,n=Cr=xr=0;n<e;){var t=Er[n];Er[n++]=null;var r=Er[n];Er[n++]=null;var l=Er[n];Er[n++]=null;var a=Er[n];if(Er[n++]=null,null!==r&&null!==l){var o=r.pending;null===o?l.next=l:(l.next=o.next,o.next=l),r.pending=l}0!==a&&Tr(t,l,a)}}function Pr(e,n,t,r){Er[xr++]=e,Er[xr++]=n,Er[xr++]=t,Er[xr++]=r,Cr|=r,e.lanes|=r,null!==(e=e.alternate)&&(e.lanes|=r)}function zr(e,n,t,r){return Pr(e,n,t,r),Lr(e)}function Nr(e,n){return Pr(e,null,null,n),Lr(e)}function Tr(e,n,t){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t);for(var l=!1,a=e.return;null!==a;)a.childLanes|=t,null!==(r=a.alternate)&&(r.childLanes|=t),22===a.tag&&(null===(e=a.stateNode)||1&e._visibility||(l=!0)),e=a,a=a.return;l&&null!==n&&3===e.tag&&(a=e.stateNode,l=31-ke(t),null===(e=(a=a.hiddenUpdates)[l])?a[l]=[n]:e.push(n),n.lane=536870912|t)}function Lr(e){if(50<zs)throw zs=0,Ns=null,Error(o(185));for(var n=e.return;null!==n;)n=(e=n).return;return 3===e.tag?e.stateNode:null}var Or={},Rr=new WeakMap;function Ar(e,n){if("object"==typeof e&&null!==e){var t=Rr.get(e);return void 0!==t?t:(n={value:e,source:n,stack:D(n)},Rr.set(e,n),n)}return{value:e,source:n,stack:D(n)}}var Fr=[],Dr=0,Mr=null,Ir=0,Ur=[],jr=0,$r=null,Hr=1,Vr="";function Br(e,n){Fr[Dr++]=Ir,Fr[Dr++]=Mr,Mr=e,Ir=n}function Wr(e,n,t){Ur[jr++]=Hr,Ur[jr++]=Vr,Ur[jr++]=$r,$r=e;var r=Hr;e=Vr;var l=32-ke(r)-1;r&=~(1<<l),t+=1;var a=32-ke(n)+l;if(30<a){var o=l-l%5;a=(r&(1<<o)-1).toString(32),r>>=o,l-=o,Hr=1<<32-ke(n)+l|t<<l|r,Vr=a+e}else Hr=1<<a|t<<l|r,Vr=e}function Qr(e){null!==e.return&&(Br(e,1),Wr(e,1,0))}function qr(e){for(;e===Mr;)Mr=Fr[--Dr],Fr[Dr]=null,Ir=Fr[--Dr],Fr[Dr]=null;for(;e===$r;)$r=Ur[--jr],Ur[jr]=null,Vr=Ur[--jr],Ur[jr]=null,Hr=Ur[--jr],Ur[jr]=null}var Kr=null,Yr=null,Gr=!1,Xr=null,Zr=!1,Jr=Error(o(519));function el(e){throw al(Ar(Error(o(418,"")),e)),Jr}function nl(e){var n=e.stateNode,t=e.type,r=e.memoizedProps;switch(n[Ie]=e,n[Ue]=r,t){case"dialog":Nc("cancel",n),Nc("close",n);break;case"iframe":case"object":case"embed":Nc("load",n);break;case"video":case"audio":for(t=0;t<_c.length;t++)Nc(_c[t],n);break;case"source":Nc("error",n);break;case"img":case"image":case"link":Nc("error",n),Nc("load",n);break;case"details":Nc("toggle",n);break;case"input":Nc("invalid",n),vn(n,r.value,r.defaultValue,r.checked,r.defaultChecked,r.type,r.name,!0),dn(n);break;case"select":Nc("invalid",n);break;case"textarea":Nc("invalid",n),Sn(n,r.value,r.defaultValue,r.children),dn(n)}"string"!=typeof(t=r.children)&&"number"!=typeof t&&"bigint"!=typeof t||n.textContent===""+t||!0===r.suppressHydrationWarning||Hc(n.textContent,t)?(null!=r.popover&&(Nc("beforetoggle",n),Nc("toggle",n)),null!=r.onScroll&&Nc("scroll",n),null!=r.onScrollEnd&&Nc("scrollend",n),null!=r.onClick&&(n.onclick=Vc),n=!0):n=!1,n||el(e)}function tl(e){for(Kr=e.return;Kr;)switch(Kr.tag){case 3:case 27:return void(Zr=!0);case 5:case 13:return void(Zr=!1);default:Kr=Kr.return}}function rl(e){if(e!==Kr)return!1;if(!Gr)return tl(e),Gr=!0,!1;var n,t=!1;if((n=3!==e.tag&&27!==e.tag)&&((n=5===e.tag)&&(n=!("form"!==(n=e.type)&&"button"!==n)||Zc(e.type,e.memoizedProps)),n=!n),n&&(t=!0),t&&Yr&&el(e),tl(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));e:{for(e=e.nextSibling,t=0;e;){if(8===e.nodeType)if("/$"===(n=e.data)){if(0===t){Yr=uf(e.nextSibling);break e}t--}else"$"!==n&&"$!"!==n&&"$?"!==n||t++;e=e.nextSibling}Yr=null}}else Yr=Kr?uf(e.stateNode.nextSibling):null;return!0}function ll(){Yr=Kr=null,Gr=!1}function al(e){null===Xr?Xr=[e]:Xr.push(e)}var ol=Error(o(460)),il=Error(o(474)),ul={then:function(){}};function sl(e){return"fulfilled"===(e=e.status)||"rejected"===e}function cl(){}function fl(e,n,t){switch(void 0===(t=e[t])?e.push(n):t!==n&&(n.then(cl,cl),n=t),n.status){case"fulfilled":return n.value;case"rejected":if((e=n.reason)===ol)throw Error(o(483));throw e;default:if("string"==typeof n.status)n.then(cl,cl);else{if(null!==(e=ns)&&100<e.shellSuspendCounter)throw Error(o(482));(e=n).status="pending",e.then((function(e){if("pending"===n.status){var t=n;t.status="fulfilled",t.value=e}}),(function(e){if("pending"===n.status){var t=n;t.status="rejected",t.reason=e}}))}switch(n.status){case"fulfilled":return n.value;case"rejected":if((e=n.reason)===ol)throw Error(o(483));throw e}throw dl=n,ol}}var dl=null;function pl(){if(null===dl)throw Error(o(459));var e=dl;return dl=null,e}var ml=null,hl=0;function gl(e){var n=hl;return hl+=1,null===ml&&(ml=[]),fl(ml,e,n)}function yl(e,n){n=n.props.ref,e.ref=void 0!==n?n:null}function vl(e,n){if(n.$$typeof===u)throw Error(o(525));throw e=Object.prototype.toString.call(n),Error(o(31,"[object Object]"===e?"object with keys {"+Object.keys(n).join(", ")+"}":e))}function bl(e){return(0,e._init)(e._payload)}function kl(e){function n(n,t){if(e){var r=n.deletions;null===r?(n.deletions=[t],n.flags|=16):r.push(t)}}function t(t,r){if(!e)return null;for(;null!==r;)n(t,r),r=r.sibling;return null}function r(e){for(var n=new Map;null!==e;)null!==e.key?n.set(e.key,e):n.set(e.index,e),e=e.sibling;return n}function l(e,n){return(e=Mu(e,n)).index=0,e.sibling=null,e}function a(n,t,r){return n.index=r,e?null!==(r=n.alternate)?(r=r.index)<t?(n.flags|=33554434,t):r:(n.flags|=33554434,t):(n.flags|=1048576,t)}function i(n){return e&&null===n.alternate&&(n.flags|=33554434),n}function u(e,n,t,r){return null===n||6!==n.tag?((n=Hu(t,e.mode,r)).return=e,n):((n=l(n,t)).return=e,n)}function d(e,n,t,r){var a=t.type;return a===f?m(e,n,t.props.children,r,t.key):null!==n&&(n.elementType===a||"object"==typeof a&&null!==a&&a.$$typeof===w&&bl(a)===n.type)?(yl(n=l(n,t.props),t),n.return=e,n):(yl(n=Uu(t.type,t.key,t.props,null,e.mode,r),t),n.return=e,n)}function p(e,n,t,r){return null===n||4!==n.tag||n.stateNode.containerInfo!==t.containerInfo||n.stateNode.implementation!==t.implementation?((n=Vu(t,e.mode,r)).return=e,n):((n=l(n,t.children||[])).return=e,n)}function m(e,n,t,r,a){return null===n||7!==n.tag?((n=ju(t,e.mode,r,a)).return=e,n):((n=l(n,t)).return=e,n)}function h(e,n,t){if("string"==typeof n&&""!==n||"number"==typeof n||"bigint"==typeof n)return(n=Hu(""+n,e.mode,t)).return=e,n;if("object"==typeof n&&null!==n){switch(n.$$typeof){case s:return yl(t=Uu(n.type,n.key,n.props,null,e.mode,t),n),t.return=e,t;case c:return(n=Vu(n,e.mode,t)).return=e,n;case w:return h(e,n=(0,n._init)(n._payload),t)}if($(n)||C(n))return(n=ju(n,e.mode,t,null)).return=e,n;if("function"==typeof n.then)return h(e,gl(n),t);if(n.$$typeof===g)return h(e,_i(e,n),t);vl(e,n)}return null}function y(e,n,t,r){var l=null!==n?n.key:null;if("string"==typeof t&&""!==t||"number"==typeof t||"bigint"==typeof t)return null!==l?null:u(e,n,""+t,r);if("object"==typeof t&&null!==t){switch(t.$$typeof){case s:return t.key===l?d(e,n,t,r):null;case c:return t.key===l?p(e,n,t,r):null;case w:return y(e,n,t=(l=t._init)(t._payload),r)}if($(t)||C(t))return null!==l?null:m(e,n,t,r,null);if("function"==typeof t.then)return y(e,n,gl(t),r);if(t.$$typeof===g)return y(e,n,_i(e,t),r);vl(e,t)}return null}function v(e,n,t,r,l){if("string"==typeof r&&""!==r||"number"==typeof r||"bigint"==typeof r)return u(n,e=e.get(t)||null,""+r,l);if("object"==typeof r&&null!==r){switch(r.$$typeof){case s:return d(n,e=e.get(null===r.key?t:r.key)||null,r,l);case c:return p(n,e=e.get(null===r.key?t:r.key)||null,r,l);case w:return v(e,n,t,r=(0,r._init)(r._payload),l)}if($(r)||C(r))return m(n,e=e.get(t)||null,r,l,null);if("function"==typeof r.then)return v(e,n,t,gl(r),l);if(r.$$typeof===g)return v(e,n,t,_i(n,r),l);vl(n,r)}return null}function b(u,d,p,m){if("object"==typeof p&&null!==p&&p.type===f&&null===p.key&&(p=p.props.children),"object"==typeof p&&null!==p){switch(p.$$typeof){case s:e:{for(var k=p.key;null!==d;){if(d.key===k){if((k=p.type)===f){if(7===d.tag){t(u,d.sibling),(m=l(d,p.props.children)).return=u,u=m;break e}}else if(d.elementType===k||"object"==typeof k&&null!==k&&k.$$typeof===w&&bl(k)===d.type){t(u,d.sibling),yl(m=l(d,p.props),p),m.return=u,u=m;break e}t(u,d);break}n(u,d),d=d.sibling}p.type===f?((m=ju(p.props.children,u.mode,m,p.key)).return=u,u=m):(yl(m=Uu(p.type,p.key,p.props,null,u.mode,m),p),m.return=u,u=m)}return i(u);case c:e:{for(k=p.key;null!==d;){if(d.key===k){if(4===d.tag&&d.stateNode.containerInfo===p.containerInfo&&d.stateNode.implementation===p.implementation){t(u,d.sibling),(m=l(d,p.children||[])).return=u,u=m;break e}t(u,d);break}n(u,d),d=d.sibling}(m=Vu(p,u.mode,m)).return=u,u=m}return i(u);case w:return b(u,d,p=(k=p._init)(p._payload),m)}if($(p))return function(l,o,i,u){for(var s=null,c=null,f=o,d=o=0,p=null;null!==f&&d<i.length;d++){f.index>d?(p=f,f=null):p=f.sibling;var m=y(l,f,i[d],u);if(null===m){null===f&&(f=p);break}e&&f&&null===m.alternate&&n(l,f),o=a(m,o,d),null===c?s=m:c.sibling=m,c=m,f=p}if(d===i.length)return t(l,f),Gr&&Br(l,d),s;if(null===f){for(;d<i.length;d++)null!==(f=h(l,i[d],u))&&(o=a(f,o,d),null===c?s=f:c.sibling=f,c=f);return Gr&&Br(l,d),s}for(f=r(f);d<i.length;d++)null!==(p=v(f,l,d,i[d],u))&&(e&&null!==p.alternate&&f.delete(null===p.key?d:p.key),o=a(p,o,d),null===c?s=p:c.sibling=p,c=p);return e&&f.forEach((function(e){return n(l,e)})),Gr&&Br(l,d),s}(u,d,p,m);if(C(p)){if("function"!=typeof(k=C(p)))throw Error(o(150));return function(l,i,u,s){if(null==u)throw Error(o(151));for(var c=null,f=null,d=i,p=i=0,m=null,g=u.next();null!==d&&!g.done;p++,g=u.next()){d.index>p?(m=d,d=null):m=d.sibling;var b=y(l,d,g.value,s);if(null===b){null===d&&(d=m);break}e&&d&&null===b.alternate&&n(l,d),i=a(b,i,p),null===f?c=b:f.sibling=b,f=b,d=m}if(g.done)return t(l,d),Gr&&Br(l,p),c;if(null===d){for(;!g.done;p++,g=u.next())null!==(g=h(l,g.value,s))&&(i=a(g,i,p),null===f?c=g:f.sibling=g,f=g);return Gr&&Br(l,p),c}for(d=r(d);!g.done;p++,g=u.next())null!==(g=v(d,l,p,g.value,s))&&(e&&null!==g.alternate&&d.delete(null===g.key?p:g.key),i=a(g,i,p),null===f?c=g:f.sibling=g,f=g);return e&&d.forEach((function(e){return n(l,e)})),Gr&&Br(l,p),c}(u,d,p=k.call(p),m)}if("function"==typeof p.then)return b(u,d,gl(p),m);if(p.$$typeof===g)return b(u,d,_i(u,p),m);vl(u,p)}return"string"==typeof p&&""!==p||"number"==typeof p||"bigint"==typeof p?(p=""+p,null!==d&&6===d.tag?(t(u,d.sibling),(m=l(d,p)).return=u,u=m):(t(u,d),(m=Hu(p,u.mode,m)).return=u,u=m),i(u)):t(u,d)}return function(e,n,t,r){try{hl=0;var l=b(e,n,t,r);return ml=null,l}catch(n){if(n===ol)throw n;var a=Fu(29,n,null,e.mode);return a.lanes=r,a.return=e,a}}}var wl=kl(!0),Sl=kl(!1),El=Q(null),xl=Q(0);function Cl(e,n){K(xl,e=ss),K(El,n),ss=e|n.baseLanes}function _l(){K(xl,ss),K(El,El.current)}function Pl(){ss=xl.current,q(El),q(xl)}var zl=Q(null),Nl=null;function Tl(e){var n=e.alternate;K(Al,1&Al.current),K(zl,e),null===Nl&&(null===n||null!==El.current||null!==n.memoizedState)&&(Nl=e)}function Ll(e){if(22===e.tag){if(K(Al,Al.current),K(zl,e),null===Nl){var n=e.alternate;null!==n&&null!==n.memoizedState&&(Nl=e)}}else Ol()}function Ol(){K(Al,Al.current),K(zl,zl.current)}function Rl(e){q(zl),Nl===e&&(Nl=null),q(Al)}var Al=Q(0);function Fl(e){for(var n=e;null!==n;){if(13===n.tag){var t=n.memoizedState;if(null!==t&&(null===(t=t.dehydrated)||"$?"===t.data||"$!"===t.data))return n}else if(19===n.tag&&void 0!==n.memoizedProps.revealOrder){if(128&n.flags)return n}else if(null!==n.child){n.child.return=n,n=n.child;continue}if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return null;n=n.return}n.sibling.return=n.return,n=n.sibling}return null}var Dl="undefined"!=typeof AbortController?AbortController:function(){var e=[],n=this.signal={aborted:!1,addEventListener:function(n,t){e.push(t)}};this.abort=function(){n.aborted=!0,e.forEach((function(e){return e()}))}},Ml=r.unstable_scheduleCallback,Il=r.unstable_NormalPriority,Ul={$$typeof:g,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function jl(){return{controller:new Dl,data:new Map,refCount:0}}function $l(e){e.refCount--,0===e.refCount&&Ml(Il,(function(){e.controller.abort()}))}var Hl=null,Vl=0,Bl=0,Wl=null;function Ql(){if(0==--Vl&&null!==Hl){null!==Wl&&(Wl.status="fulfilled");var e=Hl;Hl=null,Bl=0,Wl=null;for(var n=0;n<e.length;n++)(0,e[n])()}}var ql=T.S;T.S=function(e,n){"object"==typeof n&&null!==n&&"function"==typeof n.then&&function(e,n){if(null===Hl){var t=Hl=[];Vl=0,Bl=wc(),Wl={status:"pending",value:void 0,then:function(e){t.push(e)}}}Vl++,n.then(Ql,Ql)}(0,n),null!==ql&&ql(e,n)};var Kl=Q(null);function Yl(){var e=Kl.current;return null!==e?e:ns.pooledCache}function Gl(e,n){K(Kl,null===n?Kl.current:n.pool)}function Xl(){var e=Yl();return null===e?null:{parent:Ul._currentValue,pool:e}}var Zl=0,Jl=null,ea=null,na=null,ta=!1,ra=!1,la=!1,aa=0,oa=0,ia=null,ua=0;function sa(){throw Error(o(321))}function ca(e,n){if(null===n)return!1;for(var t=0;t<n.length&&t<e.length;t++)if(!Kt(e[t],n[t]))return!1;return!0}function fa(e,n,t,r,l,a){return Zl=a,Jl=n,n.memoizedState=null,n.updateQueue=null,n.lanes=0,T.H=null===e||null===e.memoizedState?_o:Po,la=!1,a=t(r,l),la=!1,ra&&(a=pa(n,t,r,l)),da(e),a}function da(e){T.H=Co;var n=null!==ea&&null!==ea.next;if(Zl=0,na=ea=Jl=null,ta=!1,oa=0,ia=null,n)throw Error(o(300));null===e||Bo||null!==(e=e.dependencies)&&Ei(e)&&(Bo=!0)}function pa(e,n,t,r){Jl=e;var l=0;do{if(ra&&(ia=null),oa=0,ra=!1,25<=l)throw Error(o(301));if(l+=1,na=ea=null,null!=e.updateQueue){var a=e.updateQueue;a.lastEffect=null,a.events=null,a.stores=null,null!=a.memoCache&&(a.memoCache.index=0)}T.H=zo,a=n(t,r)}while(ra);return a}function ma(){var e=T.H,n=e.useState()[0];return n="function"==typeof n.then?ka(n):n,e=e.useState()[0],(null!==ea?ea.memoizedState:null)!==e&&(Jl.flags|=1024),n}function ha(){var e=0!==aa;return aa=0,e}function ga(e,n,t){n.updateQueue=e.updateQueue,n.flags&=-2053,e.lanes&=~t}function ya(e){if(ta){for(e=e.memoizedState;null!==e;){var n=e.queue;null!==n&&(n.pending=null),e=e.next}ta=!1}Zl=0,na=ea=Jl=null,ra=!1,oa=aa=0,ia=null}function va(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===na?Jl.memoizedState=na=e:na=na.next=e,na}function ba(){if(null===ea){var e=Jl.alternate;e=null!==e?e.memoizedState:null}else e=ea.next;var n=null===na?Jl.memoizedState:na.next;if(null!==n)na=n,ea=e;else{if(null===e){if(null===Jl.alternate)throw Error(o(467));throw Error(o(310))}e={memoizedState:(ea=e).memoizedState,baseState:ea.baseState,baseQueue:ea.baseQueue,queue:ea.queue,next:null},null===na?Jl.memoizedState=na=e:na=na.next=e}return na}function ka(e){var n=oa;return oa+=1,null===ia&&(ia=[]),e=fl(ia,e,n),n=Jl,null===(null===na?n.memoizedState:na.next)&&(n=n.alternate,T.H=null===n||null===n.memoizedState?_o:Po),e}function wa(e){if(null!==e&&"object"==typeof e){if("function"==typeof e.then)return ka(e);if(e.$$typeof===g)return Ci(e)}throw Error(o(438,String(e)))}function Sa(e){var n=null,t=Jl.updateQueue;if(null!==t&&(n=t.memoCache),null==n){var r=Jl.alternate;null!==r&&(null!==(r=r.updateQueue)&&(null!=(r=r.memoCache)&&(n={data:r.data.map((function(e){return e.slice()})),index:0})))}if(null==n&&(n={data:[],index:0}),null===t&&(t={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=t),t.memoCache=n,void 0===(t=n.data[n.index]))for(t=n.data[n.index]=Array(e),r=0;r<e;r++)t[r]=E;return n.index++,t}function Ea(e,n){return"function"==typeof n?n(e):n}function xa(e){return Ca(ba(),ea,e)}function Ca(e,n,t){var r=e.queue;if(null===r)throw Error(o(311));r.lastRenderedReducer=t;var l=e.baseQueue,a=r.pending;if(null!==a){if(null!==l){var i=l.next;l.next=a.next,a.next=i}n.baseQueue=l=a,r.pending=null}if(a=e.baseState,null===l)e.memoizedState=a;else{var u=i=null,s=null,c=n=l.next,f=!1;do{var d=-536870913&c.lane;if(d!==c.lane?(rs&d)===d:(Zl&d)===d){var p=c.revertLane;if(0===p)null!==s&&(s=s.next={lane:0,revertLane:0,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),d===Bl&&(f=!0);else{if((Zl&p)===p){c=c.next,p===Bl&&(f=!0);continue}d={lane:0,revertLane:c.revertLane,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=d,i=a):s=s.next=d,Jl.lanes|=p,fs|=p}d=c.action,la&&t(a,d),a=c.hasEagerState?c.eagerState:t(a,d)}else p={lane:d,revertLane:c.revertLane,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=p,i=a):s=s.next=p,Jl.lanes|=d,fs|=d;c=c.next}while(null!==c&&c!==n);if(null===s?i=a:s.next=u,!Kt(a,e.memoizedState)&&(Bo=!0,f&&null!==(t=Wl)))throw t;e.memoizedState=a,e.baseState=i,e.baseQueue=s,r.lastRenderedState=a}return null===l&&(r.lanes=0),[e.memoizedState,r.dispatch]}function _a(e){var n=ba(),t=n.queue;if(null===t)throw Error(o(311));t.lastRenderedReducer=e;var r=t.dispatch,l=t.pending,a=n.memoizedState;if(null!==l){t.pending=null;var i=l=l.next;do{a=e(a,i.action),i=i.next}while(i!==l);Kt(a,n.memoizedState)||(Bo=!0),n.memoizedState=a,null===n.baseQueue&&(n.baseState=a),t.lastRenderedState=a}return[a,r]}function Pa(e,n,t){var r=Jl,l=ba(),a=Gr;if(a){if(void 0===t)throw Error(o(407));t=t()}else t=n();var i=!Kt((ea||l).memoizedState,t);if(i&&(l.memoizedState=t,Bo=!0),l=l.queue,Za(Ta.bind(null,r,l,e),[e]),l.getSnapshot!==n||i||null!==na&&1&na.memoizedState.tag){if(r.flags|=2048,qa(9,Na.bind(null,r,l,t,n),{destroy:void 0},null),null===ns)throw Error(o(349));a||60&Zl||za(r,n,t)}return t}function za(e,n,t){e.flags|=16384,e={getSnapshot:n,value:t},null===(n=Jl.updateQueue)?(n={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=n,n.stores=[e]):null===(t=n.stores)?n.stores=[e]:t.push(e)}function Na(e,n,t,r){n.value=t,n.getSnapshot=r,La(n)&&Oa(e)}function Ta(e,n,t){return t((function(){La(n)&&Oa(e)}))}function La(e){var n=e.getSnapshot;e=e.value;try{var t=n();return!Kt(e,t)}catch(e){return!0}}function Oa(e){var n=Nr(e,2);null!==n&&Os(n,e,2)}function Ra(e){var n=va();if("function"==typeof e){var t=e;if(e=t(),la){be(!0);try{t()}finally{be(!1)}}}return n.memoizedState=n.baseState=e,n.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:e},n}function Aa(e,n,t,r){return e.baseState=t,Ca(e,ea,"function"==typeof r?r:Ea)}function Fa(e,n,t,r,l){if(So(e))throw Error(o(485));if(null!==(e=n.action)){var a={payload:l,action:e,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(e){a.listeners.push(e)}};null!==T.T?t(!0):a.isTransition=!1,r(a),null===(t=n.pending)?(a.next=n.pending=a,Da(n,a)):(a.next=t.next,n.pending=t.next=a)}}function Da(e,n){var t=n.action,r=n.payload,l=e.state;if(n.isTransition){var a=T.T,o={};T.T=o;try{var i=t(l,r),u=T.S;null!==u&&u(o,i),Ma(e,n,i)}catch(t){Ua(e,n,t)}finally{T.T=a}}else try{Ma(e,n,a=t(l,r))}catch(t){Ua(e,n,t)}}function Ma(e,n,t){null!==t&&"object"==typeof t&&"function"==typeof t.then?t.then((function(t){Ia(e,n,t)}),(function(t){return Ua(e,n,t)})):Ia(e,n,t)}function Ia(e,n,t){n.status="fulfilled",n.value=t,ja(n),e.state=t,null!==(n=e.pending)&&((t=n.next)===n?e.pending=null:(t=t.next,n.next=t,Da(e,t)))}function Ua(e,n,t){var r=e.pending;if(e.pending=null,null!==r){r=r.next;do{n.status="rejected",n.reason=t,ja(n),n=n.next}while(n!==r)}e.action=null}function ja(e){e=e.listeners;for(var n=0;n<e.length;n++)(0,e[n])()}function $a(e,n){return n}function Ha(e,n){if(Gr){var t=ns.formState;if(null!==t){e:{var r=Jl;if(Gr){if(Yr){n:{for(var l=Yr,a=Zr;8!==l.nodeType;){if(!a){l=null;break n}if(null===(l=uf(l.nextSibling))){l=null;break n}}l="F!"===(a=l.data)||"F"===a?l:null}if(l){Yr=uf(l.nextSibling),r="F!"===l.data;break e}}el(r)}r=!1}r&&(n=t[0])}}return(t=va()).memoizedState=t.baseState=n,r={pending:null,lanes:0,dispatch:null,lastRenderedReducer:$a,lastRenderedState:n},t.queue=r,t=bo.bind(null,Jl,r),r.dispatch=t,r=Ra(!1),a=wo.bind(null,Jl,!1,r.queue),l={state:n,dispatch:null,action:e,pending:null},(r=va()).queue=l,t=Fa.bind(null,Jl,l,a,t),l.dispatch=t,r.memoizedState=e,[n,t,!1]}function Va(e){return Ba(ba(),ea,e)}function Ba(e,n,t){n=Ca(e,n,$a)[0],e=xa(Ea)[0],n="object"==typeof n&&null!==n&&"function"==typeof n.then?ka(n):n;var r=ba(),l=r.queue,a=l.dispatch;return t!==r.memoizedState&&(Jl.flags|=2048,qa(9,Wa.bind(null,l,t),{destroy:void 0},null)),[n,a,e]}function Wa(e,n){e.action=n}function Qa(e){var n=ba(),t=ea;if(null!==t)return Ba(n,t,e);ba(),n=n.memoizedState;var r=(t=ba()).queue.dispatch;return t.memoizedState=e,[n,r,!1]}function qa(e,n,t,r){return e={tag:e,create:n,inst:t,deps:r,next:null},null===(n=Jl.updateQueue)&&(n={lastEffect:null,events:null,stores:null,memoCache:null},Jl.updateQueue=n),null===(t=n.lastEffect)?n.lastEffect=e.next=e:(r=t.next,t.next=e,e.next=r,n.lastEffect=e),e}function Ka(){return ba().memoizedState}function Ya(e,n,t,r){var l=va();Jl.flags|=e,l.memoizedState=qa(1|n,t,{destroy:void 0},void 0===r?null:r)}function Ga(e,n,t,r){var l=ba();r=void 0===r?null:r;var a=l.memoizedState.inst;null!==ea&&null!==r&&ca(r,ea.memoizedState.deps)?l.memoizedState=qa(n,t,a,r):(Jl.flags|=e,l.memoizedState=qa(1|n,t,a,r))}function Xa(e,n){Ya(8390656,8,e,n)}function Za(e,n){Ga(2048,8,e,n)}function Ja(e,n){return Ga(4,2,e,n)}function eo(e,n){return Ga(4,4,e,n)}function no(e,n){if("function"==typeof n){e=e();var t=n(e);return function(){"function"==typeof t?t():n(null)}}if(null!=n)return e=e(),n.current=e,function(){n.current=null}}function to(e,n,t){t=null!=t?t.concat([e]):null,Ga(4,4,no.bind(null,n,e),t)}function ro(){}function lo(e,n){var t=ba();n=void 0===n?null:n;var r=t.memoizedState;return null!==n&&ca(n,r[1])?r[0]:(t.memoizedState=[e,n],e)}function ao(e,n){var t=ba();n=void 0===n?null:n;var r=t.memoizedState;if(null!==n&&ca(n,r[1]))return r[0];if(r=e(),la){be(!0);try{e()}finally{be(!1)}}return t.memoizedState=[r,n],r}function oo(e,n,t){return void 0===t||1073741824&Zl?e.memoizedState=n:(e.memoizedState=t,e=Ls(),Jl.lanes|=e,fs|=e,t)}function io(e,n,t,r){return Kt(t,n)?t:null!==El.current?(e=oo(e,t,r),Kt(e,n)||(Bo=!0),e):42&Zl?(e=Ls(),Jl.lanes|=e,fs|=e,n):(Bo=!0,e.memoizedState=t)}function uo(e,n,t,r,l){var a=H.p;H.p=0!==a&&8>a?a:8;var o,i,u,s=T.T,c={};T.T=c,wo(e,!1,n,t);try{var f=l(),d=T.S;if(null!==d&&d(c,f),null!==f&&"object"==typeof f&&"function"==typeof f.then)ko(e,n,(o=r,i=[],u={status:"pending",value:null,reason:null,then:function(e){i.push(e)}},f.then((function(){u.status="fulfilled",u.value=o;for(var e=0;e<i.length;e++)(0,i[e])(o)}),(function(e){for(u.status="rejected",u.reason=e,e=0;e<i.length;e++)(0,i[e])(void 0)})),u),Ts());else ko(e,n,r,Ts())}catch(t){ko(e,n,{then:function(){},status:"rejected",reason:t},Ts())}finally{H.p=a,T.T=s}}function so(){}function co(e,n,t,r){if(5!==e.tag)throw Error(o(476));var l=fo(e).queue;uo(e,l,n,V,null===t?so:function(){return po(e),t(r)})}function fo(e){var n=e.memoizedState;if(null!==n)return n;var t={};return(n={memoizedState:V,baseState:V,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:V},next:null}).next={memoizedState:t,baseState:t,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ea,lastRenderedState:t},next:null},e.memoizedState=n,null!==(e=e.alternate)&&(e.memoizedState=n),n}function po(e){ko(e,fo(e).next.queue,{},Ts())}function mo(){return Ci(Mf)}function ho(){return ba().memoizedState}function go(){return ba().memoizedState}function yo(e){for(var n=e.return;null!==n;){switch(n.tag){case 24:case 3:var t=Ts(),r=Oi(n,e=Li(t),t);return null!==r&&(Os(r,n,t),Ri(r,n,t)),n={cache:jl()},void(e.payload=n)}n=n.return}}function vo(e,n,t){var r=Ts();t={lane:r,revertLane:0,action:t,hasEagerState:!1,eagerState:null,next:null},So(e)?Eo(n,t):null!==(t=zr(e,n,t,r))&&(Os(t,e,r),xo(t,n,r))}function bo(e,n,t){ko(e,n,t,Ts())}function ko(e,n,t,r){var l={lane:r,revertLane:0,action:t,hasEagerState:!1,eagerState:null,next:null};if(So(e))Eo(n,l);else{var a=e.alternate;if(0===e.lanes&&(null===a||0===a.lanes)&&null!==(a=n.lastRenderedReducer))try{var o=n.lastRenderedState,i=a(o,t);if(l.hasEagerState=!0,l.eagerState=i,Kt(i,o))return Pr(e,n,l,0),null===ns&&_r(),!1}catch(e){}if(null!==(t=zr(e,n,l,r)))return Os(t,e,r),xo(t,n,r),!0}return!1}function wo(e,n,t,r){if(r={lane:2,revertLane:wc(),action:r,hasEagerState:!1,eagerState:null,next:null},So(e)){if(n)throw Error(o(479))}else null!==(n=zr(e,t,r,2))&&Os(n,e,2)}function So(e){var n=e.alternate;return e===Jl||null!==n&&n===Jl}function Eo(e,n){ra=ta=!0;var t=e.pending;null===t?n.next=n:(n.next=t.next,t.next=n),e.pending=n}function xo(e,n,t){if(4194176&t){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Ae(e,t)}}var Co={readContext:Ci,use:wa,useCallback:sa,useContext:sa,useEffect:sa,useImperativeHandle:sa,useLayoutEffect:sa,useInsertionEffect:sa,useMemo:sa,useReducer:sa,useRef:sa,useState:sa,useDebugValue:sa,useDeferredValue:sa,useTransition:sa,useSyncExternalStore:sa,useId:sa};Co.useCacheRefresh=sa,Co.useMemoCache=sa,Co.useHostTransitionStatus=sa,Co.useFormState=sa,Co.useActionState=sa,Co.useOptimistic=sa;var _o={readContext:Ci,use:wa,useCallback:function(e,n){return va().memoizedState=[e,void 0===n?null:n],e},useContext:Ci,useEffect:Xa,useImperativeHandle:function(e,n,t){t=null!=t?t.concat([e]):null,Ya(4194308,4,no.bind(null,n,e),t)},useLayoutEffect:function(e,n){return Ya(4194308,4,e,n)},useInsertionEffect:function(e,n){Ya(4,2,e,n)},useMemo:function(e,n){var t=va();n=void 0===n?null:n;var r=e();if(la){be(!0);try{e()}finally{be(!1)}}return t.memoizedState=[r,n],r},useReducer:function(e,n,t){var r=va();if(void 0!==t){var l=t(n);if(la){be(!0);try{t(n)}finally{be(!1)}}}else l=n;return r.memoizedState=r.baseState=l,e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:l},r.queue=e,e=e.dispatch=vo.bind(null,Jl,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},va().memoizedState=e},useState:function(e){var n=(e=Ra(e)).queue,t=bo.bind(null,Jl,n);return n.dispatch=t,[e.memoizedState,t]},useDebugValue:ro,useDeferredValue:function(e,n){return oo(va(),e,n)},useTransition:function(){var e=Ra(!1);return e=uo.bind(null,Jl,e.queue,!0,!1),va().memoizedState=e,[!1,e]},useSyncExternalStore:function(e,n,t){var r=Jl,l=va();if(Gr){if(void 0===t)throw Error(o(407));t=t()}else{if(t=n(),null===ns)throw Error(o(349));60&rs||za(r,n,t)}l.memoizedState=t;var a={value:t,getSnapshot:n};return l.queue=a,Xa(Ta.bind(null,r,a,e),[e]),r.flags|=2048,qa(9,Na.bind(null,r,a,t,n),{destroy:void 0},null),t},useId:function(){var e=va(),n=ns.identifierPrefix;if(Gr){var t=Vr;n=":"+n+"R"+(t=(Hr&~(1<<32-ke(Hr)-1)).toString(32)+t),0<(t=aa++)&&(n+="H"+t.toString(32)),n+=":"}else n=":"+n+"r"+(t=ua++).toString(32)+":";return e.memoizedState=n},useCacheRefresh:function(){return va().memoizedState=yo.bind(null,Jl)}};_o.useMemoCache=Sa,_o.useHostTransitionStatus=mo,_o.useFormState=Ha,_o.useActionState=Ha,_o.useOptimistic=function(e){var n=va();n.memoizedState=n.baseState=e;var t={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return n.queue=t,n=wo.bind(null,Jl,!0,t),t.dispatch=n,[e,n]};var Po={readContext:Ci,use:wa,useCallback:lo,useContext:Ci,useEffect:Za,useImperativeHandle:to,useInsertionEffect:Ja,useLayoutEffect:eo,useMemo:ao,useReducer:xa,useRef:Ka,useState:function(){return xa(Ea)},useDebugValue:ro,useDeferredValue:function(e,n){return io(ba(),ea.memoizedState,e,n)},useTransition:function(){var e=xa(Ea)[0],n=ba().memoizedState;return["boolean"==typeof e?e:ka(e),n]},useSyncExternalStore:Pa,useId:ho};Po.useCacheRefresh=go,Po.useMemoCache=Sa,Po.useHostTransitionStatus=mo,Po.useFormState=Va,Po.useActionState=Va,Po.useOptimistic=function(e,n){return Aa(ba(),0,e,n)};var zo={readContext:Ci,use:wa,useCallback:lo,useContext:Ci,useEffect:Za,useImperativeHandle:to,useInsertionEffect:Ja,useLayoutEffect:eo,useMemo:ao,useReducer:_a,useRef:Ka,useState:function(){return _a(Ea)},useDebugValue:ro,useDeferredValue:function(e,n){var t=ba();return null===ea?oo(t,e,n):io(t,ea.memoizedState,e,n)},useTransition:function(){var e=_a(Ea)[0],n=ba().memoizedState;return["boolean"==typeof e?e:ka(e),n]},useSyncExternalStore:Pa,useId:ho};function No(e,n,t,r){t=null==(t=t(r,n=e.memoizedState))?n:L({},n,t),e.memoizedState=t,0===e.lanes&&(e.updateQueue.baseState=t)}zo.useCacheRefresh=go,zo.useMemoCache=Sa,zo.useHostTransitionStatus=mo,zo.useFormState=Qa,zo.useActionState=Qa,zo.useOptimistic=function(e,n){var t=ba();return null!==ea?Aa(t,0,e,n):(t.baseState=e,[e,t.queue.dispatch])};var To={isMounted:function(e){return!!(e=e._reactInternals)&&M(e)===e},enqueueSetState:function(e,n,t){e=e._reactInternals;var r=Ts(),l=Li(r);l.payload=n,null!=t&&(l.callback=t),null!==(n=Oi(e,l,r))&&(Os(n,e,r),Ri(n,e,r))},enqueueReplaceState:function(e,n,t){e=e._reactInternals;var r=Ts(),l=Li(r);l.tag=1,l.payload=n,null!=t&&(l.callback=t),null!==(n=Oi(e,l,r))&&(Os(n,e,r),Ri(n,e,r))},enqueueForceUpdate:function(e,n){e=e._reactInternals;var t=Ts(),r=Li(t);r.tag=2,null!=n&&(r.callback=n),null!==(n=Oi(e,r,t))&&(Os(n,e,t),Ri(n,e,t))}};function Lo(e,n,t,r,l,a,o){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,a,o):!n.prototype||!n.prototype.isPureReactComponent||(!Yt(t,r)||!Yt(l,a))}function Oo(e,n,t,r){e=n.state,"function"==typeof n.componentWillReceiveProps&&n.componentWillReceiveProps(t,r),"function"==typeof n.UNSAFE_componentWillReceiveProps&&n.UNSAFE_componentWillReceiveProps(t,r),n.state!==e&&To.enqueueReplaceState(n,n.state,null)}function Ro(e,n){var t=n;if("ref"in n)for(var r in t={},n)"ref"!==r&&(t[r]=n[r]);if(e=e.defaultProps)for(var l in t===n&&(t=L({},t)),e)void 0===t[l]&&(t[l]=e[l]);return t}var Ao="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var n=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(n))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)};function Fo(e){Ao(e)}function Do(e){console.error(e)}function Mo(e){Ao(e)}function Io(e,n){try{(0,e.onUncaughtError)(n.value,{componentStack:n.stack})}catch(e){setTimeout((function(){throw e}))}}function Uo(e,n,t){try{(0,e.onCaughtError)(t.value,{componentStack:t.stack,errorBoundary:1===n.tag?n.stateNode:null})}catch(e){setTimeout((function(){throw e}))}}function jo(e,n,t){return(t=Li(t)).tag=3,t.payload={element:null},t.callback=function(){Io(e,n)},t}function $o(e){return(e=Li(e)).tag=3,e}function Ho(e,n,t,r){var l=t.type.getDerivedStateFromError;if("function"==typeof l){var a=r.value;e.payload=function(){return l(a)},e.callback=function(){Uo(n,t,r)}}var o=t.stateNode;null!==o&&"function"==typeof o.componentDidCatch&&(e.callback=function(){Uo(n,t,r),"function"!=typeof l&&(null===Ss?Ss=new Set([this]):Ss.add(this));var e=r.stack;this.componentDidCatch(r.value,{componentStack:null!==e?e:""})})}var Vo=Error(o(461)),Bo=!1;function Wo(e,n,t,r){n.child=null===e?Sl(n,null,t,r):wl(n,e.child,t,r)}function Qo(e,n,t,r,l){t=t.render;var a=n.ref;if("ref"in r){var o={};for(var i in r)"ref"!==i&&(o[i]=r[i])}else o=r;return xi(n),r=fa(e,n,t,o,a,l),i=ha(),null===e||Bo?(Gr&&i&&Qr(n),n.flags|=1,Wo(e,n,r,l),n.child):(ga(e,n,l),di(e,n,l))}function qo(e,n,t,r,l){if(null===e){var a=t.type;return"function"!=typeof a||Du(a)||void 0!==a.defaultProps||null!==t.compare?((e=Uu(t.type,null,r,n,n.mode,l)).ref=n.ref,e.return=n,n.child=e):(n.tag=15,n.type=a,Ko(e,n,a,r,l))}if(a=e.child,!pi(e,l)){var o=a.memoizedProps;if((t=null!==(t=t.compare)?t:Yt)(o,r)&&e.ref===n.ref)return di(e,n,l)}return n.flags|=1,(e=Mu(a,r)).ref=n.ref,e.return=n,n.child=e}function Ko(e,n,t,r,l){if(null!==e){var a=e.memoizedProps;if(Yt(a,r)&&e.ref===n.ref){if(Bo=!1,n.pendingProps=r=a,!pi(e,l))return n.lanes=e.lanes,di(e,n,l);131072&e.flags&&(Bo=!0)}}return Zo(e,n,t,r,l)}function Yo(e,n,t){var r=n.pendingProps,l=r.children,a=!!(2&n.stateNode._pendingVisibility),o=null!==e?e.memoizedState:null;if(Xo(e,n),"hidden"===r.mode||a){if(128&n.flags){if(r=null!==o?o.baseLanes|t:t,null!==e){for(l=n.child=e.child,a=0;null!==l;)a=a|l.lanes|l.childLanes,l=l.sibling;n.childLanes=a&~r}else n.childLanes=0,n.child=null;return Go(e,n,r,t)}if(!(536870912&t))return n.lanes=n.childLanes=536870912,Go(e,n,null!==o?o.baseLanes|t:t,t);n.memoizedState={baseLanes:0,cachePool:null},null!==e&&Gl(0,null!==o?o.cachePool:null),null!==o?Cl(n,o):_l(),Ll(n)}else null!==o?(Gl(0,o.cachePool),Cl(n,o),Ol(),n.memoizedState=null):(null!==e&&Gl(0,null),_l(),Ol());return Wo(e,n,l,t),n.child}function Go(e,n,t,r){var l=Yl();return l=null===l?null:{parent:Ul._currentValue,pool:l},n.memoizedState={baseLanes:t,cachePool:l},null!==e&&Gl(0,null),_l(),Ll(n),null!==e&&Si(e,n,r,!0),null}function Xo(e,n){var t=n.ref;if(null===t)null!==e&&null!==e.ref&&(n.flags|=2097664);else{if("function"!=typeof t&&"object"!=typeof t)throw Error(o(284));null!==e&&e.ref===t||(n.flags|=2097664)}}function Zo(e,n,t,r,l){return xi(n),t=fa(e,n,t,r,void 0,l),r=ha(),null===e||Bo?(Gr&&r&&Qr(n),n.flags|=1,Wo(e,n,t,l),n.child):(ga(e,n,l),di(e,n,l))}function Jo(e,n,t,r,l,a){return xi(n),n.updateQueue=null,t=pa(n,r,t,l),da(e),r=ha(),null===e||Bo?(Gr&&r&&Qr(n),n.flags|=1,Wo(e,n,t,a),n.child):(ga(e,n,a),di(e,n,a))}function ei(e,n,t,r,l){if(xi(n),null===n.stateNode){var a=Or,o=t.contextType;"object"==typeof o&&null!==o&&(a=Ci(o)),a=new t(r,a),n.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,a.updater=To,n.stateNode=a,a._reactInternals=n,(a=n.stateNode).props=r,a.state=n.memoizedState,a.refs={},Ni(n),o=t.contextType,a.context="object"==typeof o&&null!==o?Ci(o):Or,a.state=n.memoizedState,"function"==typeof(o=t.getDerivedStateFromProps)&&(No(n,t,o,r),a.state=n.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(o=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),o!==a.state&&To.enqueueReplaceState(a,a.state,null),Mi(n,r,a,l),Di(),a.state=n.memoizedState),"function"==typeof a.componentDidMount&&(n.flags|=4194308),r=!0}else if(null===e){a=n.stateNode;var i=n.memoizedProps,u=Ro(t,i);a.props=u;var s=a.context,c=t.contextType;o=Or,"object"==typeof c&&null!==c&&(o=Ci(c));var f=t.getDerivedStateFromProps;c="function"==typeof f||"function"==typeof a.getSnapshotBeforeUpdate,i=n.pendingProps!==i,c||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(i||s!==o)&&Oo(n,a,r,o),zi=!1;var d=n.memoizedState;a.state=d,Mi(n,r,a,l),Di(),s=n.memoizedState,i||d!==s||zi?("function"==typeof f&&(No(n,t,f,r),s=n.memoizedState),(u=zi||Lo(n,t,u,r,d,s,o))?(c||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||("function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount()),"function"==typeof a.componentDidMount&&(n.flags|=4194308)):("function"==typeof a.componentDidMount&&(n.flags|=4194308),n.memoizedProps=r,n.memoizedState=s),a.props=r,a.state=s,a.context=o,r=u):("function"==typeof a.componentDidMount&&(n.flags|=4194308),r=!1)}else{a=n.stateNode,Ti(e,n),c=Ro(t,o=n.memoizedProps),a.props=c,f=n.pendingProps,d=a.context,s=t.contextType,u=Or,"object"==typeof s&&null!==s&&(u=Ci(s)),(s="function"==typeof(i=t.getDerivedStateFromProps)||"function"==typeof a.getSnapshotBeforeUpdate)||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(o!==f||d!==u)&&Oo(n,a,r,u),zi=!1,d=n.memoizedState,a.state=d,Mi(n,r,a,l),Di();var p=n.memoizedState;o!==f||d!==p||zi||null!==e&&null!==e.dependencies&&Ei(e.dependencies)?("function"==typeof i&&(No(n,t,i,r),p=n.memoizedState),(c=zi||Lo(n,t,c,r,d,p,u)||null!==e&&null!==e.dependencies&&Ei(e.dependencies))?(s||"function"!=typeof a.UNSAFE_componentWillUpdate&&"function"!=typeof a.componentWillUpdate||("function"==typeof a.componentWillUpdate&&a.componentWillUpdate(r,p,u),"function"==typeof a.UNSAFE_componentWillUpdate&&a.UNSAFE_componentWillUpdate(r,p,u)),"function"==typeof a.componentDidUpdate&&(n.flags|=4),"function"==typeof a.getSnapshotBeforeUpdate&&(n.flags|=1024)):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=1024),n.memoizedProps=r,n.memoizedState=p),a.props=r,a.state=p,a.context=u,r=c):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=1024),r=!1)}return a=r,Xo(e,n),r=!!(128&n.flags),a||r?(a=n.stateNode,t=r&&"function"!=typeof t.getDerivedStateFromError?null:a.render(),n.flags|=1,null!==e&&r?(n.child=wl(n,e.child,null,l),n.child=wl(n,null,t,l)):Wo(e,n,t,l),n.memoizedState=a.state,e=n.child):e=di(e,n,l),e}function ni(e,n,t,r){return ll(),n.flags|=256,Wo(e,n,t,r),n.child}var ti={dehydrated:null,treeContext:null,retryLane:0};function ri(e){return{baseLanes:e,cachePool:Xl()}}function li(e,n,t){return e=null!==e?e.childLanes&~t:0,n&&(e|=ms),e}function ai(e,n,t){var r,l=n.pendingProps,a=!1,i=!!(128&n.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&!!(2&Al.current)),r&&(a=!0,n.flags&=-129),r=!!(32&n.flags),n.flags&=-33,null===e){if(Gr){if(a?Tl(n):Ol(),Gr){var u,s=Yr;if(u=s){e:{for(u=s,s=Zr;8!==u.nodeType;){if(!s){s=null;break e}if(null===(u=uf(u.nextSibling))){s=null;break e}}s=u}null!==s?(n.memoizedState={dehydrated:s,treeContext:null!==$r?{id:Hr,overflow:Vr}:null,retryLane:536870912},(u=Fu(18,null,null,0)).stateNode=s,u.return=n,n.child=u,Kr=n,Yr=null,u=!0):u=!1}u||el(n)}if(null!==(s=n.memoizedState)&&null!==(s=s.dehydrated))return"$!"===s.data?n.lanes=16:n.lanes=536870912,null;Rl(n)}return s=l.children,l=l.fallback,a?(Ol(),s=ii({mode:"hidden",children:s},a=n.mode),l=ju(l,a,t,null),s.return=n,l.return=n,s.sibling=l,n.child=s,(a=n.child).memoizedState=ri(t),a.childLanes=li(e,r,t),n.memoizedState=ti,l):(Tl(n),oi(n,s))}if(null!==(u=e.memoizedState)&&null!==(s=u.dehydrated)){if(i)256&n.flags?(Tl(n),n.flags&=-257,n=ui(e,n,t)):null!==n.memoizedState?(Ol(),n.child=e.child,n.flags|=128,n=null):(Ol(),a=l.fallback,s=n.mode,l=ii({mode:"visible",children:l.children},s),(a=ju(a,s,t,null)).flags|=2,l.return=n,a.return=n,l.sibling=a,n.child=l,wl(n,e.child,null,t),(l=n.child).memoizedState=ri(t),l.childLanes=li(e,r,t),n.memoizedState=ti,n=a);else if(Tl(n),"$!"===s.data){if(r=s.nextSibling&&s.nextSibling.dataset)var c=r.dgst;r=c,(l=Error(o(419))).stack="",l.digest=r,al({value:l,source:null,stack:null}),n=ui(e,n,t)}else if(Bo||Si(e,n,t,!1),r=!!(t&e.childLanes),Bo||r){if(null!==(r=ns)){if(42&(l=t&-t))l=1;else switch(l){case 2:l=1;break;case 8:l=4;break;case 32:l=16;break;case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:l=64;break;case 268435456:l=134217728;break;default:l=0}if(0!==(l=l&(r.suspendedLanes|t)?0:l)&&l!==u.retryLane)throw u.retryLane=l,Nr(e,l),Os(r,e,l),Vo}"$?"===s.data||Bs(),n=ui(e,n,t)}else"$?"===s.data?(n.flags|=128,n.child=e.child,n=ic.bind(null,e),s._reactRetry=n,n=null):(e=u.treeContext,Yr=uf(s.nextSibling),Kr=n,Gr=!0,Xr=null,Zr=!1,null!==e&&(Ur[jr++]=Hr,Ur[jr++]=Vr,Ur[jr++]=$r,Hr=e.id,Vr=e.overflow,$r=n),(n=oi(n,l.children)).flags|=4096);return n}return a?(Ol(),a=l.fallback,s=n.mode,c=(u=e.child).sibling,(l=Mu(u,{mode:"hidden",children:l.children})).subtreeFlags=31457280&u.subtreeFlags,null!==c?a=Mu(c,a):(a=ju(a,s,t,null)).flags|=2,a.return=n,l.return=n,l.sibling=a,n.child=l,l=a,a=n.child,null===(s=e.child.memoizedState)?s=ri(t):(null!==(u=s.cachePool)?(c=Ul._currentValue,u=u.parent!==c?{parent:c,pool:c}:u):u=Xl(),s={baseLanes:s.baseLanes|t,cachePool:u}),a.memoizedState=s,a.childLanes=li(e,r,t),n.memoizedState=ti,l):(Tl(n),e=(t=e.child).sibling,(t=Mu(t,{mode:"visible",children:l.children})).return=n,t.sibling=null,null!==e&&(null===(r=n.deletions)?(n.deletions=[e],n.flags|=16):r.push(e)),n.child=t,n.memoizedState=null,t)}function oi(e,n){return(n=ii({mode:"visible",children:n},e.mode)).return=e,e.child=n}function ii(e,n){return $u(e,n,0,null)}function ui(e,n,t){return wl(n,e.child,null,t),(e=oi(n,n.pendingProps.children)).flags|=2,n.memoizedState=null,e}function si(e,n,t){e.lanes|=n;var r=e.alternate;null!==r&&(r.lanes|=n),ki(e.return,n,t)}function ci(e,n,t,r,l){var a=e.memoizedState;null===a?e.memoizedState={isBackwards:n,rendering:null,renderingStartTime:0,last:r,tail:t,tailMode:l}:(a.isBackwards=n,a.rendering=null,a.renderingStartTime=0,a.last=r,a.tail=t,a.tailMode=l)}function fi(e,n,t){var r=n.pendingProps,l=r.revealOrder,a=r.tail;if(Wo(e,n,r.children,t),2&(r=Al.current))r=1&r|2,n.flags|=128;else{if(null!==e&&128&e.flags)e:for(e=n.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&si(e,t,n);else if(19===e.tag)si(e,t,n);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===n)break e;for(;null===e.sibling;){if(null===e.return||e.return===n)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}switch(K(Al,r),l){case"forwards":for(t=n.child,l=null;null!==t;)null!==(e=t.alternate)&&null===Fl(e)&&(l=t),t=t.sibling;null===(t=l)?(l=n.child,n.child=null):(l=t.sibling,t.sibling=null),ci(n,!1,l,t,a);break;case"backwards":for(t=null,l=n.child,n.child=null;null!==l;){if(null!==(e=l.alternate)&&null===Fl(e)){n.child=l;break}e=l.sibling,l.sibling=t,t=l,l=e}ci(n,!0,t,null,a);break;case"together":ci(n,!1,null,null,void 0);break;default:n.memoizedState=null}return n.child}function di(e,n,t){if(null!==e&&(n.dependencies=e.dependencies),fs|=n.lanes,!(t&n.childLanes)){if(null===e)return null;if(Si(e,n,t,!1),!(t&n.childLanes))return null}if(null!==e&&n.child!==e.child)throw Error(o(153));if(null!==n.child){for(t=Mu(e=n.child,e.pendingProps),n.child=t,t.return=n;null!==e.sibling;)e=e.sibling,(t=t.sibling=Mu(e,e.pendingProps)).return=n;t.sibling=null}return n.child}function pi(e,n){return!!(e.lanes&n)||!(null===(e=e.dependencies)||!Ei(e))}function mi(e,n,t){if(null!==e)if(e.memoizedProps!==n.pendingProps)Bo=!0;else{if(!(pi(e,t)||128&n.flags))return Bo=!1,function(e,n,t){switch(n.tag){case 3:J(n,n.stateNode.containerInfo),vi(n,Ul,e.memoizedState.cache),ll();break;case 27:case 5:ne(n);break;case 4:J(n,n.stateNode.containerInfo);break;case 10:vi(n,n.type,n.memoizedProps.value);break;case 13:var r=n.memoizedState;if(null!==r)return null!==r.dehydrated?(Tl(n),n.flags|=128,null):t&n.child.childLanes?ai(e,n,t):(Tl(n),null!==(e=di(e,n,t))?e.sibling:null);Tl(n);break;case 19:var l=!!(128&e.flags);if((r=!!(t&n.childLanes))||(Si(e,n,t,!1),r=!!(t&n.childLanes)),l){if(r)return fi(e,n,t);n.flags|=128}if(null!==(l=n.memoizedState)&&(l.rendering=null,l.tail=null,l.lastEffect=null),K(Al,Al.current),r)break;return null;case 22:case 23:return n.lanes=0,Yo(e,n,t);case 24:vi(n,Ul,e.memoizedState.cache)}return di(e,n,t)}(e,n,t);Bo=!!(131072&e.flags)}else Bo=!1,Gr&&1048576&n.flags&&Wr(n,Ir,n.index);switch(n.lanes=0,n.tag){case 16:e:{e=n.pendingProps;var r=n.elementType,l=r._init;if(r=l(r._payload),n.type=r,"function"!=typeof r){if(null!=r){if((l=r.$$typeof)===y){n.tag=11,n=Qo(null,n,r,e,t);break e}if(l===k){n.tag=14,n=qo(null,n,r,e,t);break e}}throw n=P(r)||r,Error(o(306,n,""))}Du(r)?(e=Ro(r,e),n.tag=1,n=ei(null,n,r,e,t)):(n.tag=0,n=Zo(null,n,r,e,t))}return n;case 0:return Zo(e,n,n.type,n.pendingProps,t);case 1:return ei(e,n,r=n.type,l=Ro(r,n.pendingProps),t);case 3:e:{if(J(n,n.stateNode.containerInfo),null===e)throw Error(o(387));var a=n.pendingProps;r=(l=n.memoizedState).element,Ti(e,n),Mi(n,a,null,t);var i=n.memoizedState;if(a=i.cache,vi(n,Ul,a),a!==l.cache&&wi(n,[Ul],t,!0),Di(),a=i.element,l.isDehydrated){if(l={element:a,isDehydrated:!1,cache:i.cache},n.updateQueue.baseState=l,n.memoizedState=l,256&n.flags){n=ni(e,n,a,t);break e}if(a!==r){al(r=Ar(Error(o(424)),n)),n=ni(e,n,a,t);break e}for(Yr=uf(n.stateNode.containerInfo.firstChild),Kr=n,Gr=!0,Xr=null,Zr=!0,t=Sl(n,null,a,t),n.child=t;t;)t.flags=-3&t.flags|4096,t=t.sibling}else{if(ll(),a===r){n=di(e,n,t);break e}Wo(e,n,a,t)}n=n.child}return n;case 26:return Xo(e,n),null===e?(t=yf(n.type,null,n.pendingProps,null))?n.memoizedState=t:Gr||(t=n.type,e=n.pendingProps,(r=Yc(X.current).createElement(t))[Ie]=n,r[Ue]=e,Qc(r,t,e),Xe(r),n.stateNode=r):n.memoizedState=yf(n.type,e.memoizedProps,n.pendingProps,e.memoizedState),null;case 27:return ne(n),null===e&&Gr&&(r=n.stateNode=cf(n.type,n.pendingProps,X.current),Kr=n,Zr=!0,Yr=uf(r.firstChild)),r=n.pendingProps.children,null!==e||Gr?Wo(e,n,r,t):n.child=wl(n,null,r,t),Xo(e,n),n.child;case 5:return null===e&&Gr&&((l=r=Yr)&&(null!==(r=function(e,n,t,r){for(;1===e.nodeType;){var l=t;if(e.nodeName.toLowerCase()!==n.toLowerCase()){if(!r&&("INPUT"!==e.nodeName||"hidden"!==e.type))break}else if(r){if(!e[We])switch(n){case"meta":if(!e.hasAttribute("itemprop"))break;return e;case"link":if("stylesheet"===(a=e.getAttribute("rel"))&&e.hasAttribute("data-precedence"))break;if(a!==l.rel||e.getAttribute("href")!==(null==l.href?null:l.href)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin)||e.getAttribute("title")!==(null==l.title?null:l.title))break;return e;case"style":if(e.hasAttribute("data-precedence"))break;return e;case"script":if(((a=e.getAttribute("src"))!==(null==l.src?null:l.src)||e.getAttribute("type")!==(null==l.type?null:l.type)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin))&&a&&e.hasAttribute("async")&&!e.hasAttribute("itemprop"))break;return e;default:return e}}else{if("input"!==n||"hidden"!==e.type)return e;var a=null==l.name?null:""+l.name;if("hidden"===l.type&&e.getAttribute("name")===a)return e}if(null===(e=uf(e.nextSibling)))break}return null}(r,n.type,n.pendingProps,Zr))?(n.stateNode=r,Kr=n,Yr=uf(r.firstChild),Zr=!1,l=!0):l=!1),l||el(n)),ne(n),l=n.type,a=n.pendingProps,i=null!==e?e.memoizedProps:null,r=a.children,Zc(l,a)?r=null:null!==i&&Zc(l,i)&&(n.flags|=32),null!==n.memoizedState&&(l=fa(e,n,ma,null,null,t),Mf._currentValue=l),Xo(e,n),Wo(e,n,r,t),n.child;case 6:return null===e&&Gr&&((e=t=Yr)&&(null!==(t=function(e,n,t){if(""===n)return null;for(;3!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!t)return null;if(null===(e=uf(e.nextSibling)))return null}return e}(t,n.pendingProps,Zr))?(n.stateNode=t,Kr=n,Yr=null,e=!0):e=!1),e||el(n)),null;case 13:return ai(e,n,t);case 4:return J(n,n.stateNode.containerInfo),r=n.pendingProps,null===e?n.child=wl(n,null,r,t):Wo(e,n,r,t),n.child;case 11:return Qo(e,n,n.type,n.pendingProps,t);case 7:return Wo(e,n,n.pendingProps,t),n.child;case 8:case 12:return Wo(e,n,n.pendingProps.children,t),n.child;case 10:return r=n.pendingProps,vi(n,n.type,r.value),Wo(e,n,r.children,t),n.child;case 9:return l=n.type._context,r=n.pendingProps.children,xi(n),r=r(l=Ci(l)),n.flags|=1,Wo(e,n,r,t),n.child;case 14:return qo(e,n,n.type,n.pendingProps,t);case 15:return Ko(e,n,n.type,n.pendingProps,t);case 19:return fi(e,n,t);case 22:return Yo(e,n,t);case 24:return xi(n),r=Ci(Ul),null===e?(null===(l=Yl())&&(l=ns,a=jl(),l.pooledCache=a,a.refCount++,null!==a&&(l.pooledCacheLanes|=t),l=a),n.memoizedState={parent:r,cache:l},Ni(n),vi(n,Ul,l)):(!!(e.lanes&t)&&(Ti(e,n),Mi(n,null,null,t),Di()),l=e.memoizedState,a=n.memoizedState,l.parent!==r?(l={parent:r,cache:r},n.memoizedState=l,0===n.lanes&&(n.memoizedState=n.updateQueue.baseState=l),vi(n,Ul,r)):(r=a.cache,vi(n,Ul,r),r!==l.cache&&wi(n,[Ul],t,!0))),Wo(e,n,n.pendingProps.children,t),n.child;case 29:throw n.pendingProps}throw Error(o(156,n.tag))}var hi=Q(null),gi=null,yi=null;function vi(e,n,t){K(hi,n._currentValue),n._currentValue=t}function bi(e){e._currentValue=hi.current,q(hi)}function ki(e,n,t){for(;null!==e;){var r=e.alternate;if((e.childLanes&n)!==n?(e.childLanes|=n,null!==r&&(r.childLanes|=n)):null!==r&&(r.childLanes&n)!==n&&(r.childLanes|=n),e===t)break;e=e.return}}function wi(e,n,t,r){var l=e.child;for(null!==l&&(l.return=e);null!==l;){var a=l.dependencies;if(null!==a){var i=l.child;a=a.firstContext;e:for(;null!==a;){var u=a;a=l;for(var s=0;s<n.length;s++)if(u.context===n[s]){a.lanes|=t,null!==(u=a.alternate)&&(u.lanes|=t),ki(a.return,t,e),r||(i=null);break e}a=u.next}}else if(18===l.tag){if(null===(i=l.return))throw Error(o(341));i.lanes|=t,null!==(a=i.alternate)&&(a.lanes|=t),ki(i,t,e),i=null}else i=l.child;if(null!==i)i.return=l;else for(i=l;null!==i;){if(i===e){i=null;break}if(null!==(l=i.sibling)){l.return=i.return,i=l;break}i=i.return}l=i}}function Si(e,n,t,r){e=null;for(var l=n,a=!1;null!==l;){if(!a)if(524288&l.flags)a=!0;else if(262144&l.flags)break;if(10===l.tag){var i=l.alternate;if(null===i)throw Error(o(387));if(null!==(i=i.memoizedProps)){var u=l.type;Kt(l.pendingProps.value,i.value)||(null!==e?e.push(u):e=[u])}}else if(l===Z.current){if(null===(i=l.alternate))throw Error(o(387));i.memoizedState.memoizedState!==l.memoizedState.memoizedState&&(null!==e?e.push(Mf):e=[Mf])}l=l.return}null!==e&&wi(n,e,t,r),n.flags|=262144}function Ei(e){for(e=e.firstContext;null!==e;){if(!Kt(e.context._currentValue,e.memoizedValue))return!0;e=e.next}return!1}function xi(e){gi=e,yi=null,null!==(e=e.dependencies)&&(e.firstContext=null)}function Ci(e){return Pi(gi,e)}function _i(e,n){return null===gi&&xi(e),Pi(e,n)}function Pi(e,n){var t=n._currentValue;if(n={context:n,memoizedValue:t,next:null},null===yi){if(null===e)throw Error(o(308));yi=n,e.dependencies={lanes:0,firstContext:n},e.flags|=524288}else yi=yi.next=n;return t}var zi=!1;function Ni(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function Ti(e,n){e=e.updateQueue,n.updateQueue===e&&(n.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,callbacks:null})}function Li(e){return{lane:e,tag:0,payload:null,callback:null,next:null}}function Oi(e,n,t){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,2&es){var l=r.pending;return null===l?n.next=n:(n.next=l.next,l.next=n),r.pending=n,n=Lr(e),Tr(e,null,t),n}return Pr(e,r,n,t),Lr(e)}function Ri(e,n,t){if(null!==(n=n.updateQueue)&&(n=n.shared,4194176&t)){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Ae(e,t)}}function Ai(e,n){var t=e.updateQueue,r=e.alternate;if(null!==r&&t===(r=r.updateQueue)){var l=null,a=null;if(null!==(t=t.firstBaseUpdate)){do{var o={lane:t.lane,tag:t.tag,payload:t.payload,callback:null,next:null};null===a?l=a=o:a=a.next=o,t=t.next}while(null!==t);null===a?l=a=n:a=a.next=n}else l=a=n;return t={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:a,shared:r.shared,callbacks:r.callbacks},void(e.updateQueue=t)}null===(e=t.lastBaseUpdate)?t.firstBaseUpdate=n:e.next=n,t.lastBaseUpdate=n}var Fi=!1;function Di(){if(Fi){if(null!==Wl)throw Wl}}function Mi(e,n,t,r){Fi=!1;var l=e.updateQueue;zi=!1;var a=l.firstBaseUpdate,o=l.lastBaseUpdate,i=l.shared.pending;if(null!==i){l.shared.pending=null;var u=i,s=u.next;u.next=null,null===o?a=s:o.next=s,o=u;var c=e.alternate;null!==c&&((i=(c=c.updateQueue).lastBaseUpdate)!==o&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u))}if(null!==a){var f=l.baseState;for(o=0,c=s=u=null,i=a;;){var d=-536870913&i.lane,p=d!==i.lane;if(p?(rs&d)===d:(r&d)===d){0!==d&&d===Bl&&(Fi=!0),null!==c&&(c=c.next={lane:0,tag:i.tag,payload:i.payload,callback:null,next:null});e:{var m=e,h=i;d=n;var g=t;switch(h.tag){case 1:if("function"==typeof(m=h.payload)){f=m.call(g,f,d);break e}f=m;break e;case 3:m.flags=-65537&m.flags|128;case 0:if(null==(d="function"==typeof(m=h.payload)?m.call(g,f,d):m))break e;f=L({},f,d);break e;case 2:zi=!0}}null!==(d=i.callback)&&(e.flags|=64,p&&(e.flags|=8192),null===(p=l.callbacks)?l.callbacks=[d]:p.push(d))}else p={lane:d,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=f):c=c.next=p,o|=d;if(null===(i=i.next)){if(null===(i=l.shared.pending))break;i=(p=i).next,p.next=null,l.lastBaseUpdate=p,l.shared.pending=null}}null===c&&(u=f),l.baseState=u,l.firstBaseUpdate=s,l.lastBaseUpdate=c,null===a&&(l.shared.lanes=0),fs|=o,e.lanes=o,e.memoizedState=f}}function Ii(e,n){if("function"!=typeof e)throw Error(o(191,e));e.call(n)}function Ui(e,n){var t=e.callbacks;if(null!==t)for(e.callbacks=null,e=0;e<t.length;e++)Ii(t[e],n)}function ji(e,n){try{var t=n.updateQueue,r=null!==t?t.lastEffect:null;if(null!==r){var l=r.next;t=l;do{if((t.tag&e)===e){r=void 0;var a=t.create,o=t.inst;r=a(),o.destroy=r}t=t.next}while(t!==l)}}catch(e){rc(n,n.return,e)}}function $i(e,n,t){try{var r=n.updateQueue,l=null!==r?r.lastEffect:null;if(null!==l){var a=l.next;r=a;do{if((r.tag&e)===e){var o=r.inst,i=o.destroy;if(void 0!==i){o.destroy=void 0,l=n;var u=t;try{i()}catch(e){rc(l,u,e)}}}r=r.next}while(r!==a)}}catch(e){rc(n,n.return,e)}}function Hi(e){var n=e.updateQueue;if(null!==n){var t=e.stateNode;try{Ui(n,t)}catch(n){rc(e,e.return,n)}}}function Vi(e,n,t){t.props=Ro(e.type,e.memoizedProps),t.state=e.memoizedState;try{t.componentWillUnmount()}catch(t){rc(e,n,t)}}function Bi(e,n){try{var t=e.ref;if(null!==t){var r=e.stateNode;switch(e.tag){case 26:case 27:case 5:var l=r;break;default:l=r}"function"==typeof t?e.refCleanup=t(l):t.current=l}}catch(t){rc(e,n,t)}}function Wi(e,n){var t=e.ref,r=e.refCleanup;if(null!==t)if("function"==typeof r)try{r()}catch(t){rc(e,n,t)}finally{e.refCleanup=null,null!=(e=e.alternate)&&(e.refCleanup=null)}else if("function"==typeof t)try{t(null)}catch(t){rc(e,n,t)}else t.current=null}function Qi(e){var n=e.type,t=e.memoizedProps,r=e.stateNode;try{e:switch(n){case"button":case"input":case"select":case"textarea":t.autoFocus&&r.focus();break e;case"img":t.src?r.src=t.src:t.srcSet&&(r.srcset=t.srcSet)}}catch(n){rc(e,e.return,n)}}function qi(e,n,t){try{var r=e.stateNode;!function(e,n,t,r){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var l=null,a=null,i=null,u=null,s=null,c=null,f=null;for(m in t){var d=t[m];if(t.hasOwnProperty(m)&&null!=d)switch(m){case"checked":case"value":break;case"defaultValue":s=d;default:r.hasOwnProperty(m)||Bc(e,n,m,null,r,d)}}for(var p in r){var m=r[p];if(d=t[p],r.hasOwnProperty(p)&&(null!=m||null!=d))switch(p){case"type":a=m;break;case"name":l=m;break;case"checked":c=m;break;case"defaultChecked":f=m;break;case"value":i=m;break;case"defaultValue":u=m;break;case"children":case"dangerouslySetInnerHTML":if(null!=m)throw Error(o(137,n));break;default:m!==d&&Bc(e,n,p,m,r,d)}}return void yn(e,i,u,s,c,f,a,l);case"select":for(a in m=i=u=p=null,t)if(s=t[a],t.hasOwnProperty(a)&&null!=s)switch(a){case"value":break;case"multiple":m=s;default:r.hasOwnProperty(a)||Bc(e,n,a,null,r,s)}for(l in r)if(a=r[l],s=t[l],r.hasOwnProperty(l)&&(null!=a||null!=s))switch(l){case"value":p=a;break;case"defaultValue":u=a;break;case"multiple":i=a;default:a!==s&&Bc(e,n,l,a,r,s)}return n=u,t=i,r=m,void(null!=p?kn(e,!!t,p,!1):!!r!=!!t&&(null!=n?kn(e,!!t,n,!0):kn(e,!!t,t?[]:"",!1)));case"textarea":for(u in m=p=null,t)if(l=t[u],t.hasOwnProperty(u)&&null!=l&&!r.hasOwnProperty(u))switch(u){case"value":case"children":break;default:Bc(e,n,u,null,r,l)}for(i in r)if(l=r[i],a=t[i],r.hasOwnProperty(i)&&(null!=l||null!=a))switch(i){case"value":p=l;break;case"defaultValue":m=l;break;case"children":break;case"dangerouslySetInnerHTML":if(null!=l)throw Error(o(91));break;default:l!==a&&Bc(e,n,i,l,r,a)}return void wn(e,p,m);case"option":for(var h in t)if(p=t[h],t.hasOwnProperty(h)&&null!=p&&!r.hasOwnProperty(h))if("selected"===h)e.selected=!1;else Bc(e,n,h,null,r,p);for(s in r)if(p=r[s],m=t[s],r.hasOwnProperty(s)&&p!==m&&(null!=p||null!=m))if("selected"===s)e.selected=p&&"function"!=typeof p&&"symbol"!=typeof p;else Bc(e,n,s,p,r,m);return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var g in t)p=t[g],t.hasOwnProperty(g)&&null!=p&&!r.hasOwnProperty(g)&&Bc(e,n,g,null,r,p);for(c in r)if(p=r[c],m=t[c],r.hasOwnProperty(c)&&p!==m&&(null!=p||null!=m))switch(c){case"children":case"dangerouslySetInnerHTML":if(null!=p)throw Error(o(137,n));break;default:Bc(e,n,c,p,r,m)}return;default:if(Pn(n)){for(var y in t)p=t[y],t.hasOwnProperty(y)&&void 0!==p&&!r.hasOwnProperty(y)&&Wc(e,n,y,void 0,r,p);for(f in r)p=r[f],m=t[f],!r.hasOwnProperty(f)||p===m||void 0===p&&void 0===m||Wc(e,n,f,p,r,m);return}}for(var v in t)p=t[v],t.hasOwnProperty(v)&&null!=p&&!r.hasOwnProperty(v)&&Bc(e,n,v,null,r,p);for(d in r)p=r[d],m=t[d],!r.hasOwnProperty(d)||p===m||null==p&&null==m||Bc(e,n,d,p,r,m)}(r,e.type,t,n),r[Ue]=n}catch(n){rc(e,e.return,n)}}function Ki(e){return 5===e.tag||3===e.tag||26===e.tag||27===e.tag||4===e.tag}function Yi(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||Ki(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&27!==e.tag&&18!==e.tag;){if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function Gi(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?8===t.nodeType?t.parentNode.insertBefore(e,n):t.insertBefore(e,n):(8===t.nodeType?(n=t.parentNode).insertBefore(e,t):(n=t).appendChild(e),null!=(t=t._reactRootContainer)||null!==n.onclick||(n.onclick=Vc));else if(4!==r&&27!==r&&null!==(e=e.child))for(Gi(e,n,t),e=e.sibling;null!==e;)Gi(e,n,t),e=e.sibling}function Xi(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?t.insertBefore(e,n):t.appendChild(e);else if(4!==r&&27!==r&&null!==(e=e.child))for(Xi(e,n,t),e=e.sibling;null!==e;)Xi(e,n,t),e=e.sibling}var Zi=!1,Ji=!1,eu=!1,nu="function"==typeof WeakSet?WeakSet:Set,tu=null,ru=!1;function lu(e,n,t){var r=t.flags;switch(t.tag){case 0:case 11:case 15:yu(e,t),4&r&&ji(5,t);break;case 1:if(yu(e,t),4&r)if(e=t.stateNode,null===n)try{e.componentDidMount()}catch(e){rc(t,t.return,e)}else{var l=Ro(t.type,n.memoizedProps);n=n.memoizedState;try{e.componentDidUpdate(l,n,e.__reactInternalSnapshotBeforeUpdate)}catch(e){rc(t,t.return,e)}}64&r&&Hi(t),512&r&&Bi(t,t.return);break;case 3:if(yu(e,t),64&r&&null!==(r=t.updateQueue)){if(e=null,null!==t.child)switch(t.child.tag){case 27:case 5:case 1:e=t.child.stateNode}try{Ui(r,e)}catch(e){rc(t,t.return,e)}}break;case 26:yu(e,t),512&r&&Bi(t,t.return);break;case 27:case 5:yu(e,t),null===n&&4&r&&Qi(t),512&r&&Bi(t,t.return);break;case 12:default:yu(e,t);break;case 13:yu(e,t),4&r&&cu(e,t);break;case 22:if(!(l=null!==t.memoizedState||Zi)){n=null!==n&&null!==n.memoizedState||Ji;var a=Zi,o=Ji;Zi=l,(Ji=n)&&!o?bu(e,t,!!(8772&t.subtreeFlags)):yu(e,t),Zi=a,Ji=o}512&r&&("manual"===t.memoizedProps.mode?Bi(t,t.return):Wi(t,t.return))}}function au(e){var n=e.alternate;null!==n&&(e.alternate=null,au(n)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(n=e.stateNode)&&Qe(n)),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}var ou=null,iu=!1;function uu(e,n,t){for(t=t.child;null!==t;)su(e,n,t),t=t.sibling}function su(e,n,t){if(ve&&"function"==typeof ve.onCommitFiberUnmount)try{ve.onCommitFiberUnmount(ye,t)}catch(e){}switch(t.tag){case 26:Ji||Wi(t,n),uu(e,n,t),t.memoizedState?t.memoizedState.count--:t.stateNode&&(t=t.stateNode).parentNode.removeChild(t);break;case 27:Ji||Wi(t,n);var r=ou,l=iu;for(ou=t.stateNode,uu(e,n,t),n=(t=t.stateNode).attributes;n.length;)t.removeAttributeNode(n[0]);Qe(t),ou=r,iu=l;break;case 5:Ji||Wi(t,n);case 6:l=ou;var a=iu;if(ou=null,uu(e,n,t),iu=a,null!==(ou=l))if(iu)try{e=ou,r=t.stateNode,8===e.nodeType?e.parentNode.removeChild(r):e.removeChild(r)}catch(e){rc(t,n,e)}else try{ou.removeChild(t.stateNode)}catch(e){rc(t,n,e)}break;case 18:null!==ou&&(iu?(n=ou,t=t.stateNode,8===n.nodeType?af(n.parentNode,t):1===n.nodeType&&af(n,t),gd(n)):af(ou,t.stateNode));break;case 4:r=ou,l=iu,ou=t.stateNode.containerInfo,iu=!0,uu(e,n,t),ou=r,iu=l;break;case 0:case 11:case 14:case 15:Ji||$i(2,t,n),Ji||$i(4,t,n),uu(e,n,t);break;case 1:Ji||(Wi(t,n),"function"==typeof(r=t.stateNode).componentWillUnmount&&Vi(t,n,r)),uu(e,n,t);break;case 21:uu(e,n,t);break;case 22:Ji||Wi(t,n),Ji=(r=Ji)||null!==t.memoizedState,uu(e,n,t),Ji=r;break;default:uu(e,n,t)}}function cu(e,n){if(null===n.memoizedState&&(null!==(e=n.alternate)&&(null!==(e=e.memoizedState)&&null!==(e=e.dehydrated))))try{gd(e)}catch(e){rc(n,n.return,e)}}function fu(e,n){var t=function(e){switch(e.tag){case 13:case 19:var n=e.stateNode;return null===n&&(n=e.stateNode=new nu),n;case 22:return null===(n=(e=e.stateNode)._retryCache)&&(n=e._retryCache=new nu),n;default:throw Error(o(435,e.tag))}}(e);n.forEach((function(n){var r=uc.bind(null,e,n);t.has(n)||(t.add(n),n.then(r,r))}))}function du(e,n){var t=n.deletions;if(null!==t)for(var r=0;r<t.length;r++){var l=t[r],a=e,i=n,u=i;e:for(;null!==u;){switch(u.tag){case 27:case 5:ou=u.stateNode,iu=!1;break e;case 3:case 4:ou=u.stateNode.containerInfo,iu=!0;break e}u=u.return}if(null===ou)throw Error(o(160));su(a,i,l),ou=null,iu=!1,null!==(a=l.alternate)&&(a.return=null),l.return=null}if(13878&n.subtreeFlags)for(n=n.child;null!==n;)mu(n,e),n=n.sibling}var pu=null;function mu(e,n){var t=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:du(n,e),hu(e),4&r&&($i(3,e,e.return),ji(3,e),$i(5,e,e.return));break;case 1:du(n,e),hu(e),512&r&&(Ji||null===t||Wi(t,t.return)),64&r&&Zi&&(null!==(e=e.updateQueue)&&(null!==(r=e.callbacks)&&(t=e.shared.hiddenCallbacks,e.shared.hiddenCallbacks=null===t?r:t.concat(r))));break;case 26:var l=pu;if(du(n,e),hu(e),512&r&&(Ji||null===t||Wi(t,t.return)),4&r){var a=null!==t?t.memoizedState:null;if(r=e.memoizedState,null===t)if(null===r)if(null===e.stateNode){e:{r=e.type,t=e.memoizedProps,l=l.ownerDocument||l;n:switch(r){case"title":(!(a=l.getElementsByTagName("title")[0])||a[We]||a[Ie]||"http://www.w3.org/2000/svg"===a.namespaceURI||a.hasAttribute("itemprop"))&&(a=l.createElement(r),l.head.insertBefore(a,l.querySelector("head > title"))),Qc(a,r,t),a[Ie]=e,Xe(a),r=a;break e;case"link":var i=zf("link","href",l).get(r+(t.href||""));if(i)for(var u=0;u<i.length;u++)if((a=i[u]).getAttribute("href")===(null==t.href?null:t.href)&&a.getAttribute("rel")===(null==t.rel?null:t.rel)&&a.getAttribute("title")===(null==t.title?null:t.title)&&a.getAttribute("crossorigin")===(null==t.crossOrigin?null:t.crossOrigin)){i.splice(u,1);break n}Qc(a=l.createElement(r),r,t),l.head.appendChild(a);break;case"meta":if(i=zf("meta","content",l).get(r+(t.content||"")))for(u=0;u<i.length;u++)if((a=i[u]).getAttribute("content")===(null==t.content?null:""+t.content)&&a.getAttribute("name")===(null==t.name?null:t.name)&&a.getAttribute("property")===(null==t.property?null:t.property)&&a.getAttribute("http-equiv")===(null==t.httpEquiv?null:t.httpEquiv)&&a.getAttribute("charset")===(null==t.charSet?null:t.charSet)){i.splice(u,1);break n}Qc(a=l.createElement(r),r,t),l.head.appendChild(a);break;default:throw Error(o(468,r))}a[Ie]=e,Xe(a),r=a}e.stateNode=r}else Nf(l,e.type,e.stateNode);else e.stateNode=Ef(l,r,e.memoizedProps);else a!==r?(null===a?null!==t.stateNode&&(t=t.stateNode).parentNode.removeChild(t):a.count--,null===r?Nf(l,e.type,e.stateNode):Ef(l,r,e.memoizedProps)):null===r&&null!==e.stateNode&&qi(e,e.memoizedProps,t.memoizedProps)}break;case 27:if(4&r&&null===e.alternate){l=e.stateNode,a=e.memoizedProps;try{for(var s=l.firstChild;s;){var c=s.nextSibling,f=s.nodeName;s[We]||"HEAD"===f||"BODY"===f||"SCRIPT"===f||"STYLE"===f||"LINK"===f&&"stylesheet"===s.rel.toLowerCase()||l.removeChild(s),s=c}for(var d=e.type,p=l.attributes;p.length;)l.removeAttributeNode(p[0]);Qc(l,d,a),l[Ie]=e,l[Ue]=a}catch(n){rc(e,e.return,n)}}case 5:if(du(n,e),hu(e),512&r&&(Ji||null===t||Wi(t,t.return)),32&e.flags){l=e.stateNode;try{En(l,"")}catch(n){rc(e,e.return,n)}}4&r&&null!=e.stateNode&&qi(e,l=e.memoizedProps,null!==t?t.memoizedProps:l),1024&r&&(eu=!0);break;case 6:if(du(n,e),hu(e),4&r){if(null===e.stateNode)throw Error(o(162));r=e.memoizedProps,t=e.stateNode;try{t.nodeValue=r}catch(n){rc(e,e.return,n)}}break;case 3:if(Pf=null,l=pu,pu=pf(n.containerInfo),du(n,e),pu=l,hu(e),4&r&&null!==t&&t.memoizedState.isDehydrated)try{gd(n.containerInfo)}catch(n){rc(e,e.return,n)}eu&&(eu=!1,gu(e));break;case 4:r=pu,pu=pf(e.stateNode.containerInfo),du(n,e),hu(e),pu=r;break;case 12:du(n,e),hu(e);break;case 13:du(n,e),hu(e),8192&e.child.flags&&null!==e.memoizedState!=(null!==t&&null!==t.memoizedState)&&(bs=ue()),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,fu(e,r)));break;case 22:if(512&r&&(Ji||null===t||Wi(t,t.return)),s=null!==e.memoizedState,c=null!==t&&null!==t.memoizedState,Zi=(f=Zi)||s,Ji=(d=Ji)||c,du(n,e),Ji=d,Zi=f,hu(e),(n=e.stateNode)._current=e,n._visibility&=-3,n._visibility|=2&n._pendingVisibility,8192&r&&(n._visibility=s?-2&n._visibility:1|n._visibility,s&&(n=Zi||Ji,null===t||c||n||vu(e)),null===e.memoizedProps||"manual"!==e.memoizedProps.mode))e:for(t=null,n=e;;){if(5===n.tag||26===n.tag||27===n.tag){if(null===t){c=t=n;try{if(l=c.stateNode,s)"function"==typeof(a=l.style).setProperty?a.setProperty("display","none","important"):a.display="none";else{i=c.stateNode;var m=null!=(u=c.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null;i.style.display=null==m||"boolean"==typeof m?"":(""+m).trim()}}catch(e){rc(c,c.return,e)}}}else if(6===n.tag){if(null===t){c=n;try{c.stateNode.nodeValue=s?"":c.memoizedProps}catch(e){rc(c,c.return,e)}}}else if((22!==n.tag&&23!==n.tag||null===n.memoizedState||n===e)&&null!==n.child){n.child.return=n,n=n.child;continue}if(n===e)break e;for(;null===n.sibling;){if(null===n.return||n.return===e)break e;t===n&&(t=null),n=n.return}t===n&&(t=null),n.sibling.return=n.return,n=n.sibling}4&r&&(null!==(r=e.updateQueue)&&(null!==(t=r.retryQueue)&&(r.retryQueue=null,fu(e,t))));break;case 19:du(n,e),hu(e),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,fu(e,r)));break;case 21:break;default:du(n,e),hu(e)}}function hu(e){var n=e.flags;if(2&n){try{if(27!==e.tag){e:{for(var t=e.return;null!==t;){if(Ki(t)){var r=t;break e}t=t.return}throw Error(o(160))}switch(r.tag){case 27:var l=r.stateNode;Xi(e,Yi(e),l);break;case 5:var a=r.stateNode;32&r.flags&&(En(a,""),r.flags&=-33),Xi(e,Yi(e),a);break;case 3:case 4:var i=r.stateNode.containerInfo;Gi(e,Yi(e),i);break;default:throw Error(o(161))}}}catch(n){rc(e,e.return,n)}e.flags&=-3}4096&n&&(e.flags&=-4097)}function gu(e){if(1024&e.subtreeFlags)for(e=e.child;null!==e;){var n=e;gu(n),5===n.tag&&1024&n.flags&&n.stateNode.reset(),e=e.sibling}}function yu(e,n){if(8772&n.subtreeFlags)for(n=n.child;null!==n;)lu(e,n.alternate,n),n=n.sibling}function vu(e){for(e=e.child;null!==e;){var n=e;switch(n.tag){case 0:case 11:case 14:case 15:$i(4,n,n.return),vu(n);break;case 1:Wi(n,n.return);var t=n.stateNode;"function"==typeof t.componentWillUnmount&&Vi(n,n.return,t),vu(n);break;case 26:case 27:case 5:Wi(n,n.return),vu(n);break;case 22:Wi(n,n.return),null===n.memoizedState&&vu(n);break;default:vu(n)}e=e.sibling}}function bu(e,n,t){for(t=t&&!!(8772&n.subtreeFlags),n=n.child;null!==n;){var r=n.alternate,l=e,a=n,o=a.flags;switch(a.tag){case 0:case 11:case 15:bu(l,a,t),ji(4,a);break;case 1:if(bu(l,a,t),"function"==typeof(l=(r=a).stateNode).componentDidMount)try{l.componentDidMount()}catch(e){rc(r,r.return,e)}if(null!==(l=(r=a).updateQueue)){var i=r.stateNode;try{var u=l.shared.hiddenCallbacks;if(null!==u)for(l.shared.hiddenCallbacks=null,l=0;l<u.length;l++)Ii(u[l],i)}catch(e){rc(r,r.return,e)}}t&&64&o&&Hi(a),Bi(a,a.return);break;case 26:case 27:case 5:bu(l,a,t),t&&null===r&&4&o&&Qi(a),Bi(a,a.return);break;case 12:default:bu(l,a,t);break;case 13:bu(l,a,t),t&&4&o&&cu(l,a);break;case 22:null===a.memoizedState&&bu(l,a,t),Bi(a,a.return)}n=n.sibling}}function ku(e,n){var t=null;null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),e=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(e=n.memoizedState.cachePool.pool),e!==t&&(null!=e&&e.refCount++,null!=t&&$l(t))}function wu(e,n){e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&$l(e))}function Su(e,n,t,r){if(10256&n.subtreeFlags)for(n=n.child;null!==n;)Eu(e,n,t,r),n=n.sibling}function Eu(e,n,t,r){var l=n.flags;switch(n.tag){case 0:case 11:case 15:Su(e,n,t,r),2048&l&&ji(9,n);break;case 3:Su(e,n,t,r),2048&l&&(e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&$l(e)));break;case 12:if(2048&l){Su(e,n,t,r),e=n.stateNode;try{var a=n.memoizedProps,o=a.id,i=a.onPostCommit;"function"==typeof i&&i(o,null===n.alternate?"mount":"update",e.passiveEffectDuration,-0)}catch(e){rc(n,n.return,e)}}else Su(e,n,t,r);break;case 23:break;case 22:a=n.stateNode,null!==n.memoizedState?4&a._visibility?Su(e,n,t,r):Cu(e,n):4&a._visibility?Su(e,n,t,r):(a._visibility|=4,xu(e,n,t,r,!!(10256&n.subtreeFlags))),2048&l&&ku(n.alternate,n);break;case 24:Su(e,n,t,r),2048&l&&wu(n.alternate,n);break;default:Su(e,n,t,r)}}function xu(e,n,t,r,l){for(l=l&&!!(10256&n.subtreeFlags),n=n.child;null!==n;){var a=e,o=n,i=t,u=r,s=o.flags;switch(o.tag){case 0:case 11:case 15:xu(a,o,i,u,l),ji(8,o);break;case 23:break;case 22:var c=o.stateNode;null!==o.memoizedState?4&c._visibility?xu(a,o,i,u,l):Cu(a,o):(c._visibility|=4,xu(a,o,i,u,l)),l&&2048&s&&ku(o.alternate,o);break;case 24:xu(a,o,i,u,l),l&&2048&s&&wu(o.alternate,o);break;default:xu(a,o,i,u,l)}n=n.sibling}}function Cu(e,n){if(10256&n.subtreeFlags)for(n=n.child;null!==n;){var t=e,r=n,l=r.flags;switch(r.tag){case 22:Cu(t,r),2048&l&&ku(r.alternate,r);break;case 24:Cu(t,r),2048&l&&wu(r.alternate,r);break;default:Cu(t,r)}n=n.sibling}}var _u=8192;function Pu(e){if(e.subtreeFlags&_u)for(e=e.child;null!==e;)zu(e),e=e.sibling}function zu(e){switch(e.tag){case 26:Pu(e),e.flags&_u&&null!==e.memoizedState&&function(e,n,t){if(null===Lf)throw Error(o(475));var r=Lf;if(!("stylesheet"!==n.type||"string"==typeof t.media&&!1===matchMedia(t.media).matches||4&n.state.loading)){if(null===n.instance){var l=vf(t.href),a=e.querySelector(bf(l));if(a)return null!==(e=a._p)&&"object"==typeof e&&"function"==typeof e.then&&(r.count++,r=Rf.bind(r),e.then(r,r)),n.state.loading|=4,n.instance=a,void Xe(a);a=e.ownerDocument||e,t=kf(t),(l=ff.get(l))&&Cf(t,l),Xe(a=a.createElement("link"));var i=a;i._p=new Promise((function(e,n){i.onload=e,i.onerror=n})),Qc(a,"link",t),n.instance=a}null===r.stylesheets&&(r.stylesheets=new Map),r.stylesheets.set(n,e),(e=n.state.preload)&&!(3&n.state.loading)&&(r.count++,n=Rf.bind(r),e.addEventListener("load",n),e.addEventListener("error",n))}}(pu,e.memoizedState,e.memoizedProps);break;case 5:default:Pu(e);break;case 3:case 4:var n=pu;pu=pf(e.stateNode.containerInfo),Pu(e),pu=n;break;case 22:null===e.memoizedState&&(null!==(n=e.alternate)&&null!==n.memoizedState?(n=_u,_u=16777216,Pu(e),_u=n):Pu(e))}}function Nu(e){var n=e.alternate;if(null!==n&&null!==(e=n.child)){n.child=null;do{n=e.sibling,e.sibling=null,e=n}while(null!==e)}}function Tu(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];tu=r,Ru(r,e)}Nu(e)}if(10256&e.subtreeFlags)for(e=e.child;null!==e;)Lu(e),e=e.sibling}function Lu(e){switch(e.tag){case 0:case 11:case 15:Tu(e),2048&e.flags&&$i(9,e,e.return);break;case 3:case 12:default:Tu(e);break;case 22:var n=e.stateNode;null!==e.memoizedState&&4&n._visibility&&(null===e.return||13!==e.return.tag)?(n._visibility&=-5,Ou(e)):Tu(e)}}function Ou(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];tu=r,Ru(r,e)}Nu(e)}for(e=e.child;null!==e;){switch((n=e).tag){case 0:case 11:case 15:$i(8,n,n.return),Ou(n);break;case 22:4&(t=n.stateNode)._visibility&&(t._visibility&=-5,Ou(n));break;default:Ou(n)}e=e.sibling}}function Ru(e,n){for(;null!==tu;){var t=tu;switch(t.tag){case 0:case 11:case 15:$i(8,t,n);break;case 23:case 22:if(null!==t.memoizedState&&null!==t.memoizedState.cachePool){var r=t.memoizedState.cachePool.pool;null!=r&&r.refCount++}break;case 24:$l(t.memoizedState.cache)}if(null!==(r=t.child))r.return=t,tu=r;else e:for(t=e;null!==tu;){var l=(r=tu).sibling,a=r.return;if(au(r),r===t){tu=null;break e}if(null!==l){l.return=a,tu=l;break e}tu=a}}}function Au(e,n,t,r){this.tag=e,this.key=t,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=n,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Fu(e,n,t,r){return new Au(e,n,t,r)}function Du(e){return!(!(e=e.prototype)||!e.isReactComponent)}function Mu(e,n){var t=e.alternate;return null===t?((t=Fu(e.tag,n,e.key,e.mode)).elementType=e.elementType,t.type=e.type,t.stateNode=e.stateNode,t.alternate=e,e.alternate=t):(t.pendingProps=n,t.type=e.type,t.flags=0,t.subtreeFlags=0,t.deletions=null),t.flags=31457280&e.flags,t.childLanes=e.childLanes,t.lanes=e.lanes,t.child=e.child,t.memoizedProps=e.memoizedProps,t.memoizedState=e.memoizedState,t.updateQueue=e.updateQueue,n=e.dependencies,t.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext},t.sibling=e.sibling,t.index=e.index,t.ref=e.ref,t.refCleanup=e.refCleanup,t}function Iu(e,n){e.flags&=31457282;var t=e.alternate;return null===t?(e.childLanes=0,e.lanes=n,e.child=null,e.subtreeFlags=0,e.memoizedProps=null,e.memoizedState=null,e.updateQueue=null,e.dependencies=null,e.stateNode=null):(e.childLanes=t.childLanes,e.lanes=t.lanes,e.child=t.child,e.subtreeFlags=0,e.deletions=null,e.memoizedProps=t.memoizedProps,e.memoizedState=t.memoizedState,e.updateQueue=t.updateQueue,e.type=t.type,n=t.dependencies,e.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext}),e}function Uu(e,n,t,r,l,a){var i=0;if(r=e,"function"==typeof e)Du(e)&&(i=1);else if("string"==typeof e)i=function(e,n,t){if(1===t||null!=n.itemProp)return!1;switch(e){case"meta":case"title":return!0;case"style":if("string"!=typeof n.precedence||"string"!=typeof n.href||""===n.href)break;return!0;case"link":if("string"!=typeof n.rel||"string"!=typeof n.href||""===n.href||n.onLoad||n.onError)break;return"stylesheet"!==n.rel||(e=n.disabled,"string"==typeof n.precedence&&null==e);case"script":if(n.async&&"function"!=typeof n.async&&"symbol"!=typeof n.async&&!n.onLoad&&!n.onError&&n.src&&"string"==typeof n.src)return!0}return!1}(e,t,Y.current)?26:"html"===e||"head"===e||"body"===e?27:5;else e:switch(e){case f:return ju(t.children,l,a,n);case d:i=8,l|=24;break;case p:return(e=Fu(12,t,n,2|l)).elementType=p,e.lanes=a,e;case v:return(e=Fu(13,t,n,l)).elementType=v,e.lanes=a,e;case b:return(e=Fu(19,t,n,l)).elementType=b,e.lanes=a,e;case S:return $u(t,l,a,n);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case m:case g:i=10;break e;case h:i=9;break e;case y:i=11;break e;case k:i=14;break e;case w:i=16,r=null;break e}i=29,t=Error(o(130,null===e?"null":typeof e,"")),r=null}return(n=Fu(i,t,n,l)).elementType=e,n.type=r,n.lanes=a,n}function ju(e,n,t,r){return(e=Fu(7,e,r,n)).lanes=t,e}function $u(e,n,t,r){(e=Fu(22,e,r,n)).elementType=S,e.lanes=t;var l={_visibility:1,_pendingVisibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null,_current:null,detach:function(){var e=l._current;if(null===e)throw Error(o(456));if(!(2&l._pendingVisibility)){var n=Nr(e,2);null!==n&&(l._pendingVisibility|=2,Os(n,e,2))}},attach:function(){var e=l._current;if(null===e)throw Error(o(456));if(2&l._pendingVisibility){var n=Nr(e,2);null!==n&&(l._pendingVisibility&=-3,Os(n,e,2))}}};return e.stateNode=l,e}function Hu(e,n,t){return(e=Fu(6,e,null,n)).lanes=t,e}function Vu(e,n,t){return(n=Fu(4,null!==e.children?e.children:[],e.key,n)).lanes=t,n.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},n}function Bu(e){e.flags|=4}function Wu(e,n){if("stylesheet"!==n.type||4&n.state.loading)e.flags&=-16777217;else if(e.flags|=16777216,!Tf(n)){if(null!==(n=zl.current)&&((4194176&rs)===rs?null!==Nl:(62914560&rs)!==rs&&!(536870912&rs)||n!==Nl))throw dl=ul,il;e.flags|=8192}}function Qu(e,n){null!==n&&(e.flags|=4),16384&e.flags&&(n=22!==e.tag?Te():536870912,e.lanes|=n,hs|=n)}function qu(e,n){if(!Gr)switch(e.tailMode){case"hidden":n=e.tail;for(var t=null;null!==n;)null!==n.alternate&&(t=n),n=n.sibling;null===t?e.tail=null:t.sibling=null;break;case"collapsed":t=e.tail;for(var r=null;null!==t;)null!==t.alternate&&(r=t),t=t.sibling;null===r?n||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function Ku(e){var n=null!==e.alternate&&e.alternate.child===e.child,t=0,r=0;if(n)for(var l=e.child;null!==l;)t|=l.lanes|l.childLanes,r|=31457280&l.subtreeFlags,r|=31457280&l.flags,l.return=e,l=l.sibling;else for(l=e.child;null!==l;)t|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=t,n}function Yu(e,n,t){var r=n.pendingProps;switch(qr(n),n.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:case 1:return Ku(n),null;case 3:return t=n.stateNode,r=null,null!==e&&(r=e.memoizedState.cache),n.memoizedState.cache!==r&&(n.flags|=2048),bi(Ul),ee(),t.pendingContext&&(t.context=t.pendingContext,t.pendingContext=null),null!==e&&null!==e.child||(rl(n)?Bu(n):null===e||e.memoizedState.isDehydrated&&!(256&n.flags)||(n.flags|=1024,null!==Xr&&(As(Xr),Xr=null))),Ku(n),null;case 26:return t=n.memoizedState,null===e?(Bu(n),null!==t?(Ku(n),Wu(n,t)):(Ku(n),n.flags&=-16777217)):t?t!==e.memoizedState?(Bu(n),Ku(n),Wu(n,t)):(Ku(n),n.flags&=-16777217):(e.memoizedProps!==r&&Bu(n),Ku(n),n.flags&=-16777217),null;case 27:te(n),t=X.current;var l=n.type;if(null!==e&&null!=n.stateNode)e.memoizedProps!==r&&Bu(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return Ku(n),null}e=Y.current,rl(n)?nl(n):(e=cf(l,r,t),n.stateNode=e,Bu(n))}return Ku(n),null;case 5:if(te(n),t=n.type,null!==e&&null!=n.stateNode)e.memoizedProps!==r&&Bu(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return Ku(n),null}if(e=Y.current,rl(n))nl(n);else{switch(l=Yc(X.current),e){case 1:e=l.createElementNS("http://www.w3.org/2000/svg",t);break;case 2:e=l.createElementNS("http://www.w3.org/1998/Math/MathML",t);break;default:switch(t){case"svg":e=l.createElementNS("http://www.w3.org/2000/svg",t);break;case"math":e=l.createElementNS("http://www.w3.org/1998/Math/MathML",t);break;case"script":(e=l.createElement("div")).innerHTML="<script><\/script>",e=e.removeChild(e.firstChild);break;case"select":e="string"==typeof r.is?l.createElement("select",{is:r.is}):l.createElement("select"),r.multiple?e.multiple=!0:r.size&&(e.size=r.size);break;default:e="string"==typeof r.is?l.createElement(t,{is:r.is}):l.createElement(t)}}e[Ie]=n,e[Ue]=r;e:for(l=n.child;null!==l;){if(5===l.tag||6===l.tag)e.appendChild(l.stateNode);else if(4!==l.tag&&27!==l.tag&&null!==l.child){l.child.return=l,l=l.child;continue}if(l===n)break e;for(;null===l.sibling;){if(null===l.return||l.return===n)break e;l=l.return}l.sibling.return=l.return,l=l.sibling}n.stateNode=e;e:switch(Qc(e,t,r),t){case"button":case"input":case"select":case"textarea":e=!!r.autoFocus;break e;case"img":e=!0;break e;default:e=!1}e&&Bu(n)}}return Ku(n),n.flags&=-16777217,null;case 6:if(e&&null!=n.stateNode)e.memoizedProps!==r&&Bu(n);else{if("string"!=typeof r&&null===n.stateNode)throw Error(o(166));if(e=X.current,rl(n)){if(e=n.stateNode,t=n.memoizedProps,r=null,null!==(l=Kr))switch(l.tag){case 27:case 5:r=l.memoizedProps}e[Ie]=n,(e=!!(e.nodeValue===t||null!==r&&!0===r.suppressHydrationWarning||Hc(e.nodeValue,t)))||el(n)}else(e=Yc(e).createTextNode(r))[Ie]=n,n.stateNode=e}return Ku(n),null;case 13:if(r=n.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(l=rl(n),null!==r&&null!==r.dehydrated){if(null===e){if(!l)throw Error(o(318));if(!(l=null!==(l=n.memoizedState)?l.dehydrated:null))throw Error(o(317));l[Ie]=n}else ll(),!(128&n.flags)&&(n.memoizedState=null),n.flags|=4;Ku(n),l=!1}else null!==Xr&&(As(Xr),Xr=null),l=!0;if(!l)return 256&n.flags?(Rl(n),n):(Rl(n),null)}if(Rl(n),128&n.flags)return n.lanes=t,n;if(t=null!==r,e=null!==e&&null!==e.memoizedState,t){l=null,null!==(r=n.child).alternate&&null!==r.alternate.memoizedState&&null!==r.alternate.memoizedState.cachePool&&(l=r.alternate.memoizedState.cachePool.pool);var a=null;null!==r.memoizedState&&null!==r.memoizedState.cachePool&&(a=r.memoizedState.cachePool.pool),a!==l&&(r.flags|=2048)}return t!==e&&t&&(n.child.flags|=8192),Qu(n,n.updateQueue),Ku(n),null;case 4:return ee(),null===e&&Oc(n.stateNode.containerInfo),Ku(n),null;case 10:return bi(n.type),Ku(n),null;case 19:if(q(Al),null===(l=n.memoizedState))return Ku(n),null;if(r=!!(128&n.flags),null===(a=l.rendering))if(r)qu(l,!1);else{if(0!==cs||null!==e&&128&e.flags)for(e=n.child;null!==e;){if(null!==(a=Fl(e))){for(n.flags|=128,qu(l,!1),e=a.updateQueue,n.updateQueue=e,Qu(n,e),n.subtreeFlags=0,e=t,t=n.child;null!==t;)Iu(t,e),t=t.sibling;return K(Al,1&Al.current|2),n.child}e=e.sibling}null!==l.tail&&ue()>ks&&(n.flags|=128,r=!0,qu(l,!1),n.lanes=4194304)}else{if(!r)if(null!==(e=Fl(a))){if(n.flags|=128,r=!0,e=e.updateQueue,n.updateQueue=e,Qu(n,e),qu(l,!0),null===l.tail&&"hidden"===l.tailMode&&!a.alternate&&!Gr)return Ku(n),null}else 2*ue()-l.renderingStartTime>ks&&536870912!==t&&(n.flags|=128,r=!0,qu(l,!1),n.lanes=4194304);l.isBackwards?(a.sibling=n.child,n.child=a):(null!==(e=l.last)?e.sibling=a:n.child=a,l.last=a)}return null!==l.tail?(n=l.tail,l.rendering=n,l.tail=n.sibling,l.renderingStartTime=ue(),n.sibling=null,e=Al.current,K(Al,r?1&e|2:1&e),n):(Ku(n),null);case 22:case 23:return Rl(n),Pl(),r=null!==n.memoizedState,null!==e?null!==e.memoizedState!==r&&(n.flags|=8192):r&&(n.flags|=8192),r?!!(536870912&t)&&!(128&n.flags)&&(Ku(n),6&n.subtreeFlags&&(n.flags|=8192)):Ku(n),null!==(t=n.updateQueue)&&Qu(n,t.retryQueue),t=null,null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),r=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(r=n.memoizedState.cachePool.pool),r!==t&&(n.flags|=2048),null!==e&&q(Kl),null;case 24:return t=null,null!==e&&(t=e.memoizedState.cache),n.memoizedState.cache!==t&&(n.flags|=2048),bi(Ul),Ku(n),null;case 25:return null}throw Error(o(156,n.tag))}function Gu(e,n){switch(qr(n),n.tag){case 1:return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 3:return bi(Ul),ee(),65536&(e=n.flags)&&!(128&e)?(n.flags=-65537&e|128,n):null;case 26:case 27:case 5:return te(n),null;case 13:if(Rl(n),null!==(e=n.memoizedState)&&null!==e.dehydrated){if(null===n.alternate)throw Error(o(340));ll()}return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 19:return q(Al),null;case 4:return ee(),null;case 10:return bi(n.type),null;case 22:case 23:return Rl(n),Pl(),null!==e&&q(Kl),65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 24:return bi(Ul),null;default:return null}}function Xu(e,n){switch(qr(n),n.tag){case 3:bi(Ul),ee();break;case 26:case 27:case 5:te(n);break;case 4:ee();break;case 13:Rl(n);break;case 19:q(Al);break;case 10:bi(n.type);break;case 22:case 23:Rl(n),Pl(),null!==e&&q(Kl);break;case 24:bi(Ul)}}var Zu={getCacheForType:function(e){var n=Ci(Ul),t=n.data.get(e);return void 0===t&&(t=e(),n.data.set(e,t)),t}},Ju="function"==typeof WeakMap?WeakMap:Map,es=0,ns=null,ts=null,rs=0,ls=0,as=null,os=!1,is=!1,us=!1,ss=0,cs=0,fs=0,ds=0,ps=0,ms=0,hs=0,gs=null,ys=null,vs=!1,bs=0,ks=1/0,ws=null,Ss=null,Es=!1,xs=null,Cs=0,_s=0,Ps=null,zs=0,Ns=null;function Ts(){if(2&es&&0!==rs)return rs&-rs;if(null!==T.T){return 0!==Bl?Bl:wc()}return De()}function Ls(){0===ms&&(ms=536870912&rs&&!Gr?536870912:Ne());var e=zl.current;return null!==e&&(e.flags|=32),ms}function Os(e,n,t){(e===ns&&2===ls||null!==e.cancelPendingCommit)&&(js(e,0),Ms(e,rs,ms,!1)),Oe(e,t),2&es&&e===ns||(e===ns&&(!(2&es)&&(ds|=t),4===cs&&Ms(e,rs,ms,!1)),hc(e))}function Rs(e,n,t){if(6&es)throw Error(o(327));for(var r=!t&&!(60&n)&&!(n&e.expiredLanes)||Pe(e,n),l=r?function(e,n){var t=es;es|=2;var r=Hs(),l=Vs();ns!==e||rs!==n?(ws=null,ks=ue()+500,js(e,n)):is=Pe(e,n);e:for(;;)try{if(0!==ls&&null!==ts){n=ts;var a=as;n:switch(ls){case 1:ls=0,as=null,Gs(e,n,a,1);break;case 2:if(sl(a)){ls=0,as=null,Ys(n);break}n=function(){2===ls&&ns===e&&(ls=7),hc(e)},a.then(n,n);break e;case 3:ls=7;break e;case 4:ls=5;break e;case 7:sl(a)?(ls=0,as=null,Ys(n)):(ls=0,as=null,Gs(e,n,a,7));break;case 5:var i=null;switch(ts.tag){case 26:i=ts.memoizedState;case 5:case 27:var u=ts;if(!i||Tf(i)){ls=0,as=null;var s=u.sibling;if(null!==s)ts=s;else{var c=u.return;null!==c?(ts=c,Xs(c)):ts=null}break n}}ls=0,as=null,Gs(e,n,a,5);break;case 6:ls=0,as=null,Gs(e,n,a,6);break;case 8:Us(),cs=6;break e;default:throw Error(o(462))}}qs();break}catch(n){$s(e,n)}return yi=gi=null,T.H=r,T.A=l,es=t,null!==ts?0:(ns=null,rs=0,_r(),cs)}(e,n):Ws(e,n,!0),a=r;;){if(0===l){is&&!r&&Ms(e,n,0,!1);break}if(6===l)Ms(e,n,0,!os);else{if(t=e.current.alternate,a&&!Ds(t)){l=Ws(e,n,!1),a=!1;continue}if(2===l){if(a=n,e.errorRecoveryDisabledLanes&a)var i=0;else i=0!==(i=-536870913&e.pendingLanes)?i:536870912&i?536870912:0;if(0!==i){n=i;e:{var u=e;l=gs;var s=u.current.memoizedState.isDehydrated;if(s&&(js(u,i).flags|=256),2!==(i=Ws(u,i,!1))){if(us&&!s){u.errorRecoveryDisabledLanes|=a,ds|=a,l=4;break e}a=ys,ys=l,null!==a&&As(a)}l=i}if(a=!1,2!==l)continue}}if(1===l){js(e,0),Ms(e,n,0,!0);break}e:{switch(r=e,l){case 0:case 1:throw Error(o(345));case 4:if((4194176&n)===n){Ms(r,n,ms,!os);break e}break;case 2:ys=null;break;case 3:case 5:break;default:throw Error(o(329))}if(r.finishedWork=t,r.finishedLanes=n,(62914560&n)===n&&10<(a=bs+300-ue())){if(Ms(r,n,ms,!os),0!==_e(r,0))break e;r.timeoutHandle=ef(Fs.bind(null,r,t,ys,ws,vs,n,ms,ds,hs,os,2,-0,0),a)}else Fs(r,t,ys,ws,vs,n,ms,ds,hs,os,0,-0,0)}}break}hc(e)}function As(e){null===ys?ys=e:ys.push.apply(ys,e)}function Fs(e,n,t,r,l,a,i,u,s,c,f,d,p){var m=n.subtreeFlags;if((8192&m||!(16785408&~m))&&(Lf={stylesheets:null,count:0,unsuspend:Of},zu(n),null!==(n=function(){if(null===Lf)throw Error(o(475));var e=Lf;return e.stylesheets&&0===e.count&&Ff(e,e.stylesheets),0<e.count?function(n){var t=setTimeout((function(){if(e.stylesheets&&Ff(e,e.stylesheets),e.unsuspend){var n=e.unsuspend;e.unsuspend=null,n()}}),6e4);return e.unsuspend=n,function(){e.unsuspend=null,clearTimeout(t)}}:null}())))return e.cancelPendingCommit=n(Js.bind(null,e,t,r,l,i,u,s,1,d,p)),void Ms(e,a,i,!c);Js(e,t,r,l,i,u,s,f,d,p)}function Ds(e){for(var n=e;;){var t=n.tag;if((0===t||11===t||15===t)&&16384&n.flags&&(null!==(t=n.updateQueue)&&null!==(t=t.stores)))for(var r=0;r<t.length;r++){var l=t[r],a=l.getSnapshot;l=l.value;try{if(!Kt(a(),l))return!1}catch(e){return!1}}if(t=n.child,16384&n.subtreeFlags&&null!==t)t.return=n,n=t;else{if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return!0;n=n.return}n.sibling.return=n.return,n=n.sibling}}return!0}function Ms(e,n,t,r){n&=~ps,n&=~ds,e.suspendedLanes|=n,e.pingedLanes&=~n,r&&(e.warmLanes|=n),r=e.expirationTimes;for(var l=n;0<l;){var a=31-ke(l),o=1<<a;r[a]=-1,l&=~o}0!==t&&Re(e,t,n)}function Is(){return!!(6&es)||(gc(0,!1),!1)}function Us(){if(null!==ts){if(0===ls)var e=ts.return;else yi=gi=null,ya(e=ts),ml=null,hl=0,e=ts;for(;null!==e;)Xu(e.alternate,e),e=e.return;ts=null}}function js(e,n){e.finishedWork=null,e.finishedLanes=0;var t=e.timeoutHandle;-1!==t&&(e.timeoutHandle=-1,nf(t)),null!==(t=e.cancelPendingCommit)&&(e.cancelPendingCommit=null,t()),Us(),ns=e,ts=t=Mu(e.current,null),rs=n,ls=0,as=null,os=!1,is=Pe(e,n),us=!1,hs=ms=ps=ds=fs=cs=0,ys=gs=null,vs=!1,8&n&&(n|=32&n);var r=e.entangledLanes;if(0!==r)for(e=e.entanglements,r&=n;0<r;){var l=31-ke(r),a=1<<l;n|=e[l],r&=~a}return ss=n,_r(),t}function $s(e,n){Jl=null,T.H=Co,n===ol?(n=pl(),ls=3):n===il?(n=pl(),ls=4):ls=n===Vo?8:null!==n&&"object"==typeof n&&"function"==typeof n.then?6:1,as=n,null===ts&&(cs=1,Io(e,Ar(n,e.current)))}function Hs(){var e=T.H;return T.H=Co,null===e?Co:e}function Vs(){var e=T.A;return T.A=Zu,e}function Bs(){cs=4,os||(4194176&rs)!==rs&&null!==zl.current||(is=!0),!(134217727&fs)&&!(134217727&ds)||null===ns||Ms(ns,rs,ms,!1)}function Ws(e,n,t){var r=es;es|=2;var l=Hs(),a=Vs();ns===e&&rs===n||(ws=null,js(e,n)),n=!1;var o=cs;e:for(;;)try{if(0!==ls&&null!==ts){var i=ts,u=as;switch(ls){case 8:Us(),o=6;break e;case 3:case 2:case 6:null===zl.current&&(n=!0);var s=ls;if(ls=0,as=null,Gs(e,i,u,s),t&&is){o=0;break e}break;default:s=ls,ls=0,as=null,Gs(e,i,u,s)}}Qs(),o=cs;break}catch(n){$s(e,n)}return n&&e.shellSuspendCounter++,yi=gi=null,es=r,T.H=l,T.A=a,null===ts&&(ns=null,rs=0,_r()),o}function Qs(){for(;null!==ts;)Ks(ts)}function qs(){for(;null!==ts&&!oe();)Ks(ts)}function Ks(e){var n=mi(e.alternate,e,ss);e.memoizedProps=e.pendingProps,null===n?Xs(e):ts=n}function Ys(e){var n=e,t=n.alternate;switch(n.tag){case 15:case 0:n=Jo(t,n,n.pendingProps,n.type,void 0,rs);break;case 11:n=Jo(t,n,n.pendingProps,n.type.render,n.ref,rs);break;case 5:ya(n);default:Xu(t,n),n=mi(t,n=ts=Iu(n,ss),ss)}e.memoizedProps=e.pendingProps,null===n?Xs(e):ts=n}function Gs(e,n,t,r){yi=gi=null,ya(n),ml=null,hl=0;var l=n.return;try{if(function(e,n,t,r,l){if(t.flags|=32768,null!==r&&"object"==typeof r&&"function"==typeof r.then){if(null!==(n=t.alternate)&&Si(n,t,l,!0),null!==(t=zl.current)){switch(t.tag){case 13:return null===Nl?Bs():null===t.alternate&&0===cs&&(cs=3),t.flags&=-257,t.flags|=65536,t.lanes=l,r===ul?t.flags|=16384:(null===(n=t.updateQueue)?t.updateQueue=new Set([r]):n.add(r),lc(e,r,l)),!1;case 22:return t.flags|=65536,r===ul?t.flags|=16384:(null===(n=t.updateQueue)?(n={transitions:null,markerInstances:null,retryQueue:new Set([r])},t.updateQueue=n):null===(t=n.retryQueue)?n.retryQueue=new Set([r]):t.add(r),lc(e,r,l)),!1}throw Error(o(435,t.tag))}return lc(e,r,l),Bs(),!1}if(Gr)return null!==(n=zl.current)?(!(65536&n.flags)&&(n.flags|=256),n.flags|=65536,n.lanes=l,r!==Jr&&al(Ar(e=Error(o(422),{cause:r}),t))):(r!==Jr&&al(Ar(n=Error(o(423),{cause:r}),t)),(e=e.current.alternate).flags|=65536,l&=-l,e.lanes|=l,r=Ar(r,t),Ai(e,l=jo(e.stateNode,r,l)),4!==cs&&(cs=2)),!1;var a=Error(o(520),{cause:r});if(a=Ar(a,t),null===gs?gs=[a]:gs.push(a),4!==cs&&(cs=2),null===n)return!0;r=Ar(r,t),t=n;do{switch(t.tag){case 3:return t.flags|=65536,e=l&-l,t.lanes|=e,Ai(t,e=jo(t.stateNode,r,e)),!1;case 1:if(n=t.type,a=t.stateNode,!(128&t.flags||"function"!=typeof n.getDerivedStateFromError&&(null===a||"function"!=typeof a.componentDidCatch||null!==Ss&&Ss.has(a))))return t.flags|=65536,l&=-l,t.lanes|=l,Ho(l=$o(l),e,t,r),Ai(t,l),!1}t=t.return}while(null!==t);return!1}(e,l,n,t,rs))return cs=1,Io(e,Ar(t,e.current)),void(ts=null)}catch(n){if(null!==l)throw ts=l,n;return cs=1,Io(e,Ar(t,e.current)),void(ts=null)}32768&n.flags?(Gr||1===r?e=!0:is||536870912&rs?e=!1:(os=e=!0,(2===r||3===r||6===r)&&(null!==(r=zl.current)&&13===r.tag&&(r.flags|=16384))),Zs(n,e)):Xs(n)}function Xs(e){var n=e;do{if(32768&n.flags)return void Zs(n,os);e=n.return;var t=Yu(n.alternate,n,ss);if(null!==t)return void(ts=t);if(null!==(n=n.sibling))return void(ts=n);ts=n=e}while(null!==n);0===cs&&(cs=5)}function Zs(e,n){do{var t=Gu(e.alternate,e);if(null!==t)return t.flags&=32767,void(ts=t);if(null!==(t=e.return)&&(t.flags|=32768,t.subtreeFlags=0,t.deletions=null),!n&&null!==(e=e.sibling))return void(ts=e);ts=e=t}while(null!==e);cs=6,ts=null}function Js(e,n,t,r,l,a,i,u,s,c){var f=T.T,d=H.p;try{H.p=2,T.T=null,function(e,n,t,r,l,a,i,u){do{nc()}while(null!==xs);if(6&es)throw Error(o(327));var s=e.finishedWork;if(r=e.finishedLanes,null===s)return null;if(e.finishedWork=null,e.finishedLanes=0,s===e.current)throw Error(o(177));e.callbackNode=null,e.callbackPriority=0,e.cancelPendingCommit=null;var c=s.lanes|s.childLanes;if(function(e,n,t,r,l,a){var o=e.pendingLanes;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0,e.expiredLanes&=t,e.entangledLanes&=t,e.errorRecoveryDisabledLanes&=t,e.shellSuspendCounter=0;var i=e.entanglements,u=e.expirationTimes,s=e.hiddenUpdates;for(t=o&~t;0<t;){var c=31-ke(t),f=1<<c;i[c]=0,u[c]=-1;var d=s[c];if(null!==d)for(s[c]=null,c=0;c<d.length;c++){var p=d[c];null!==p&&(p.lane&=-536870913)}t&=~f}0!==r&&Re(e,r,0),0!==a&&0===l&&0!==e.tag&&(e.suspendedLanes|=a&~(o&~n))}(e,r,c|=Cr,a,i,u),e===ns&&(ts=ns=null,rs=0),!(10256&s.subtreeFlags)&&!(10256&s.flags)||Es||(Es=!0,_s=c,Ps=t,function(e,n){le(e,n)}(de,(function(){return nc(),null}))),t=!!(15990&s.flags),15990&s.subtreeFlags||t?(t=T.T,T.T=null,a=H.p,H.p=2,i=es,es|=4,function(e,n){if(e=e.containerInfo,qc=Wf,er(e=Jt(e))){if("selectionStart"in e)var t={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(t=(t=e.ownerDocument)&&t.defaultView||window).getSelection&&t.getSelection();if(r&&0!==r.rangeCount){t=r.anchorNode;var l=r.anchorOffset,a=r.focusNode;r=r.focusOffset;try{t.nodeType,a.nodeType}catch(e){t=null;break e}var i=0,u=-1,s=-1,c=0,f=0,d=e,p=null;n:for(;;){for(var m;d!==t||0!==l&&3!==d.nodeType||(u=i+l),d!==a||0!==r&&3!==d.nodeType||(s=i+r),3===d.nodeType&&(i+=d.nodeValue.length),null!==(m=d.firstChild);)p=d,d=m;for(;;){if(d===e)break n;if(p===t&&++c===l&&(u=i),p===a&&++f===r&&(s=i),null!==(m=d.nextSibling))break;p=(d=p).parentNode}d=m}t=-1===u||-1===s?null:{start:u,end:s}}else t=null}t=t||{start:0,end:0}}else t=null;for(Kc={focusedElem:e,selectionRange:t},Wf=!1,tu=n;null!==tu;)if(e=(n=tu).child,1028&n.subtreeFlags&&null!==e)e.return=n,tu=e;else for(;null!==tu;){switch(a=(n=tu).alternate,e=n.flags,n.tag){case 0:case 11:case 15:case 5:case 26:case 27:case 6:case 4:case 17:break;case 1:if(1024&e&&null!==a){e=void 0,t=n,l=a.memoizedProps,a=a.memoizedState,r=t.stateNode;try{var h=Ro(t.type,l,(t.elementType,t.type));e=r.getSnapshotBeforeUpdate(h,a),r.__reactInternalSnapshotBeforeUpdate=e}catch(e){rc(t,t.return,e)}}break;case 3:if(1024&e)if(9===(t=(e=n.stateNode.containerInfo).nodeType))of(e);else if(1===t)switch(e.nodeName){case"HEAD":case"HTML":case"BODY":of(e);break;default:e.textContent=""}break;default:if(1024&e)throw Error(o(163))}if(null!==(e=n.sibling)){e.return=n.return,tu=e;break}tu=n.return}h=ru,ru=!1}(e,s),mu(s,e),nr(Kc,e.containerInfo),Wf=!!qc,Kc=qc=null,e.current=s,lu(e,s.alternate,s),ie(),es=i,H.p=a,T.T=t):e.current=s,Es?(Es=!1,xs=e,Cs=r):ec(e,c),c=e.pendingLanes,0===c&&(Ss=null),function(e){if(ve&&"function"==typeof ve.onCommitFiberRoot)try{ve.onCommitFiberRoot(ye,e,void 0,!(128&~e.current.flags))}catch(e){}}(s.stateNode),hc(e),null!==n)for(l=e.onRecoverableError,s=0;s<n.length;s++)c=n[s],l(c.value,{componentStack:c.stack});!!(3&Cs)&&nc(),c=e.pendingLanes,4194218&r&&42&c?e===Ns?zs++:(zs=0,Ns=e):zs=0,gc(0,!1)}(e,n,t,r,d,l,a,i)}finally{T.T=f,H.p=d}}function ec(e,n){0==(e.pooledCacheLanes&=n)&&(null!=(n=e.pooledCache)&&(e.pooledCache=null,$l(n)))}function nc(){if(null!==xs){var e=xs,n=_s;_s=0;var t=Fe(Cs),r=T.T,l=H.p;try{if(H.p=32>t?32:t,T.T=null,null===xs)var a=!1;else{t=Ps,Ps=null;var i=xs,u=Cs;if(xs=null,Cs=0,6&es)throw Error(o(331));var s=es;if(es|=4,Lu(i.current),Eu(i,i.current,u,t),es=s,gc(0,!1),ve&&"function"==typeof ve.onPostCommitFiberRoot)try{ve.onPostCommitFiberRoot(ye,i)}catch(e){}a=!0}return a}finally{H.p=l,T.T=r,ec(e,n)}}return!1}function tc(e,n,t){n=Ar(t,n),null!==(e=Oi(e,n=jo(e.stateNode,n,2),2))&&(Oe(e,2),hc(e))}function rc(e,n,t){if(3===e.tag)tc(e,e,t);else for(;null!==n;){if(3===n.tag){tc(n,e,t);break}if(1===n.tag){var r=n.stateNode;if("function"==typeof n.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===Ss||!Ss.has(r))){e=Ar(t,e),null!==(r=Oi(n,t=$o(2),2))&&(Ho(t,r,n,e),Oe(r,2),hc(r));break}}n=n.return}}function lc(e,n,t){var r=e.pingCache;if(null===r){r=e.pingCache=new Ju;var l=new Set;r.set(n,l)}else void 0===(l=r.get(n))&&(l=new Set,r.set(n,l));l.has(t)||(us=!0,l.add(t),e=ac.bind(null,e,n,t),n.then(e,e))}function ac(e,n,t){var r=e.pingCache;null!==r&&r.delete(n),e.pingedLanes|=e.suspendedLanes&t,e.warmLanes&=~t,ns===e&&(rs&t)===t&&(4===cs||3===cs&&(62914560&rs)===rs&&300>ue()-bs?!(2&es)&&js(e,0):ps|=t,hs===rs&&(hs=0)),hc(e)}function oc(e,n){0===n&&(n=Te()),null!==(e=Nr(e,n))&&(Oe(e,n),hc(e))}function ic(e){var n=e.memoizedState,t=0;null!==n&&(t=n.retryLane),oc(e,t)}function uc(e,n){var t=0;switch(e.tag){case 13:var r=e.stateNode,l=e.memoizedState;null!==l&&(t=l.retryLane);break;case 19:r=e.stateNode;break;case 22:r=e.stateNode._retryCache;break;default:throw Error(o(314))}null!==r&&r.delete(n),oc(e,t)}var sc=null,cc=null,fc=!1,dc=!1,pc=!1,mc=0;function hc(e){var n;e!==cc&&null===e.next&&(null===cc?sc=cc=e:cc=cc.next=e),dc=!0,fc||(fc=!0,n=yc,rf((function(){6&es?le(ce,n):n()})))}function gc(e,n){if(!pc&&dc){pc=!0;do{for(var t=!1,r=sc;null!==r;){if(!n)if(0!==e){var l=r.pendingLanes;if(0===l)var a=0;else{var o=r.suspendedLanes,i=r.pingedLanes;a=(1<<31-ke(42|e)+1)-1,a=201326677&(a&=l&~(o&~i))?201326677&a|1:a?2|a:0}0!==a&&(t=!0,kc(r,a))}else a=rs,!(3&(a=_e(r,r===ns?a:0)))||Pe(r,a)||(t=!0,kc(r,a));r=r.next}}while(t);pc=!1}}function yc(){dc=fc=!1;var e=0;0!==mc&&(function(){var e=window.event;if(e&&"popstate"===e.type)return e!==Jc&&(Jc=e,!0);return Jc=null,!1}()&&(e=mc),mc=0);for(var n=ue(),t=null,r=sc;null!==r;){var l=r.next,a=vc(r,n);0===a?(r.next=null,null===t?sc=l:t.next=l,null===l&&(cc=t)):(t=r,(0!==e||3&a)&&(dc=!0)),r=l}gc(e,!1)}function vc(e,n){for(var t=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,a=-62914561&e.pendingLanes;0<a;){var o=31-ke(a),i=1<<o,u=l[o];-1===u?i&t&&!(i&r)||(l[o]=ze(i,n)):u<=n&&(e.expiredLanes|=i),a&=~i}if(t=rs,t=_e(e,e===(n=ns)?t:0),r=e.callbackNode,0===t||e===n&&2===ls||null!==e.cancelPendingCommit)return null!==r&&null!==r&&ae(r),e.callbackNode=null,e.callbackPriority=0;if(!(3&t)||Pe(e,t)){if((n=t&-t)===e.callbackPriority)return n;switch(null!==r&&ae(r),Fe(t)){case 2:case 8:t=fe;break;case 32:default:t=de;break;case 268435456:t=me}return r=bc.bind(null,e),t=le(t,r),e.callbackPriority=n,e.callbackNode=t,n}return null!==r&&null!==r&&ae(r),e.callbackPriority=2,e.callbackNode=null,2}function bc(e,n){var t=e.callbackNode;if(nc()&&e.callbackNode!==t)return null;var r=rs;return 0===(r=_e(e,e===ns?r:0))?null:(Rs(e,r,n),vc(e,ue()),null!=e.callbackNode&&e.callbackNode===t?bc.bind(null,e):null)}function kc(e,n){if(nc())return null;Rs(e,n,!0)}function wc(){return 0===mc&&(mc=Ne()),mc}function Sc(e){return null==e||"symbol"==typeof e||"boolean"==typeof e?null:"function"==typeof e?e:Tn(""+e)}function Ec(e,n){var t=n.ownerDocument.createElement("input");return t.name=n.name,t.value=n.value,e.id&&t.setAttribute("form",e.id),n.parentNode.insertBefore(t,n),e=new FormData(e),t.parentNode.removeChild(t),e}for(var xc=0;xc<wr.length;xc++){var Cc=wr[xc];Sr(Cc.toLowerCase(),"on"+(Cc[0].toUpperCase()+Cc.slice(1)))}Sr(pr,"onAnimationEnd"),Sr(mr,"onAnimationIteration"),Sr(hr,"onAnimationStart"),Sr("dblclick","onDoubleClick"),Sr("focusin","onFocus"),Sr("focusout","onBlur"),Sr(gr,"onTransitionRun"),Sr(yr,"onTransitionStart"),Sr(vr,"onTransitionCancel"),Sr(br,"onTransitionEnd"),nn("onMouseEnter",["mouseout","mouseover"]),nn("onMouseLeave",["mouseout","mouseover"]),nn("onPointerEnter",["pointerout","pointerover"]),nn("onPointerLeave",["pointerout","pointerover"]),en("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),en("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),en("onBeforeInput",["compositionend","keypress","textInput","paste"]),en("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),en("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),en("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var _c="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Pc=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(_c));function zc(e,n){n=!!(4&n);for(var t=0;t<e.length;t++){var r=e[t],l=r.event;r=r.listeners;e:{var a=void 0;if(n)for(var o=r.length-1;0<=o;o--){var i=r[o],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==a&&l.isPropagationStopped())break e;a=i,l.currentTarget=s;try{a(l)}catch(e){Ao(e)}l.currentTarget=null,a=u}else for(o=0;o<r.length;o++){if(u=(i=r[o]).instance,s=i.currentTarget,i=i.listener,u!==a&&l.isPropagationStopped())break e;a=i,l.currentTarget=s;try{a(l)}catch(e){Ao(e)}l.currentTarget=null,a=u}}}}function Nc(e,n){var t=n[$e];void 0===t&&(t=n[$e]=new Set);var r=e+"__bubble";t.has(r)||(Rc(n,e,2,!1),t.add(r))}function Tc(e,n,t){var r=0;n&&(r|=4),Rc(t,e,r,n)}var Lc="_reactListening"+Math.random().toString(36).slice(2);function Oc(e){if(!e[Lc]){e[Lc]=!0,Ze.forEach((function(n){"selectionchange"!==n&&(Pc.has(n)||Tc(n,!1,e),Tc(n,!0,e))}));var n=9===e.nodeType?e:e.ownerDocument;null===n||n[Lc]||(n[Lc]=!0,Tc("selectionchange",!1,n))}}function Rc(e,n,t,r){switch(Zf(n)){case 2:var l=Qf;break;case 8:l=qf;break;default:l=Kf}t=l.bind(null,n,t,e),l=void 0,!Un||"touchstart"!==n&&"touchmove"!==n&&"wheel"!==n||(l=!0),r?void 0!==l?e.addEventListener(n,t,{capture:!0,passive:l}):e.addEventListener(n,t,!0):void 0!==l?e.addEventListener(n,t,{passive:l}):e.addEventListener(n,t,!1)}function Ac(e,n,t,r,l){var a=r;if(!(1&n||2&n||null===r))e:for(;;){if(null===r)return;var o=r.tag;if(3===o||4===o){var i=r.stateNode.containerInfo;if(i===l||8===i.nodeType&&i.parentNode===l)break;if(4===o)for(o=r.return;null!==o;){var u=o.tag;if((3===u||4===u)&&((u=o.stateNode.containerInfo)===l||8===u.nodeType&&u.parentNode===l))return;o=o.return}for(;null!==i;){if(null===(o=qe(i)))return;if(5===(u=o.tag)||6===u||26===u||27===u){r=a=o;continue e}i=i.parentNode}}r=r.return}Mn((function(){var r=a,l=On(t),o=[];e:{var i=kr.get(e);if(void 0!==i){var u=Jn,s=e;switch(e){case"keypress":if(0===Wn(t))break e;case"keydown":case"keyup":u=mt;break;case"focusin":s="focus",u=at;break;case"focusout":s="blur",u=at;break;case"beforeblur":case"afterblur":u=at;break;case"click":if(2===t.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=rt;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=lt;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=gt;break;case pr:case mr:case hr:u=ot;break;case br:u=yt;break;case"scroll":case"scrollend":u=nt;break;case"wheel":u=vt;break;case"copy":case"cut":case"paste":u=it;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=ht;break;case"toggle":case"beforetoggle":u=bt}var c=!!(4&n),f=!c&&("scroll"===e||"scrollend"===e),d=c?null!==i?i+"Capture":null:i;c=[];for(var p,m=r;null!==m;){var h=m;if(p=h.stateNode,5!==(h=h.tag)&&26!==h&&27!==h||null===p||null===d||null!=(h=In(m,d))&&c.push(Fc(m,h,p)),f)break;m=m.return}0<c.length&&(i=new u(i,s,null,t,l),o.push({event:i,listeners:c}))}}if(!(7&n)){if(u="mouseout"===e||"pointerout"===e,(!(i="mouseover"===e||"pointerover"===e)||t===Ln||!(s=t.relatedTarget||t.fromElement)||!qe(s)&&!s[je])&&(u||i)&&(i=l.window===l?l:(i=l.ownerDocument)?i.defaultView||i.parentWindow:window,u?(u=r,null!==(s=(s=t.relatedTarget||t.toElement)?qe(s):null)&&(f=M(s),c=s.tag,s!==f||5!==c&&27!==c&&6!==c)&&(s=null)):(u=null,s=r),u!==s)){if(c=rt,h="onMouseLeave",d="onMouseEnter",m="mouse","pointerout"!==e&&"pointerover"!==e||(c=ht,h="onPointerLeave",d="onPointerEnter",m="pointer"),f=null==u?i:Ye(u),p=null==s?i:Ye(s),(i=new c(h,m+"leave",u,t,l)).target=f,i.relatedTarget=p,h=null,qe(l)===r&&((c=new c(d,m+"enter",s,t,l)).target=p,c.relatedTarget=f,h=c),f=h,u&&s)e:{for(d=s,m=0,p=c=u;p;p=Mc(p))m++;for(p=0,h=d;h;h=Mc(h))p++;for(;0<m-p;)c=Mc(c),m--;for(;0<p-m;)d=Mc(d),p--;for(;m--;){if(c===d||null!==d&&c===d.alternate)break e;c=Mc(c),d=Mc(d)}c=null}else c=null;null!==u&&Ic(o,i,u,c,!1),null!==s&&null!==f&&Ic(o,f,s,c,!0)}if("select"===(u=(i=r?Ye(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var g=Mt;else if(Lt(i))if(It)g=qt;else{g=Wt;var y=Bt}else!(u=i.nodeName)||"input"!==u.toLowerCase()||"checkbox"!==i.type&&"radio"!==i.type?r&&Pn(r.elementType)&&(g=Mt):g=Qt;switch(g&&(g=g(e,r))?Ot(o,g,t,l):(y&&y(e,i,r),"focusout"===e&&r&&"number"===i.type&&null!=r.memoizedProps.value&&bn(i,"number",i.value)),y=r?Ye(r):window,e){case"focusin":(Lt(y)||"true"===y.contentEditable)&&(rr=y,lr=r,ar=null);break;case"focusout":ar=lr=rr=null;break;case"mousedown":or=!0;break;case"contextmenu":case"mouseup":case"dragend":or=!1,ir(o,t,l);break;case"selectionchange":if(tr)break;case"keydown":case"keyup":ir(o,t,l)}var v;if(wt)e:{switch(e){case"compositionstart":var b="onCompositionStart";break e;case"compositionend":b="onCompositionEnd";break e;case"compositionupdate":b="onCompositionUpdate";break e}b=void 0}else Nt?Pt(e,t)&&(b="onCompositionEnd"):"keydown"===e&&229===t.keyCode&&(b="onCompositionStart");b&&(xt&&"ko"!==t.locale&&(Nt||"onCompositionStart"!==b?"onCompositionEnd"===b&&Nt&&(v=Bn()):(Hn="value"in($n=l)?$n.value:$n.textContent,Nt=!0)),0<(y=Dc(r,b)).length&&(b=new ut(b,e,null,t,l),o.push({event:b,listeners:y}),v?b.data=v:null!==(v=zt(t))&&(b.data=v))),(v=Et?function(e,n){switch(e){case"compositionend":return zt(n);case"keypress":return 32!==n.which?null:(_t=!0,Ct);case"textInput":return(e=n.data)===Ct&&_t?null:e;default:return null}}(e,t):function(e,n){if(Nt)return"compositionend"===e||!wt&&Pt(e,n)?(e=Bn(),Vn=Hn=$n=null,Nt=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(n.ctrlKey||n.altKey||n.metaKey)||n.ctrlKey&&n.altKey){if(n.char&&1<n.char.length)return n.char;if(n.which)return String.fromCharCode(n.which)}return null;case"compositionend":return xt&&"ko"!==n.locale?null:n.data}}(e,t))&&(0<(b=Dc(r,"onBeforeInput")).length&&(y=new ut("onBeforeInput","beforeinput",null,t,l),o.push({event:y,listeners:b}),y.data=v)),function(e,n,t,r,l){if("submit"===n&&t&&t.stateNode===l){var a=Sc((l[Ue]||null).action),o=r.submitter;o&&null!==(n=(n=o[Ue]||null)?Sc(n.formAction):o.getAttribute("formAction"))&&(a=n,o=null);var i=new Jn("action","action",null,r,l);e.push({event:i,listeners:[{instance:null,listener:function(){if(r.defaultPrevented){if(0!==mc){var e=o?Ec(l,o):new FormData(l);co(t,{pending:!0,data:e,method:l.method,action:a},null,e)}}else"function"==typeof a&&(i.preventDefault(),e=o?Ec(l,o):new FormData(l),co(t,{pending:!0,data:e,method:l.method,action:a},a,e))},currentTarget:l}]})}}(o,e,r,t,l)}zc(o,n)}))}function Fc(e,n,t){return{instance:e,listener:n,currentTarget:t}}function Dc(e,n){for(var t=n+"Capture",r=[];null!==e;){var l=e,a=l.stateNode;5!==(l=l.tag)&&26!==l&&27!==l||null===a||(null!=(l=In(e,t))&&r.unshift(Fc(e,l,a)),null!=(l=In(e,n))&&r.push(Fc(e,l,a))),e=e.return}return r}function Mc(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag&&27!==e.tag);return e||null}function Ic(e,n,t,r,l){for(var a=n._reactName,o=[];null!==t&&t!==r;){var i=t,u=i.alternate,s=i.stateNode;if(i=i.tag,null!==u&&u===r)break;5!==i&&26!==i&&27!==i||null===s||(u=s,l?null!=(s=In(t,a))&&o.unshift(Fc(t,s,u)):l||null!=(s=In(t,a))&&o.push(Fc(t,s,u))),t=t.return}0!==o.length&&e.push({event:n,listeners:o})}var Uc=/\r\n?/g,jc=/\u0000|\uFFFD/g;function $c(e){return("string"==typeof e?e:""+e).replace(Uc,"\n").replace(jc,"")}function Hc(e,n){return n=$c(n),$c(e)===n}function Vc(){}function Bc(e,n,t,r,l,a){switch(t){case"children":"string"==typeof r?"body"===n||"textarea"===n&&""===r||En(e,r):("number"==typeof r||"bigint"==typeof r)&&"body"!==n&&En(e,""+r);break;case"className":un(e,"class",r);break;case"tabIndex":un(e,"tabindex",r);break;case"dir":case"role":case"viewBox":case"width":case"height":un(e,t,r);break;case"style":_n(e,r,a);break;case"data":if("object"!==n){un(e,"data",r);break}case"src":case"href":if(""===r&&("a"!==n||"href"!==t)){e.removeAttribute(t);break}if(null==r||"function"==typeof r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=Tn(""+r),e.setAttribute(t,r);break;case"action":case"formAction":if("function"==typeof r){e.setAttribute(t,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}if("function"==typeof a&&("formAction"===t?("input"!==n&&Bc(e,n,"name",l.name,l,null),Bc(e,n,"formEncType",l.formEncType,l,null),Bc(e,n,"formMethod",l.formMethod,l,null),Bc(e,n,"formTarget",l.formTarget,l,null)):(Bc(e,n,"encType",l.encType,l,null),Bc(e,n,"method",l.method,l,null),Bc(e,n,"target",l.target,l,null))),null==r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=Tn(""+r),e.setAttribute(t,r);break;case"onClick":null!=r&&(e.onclick=Vc);break;case"onScroll":null!=r&&Nc("scroll",e);break;case"onScrollEnd":null!=r&&Nc("scrollend",e);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=t}}break;case"multiple":e.multiple=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"muted":e.muted=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":case"autoFocus":break;case"xlinkHref":if(null==r||"function"==typeof r||"boolean"==typeof r||"symbol"==typeof r){e.removeAttribute("xlink:href");break}t=Tn(""+r),e.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",t);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""+r):e.removeAttribute(t);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""):e.removeAttribute(t);break;case"capture":case"download":!0===r?e.setAttribute(t,""):!1!==r&&null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,r):e.removeAttribute(t);break;case"cols":case"rows":case"size":case"span":null!=r&&"function"!=typeof r&&"symbol"!=typeof r&&!isNaN(r)&&1<=r?e.setAttribute(t,r):e.removeAttribute(t);break;case"rowSpan":case"start":null==r||"function"==typeof r||"symbol"==typeof r||isNaN(r)?e.removeAttribute(t):e.setAttribute(t,r);break;case"popover":Nc("beforetoggle",e),Nc("toggle",e),on(e,"popover",r);break;case"xlinkActuate":sn(e,"http://www.w3.org/1999/xlink","xlink:actuate",r);break;case"xlinkArcrole":sn(e,"http://www.w3.org/1999/xlink","xlink:arcrole",r);break;case"xlinkRole":sn(e,"http://www.w3.org/1999/xlink","xlink:role",r);break;case"xlinkShow":sn(e,"http://www.w3.org/1999/xlink","xlink:show",r);break;case"xlinkTitle":sn(e,"http://www.w3.org/1999/xlink","xlink:title",r);break;case"xlinkType":sn(e,"http://www.w3.org/1999/xlink","xlink:type",r);break;case"xmlBase":sn(e,"http://www.w3.org/XML/1998/namespace","xml:base",r);break;case"xmlLang":sn(e,"http://www.w3.org/XML/1998/namespace","xml:lang",r);break;case"xmlSpace":sn(e,"http://www.w3.org/XML/1998/namespace","xml:space",r);break;case"is":on(e,"is",r);break;case"innerText":case"textContent":break;default:(!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&on(e,t=zn.get(t)||t,r)}}function Wc(e,n,t,r,l,a){switch(t){case"style":_n(e,r,a);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=t}}break;case"children":"string"==typeof r?En(e,r):("number"==typeof r||"bigint"==typeof r)&&En(e,""+r);break;case"onScroll":null!=r&&Nc("scroll",e);break;case"onScrollEnd":null!=r&&Nc("scrollend",e);break;case"onClick":null!=r&&(e.onclick=Vc);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":case"innerText":case"textContent":break;default:Je.hasOwnProperty(t)||("o"!==t[0]||"n"!==t[1]||(l=t.endsWith("Capture"),n=t.slice(2,l?t.length-7:void 0),"function"==typeof(a=null!=(a=e[Ue]||null)?a[t]:null)&&e.removeEventListener(n,a,l),"function"!=typeof r)?t in e?e[t]=r:!0===r?e.setAttribute(t,""):on(e,t,r):("function"!=typeof a&&null!==a&&(t in e?e[t]=null:e.hasAttribute(t)&&e.removeAttribute(t)),e.addEventListener(n,r,l)))}}function Qc(e,n,t){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":Nc("error",e),Nc("load",e);var r,l=!1,a=!1;for(r in t)if(t.hasOwnProperty(r)){var i=t[r];if(null!=i)switch(r){case"src":l=!0;break;case"srcSet":a=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:Bc(e,n,r,i,t,null)}}return a&&Bc(e,n,"srcSet",t.srcSet,t,null),void(l&&Bc(e,n,"src",t.src,t,null));case"input":Nc("invalid",e);var u=r=i=a=null,s=null,c=null;for(l in t)if(t.hasOwnProperty(l)){var f=t[l];if(null!=f)switch(l){case"name":a=f;break;case"type":i=f;break;case"checked":s=f;break;case"defaultChecked":c=f;break;case"value":r=f;break;case"defaultValue":u=f;break;case"children":case"dangerouslySetInnerHTML":if(null!=f)throw Error(o(137,n));break;default:Bc(e,n,l,f,t,null)}}return vn(e,r,u,s,c,i,a,!1),void dn(e);case"select":for(a in Nc("invalid",e),l=i=r=null,t)if(t.hasOwnProperty(a)&&null!=(u=t[a]))switch(a){case"value":r=u;break;case"defaultValue":i=u;break;case"multiple":l=u;default:Bc(e,n,a,u,t,null)}return n=r,t=i,e.multiple=!!l,void(null!=n?kn(e,!!l,n,!1):null!=t&&kn(e,!!l,t,!0));case"textarea":for(i in Nc("invalid",e),r=a=l=null,t)if(t.hasOwnProperty(i)&&null!=(u=t[i]))switch(i){case"value":l=u;break;case"defaultValue":a=u;break;case"children":r=u;break;case"dangerouslySetInnerHTML":if(null!=u)throw Error(o(91));break;default:Bc(e,n,i,u,t,null)}return Sn(e,l,a,r),void dn(e);case"option":for(s in t)if(t.hasOwnProperty(s)&&null!=(l=t[s]))if("selected"===s)e.selected=l&&"function"!=typeof l&&"symbol"!=typeof l;else Bc(e,n,s,l,t,null);return;case"dialog":Nc("cancel",e),Nc("close",e);break;case"iframe":case"object":Nc("load",e);break;case"video":case"audio":for(l=0;l<_c.length;l++)Nc(_c[l],e);break;case"image":Nc("error",e),Nc("load",e);break;case"details":Nc("toggle",e);break;case"embed":case"source":case"link":Nc("error",e),Nc("load",e);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(c in t)if(t.hasOwnProperty(c)&&null!=(l=t[c]))switch(c){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:Bc(e,n,c,l,t,null)}return;default:if(Pn(n)){for(f in t)t.hasOwnProperty(f)&&(void 0!==(l=t[f])&&Wc(e,n,f,l,t,void 0));return}}for(u in t)t.hasOwnProperty(u)&&(null!=(l=t[u])&&Bc(e,n,u,l,t,null))}var qc=null,Kc=null;function Yc(e){return 9===e.nodeType?e:e.ownerDocument}function Gc(e){switch(e){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function Xc(e,n){if(0===e)switch(n){case"svg":return 1;case"math":return 2;default:return 0}return 1===e&&"foreignObject"===n?0:e}function Zc(e,n){return"textarea"===e||"noscript"===e||"string"==typeof n.children||"number"==typeof n.children||"bigint"==typeof n.children||"object"==typeof n.dangerouslySetInnerHTML&&null!==n.dangerouslySetInnerHTML&&null!=n.dangerouslySetInnerHTML.__html}var Jc=null;var ef="function"==typeof setTimeout?setTimeout:void 0,nf="function"==typeof clearTimeout?clearTimeout:void 0,tf="function"==typeof Promise?Promise:void 0,rf="function"==typeof queueMicrotask?queueMicrotask:void 0!==tf?function(e){return tf.resolve(null).then(e).catch(lf)}:ef;function lf(e){setTimeout((function(){throw e}))}function af(e,n){var t=n,r=0;do{var l=t.nextSibling;if(e.removeChild(t),l&&8===l.nodeType)if("/$"===(t=l.data)){if(0===r)return e.removeChild(l),void gd(n);r--}else"$"!==t&&"$?"!==t&&"$!"!==t||r++;t=l}while(t);gd(n)}function of(e){var n=e.firstChild;for(n&&10===n.nodeType&&(n=n.nextSibling);n;){var t=n;switch(n=n.nextSibling,t.nodeName){case"HTML":case"HEAD":case"BODY":of(t),Qe(t);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if("stylesheet"===t.rel.toLowerCase())continue}e.removeChild(t)}}function uf(e){for(;null!=e;e=e.nextSibling){var n=e.nodeType;if(1===n||3===n)break;if(8===n){if("$"===(n=e.data)||"$!"===n||"$?"===n||"F!"===n||"F"===n)break;if("/$"===n)return null}}return e}function sf(e){e=e.previousSibling;for(var n=0;e;){if(8===e.nodeType){var t=e.data;if("$"===t||"$!"===t||"$?"===t){if(0===n)return e;n--}else"/$"===t&&n++}e=e.previousSibling}return null}function cf(e,n,t){switch(n=Yc(t),e){case"html":if(!(e=n.documentElement))throw Error(o(452));return e;case"head":if(!(e=n.head))throw Error(o(453));return e;case"body":if(!(e=n.body))throw Error(o(454));return e;default:throw Error(o(451))}}var ff=new Map,df=new Set;function pf(e){return"function"==typeof e.getRootNode?e.getRootNode():e.ownerDocument}var mf=H.d;H.d={f:function(){var e=mf.f(),n=Is();return e||n},r:function(e){var n=Ke(e);null!==n&&5===n.tag&&"form"===n.type?po(n):mf.r(e)},D:function(e){mf.D(e),gf("dns-prefetch",e,null)},C:function(e,n){mf.C(e,n),gf("preconnect",e,n)},L:function(e,n,t){mf.L(e,n,t);var r=hf;if(r&&e&&n){var l='link[rel="preload"][as="'+gn(n)+'"]';"image"===n&&t&&t.imageSrcSet?(l+='[imagesrcset="'+gn(t.imageSrcSet)+'"]',"string"==typeof t.imageSizes&&(l+='[imagesizes="'+gn(t.imageSizes)+'"]')):l+='[href="'+gn(e)+'"]';var a=l;switch(n){case"style":a=vf(e);break;case"script":a=wf(e)}ff.has(a)||(e=L({rel:"preload",href:"image"===n&&t&&t.imageSrcSet?void 0:e,as:n},t),ff.set(a,e),null!==r.querySelector(l)||"style"===n&&r.querySelector(bf(a))||"script"===n&&r.querySelector(Sf(a))||(Qc(n=r.createElement("link"),"link",e),Xe(n),r.head.appendChild(n)))}},m:function(e,n){mf.m(e,n);var t=hf;if(t&&e){var r=n&&"string"==typeof n.as?n.as:"script",l='link[rel="modulepreload"][as="'+gn(r)+'"][href="'+gn(e)+'"]',a=l;switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":a=wf(e)}if(!ff.has(a)&&(e=L({rel:"modulepreload",href:e},n),ff.set(a,e),null===t.querySelector(l))){switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(t.querySelector(Sf(a)))return}Qc(r=t.createElement("link"),"link",e),Xe(r),t.head.appendChild(r)}}},X:function(e,n){mf.X(e,n);var t=hf;if(t&&e){var r=Ge(t).hoistableScripts,l=wf(e),a=r.get(l);a||((a=t.querySelector(Sf(l)))||(e=L({src:e,async:!0},n),(n=ff.get(l))&&_f(e,n),Xe(a=t.createElement("script")),Qc(a,"link",e),t.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}},S:function(e,n,t){mf.S(e,n,t);var r=hf;if(r&&e){var l=Ge(r).hoistableStyles,a=vf(e);n=n||"default";var o=l.get(a);if(!o){var i={loading:0,preload:null};if(o=r.querySelector(bf(a)))i.loading=5;else{e=L({rel:"stylesheet",href:e,"data-precedence":n},t),(t=ff.get(a))&&Cf(e,t);var u=o=r.createElement("link");Xe(u),Qc(u,"link",e),u._p=new Promise((function(e,n){u.onload=e,u.onerror=n})),u.addEventListener("load",(function(){i.loading|=1})),u.addEventListener("error",(function(){i.loading|=2})),i.loading|=4,xf(o,n,r)}o={type:"stylesheet",instance:o,count:1,state:i},l.set(a,o)}}},M:function(e,n){mf.M(e,n);var t=hf;if(t&&e){var r=Ge(t).hoistableScripts,l=wf(e),a=r.get(l);a||((a=t.querySelector(Sf(l)))||(e=L({src:e,async:!0,type:"module"},n),(n=ff.get(l))&&_f(e,n),Xe(a=t.createElement("script")),Qc(a,"link",e),t.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}}};var hf="undefined"==typeof document?null:document;function gf(e,n,t){var r=hf;if(r&&"string"==typeof n&&n){var l=gn(n);l='link[rel="'+e+'"][href="'+l+'"]',"string"==typeof t&&(l+='[crossorigin="'+t+'"]'),df.has(l)||(df.add(l),e={rel:e,crossOrigin:t,href:n},null===r.querySelector(l)&&(Qc(n=r.createElement("link"),"link",e),Xe(n),r.head.appendChild(n)))}}function yf(e,n,t,r){var l,a,i,u,s=(s=X.current)?pf(s):null;if(!s)throw Error(o(446));switch(e){case"meta":case"title":return null;case"style":return"string"==typeof t.precedence&&"string"==typeof t.href?(n=vf(t.href),(r=(t=Ge(s).hoistableStyles).get(n))||(r={type:"style",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};case"link":if("stylesheet"===t.rel&&"string"==typeof t.href&&"string"==typeof t.precedence){e=vf(t.href);var c=Ge(s).hoistableStyles,f=c.get(e);if(f||(s=s.ownerDocument||s,f={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},c.set(e,f),(c=s.querySelector(bf(e)))&&!c._p&&(f.instance=c,f.state.loading=5),ff.has(e)||(t={rel:"preload",as:"style",href:t.href,crossOrigin:t.crossOrigin,integrity:t.integrity,media:t.media,hrefLang:t.hrefLang,referrerPolicy:t.referrerPolicy},ff.set(e,t),c||(l=s,a=e,i=t,u=f.state,l.querySelector('link[rel="preload"][as="style"]['+a+"]")?u.loading=1:(a=l.createElement("link"),u.preload=a,a.addEventListener("load",(function(){return u.loading|=1})),a.addEventListener("error",(function(){return u.loading|=2})),Qc(a,"link",i),Xe(a),l.head.appendChild(a))))),n&&null===r)throw Error(o(528,""));return f}if(n&&null!==r)throw Error(o(529,""));return null;case"script":return n=t.async,"string"==typeof(t=t.src)&&n&&"function"!=typeof n&&"symbol"!=typeof n?(n=wf(t),(r=(t=Ge(s).hoistableScripts).get(n))||(r={type:"script",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,e))}}function vf(e){return'href="'+gn(e)+'"'}function bf(e){return'link[rel="stylesheet"]['+e+"]"}function kf(e){return L({},e,{"data-precedence":e.precedence,precedence:null})}function wf(e){return'[src="'+gn(e)+'"]'}function Sf(e){return"script[async]"+e}function Ef(e,n,t){if(n.count++,null===n.instance)switch(n.type){case"style":var r=e.querySelector('style[data-href~="'+gn(t.href)+'"]');if(r)return n.instance=r,Xe(r),r;var l=L({},t,{"data-href":t.href,"data-precedence":t.precedence,href:null,precedence:null});return Xe(r=(e.ownerDocument||e).createElement("style")),Qc(r,"style",l),xf(r,t.precedence,e),n.instance=r;case"stylesheet":l=vf(t.href);var a=e.querySelector(bf(l));if(a)return n.state.loading|=4,n.instance=a,Xe(a),a;r=kf(t),(l=ff.get(l))&&Cf(r,l),Xe(a=(e.ownerDocument||e).createElement("link"));var i=a;return i._p=new Promise((function(e,n){i.onload=e,i.onerror=n})),Qc(a,"link",r),n.state.loading|=4,xf(a,t.precedence,e),n.instance=a;case"script":return a=wf(t.src),(l=e.querySelector(Sf(a)))?(n.instance=l,Xe(l),l):(r=t,(l=ff.get(a))&&_f(r=L({},t),l),Xe(l=(e=e.ownerDocument||e).createElement("script")),Qc(l,"link",r),e.head.appendChild(l),n.instance=l);case"void":return null;default:throw Error(o(443,n.type))}else"stylesheet"===n.type&&!(4&n.state.loading)&&(r=n.instance,n.state.loading|=4,xf(r,t.precedence,e));return n.instance}function xf(e,n,t){for(var r=t.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),l=r.length?r[r.length-1]:null,a=l,o=0;o<r.length;o++){var i=r[o];if(i.dataset.precedence===n)a=i;else if(a!==l)break}a?a.parentNode.insertBefore(e,a.nextSibling):(n=9===t.nodeType?t.head:t).insertBefore(e,n.firstChild)}function Cf(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.title&&(e.title=n.title)}function _f(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.integrity&&(e.integrity=n.integrity)}var Pf=null;function zf(e,n,t){if(null===Pf){var r=new Map,l=Pf=new Map;l.set(t,r)}else(r=(l=Pf).get(t))||(r=new Map,l.set(t,r));if(r.has(e))return r;for(r.set(e,null),t=t.getElementsByTagName(e),l=0;l<t.length;l++){var a=t[l];if(!(a[We]||a[Ie]||"link"===e&&"stylesheet"===a.getAttribute("rel"))&&"http://www.w3.org/2000/svg"!==a.namespaceURI){var o=a.getAttribute(n)||"";o=e+o;var i=r.get(o);i?i.push(a):r.set(o,[a])}}return r}function Nf(e,n,t){(e=e.ownerDocument||e).head.insertBefore(t,"title"===n?e.querySelector("head > title"):null)}function Tf(e){return!!("stylesheet"!==e.type||3&e.state.loading)}var Lf=null;function Of(){}function Rf(){if(this.count--,0===this.count)if(this.stylesheets)Ff(this,this.stylesheets);else if(this.unsuspend){var e=this.unsuspend;this.unsuspend=null,e()}}var Af=null;function Ff(e,n){e.stylesheets=null,null!==e.unsuspend&&(e.count++,Af=new Map,n.forEach(Df,e),Af=null,Rf.call(e))}function Df(e,n){if(!(4&n.state.loading)){var t=Af.get(e);if(t)var r=t.get(null);else{t=new Map,Af.set(e,t);for(var l=e.querySelectorAll("link[data-precedence],style[data-precedence]"),a=0;a<l.length;a++){var o=l[a];"LINK"!==o.nodeName&&"not all"===o.getAttribute("media")||(t.set(o.dataset.precedence,o),r=o)}r&&t.set(null,r)}o=(l=n.instance).getAttribute("data-precedence"),(a=t.get(o)||r)===r&&t.set(null,l),t.set(o,l),this.count++,r=Rf.bind(this),l.addEventListener("load",r),l.addEventListener("error",r),a?a.parentNode.insertBefore(l,a.nextSibling):(e=9===e.nodeType?e.head:e).insertBefore(l,e.firstChild),n.state.loading|=4}}var Mf={$$typeof:g,Provider:null,Consumer:null,_currentValue:V,_currentValue2:V,_threadCount:0};function If(e,n,t,r,l,a,o,i){this.tag=1,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=Le(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.finishedLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Le(0),this.hiddenUpdates=Le(null),this.identifierPrefix=r,this.onUncaughtError=l,this.onCaughtError=a,this.onRecoverableError=o,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=i,this.incompleteTransitions=new Map}function Uf(e,n,t,r,l,a,o,i,u,s,c,f){return e=new If(e,n,t,o,i,u,s,f),n=1,!0===a&&(n|=24),a=Fu(3,null,null,n),e.current=a,a.stateNode=e,(n=jl()).refCount++,e.pooledCache=n,n.refCount++,a.memoizedState={element:r,isDehydrated:t,cache:n},Ni(a),e}function jf(e){return e?e=Or:Or}function $f(e,n,t,r,l,a){l=jf(l),null===r.context?r.context=l:r.pendingContext=l,(r=Li(n)).payload={element:t},null!==(a=void 0===a?null:a)&&(r.callback=a),null!==(t=Oi(e,r,n))&&(Os(t,0,n),Ri(t,e,n))}function Hf(e,n){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var t=e.retryLane;e.retryLane=0!==t&&t<n?t:n}}function Vf(e,n){Hf(e,n),(e=e.alternate)&&Hf(e,n)}function Bf(e){if(13===e.tag){var n=Nr(e,67108864);null!==n&&Os(n,0,67108864),Vf(e,67108864)}}var Wf=!0;function Qf(e,n,t,r){var l=T.T;T.T=null;var a=H.p;try{H.p=2,Kf(e,n,t,r)}finally{H.p=a,T.T=l}}function qf(e,n,t,r){var l=T.T;T.T=null;var a=H.p;try{H.p=8,Kf(e,n,t,r)}finally{H.p=a,T.T=l}}function Kf(e,n,t,r){if(Wf){var l=Yf(r);if(null===l)Ac(e,n,r,Gf,t),id(e,r);else if(function(e,n,t,r,l){switch(n){case"focusin":return ed=ud(ed,e,n,t,r,l),!0;case"dragenter":return nd=ud(nd,e,n,t,r,l),!0;case"mouseover":return td=ud(td,e,n,t,r,l),!0;case"pointerover":var a=l.pointerId;return rd.set(a,ud(rd.get(a)||null,e,n,t,r,l)),!0;case"gotpointercapture":return a=l.pointerId,ld.set(a,ud(ld.get(a)||null,e,n,t,r,l)),!0}return!1}(l,e,n,t,r))r.stopPropagation();else if(id(e,r),4&n&&-1<od.indexOf(e)){for(;null!==l;){var a=Ke(l);if(null!==a)switch(a.tag){case 3:if((a=a.stateNode).current.memoizedState.isDehydrated){var o=Ce(a.pendingLanes);if(0!==o){var i=a;for(i.pendingLanes|=2,i.entangledLanes|=2;o;){var u=1<<31-ke(o);i.entanglements[1]|=u,o&=~u}hc(a),!(6&es)&&(ks=ue()+500,gc(0,!1))}}break;case 13:null!==(i=Nr(a,2))&&Os(i,0,2),Is(),Vf(a,2)}if(null===(a=Yf(r))&&Ac(e,n,r,Gf,t),a===l)break;l=a}null!==l&&r.stopPropagation()}else Ac(e,n,r,null,t)}}function Yf(e){return Xf(e=On(e))}var Gf=null;function Xf(e){if(Gf=null,null!==(e=qe(e))){var n=M(e);if(null===n)e=null;else{var t=n.tag;if(13===t){if(null!==(e=I(n)))return e;e=null}else if(3===t){if(n.stateNode.current.memoizedState.isDehydrated)return 3===n.tag?n.stateNode.containerInfo:null;e=null}else n!==e&&(e=null)}}return Gf=e,null}function Zf(e){switch(e){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(se()){case ce:return 2;case fe:return 8;case de:case pe:return 32;case me:return 268435456;default:return 32}default:return 32}}var Jf=!1,ed=null,nd=null,td=null,rd=new Map,ld=new Map,ad=[],od="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function id(e,n){switch(e){case"focusin":case"focusout":ed=null;break;case"dragenter":case"dragleave":nd=null;break;case"mouseover":case"mouseout":td=null;break;case"pointerover":case"pointerout":rd.delete(n.pointerId);break;case"gotpointercapture":case"lostpointercapture":ld.delete(n.pointerId)}}function ud(e,n,t,r,l,a){return null===e||e.nativeEvent!==a?(e={blockedOn:n,domEventName:t,eventSystemFlags:r,nativeEvent:a,targetContainers:[l]},null!==n&&(null!==(n=Ke(n))&&Bf(n)),e):(e.eventSystemFlags|=r,n=e.targetContainers,null!==l&&-1===n.indexOf(l)&&n.push(l),e)}function sd(e){var n=qe(e.target);if(null!==n){var t=M(n);if(null!==t)if(13===(n=t.tag)){if(null!==(n=I(t)))return e.blockedOn=n,void function(e,n){var t=H.p;try{return H.p=e,n()}finally{H.p=t}}(e.priority,(function(){if(13===t.tag){var e=Ts(),n=Nr(t,e);null!==n&&Os(n,0,e),Vf(t,e)}}))}else if(3===n&&t.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===t.tag?t.stateNode.containerInfo:null)}e.blockedOn=null}function cd(e){if(null!==e.blockedOn)return!1;for(var n=e.targetContainers;0<n.length;){var t=Yf(e.nativeEvent);if(null!==t)return null!==(n=Ke(t))&&Bf(n),e.blockedOn=t,!1;var r=new(t=e.nativeEvent).constructor(t.type,t);Ln=r,t.target.dispatchEvent(r),Ln=null,n.shift()}return!0}function fd(e,n,t){cd(e)&&t.delete(n)}function dd(){Jf=!1,null!==ed&&cd(ed)&&(ed=null),null!==nd&&cd(nd)&&(nd=null),null!==td&&cd(td)&&(td=null),rd.forEach(fd),ld.forEach(fd)}function pd(e,n){e.blockedOn===n&&(e.blockedOn=null,Jf||(Jf=!0,r.unstable_scheduleCallback(r.unstable_NormalPriority,dd)))}var md=null;function hd(e){md!==e&&(md=e,r.unstable_scheduleCallback(r.unstable_NormalPriority,(function(){md===e&&(md=null);for(var n=0;n<e.length;n+=3){var t=e[n],r=e[n+1],l=e[n+2];if("function"!=typeof r){if(null===Xf(r||t))continue;break}var a=Ke(t);null!==a&&(e.splice(n,3),n-=3,co(a,{pending:!0,data:l,method:t.method,action:r},r,l))}})))}function gd(e){function n(n){return pd(n,e)}null!==ed&&pd(ed,e),null!==nd&&pd(nd,e),null!==td&&pd(td,e),rd.forEach(n),ld.forEach(n);for(var t=0;t<ad.length;t++){var r=ad[t];r.blockedOn===e&&(r.blockedOn=null)}for(;0<ad.length&&null===(t=ad[0]).blockedOn;)sd(t),null===t.blockedOn&&ad.shift();if(null!=(t=(e.ownerDocument||e).$$reactFormReplay))for(r=0;r<t.length;r+=3){var l=t[r],a=t[r+1],o=l[Ue]||null;if("function"==typeof a)o||hd(t);else if(o){var i=null;if(a&&a.hasAttribute("formAction")){if(l=a,o=a[Ue]||null)i=o.formAction;else if(null!==Xf(l))continue}else i=o.action;"function"==typeof i?t[r+1]=i:(t.splice(r,3),r-=3),hd(t)}}}function yd(e){this._internalRoot=e}function vd(e){this._internalRoot=e}vd.prototype.render=yd.prototype.render=function(e){var n=this._internalRoot;if(null===n)throw Error(o(409));$f(n.current,Ts(),e,n,null,null)},vd.prototype.unmount=yd.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var n=e.containerInfo;0===e.tag&&nc(),$f(e.current,2,null,e,null,null),Is(),n[je]=null}},vd.prototype.unstable_scheduleHydration=function(e){if(e){var n=De();e={blockedOn:null,target:e,priority:n};for(var t=0;t<ad.length&&0!==n&&n<ad[t].priority;t++);ad.splice(t,0,e),0===t&&sd(e)}};var bd=l.version;if("19.0.0"!==bd)throw Error(o(527,bd,"19.0.0"));H.findDOMNode=function(e){var n=e._reactInternals;if(void 0===n){if("function"==typeof e.render)throw Error(o(188));throw e=Object.keys(e).join(","),Error(o(268,e))}return e=function(e){var n=e.alternate;if(!n){if(null===(n=M(e)))throw Error(o(188));return n!==e?null:e}for(var t=e,r=n;;){var l=t.return;if(null===l)break;var a=l.alternate;if(null===a){if(null!==(r=l.return)){t=r;continue}break}if(l.child===a.child){for(a=l.child;a;){if(a===t)return U(l),e;if(a===r)return U(l),n;a=a.sibling}throw Error(o(188))}if(t.return!==r.return)t=l,r=a;else{for(var i=!1,u=l.child;u;){if(u===t){i=!0,t=l,r=a;break}if(u===r){i=!0,r=l,t=a;break}u=u.sibling}if(!i){for(u=a.child;u;){if(u===t){i=!0,t=a,r=l;break}if(u===r){i=!0,r=a,t=l;break}u=u.sibling}if(!i)throw Error(o(189))}}if(t.alternate!==r)throw Error(o(190))}if(3!==t.tag)throw Error(o(188));return t.stateNode.current===t?e:n}(n),e=null===(e=null!==e?j(e):null)?null:e.stateNode};var kd={bundleType:0,version:"19.0.0",rendererPackageName:"react-dom",currentDispatcherRef:T,findFiberByHostInstance:qe,reconcilerVersion:"19.0.0"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var wd=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!wd.isDisabled&&wd.supportsFiber)try{ye=wd.inject(kd),ve=wd}catch(e){}}n.createRoot=function(e,n){if(!i(e))throw Error(o(299));var t=!1,r="",l=Fo,a=Do,u=Mo;return null!=n&&(!0===n.unstable_strictMode&&(t=!0),void 0!==n.identifierPrefix&&(r=n.identifierPrefix),void 0!==n.onUncaughtError&&(l=n.onUncaughtError),void 0!==n.onCaughtError&&(a=n.onCaughtError),void 0!==n.onRecoverableError&&(u=n.onRecoverableError),void 0!==n.unstable_transitionCallbacks&&n.unstable_transitionCallbacks),n=Uf(e,1,!1,null,0,t,r,l,a,u,0,null),e[je]=n.current,Oc(8===e.nodeType?e.parentNode:e),new yd(n)}},338:(e,n,t)=>{!function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}}(),e.exports=t(247)},477:(e,n)=>{
 /**
  * @license React
  * scheduler.production.js
@@ -27,7 +27,7 @@ var r=n(540);function l(e){var t="https://react.dev/errors/"+e;if(1<arguments.le
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this source tree.
  */
-function n(e,t){var n=e.length;e.push(t);e:for(;0<n;){var r=n-1>>>1,l=e[r];if(!(0<a(l,t)))break e;e[r]=t,e[n]=l,n=r}}function r(e){return 0===e.length?null:e[0]}function l(e){if(0===e.length)return null;var t=e[0],n=e.pop();if(n!==t){e[0]=n;e:for(var r=0,l=e.length,o=l>>>1;r<o;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>a(u,n))s<l&&0>a(c,u)?(e[r]=c,e[s]=n,r=s):(e[r]=u,e[i]=n,r=i);else{if(!(s<l&&0>a(c,n)))break e;e[r]=c,e[s]=n,r=s}}}return t}function a(e,t){var n=e.sortIndex-t.sortIndex;return 0!==n?n:e.id-t.id}if(t.unstable_now=void 0,"object"==typeof performance&&"function"==typeof performance.now){var o=performance;t.unstable_now=function(){return o.now()}}else{var i=Date,u=i.now();t.unstable_now=function(){return i.now()-u}}var s=[],c=[],f=1,d=null,p=3,m=!1,h=!1,g=!1,y="function"==typeof setTimeout?setTimeout:null,v="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function k(e){for(var t=r(c);null!==t;){if(null===t.callback)l(c);else{if(!(t.startTime<=e))break;l(c),t.sortIndex=t.expirationTime,n(s,t)}t=r(c)}}function w(e){if(g=!1,k(e),!h)if(null!==r(s))h=!0,L();else{var t=r(c);null!==t&&O(w,t.startTime-e)}}var S,E=!1,x=-1,C=5,_=-1;function z(){return!(t.unstable_now()-_<C)}function P(){if(E){var e=t.unstable_now();_=e;var n=!0;try{e:{h=!1,g&&(g=!1,v(x),x=-1),m=!0;var a=p;try{t:{for(k(e),d=r(s);null!==d&&!(d.expirationTime>e&&z());){var o=d.callback;if("function"==typeof o){d.callback=null,p=d.priorityLevel;var i=o(d.expirationTime<=e);if(e=t.unstable_now(),"function"==typeof i){d.callback=i,k(e),n=!0;break t}d===r(s)&&l(s),k(e)}else l(s);d=r(s)}if(null!==d)n=!0;else{var u=r(c);null!==u&&O(w,u.startTime-e),n=!1}}break e}finally{d=null,p=a,m=!1}n=void 0}}finally{n?S():E=!1}}}if("function"==typeof b)S=function(){b(P)};else if("undefined"!=typeof MessageChannel){var N=new MessageChannel,T=N.port2;N.port1.onmessage=P,S=function(){T.postMessage(null)}}else S=function(){y(P,0)};function L(){E||(E=!0,S())}function O(e,n){x=y((function(){e(t.unstable_now())}),n)}t.unstable_IdlePriority=5,t.unstable_ImmediatePriority=1,t.unstable_LowPriority=4,t.unstable_NormalPriority=3,t.unstable_Profiling=null,t.unstable_UserBlockingPriority=2,t.unstable_cancelCallback=function(e){e.callback=null},t.unstable_continueExecution=function(){h||m||(h=!0,L())},t.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):C=0<e?Math.floor(1e3/e):5},t.unstable_getCurrentPriorityLevel=function(){return p},t.unstable_getFirstCallbackNode=function(){return r(s)},t.unstable_next=function(e){switch(p){case 1:case 2:case 3:var t=3;break;default:t=p}var n=p;p=t;try{return e()}finally{p=n}},t.unstable_pauseExecution=function(){},t.unstable_requestPaint=function(){},t.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var n=p;p=e;try{return t()}finally{p=n}},t.unstable_scheduleCallback=function(e,l,a){var o=t.unstable_now();switch("object"==typeof a&&null!==a?a="number"==typeof(a=a.delay)&&0<a?o+a:o:a=o,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return e={id:f++,callback:l,priorityLevel:e,startTime:a,expirationTime:i=a+i,sortIndex:-1},a>o?(e.sortIndex=a,n(c,e),null===r(s)&&e===r(c)&&(g?(v(x),x=-1):g=!0,O(w,a-o))):(e.sortIndex=i,n(s,e),h||m||(h=!0,L())),e},t.unstable_shouldYield=z,t.unstable_wrapCallback=function(e){var t=p;return function(){var n=p;p=t;try{return e.apply(this,arguments)}finally{p=n}}}},540:(e,t,n)=>{e.exports=n(869)},869:(e,t)=>{
+function t(e,n){var t=e.length;e.push(n);e:for(;0<t;){var r=t-1>>>1,l=e[r];if(!(0<a(l,n)))break e;e[r]=n,e[t]=l,t=r}}function r(e){return 0===e.length?null:e[0]}function l(e){if(0===e.length)return null;var n=e[0],t=e.pop();if(t!==n){e[0]=t;e:for(var r=0,l=e.length,o=l>>>1;r<o;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>a(u,t))s<l&&0>a(c,u)?(e[r]=c,e[s]=t,r=s):(e[r]=u,e[i]=t,r=i);else{if(!(s<l&&0>a(c,t)))break e;e[r]=c,e[s]=t,r=s}}}return n}function a(e,n){var t=e.sortIndex-n.sortIndex;return 0!==t?t:e.id-n.id}if(n.unstable_now=void 0,"object"==typeof performance&&"function"==typeof performance.now){var o=performance;n.unstable_now=function(){return o.now()}}else{var i=Date,u=i.now();n.unstable_now=function(){return i.now()-u}}var s=[],c=[],f=1,d=null,p=3,m=!1,h=!1,g=!1,y="function"==typeof setTimeout?setTimeout:null,v="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function k(e){for(var n=r(c);null!==n;){if(null===n.callback)l(c);else{if(!(n.startTime<=e))break;l(c),n.sortIndex=n.expirationTime,t(s,n)}n=r(c)}}function w(e){if(g=!1,k(e),!h)if(null!==r(s))h=!0,L();else{var n=r(c);null!==n&&O(w,n.startTime-e)}}var S,E=!1,x=-1,C=5,_=-1;function P(){return!(n.unstable_now()-_<C)}function z(){if(E){var e=n.unstable_now();_=e;var t=!0;try{e:{h=!1,g&&(g=!1,v(x),x=-1),m=!0;var a=p;try{n:{for(k(e),d=r(s);null!==d&&!(d.expirationTime>e&&P());){var o=d.callback;if("function"==typeof o){d.callback=null,p=d.priorityLevel;var i=o(d.expirationTime<=e);if(e=n.unstable_now(),"function"==typeof i){d.callback=i,k(e),t=!0;break n}d===r(s)&&l(s),k(e)}else l(s);d=r(s)}if(null!==d)t=!0;else{var u=r(c);null!==u&&O(w,u.startTime-e),t=!1}}break e}finally{d=null,p=a,m=!1}t=void 0}}finally{t?S():E=!1}}}if("function"==typeof b)S=function(){b(z)};else if("undefined"!=typeof MessageChannel){var N=new MessageChannel,T=N.port2;N.port1.onmessage=z,S=function(){T.postMessage(null)}}else S=function(){y(z,0)};function L(){E||(E=!0,S())}function O(e,t){x=y((function(){e(n.unstable_now())}),t)}n.unstable_IdlePriority=5,n.unstable_ImmediatePriority=1,n.unstable_LowPriority=4,n.unstable_NormalPriority=3,n.unstable_Profiling=null,n.unstable_UserBlockingPriority=2,n.unstable_cancelCallback=function(e){e.callback=null},n.unstable_continueExecution=function(){h||m||(h=!0,L())},n.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):C=0<e?Math.floor(1e3/e):5},n.unstable_getCurrentPriorityLevel=function(){return p},n.unstable_getFirstCallbackNode=function(){return r(s)},n.unstable_next=function(e){switch(p){case 1:case 2:case 3:var n=3;break;default:n=p}var t=p;p=n;try{return e()}finally{p=t}},n.unstable_pauseExecution=function(){},n.unstable_requestPaint=function(){},n.unstable_runWithPriority=function(e,n){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var t=p;p=e;try{return n()}finally{p=t}},n.unstable_scheduleCallback=function(e,l,a){var o=n.unstable_now();switch("object"==typeof a&&null!==a?a="number"==typeof(a=a.delay)&&0<a?o+a:o:a=o,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return e={id:f++,callback:l,priorityLevel:e,startTime:a,expirationTime:i=a+i,sortIndex:-1},a>o?(e.sortIndex=a,t(c,e),null===r(s)&&e===r(c)&&(g?(v(x),x=-1):g=!0,O(w,a-o))):(e.sortIndex=i,t(s,e),h||m||(h=!0,L())),e},n.unstable_shouldYield=P,n.unstable_wrapCallback=function(e){var n=p;return function(){var t=p;p=n;try{return e.apply(this,arguments)}finally{p=t}}}},540:(e,n,t)=>{e.exports=t(869)},869:(e,n)=>{
 /**
  * @license React
  * react.production.js
@@ -37,4 +37,4 @@ function n(e,t){var n=e.length;e.push(t);e:for(;0<n;){var r=n-1>>>1,l=e[r];if(!(
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this source tree.
  */
-var n=Symbol.for("react.transitional.element"),r=Symbol.for("react.portal"),l=Symbol.for("react.fragment"),a=Symbol.for("react.strict_mode"),o=Symbol.for("react.profiler"),i=Symbol.for("react.consumer"),u=Symbol.for("react.context"),s=Symbol.for("react.forward_ref"),c=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),d=Symbol.for("react.lazy"),p=Symbol.iterator;var m={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},h=Object.assign,g={};function y(e,t,n){this.props=e,this.context=t,this.refs=g,this.updater=n||m}function v(){}function b(e,t,n){this.props=e,this.context=t,this.refs=g,this.updater=n||m}y.prototype.isReactComponent={},y.prototype.setState=function(e,t){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},y.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},v.prototype=y.prototype;var k=b.prototype=new v;k.constructor=b,h(k,y.prototype),k.isPureReactComponent=!0;var w=Array.isArray,S={H:null,A:null,T:null,S:null},E=Object.prototype.hasOwnProperty;function x(e,t,r,l,a,o){return r=o.ref,{$$typeof:n,type:e,key:t,ref:void 0!==r?r:null,props:o}}function C(e){return"object"==typeof e&&null!==e&&e.$$typeof===n}var _=/\/+/g;function z(e,t){return"object"==typeof e&&null!==e&&null!=e.key?(n=""+e.key,r={"=":"=0",":":"=2"},"$"+n.replace(/[=:]/g,(function(e){return r[e]}))):t.toString(36);var n,r}function P(){}function N(e,t,l,a,o){var i=typeof e;"undefined"!==i&&"boolean"!==i||(e=null);var u,s,c=!1;if(null===e)c=!0;else switch(i){case"bigint":case"string":case"number":c=!0;break;case"object":switch(e.$$typeof){case n:case r:c=!0;break;case d:return N((c=e._init)(e._payload),t,l,a,o)}}if(c)return o=o(e),c=""===a?"."+z(e,0):a,w(o)?(l="",null!=c&&(l=c.replace(_,"$&/")+"/"),N(o,t,l,"",(function(e){return e}))):null!=o&&(C(o)&&(u=o,s=l+(null==o.key||e&&e.key===o.key?"":(""+o.key).replace(_,"$&/")+"/")+c,o=x(u.type,s,void 0,0,0,u.props)),t.push(o)),1;c=0;var f,m=""===a?".":a+":";if(w(e))for(var h=0;h<e.length;h++)c+=N(a=e[h],t,l,i=m+z(a,h),o);else if("function"==typeof(h=null===(f=e)||"object"!=typeof f?null:"function"==typeof(f=p&&f[p]||f["@@iterator"])?f:null))for(e=h.call(e),h=0;!(a=e.next()).done;)c+=N(a=a.value,t,l,i=m+z(a,h++),o);else if("object"===i){if("function"==typeof e.then)return N(function(e){switch(e.status){case"fulfilled":return e.value;case"rejected":throw e.reason;default:switch("string"==typeof e.status?e.then(P,P):(e.status="pending",e.then((function(t){"pending"===e.status&&(e.status="fulfilled",e.value=t)}),(function(t){"pending"===e.status&&(e.status="rejected",e.reason=t)}))),e.status){case"fulfilled":return e.value;case"rejected":throw e.reason}}throw e}(e),t,l,a,o);throw t=String(e),Error("Objects are not valid as a React child (found: "+("[object Object]"===t?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.")}return c}function T(e,t,n){if(null==e)return e;var r=[],l=0;return N(e,r,"","",(function(e){return t.call(n,e,l++)})),r}function L(e){if(-1===e._status){var t=e._result;(t=t()).then((function(t){0!==e._status&&-1!==e._status||(e._status=1,e._result=t)}),(function(t){0!==e._status&&-1!==e._status||(e._status=2,e._result=t)})),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var O="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var t=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(t))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)};function A(){}t.Children={map:T,forEach:function(e,t,n){T(e,(function(){t.apply(this,arguments)}),n)},count:function(e){var t=0;return T(e,(function(){t++})),t},toArray:function(e){return T(e,(function(e){return e}))||[]},only:function(e){if(!C(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},t.Component=y,t.Fragment=l,t.Profiler=o,t.PureComponent=b,t.StrictMode=a,t.Suspense=c,t.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=S,t.act=function(){throw Error("act(...) is not supported in production builds of React.")},t.cache=function(e){return function(){return e.apply(null,arguments)}},t.cloneElement=function(e,t,n){if(null==e)throw Error("The argument must be a React element, but you passed "+e+".");var r=h({},e.props),l=e.key;if(null!=t)for(a in void 0!==t.ref&&void 0,void 0!==t.key&&(l=""+t.key),t)!E.call(t,a)||"key"===a||"__self"===a||"__source"===a||"ref"===a&&void 0===t.ref||(r[a]=t[a]);var a=arguments.length-2;if(1===a)r.children=n;else if(1<a){for(var o=Array(a),i=0;i<a;i++)o[i]=arguments[i+2];r.children=o}return x(e.type,l,void 0,0,0,r)},t.createContext=function(e){return(e={$$typeof:u,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null}).Provider=e,e.Consumer={$$typeof:i,_context:e},e},t.createElement=function(e,t,n){var r,l={},a=null;if(null!=t)for(r in void 0!==t.key&&(a=""+t.key),t)E.call(t,r)&&"key"!==r&&"__self"!==r&&"__source"!==r&&(l[r]=t[r]);var o=arguments.length-2;if(1===o)l.children=n;else if(1<o){for(var i=Array(o),u=0;u<o;u++)i[u]=arguments[u+2];l.children=i}if(e&&e.defaultProps)for(r in o=e.defaultProps)void 0===l[r]&&(l[r]=o[r]);return x(e,a,void 0,0,0,l)},t.createRef=function(){return{current:null}},t.forwardRef=function(e){return{$$typeof:s,render:e}},t.isValidElement=C,t.lazy=function(e){return{$$typeof:d,_payload:{_status:-1,_result:e},_init:L}},t.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},t.startTransition=function(e){var t=S.T,n={};S.T=n;try{var r=e(),l=S.S;null!==l&&l(n,r),"object"==typeof r&&null!==r&&"function"==typeof r.then&&r.then(A,O)}catch(e){O(e)}finally{S.T=t}},t.unstable_useCacheRefresh=function(){return S.H.useCacheRefresh()},t.use=function(e){return S.H.use(e)},t.useActionState=function(e,t,n){return S.H.useActionState(e,t,n)},t.useCallback=function(e,t){return S.H.useCallback(e,t)},t.useContext=function(e){return S.H.useContext(e)},t.useDebugValue=function(){},t.useDeferredValue=function(e,t){return S.H.useDeferredValue(e,t)},t.useEffect=function(e,t){return S.H.useEffect(e,t)},t.useId=function(){return S.H.useId()},t.useImperativeHandle=function(e,t,n){return S.H.useImperativeHandle(e,t,n)},t.useInsertionEffect=function(e,t){return S.H.useInsertionEffect(e,t)},t.useLayoutEffect=function(e,t){return S.H.useLayoutEffect(e,t)},t.useMemo=function(e,t){return S.H.useMemo(e,t)},t.useOptimistic=function(e,t){return S.H.useOptimistic(e,t)},t.useReducer=function(e,t,n){return S.H.useReducer(e,t,n)},t.useRef=function(e){return S.H.useRef(e)},t.useState=function(e){return S.H.useState(e)},t.useSyncExternalStore=function(e,t,n){return S.H.useSyncExternalStore(e,t,n)},t.useTransition=function(){return S.H.useTransition()},t.version="19.0.0"},961:(e,t,n)=>{!function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}}(),e.exports=n(221)},982:(e,t,n)=>{e.exports=n(477)}},t={};function n(r){var l=t[r];if(void 0!==l)return l.exports;var a=t[r]={exports:{}};return e[r](a,a.exports,n),a.exports}var r=n(540),l=n(338);const a=e=>{let{label:t,isActive:n,onClick:l}=e;return r.createElement("button",{className:"tablink "+(n?"active":""),onClick:l},t)},o=e=>{let{title:t,handle:n,image:l}=e;return r.createElement("div",{className:"collection-card"},r.createElement("a",{href:`/collections/${n}`,className:"collection-block-item"},r.createElement("div",{className:"collection-image"},r.createElement("img",{src:l||"https://placehold.co/300x300",alt:t,width:"300",height:"300"})),r.createElement("h3",null,t)))},i=e=>{let{collections:t=[]}=e;return r.createElement("div",{className:"tab-inner-content"},r.createElement("div",{className:"inner-grid"},t.length>0?t.filter((e=>null!==e.image)).map(((e,t)=>r.createElement(o,{key:`${e.handle}-${t}`,title:e.title,handle:e.handle,image:e.image}))):r.createElement("p",{className:"no-items"},"No collections found")))},u=()=>r.createElement("div",{className:"loading-indicator"},r.createElement("div",{className:"spinner"}),r.createElement("p",null,"Loading collections...")),s=()=>{const e=(()=>{const e=window.location.pathname.match(/\/collections\/([^\/]+)/);return e?e[1]:null})(),[t,n]=r.useState("byCategory"),[l,o]=r.useState(null),[s,c]=r.useState(!0),[f,d]=r.useState(null);if(r.useEffect((()=>{(async()=>{if(!e)return d("No collection handle found in URL"),void c(!1);if("all"===e)return d("All collections page is not supported"),void c(!1);try{c(!0);const t=document.getElementById("container"),r=t?.dataset?.apiBaseUrl||"https://shopify-shop-by-specs.onrender.com",l=await fetch(`${r}/related-collections/${e}`,{method:"GET",headers:{"Content-Type":"application/json",Accept:"application/json"},mode:"cors",credentials:"omit"});if(!l.ok)throw new Error(`HTTP error! Status: ${l.status}`);const a=await l.json();console.log("Fetched related collections:",a),o(a),a.byCategory&&a.byCategory.length>0?n("byCategory"):a.byManufacturer&&a.byManufacturer.length>0?n("byManufacturer"):a.parts&&a.parts.length>0&&n("parts")}catch(e){console.error("Error fetching related collections:",e),e.message.includes("Failed to fetch")||e.message.includes("NetworkError")?d("CORS error: Unable to connect to the API server. This may be a temporary issue with the server."):d(e.message)}finally{c(!1)}})()}),[e]),f&&console.error("Error:",f),s)return r.createElement(u,null);if(!e||!l)return r.createElement("div",{className:"container"});const p=l.byCategory&&l.byCategory.length>0,m=l.byManufacturer&&l.byManufacturer.length>0,h=l.bySizeItem&&l.bySizeItem.length>0,g=l.bySpecs?.condition&&l.bySpecs.condition.length>0,y=l.bySpecs?.fuelType&&l.bySpecs.fuelType.length>0,v=l.parts&&l.parts.length>0;return r.createElement("div",{className:"container"},r.createElement("div",{className:"title-buttons-grid"},p&&r.createElement(a,{label:"By Category",isActive:"byCategory"===t,onClick:()=>n("byCategory")}),m&&r.createElement(a,{label:"By Manufacturer",isActive:"byManufacturer"===t,onClick:()=>n("byManufacturer")}),h&&r.createElement(a,{label:"By Size",isActive:"bySizeItem"===t,onClick:()=>n("bySizeItem")}),g&&r.createElement(a,{label:"By Condition",isActive:"byCondition"===t,onClick:()=>n("byCondition")}),y&&r.createElement(a,{label:"By Fuel Type",isActive:"byFuelType"===t,onClick:()=>n("byFuelType")}),v&&r.createElement(a,{label:"Parts",isActive:"parts"===t,onClick:()=>n("parts")})),r.createElement("div",{id:"byCategory",className:"tab-content",style:{display:"byCategory"===t?"block":"none"}},r.createElement(i,{collections:l.byCategory})),r.createElement("div",{id:"byManufacturer",className:"tab-content",style:{display:"byManufacturer"===t?"block":"none"}},r.createElement(i,{collections:l.byManufacturer})),r.createElement("div",{id:"bySizeItem",className:"tab-content",style:{display:"bySizeItem"===t?"block":"none"}},r.createElement(i,{collections:l.bySizeItem})),r.createElement("div",{id:"byCondition",className:"tab-content",style:{display:"byCondition"===t?"block":"none"}},r.createElement(i,{collections:l.bySpecs?.condition})),r.createElement("div",{id:"byFuelType",className:"tab-content",style:{display:"byFuelType"===t?"block":"none"}},r.createElement(i,{collections:l.bySpecs?.fuelType})),r.createElement("div",{id:"parts",className:"tab-content",style:{display:"parts"===t?"block":"none"}},r.createElement(i,{collections:l.parts})),r.createElement("style",null,"\n        .tablink {\n          background-color: #dadbe2;\n          border: 1px #294378 solid;\n          border-radius: 20px;\n          cursor: pointer;\n          margin: 5px;\n        }\n        \n        .tablink.active {\n          background-color: #294378;\n          color: #fff;\n        }\n        \n        .title-buttons-grid {\n          display: grid;\n          grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));\n          gap: 20px;\n          padding: 20px 0;\n        }\n        \n        .inner-grid {\n          display: grid;\n          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));\n          gap: 15px;\n          padding: 20px;\n        }\n        \n        .collection-card {\n          text-align: center;\n          padding: 15px;\n          border: 1px solid #eee;\n          border-radius: 8px;\n        }\n        \n        .collection-card:hover {\n          background-color: #294378;\n          color: #fff;\n        }\n        \n        .collection-image {\n          height: 200px;\n          display: flex;\n          align-items: center;\n          justify-content: center;\n        }\n        \n        .collection-image img {\n          max-width: 100%;\n          max-height: 100%;\n          height: auto;\n          border-radius: 4px;\n          object-fit: contain;\n        }\n        \n        .loading-indicator {\n          display: flex;\n          flex-direction: column;\n          align-items: center;\n          justify-content: center;\n          padding: 40px;\n        }\n        \n        .spinner {\n          border: 6px solid #f3f3f3;\n          border-top: 6px solid #294378;\n          border-radius: 50%;\n          width: 40px;\n          height: 40px;\n          animation: spin 1s linear infinite;\n          margin-bottom: 20px;\n        }\n        \n        @keyframes spin {\n          0% { transform: rotate(0deg); }\n          100% { transform: rotate(360deg); }\n        }\n        \n        .error-message {\n          padding: 20px;\n          background-color: #ffebee;\n          border-radius: 8px;\n          text-align: center;\n          color: #d32f2f;\n        }\n        \n        .error-message button {\n          background-color: #294378;\n          color: white;\n          padding: 5px 10px;\n          border: none;\n          border-radius: 20px;\n          margin-top: 15px;\n          cursor: pointer;\n        }\n        \n        .no-items {\n          text-align: center;\n          color: #666;\n          grid-column: 1 / -1;\n        }\n      "))};document.addEventListener("DOMContentLoaded",(()=>{const e=["#related-collections","#container",".related-collections-container"];let t=null;for(const n of e){const e=document.querySelector(n);if(e){t=e,console.log(`Container found with selector: ${n}`),e.dataset.apiBaseUrl&&console.log(`Using API base URL from theme settings: ${e.dataset.apiBaseUrl}`);break}}if(t){console.log("Mounting React app to container");(0,l.createRoot)(t).render(r.createElement(s,null))}else console.error("No suitable container element found for the Related Collections app"),console.info("Please add a container element with one of these selectors:",e.join(", "))}))})();
\ No newline at end of file
+var t=Symbol.for("react.transitional.element"),r=Symbol.for("react.portal"),l=Symbol.for("react.fragment"),a=Symbol.for("react.strict_mode"),o=Symbol.for("react.profiler"),i=Symbol.for("react.consumer"),u=Symbol.for("react.context"),s=Symbol.for("react.forward_ref"),c=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),d=Symbol.for("react.lazy"),p=Symbol.iterator;var m={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},h=Object.assign,g={};function y(e,n,t){this.props=e,this.context=n,this.refs=g,this.updater=t||m}function v(){}function b(e,n,t){this.props=e,this.context=n,this.refs=g,this.updater=t||m}y.prototype.isReactComponent={},y.prototype.setState=function(e,n){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,n,"setState")},y.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},v.prototype=y.prototype;var k=b.prototype=new v;k.constructor=b,h(k,y.prototype),k.isPureReactComponent=!0;var w=Array.isArray,S={H:null,A:null,T:null,S:null},E=Object.prototype.hasOwnProperty;function x(e,n,r,l,a,o){return r=o.ref,{$$typeof:t,type:e,key:n,ref:void 0!==r?r:null,props:o}}function C(e){return"object"==typeof e&&null!==e&&e.$$typeof===t}var _=/\/+/g;function P(e,n){return"object"==typeof e&&null!==e&&null!=e.key?(t=""+e.key,r={"=":"=0",":":"=2"},"$"+t.replace(/[=:]/g,(function(e){return r[e]}))):n.toString(36);var t,r}function z(){}function N(e,n,l,a,o){var i=typeof e;"undefined"!==i&&"boolean"!==i||(e=null);var u,s,c=!1;if(null===e)c=!0;else switch(i){case"bigint":case"string":case"number":c=!0;break;case"object":switch(e.$$typeof){case t:case r:c=!0;break;case d:return N((c=e._init)(e._payload),n,l,a,o)}}if(c)return o=o(e),c=""===a?"."+P(e,0):a,w(o)?(l="",null!=c&&(l=c.replace(_,"$&/")+"/"),N(o,n,l,"",(function(e){return e}))):null!=o&&(C(o)&&(u=o,s=l+(null==o.key||e&&e.key===o.key?"":(""+o.key).replace(_,"$&/")+"/")+c,o=x(u.type,s,void 0,0,0,u.props)),n.push(o)),1;c=0;var f,m=""===a?".":a+":";if(w(e))for(var h=0;h<e.length;h++)c+=N(a=e[h],n,l,i=m+P(a,h),o);else if("function"==typeof(h=null===(f=e)||"object"!=typeof f?null:"function"==typeof(f=p&&f[p]||f["@@iterator"])?f:null))for(e=h.call(e),h=0;!(a=e.next()).done;)c+=N(a=a.value,n,l,i=m+P(a,h++),o);else if("object"===i){if("function"==typeof e.then)return N(function(e){switch(e.status){case"fulfilled":return e.value;case"rejected":throw e.reason;default:switch("string"==typeof e.status?e.then(z,z):(e.status="pending",e.then((function(n){"pending"===e.status&&(e.status="fulfilled",e.value=n)}),(function(n){"pending"===e.status&&(e.status="rejected",e.reason=n)}))),e.status){case"fulfilled":return e.value;case"rejected":throw e.reason}}throw e}(e),n,l,a,o);throw n=String(e),Error("Objects are not valid as a React child (found: "+("[object Object]"===n?"object with keys {"+Object.keys(e).join(", ")+"}":n)+"). If you meant to render a collection of children, use an array instead.")}return c}function T(e,n,t){if(null==e)return e;var r=[],l=0;return N(e,r,"","",(function(e){return n.call(t,e,l++)})),r}function L(e){if(-1===e._status){var n=e._result;(n=n()).then((function(n){0!==e._status&&-1!==e._status||(e._status=1,e._result=n)}),(function(n){0!==e._status&&-1!==e._status||(e._status=2,e._result=n)})),-1===e._status&&(e._status=0,e._result=n)}if(1===e._status)return e._result.default;throw e._result}var O="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var n=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(n))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)};function R(){}n.Children={map:T,forEach:function(e,n,t){T(e,(function(){n.apply(this,arguments)}),t)},count:function(e){var n=0;return T(e,(function(){n++})),n},toArray:function(e){return T(e,(function(e){return e}))||[]},only:function(e){if(!C(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},n.Component=y,n.Fragment=l,n.Profiler=o,n.PureComponent=b,n.StrictMode=a,n.Suspense=c,n.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=S,n.act=function(){throw Error("act(...) is not supported in production builds of React.")},n.cache=function(e){return function(){return e.apply(null,arguments)}},n.cloneElement=function(e,n,t){if(null==e)throw Error("The argument must be a React element, but you passed "+e+".");var r=h({},e.props),l=e.key;if(null!=n)for(a in void 0!==n.ref&&void 0,void 0!==n.key&&(l=""+n.key),n)!E.call(n,a)||"key"===a||"__self"===a||"__source"===a||"ref"===a&&void 0===n.ref||(r[a]=n[a]);var a=arguments.length-2;if(1===a)r.children=t;else if(1<a){for(var o=Array(a),i=0;i<a;i++)o[i]=arguments[i+2];r.children=o}return x(e.type,l,void 0,0,0,r)},n.createContext=function(e){return(e={$$typeof:u,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null}).Provider=e,e.Consumer={$$typeof:i,_context:e},e},n.createElement=function(e,n,t){var r,l={},a=null;if(null!=n)for(r in void 0!==n.key&&(a=""+n.key),n)E.call(n,r)&&"key"!==r&&"__self"!==r&&"__source"!==r&&(l[r]=n[r]);var o=arguments.length-2;if(1===o)l.children=t;else if(1<o){for(var i=Array(o),u=0;u<o;u++)i[u]=arguments[u+2];l.children=i}if(e&&e.defaultProps)for(r in o=e.defaultProps)void 0===l[r]&&(l[r]=o[r]);return x(e,a,void 0,0,0,l)},n.createRef=function(){return{current:null}},n.forwardRef=function(e){return{$$typeof:s,render:e}},n.isValidElement=C,n.lazy=function(e){return{$$typeof:d,_payload:{_status:-1,_result:e},_init:L}},n.memo=function(e,n){return{$$typeof:f,type:e,compare:void 0===n?null:n}},n.startTransition=function(e){var n=S.T,t={};S.T=t;try{var r=e(),l=S.S;null!==l&&l(t,r),"object"==typeof r&&null!==r&&"function"==typeof r.then&&r.then(R,O)}catch(e){O(e)}finally{S.T=n}},n.unstable_useCacheRefresh=function(){return S.H.useCacheRefresh()},n.use=function(e){return S.H.use(e)},n.useActionState=function(e,n,t){return S.H.useActionState(e,n,t)},n.useCallback=function(e,n){return S.H.useCallback(e,n)},n.useContext=function(e){return S.H.useContext(e)},n.useDebugValue=function(){},n.useDeferredValue=function(e,n){return S.H.useDeferredValue(e,n)},n.useEffect=function(e,n){return S.H.useEffect(e,n)},n.useId=function(){return S.H.useId()},n.useImperativeHandle=function(e,n,t){return S.H.useImperativeHandle(e,n,t)},n.useInsertionEffect=function(e,n){return S.H.useInsertionEffect(e,n)},n.useLayoutEffect=function(e,n){return S.H.useLayoutEffect(e,n)},n.useMemo=function(e,n){return S.H.useMemo(e,n)},n.useOptimistic=function(e,n){return S.H.useOptimistic(e,n)},n.useReducer=function(e,n,t){return S.H.useReducer(e,n,t)},n.useRef=function(e){return S.H.useRef(e)},n.useState=function(e){return S.H.useState(e)},n.useSyncExternalStore=function(e,n,t){return S.H.useSyncExternalStore(e,n,t)},n.useTransition=function(){return S.H.useTransition()},n.version="19.0.0"},961:(e,n,t)=>{!function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}}(),e.exports=t(221)},982:(e,n,t)=>{e.exports=t(477)}},n={};function t(r){var l=n[r];if(void 0!==l)return l.exports;var a=n[r]={exports:{}};return e[r](a,a.exports,t),a.exports}var r=t(540),l=t(338);const a=e=>{let{label:n,isActive:t,onClick:l}=e;return r.createElement("button",{className:"tablink "+(t?"active":""),onClick:l},n)},o=e=>{let{title:n,handle:t,image:l}=e;return r.createElement("div",{className:"collection-card"},r.createElement("a",{href:`/collections/${t}`,className:"collection-block-item"},r.createElement("div",{className:"collection-image"},r.createElement("img",{src:l||"https://placehold.co/300x300",alt:n,width:"300",height:"300"})),r.createElement("h3",null,n)))},i=e=>{let{collections:n=[]}=e;return r.createElement("div",{className:"tab-inner-content"},r.createElement("div",{className:"inner-grid"},n.length>0?n.filter((e=>null!==e.image)).map(((e,n)=>r.createElement(o,{key:`${e.handle}-${n}`,title:e.title,handle:e.handle,image:e.image}))):r.createElement("p",{className:"no-items"},"No collections found")))},u=()=>r.createElement("div",{className:"loading-indicator"},r.createElement("div",{className:"spinner"}),r.createElement("p",null,"Loading collections...")),s=()=>{const e=(()=>{const e=window.location.pathname.match(/\/collections\/([^\/]+)/);return e?e[1]:null})(),[n,t]=r.useState("byCategory"),[l,o]=r.useState(null),[s,c]=r.useState(!0),[f,d]=r.useState(null);if(r.useEffect((()=>{(async()=>{if(!e)return d("No collection handle found in URL"),void c(!1);if("all"===e)return d("All collections page is not supported"),void c(!1);try{c(!0);const n=document.getElementById("container"),r=n?.dataset?.apiBaseUrl;let l;if(r){const t=n?.dataset?.shop||window.Shopify?.shop,a=t?`?shop=${encodeURIComponent(t)}`:"";l=`${r}/related-collections/${e}${a}`}else l=`/apps/shop-by-specs/related/${e}`;const a=await fetch(l,{method:"GET",headers:{Accept:"application/json"},credentials:"omit"});if(!a.ok)throw new Error(`HTTP error! Status: ${a.status}`);const i=await a.json();console.log("Fetched related collections:",i),o(i);const u=(i.tabs||[]).find((e=>i[e.key]&&i[e.key].length>0));u&&t(u.key)}catch(e){console.error("Error fetching related collections:",e),e.message.includes("Failed to fetch")||e.message.includes("NetworkError")?d("Unable to connect to the API server. This may be a temporary issue with the server."):d(e.message)}finally{c(!1)}})()}),[e]),f&&console.error("Error:",f),s)return r.createElement(u,null);if(!e||!l)return r.createElement("div",{className:"container"});const p=(l.tabs||[]).filter((e=>l[e.key]&&l[e.key].length>0));return r.createElement("div",{className:"container"},r.createElement("div",{className:"title-buttons-grid"},p.map((e=>r.createElement(a,{key:e.key,label:e.label,isActive:n===e.key,onClick:()=>t(e.key)})))),p.map((e=>r.createElement("div",{key:e.key,id:e.key,className:"tab-content",style:{display:n===e.key?"block":"none"}},r.createElement(i,{collections:l[e.key]})))),r.createElement("style",null,"\n        .tablink {\n          background-color: #dadbe2;\n          border: 1px #294378 solid;\n          border-radius: 20px;\n          cursor: pointer;\n          margin: 5px;\n        }\n        \n        .tablink.active {\n          background-color: #294378;\n          color: #fff;\n        }\n        \n        .title-buttons-grid {\n          display: grid;\n          grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));\n          gap: 20px;\n          padding: 20px 0;\n        }\n        \n        .inner-grid {\n          display: grid;\n          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));\n          gap: 15px;\n          padding: 20px;\n        }\n        \n        .collection-card {\n          text-align: center;\n          padding: 15px;\n          border: 1px solid #eee;\n          border-radius: 8px;\n        }\n        \n        .collection-card:hover {\n          background-color: #294378;\n          color: #fff;\n        }\n        \n        .collection-image {\n          height: 200px;\n          display: flex;\n          align-items: center;\n          justify-content: center;\n        }\n        \n        .collection-image img {\n          max-width: 100%;\n          max-height: 100%;\n          height: auto;\n          border-radius: 4px;\n          object-fit: contain;\n        }\n        \n        .loading-indicator {\n          display: flex;\n          flex-direction: column;\n          align-items: center;\n          justify-content: center;\n          padding: 40px;\n        }\n        \n        .spinner {\n          border: 6px solid #f3f3f3;\n          border-top: 6px solid #294378;\n          border-radius: 50%;\n          width: 40px;\n          height: 40px;\n          animation: spin 1s linear infinite;\n          margin-bottom: 20px;\n        }\n        \n        @keyframes spin {\n          0% { transform: rotate(0deg); }\n          100% { transform: rotate(360deg); }\n        }\n        \n        .error-message {\n          padding: 20px;\n          background-color: #ffebee;\n          border-radius: 8px;\n          text-align: center;\n          color: #d32f2f;\n        }\n        \n        .error-message button {\n          background-color: #294378;\n          color: white;\n          padding: 5px 10px;\n          border: none;\n          border-radius: 20px;\n          margin-top: 15px;\n          cursor: pointer;\n        }\n        \n        .no-items {\n          text-align: center;\n          color: #666;\n          grid-column: 1 / -1;\n        }\n      "))};document.addEventListener("DOMContentLoaded",(()=>{const e=["#related-collections","#container",".related-collections-container"];let n=null;for(const t of e){const e=document.querySelector(t);if(e){n=e,console.log(`Container found with selector: ${t}`),e.dataset.apiBaseUrl&&console.log(`Using API base URL from theme settings: ${e.dataset.apiBaseUrl}`);break}}if(n){console.log("Mounting React app to container");(0,l.createRoot)(n).render(r.createElement(s,null))}else console.error("No suitable container element found for the Related Collections app"),console.info("Please add a container element with one of these selectors:",e.join(", "))}))})();
\ No newline at end of file
@@ -95,16 +95,25 @@ const App = () => {
         
         // Get the base URL from the data attribute on the container
         const container = document.getElementById('container');
-        const baseUrl = container?.dataset?.apiBaseUrl || 'https://shopify-shop-by-specs.onrender.com';
-          
-        const response = await fetch(`${baseUrl}/related-collections/${collectionHandle}`, {
+        const baseUrl = container?.dataset?.apiBaseUrl;
+
+        let url;
+        if (baseUrl) {
+          // Call the API directly (e.g. local development) and tell it which store's collections to use
+          const shop = container?.dataset?.shop || window.Shopify?.shop;
+          const shopQuery = shop ? `?shop=${encodeURIComponent(shop)}` : '';
+          url = `${baseUrl}/related-collections/${collectionHandle}${shopQuery}`;
+        } else {
+          // Call the API through the app proxy on the store's own domain; Shopify adds the shop
+          url = `/apps/shop-by-specs/related/${collectionHandle}`;
+        }
+
+        const response = await fetch(url, {
           method: 'GET',
           headers: {
-            'Content-Type': 'application/json',
             'Accept': 'application/json'
           },
-          mode: 'cors', // Explicitly set CORS mode
-          credentials: 'omit' // Don't send cookies to avoid preflight complexity
+          credentials: 'omit'
         });
         
         if (!response.ok) {
@@ -115,19 +124,16 @@ const App = () => {
         console.log('Fetched related collections:', data);
         setRelatedCollections(data);
         
-        // Set initial active tab based on what has content
-        if (data.byCategory && data.byCategory.length > 0) {
-          setActiveTab('byCategory');
-        } else if (data.byManufacturer && data.byManufacturer.length > 0) {
-          setActiveTab('byManufacturer');
-        } else if (data.parts && data.parts.length > 0) {
-          setActiveTab('parts');
+        // Set initial active tab to the first one with content
+        const firstTab = (data.tabs || []).find((tab) => data[tab.key] && data[tab.key].length > 0);
+        if (firstTab) {
+          setActiveTab(firstTab.key);
         }
       } catch (err) {
         console.error('Error fetching related collections:', err);
-        // Provide more helpful error message for CORS issues
+        // Provide more helpful error message for network issues
         if (err.message.includes('Failed to fetch') || err.message.includes('NetworkError')) {
-          setError('CORS error: Unable to connect to the API server. This may be a temporary issue with the server.');
+          setError('Unable to connect to the API server. This may be a temporary issue with the server.');
         } else {
           setError(err.message);
         }
@@ -156,114 +162,35 @@ const App = () => {
     );
   }
   
-  // Determine which tabs to show based on available data
-  const showCategoryTab = relatedCollections.byCategory && relatedCollections.byCategory.length > 0;
-  const showManufacturerTab = relatedCollections.byManufacturer && relatedCollections.byManufacturer.length > 0;
-  const showSizeTab = relatedCollections.bySizeItem && relatedCollections.bySizeItem.length > 0;
-  const showConditionTab = relatedCollections.bySpecs?.condition && relatedCollections.bySpecs.condition.length > 0;
-  const showFuelTypeTab = relatedCollections.bySpecs?.fuelType && relatedCollections.bySpecs.fuelType.length > 0;
-  const showPartsTab = relatedCollections.parts && relatedCollections.parts.length > 0;
+  // Show the tabs the API lists, in its order, when they have content
+  const tabs = (relatedCollections.tabs || []).filter(
+    (tab) => relatedCollections[tab.key] && relatedCollections[tab.key].length > 0
+  );
   
   return (
     <div className="container">
       <div className="title-buttons-grid">
-        {showCategoryTab && (
-          <TabButton 
-            label="By Category" 
-            isActive={activeTab === 'byCategory'} 
-            onClick={() => setActiveTab('byCategory')} 
-          />
-        )}
-        
-        {showManufacturerTab && (
+        {tabs.map((tab) => (
           <TabButton 
-            label="By Manufacturer" 
-            isActive={activeTab === 'byManufacturer'} 
-            onClick={() => setActiveTab('byManufacturer')} 
+            key={tab.key}
+            label={tab.label} 
+            isActive={activeTab === tab.key} 
+            onClick={() => setActiveTab(tab.key)} 
           />
-        )}
-        
-        {showSizeTab && (
-          <TabButton 
-            label="By Size" 
-            isActive={activeTab === 'bySizeItem'} 
-            onClick={() => setActiveTab('bySizeItem')} 
-          />
-        )}
-        
-        {showConditionTab && (
-          <TabButton 
-            label="By Condition" 
-            isActive={activeTab === 'byCondition'} 
-            onClick={() => setActiveTab('byCondition')} 
-          />
-        )}
-        
-        {showFuelTypeTab && (
-          <TabButton 
-            label="By Fuel Type" 
-            isActive={activeTab === 'byFuelType'} 
-            onClick={() => setActiveTab('byFuelType')} 
-          />
-        )}
-        
-        {showPartsTab && (
-          <TabButton 
-            label="Parts" 
-            isActive={activeTab === 'parts'} 
-            onClick={() => setActiveTab('parts')} 
-          />
-        )}
+        ))}
       </div>
       
       {/* Tab content */}
-      <div 
-        id="byCategory" 
-        className="tab-content" 
-        style={{ display: activeTab === 'byCategory' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.byCategory} />
-      </div>
-      
-      <div 
-        id="byManufacturer" 
-        className="tab-content" 
-        style={{ display: activeTab === 'byManufacturer' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.byManufacturer} />
-      </div>
-      
-      <div 
-        id="bySizeItem" 
-        className="tab-content" 
-        style={{ display: activeTab === 'bySizeItem' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.bySizeItem} />
-      </div>
-      
-      <div 
-        id="byCondition" 
-        className="tab-content" 
-        style={{ display: activeTab === 'byCondition' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.bySpecs?.condition} />
-      </div>
-      
-      <div 
-        id="byFuelType" 
-        className="tab-content" 
-        style={{ display: activeTab === 'byFuelType' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.bySpecs?.fuelType} />
-      </div>
-      
-      <div 
-        id="parts" 
-        className="tab-content" 
-        style={{ display: activeTab === 'parts' ? 'block' : 'none' }}
-      >
-        <TabContent collections={relatedCollections.parts} />
-      </div>
+      {tabs.map((tab) => (
+        <div 
+          key={tab.key}
+          id={tab.key} 
+          className="tab-content" 
+          style={{ display: activeTab === tab.key ? 'block' : 'none' }}
+        >
+          <TabContent collections={relatedCollections[tab.key]} />
+        </div>
+      ))}
       
       {/* CSS styles (will be handled by style-loader) */}
       <style>{`
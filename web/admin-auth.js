@@ -0,0 +1,109 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const shops = require("./shops");
+
+// Scopes an admin API key can be granted
+const ADMIN_SCOPES = [
+  "read",   // View shops, jobs, queue stats, dead letters, flagged collections and the collection index
+  "write",  // Register shops, queue products, start backfills, register webhooks, retry dead letters, rebuild the index
+  "delete", // Remove shops, delete collections and discard dead letters
+];
+
+/**
+ * Parse the admin API keys from ADMIN_API_KEYS. Each comma-separated entry is
+ * `key:scope|scope:shop|shop`; a key without scopes, or with the scope `*`, gets every
+ * scope, and a key without shops, or with the shop `*`, is valid for every shop.
+ * @returns {Array} Keys with their SHA-256 digest, scopes and shop domains (null for every shop)
+ */
+function getAdminKeys() {
+  return (process.env.ADMIN_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [key, scopeList = "*", shopList = "*"] = entry.split(":");
+      const scopes = scopeList.split("|").map((scope) => scope.trim()).filter(Boolean);
+      const shopNames = shopList.split("|").map((shop) => shop.trim()).filter(Boolean);
+
+      return {
+        digest: crypto.createHash("sha256").update(key.trim()).digest(),
+        scopes: scopes.length === 0 || scopes.includes("*") ? [...ADMIN_SCOPES] : scopes,
+        shops: shopNames.length === 0 || shopNames.includes("*")
+          ? null
+          : shopNames.map(shops.normalizeShopDomain).filter(Boolean),
+      };
+    });
+}
+
+/**
+ * Get the API key sent with a request
+ * @param {Object} req - Express request
+ * @returns {String} API key or null if none was sent
+ */
+function getRequestKey(req) {
+  const authorization = req.get("Authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.get("X-Admin-Api-Key") || null;
+}
+
+/**
+ * Find the configured key matching the one sent with a request
+ * @param {String} requestKey - API key from the request
+ * @returns {Object} Matching key or null
+ */
+function findAdminKey(requestKey) {
+  // Compare digests so every comparison takes the same time regardless of key length
+  const digest = crypto.createHash("sha256").update(requestKey).digest();
+  return getAdminKeys().find((key) => crypto.timingSafeEqual(key.digest, digest)) || null;
+}
+
+/**
+ * Express middleware that only lets through requests with an admin API key holding a scope.
+ * The shops the key is valid for are set on the request as `adminShops` (null for every
+ * shop), for shops.resolveShop and canAccessShop to enforce.
+ * @param {String} scope - Required scope, one of ADMIN_SCOPES
+ * @returns {Function} Express middleware
+ */
+function requireAdmin(scope) {
+  if (!ADMIN_SCOPES.includes(scope)) {
+    throw new Error(`Unknown admin scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    const requestKey = getRequestKey(req);
+    if (!requestKey) {
+      return res.status(401).json({ success: false, error: "Admin API key required" });
+    }
+
+    const adminKey = findAdminKey(requestKey);
+    if (!adminKey) {
+      console.log(`Rejected admin request with invalid API key: ${req.method} ${req.path}`);
+      return res.status(401).json({ success: false, error: "Invalid admin API key" });
+    }
+
+    if (!adminKey.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, error: `Admin API key lacks the "${scope}" scope` });
+    }
+
+    req.adminShops = adminKey.shops;
+    next();
+  };
+}
+
+/**
+ * Check whether the admin API key of a request is valid for a shop
+ * @param {Object} req - Express request that passed requireAdmin
+ * @param {String} shop - Shop name or domain
+ * @returns {Boolean} True if the key was issued for the shop, or for every shop
+ */
+function canAccessShop(req, shop) {
+  return !req.adminShops || req.adminShops.includes(shops.normalizeShopDomain(shop));
+}
+
+module.exports = {
+  requireAdmin,
+  canAccessShop,
+  ADMIN_SCOPES,
+};
@@ -0,0 +1,82 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const shops = require("./shops");
+
+// Path Shopify's app proxy forwards storefront requests to. The proxy URL in the
+// app's settings must end with this path.
+const APP_PROXY_PATH = process.env.APP_PROXY_PATH || "/apps/shop-by-specs";
+
+// How far a proxy request's timestamp may be from now, in seconds, so that a signed
+// URL can't be replayed later
+const APP_PROXY_MAX_AGE_SECONDS = parseInt(process.env.APP_PROXY_MAX_AGE_SECONDS || "300", 10);
+
+/**
+ * Check the signature Shopify adds to app proxy requests. Unlike the OAuth HMAC,
+ * the sorted parameters are concatenated without a separator. The signed timestamp
+ * must be within APP_PROXY_MAX_AGE_SECONDS of now.
+ * @param {Object} query - Parsed query parameters
+ * @param {Number} [now] - Current time in milliseconds
+ * @returns {Boolean} True if the query was signed with the app's API secret, recently
+ */
+function isValidProxySignature(query, now = Date.now()) {
+  const { signature, ...params } = query;
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!signature || !secret) return false;
+
+  const timestamp = Number(params.timestamp);
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > APP_PROXY_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const message = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(params[key]) ? params[key].join(",") : params[key]}`)
+    .join("");
+
+  // Compared in constant time, so the signature can't be worked out from response times
+  const digest = crypto.createHmac("sha256", secret).update(message).digest("hex");
+  const expected = Buffer.from(digest, "utf8");
+  const received = Buffer.from(String(signature), "utf8");
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Express middleware for requests coming through the app proxy. Verifies the
+ * signature and runs the rest of the request with the shop from the proxy
+ * parameters as the current shop.
+ * @returns {Function} Express middleware
+ */
+function verifyAppProxy() {
+  return async (req, res, next) => {
+    try {
+      if (!process.env.SHOPIFY_API_SECRET) {
+        console.error("SHOPIFY_API_SECRET is not configured, rejecting app proxy request");
+        return res.status(403).json({ success: false, error: "App proxy is not configured" });
+      }
+
+      if (!isValidProxySignature(req.query)) {
+        console.log("Rejected app proxy request with an invalid or expired signature");
+        return res.status(401).json({ success: false, error: "Invalid or expired app proxy signature" });
+      }
+
+      const shopDomain = shops.normalizeShopDomain(req.query.shop);
+      const shop = shopDomain && await shops.getShop(shopDomain);
+      if (!shop) {
+        return res.status(404).json({ success: false, error: `Unknown shop: ${req.query.shop}` });
+      }
+
+      req.shopDomain = shop.domain;
+      shops.runWithShop(shop.domain, next);
+    } catch (error) {
+      console.error("Error verifying app proxy request:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  APP_PROXY_PATH,
+  isValidProxySignature,
+  verifyAppProxy,
+};
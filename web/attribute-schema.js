@@ -0,0 +1,146 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+// File declaring the attributes collections are generated from
+const ATTRIBUTE_SCHEMA_PATH = process.env.ATTRIBUTE_SCHEMA_PATH || path.join(__dirname, "attributes.json");
+
+// Smart collection rule column each attribute source is matched on
+const SOURCE_COLUMNS = {
+  product_type: "type",
+  vendor: "vendor",
+  metafield: "product_metafield_definition",
+};
+
+/**
+ * Load and check the attribute schema
+ * @param {String} schemaPath - Path of the schema file
+ * @returns {Array} Attributes, in the order their tabs are shown
+ * @throws {Error} If the schema is invalid
+ */
+function loadAttributeSchema(schemaPath) {
+  const attributes = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+  if (!Array.isArray(attributes) || attributes.length === 0) {
+    throw new Error(`Attribute schema ${schemaPath} must be a non-empty array`);
+  }
+
+  const names = new Set();
+  for (const attribute of attributes) {
+    if (!attribute.name || names.has(attribute.name)) {
+      throw new Error(`Attribute schema has a missing or duplicate name: ${attribute.name}`);
+    }
+    names.add(attribute.name);
+
+    if (!SOURCE_COLUMNS[attribute.source]) {
+      throw new Error(`Attribute ${attribute.name} has an unknown source: ${attribute.source}`);
+    }
+    if (attribute.source === "metafield" &&
+        (!attribute.metafield || !attribute.metafield.namespace || !attribute.metafield.key)) {
+      throw new Error(`Attribute ${attribute.name} needs a metafield namespace and key`);
+    }
+    if (typeof attribute.position !== "number") {
+      throw new Error(`Attribute ${attribute.name} needs a numeric position`);
+    }
+  }
+
+  if (!attributes.some((attribute) => attribute.required)) {
+    throw new Error("Attribute schema needs at least one required attribute");
+  }
+
+  return attributes;
+}
+
+const ATTRIBUTES = loadAttributeSchema(ATTRIBUTE_SCHEMA_PATH);
+
+// Attributes every generated collection includes, and those combined on top of them
+const REQUIRED_ATTRIBUTES = ATTRIBUTES.filter((attribute) => attribute.required);
+const OPTIONAL_ATTRIBUTES = ATTRIBUTES.filter((attribute) => !attribute.required);
+
+// Attributes in the order their values appear in titles and handles
+const ATTRIBUTES_BY_POSITION = [...ATTRIBUTES].sort((a, b) => a.position - b.position);
+
+/**
+ * Get an attribute by name
+ * @param {String} name - Attribute name
+ * @returns {Object} Attribute, or undefined if it isn't in the schema
+ */
+function getAttribute(name) {
+  return ATTRIBUTES.find((attribute) => attribute.name === name);
+}
+
+/**
+ * Find the attribute stored in a metafield. Keys are matched case-insensitively,
+ * including the attribute's aliases.
+ * @param {String} key - Metafield key
+ * @param {String} [namespace] - Metafield namespace, if known
+ * @returns {Object} Attribute, or undefined if no attribute uses the metafield
+ */
+function findMetafieldAttribute(key, namespace) {
+  const lowerKey = String(key).toLowerCase();
+
+  return ATTRIBUTES.find((attribute) =>
+    attribute.source === "metafield" &&
+    (!namespace || attribute.metafield.namespace === namespace) &&
+    [attribute.metafield.key, ...(attribute.metafield.aliases || [])]
+      .some((candidate) => candidate.toLowerCase() === lowerKey)
+  );
+}
+
+/**
+ * Find the attribute matched by a smart collection rule column
+ * @param {String} column - Rule column, in either case
+ * @returns {Object} Attribute, or undefined if no attribute uses the column
+ */
+function findColumnAttribute(column) {
+  const lowerColumn = String(column).toLowerCase();
+  return ATTRIBUTES.find((attribute) =>
+    attribute.source !== "metafield" && SOURCE_COLUMNS[attribute.source] === lowerColumn
+  );
+}
+
+/**
+ * Guess which attribute a value belongs to from the attributes' value patterns,
+ * for metafield rules whose definition can't be identified
+ * @param {String} value - Rule condition
+ * @returns {Object} Attribute, or undefined if no pattern matches
+ */
+function matchValuePattern(value) {
+  return ATTRIBUTES_BY_POSITION.find((attribute) =>
+    attribute.valuePattern && new RegExp(attribute.valuePattern, "i").test(value)
+  );
+}
+
+/**
+ * Get the "namespace.key" identifiers of every metafield attributes are read
+ * from, aliases included
+ * @returns {Array} Metafield identifiers
+ */
+function getMetafieldIdentifiers() {
+  return ATTRIBUTES
+    .filter((attribute) => attribute.source === "metafield")
+    .flatMap(({ metafield }) =>
+      [metafield.key, ...(metafield.aliases || [])].map((key) => `${metafield.namespace}.${key}`)
+    );
+}
+
+/**
+ * Create an object with an empty value for every attribute
+ * @returns {Object} Map of attribute names to empty strings
+ */
+function emptyAttributes() {
+  return Object.fromEntries(ATTRIBUTES.map((attribute) => [attribute.name, ""]));
+}
+
+module.exports = {
+  ATTRIBUTES,
+  REQUIRED_ATTRIBUTES,
+  OPTIONAL_ATTRIBUTES,
+  ATTRIBUTES_BY_POSITION,
+  SOURCE_COLUMNS,
+  getAttribute,
+  findMetafieldAttribute,
+  findColumnAttribute,
+  matchValuePattern,
+  getMetafieldIdentifiers,
+  emptyAttributes,
+};
@@ -0,0 +1,50 @@
+require('dotenv').config();
+const collectionGenerator = require('./collection-generator');
+const shops = require('./shops');
+
+/**
+ * Print the smart collections whose rules are weaker than their titles imply
+ * @param {Array} args - Command line arguments
+ * @returns {Number} Exit code: 0 if every collection's rules hold up, 1 otherwise
+ */
+async function auditRules(args) {
+  const shopIndex = args.indexOf('--shop');
+  const shopDomain = shopIndex === -1 ? shops.getCurrentShopDomain() : shops.normalizeShopDomain(args[shopIndex + 1]);
+
+  if (!shopDomain) {
+    console.error('A valid --shop is required when no default shop is configured');
+    return 1;
+  }
+
+  return shops.runWithShop(shopDomain, async () => {
+    const { collectionsChecked, weakCollections } = await collectionGenerator.auditCollectionRules();
+    console.log(`${weakCollections.length} of ${collectionsChecked} collections on ${shopDomain} have weaker rules than their title:`);
+
+    for (const collection of weakCollections) {
+      console.log(`  ${collection.title} (${collection.handle})${collection.generated ? '' : ' [hand-made]'}`);
+      collection.missingAttributes.forEach(({ attribute, value, ruleValue }) =>
+        console.log(`    no rule for ${attribute} "${value}"${ruleValue ? ` (rules select "${ruleValue}")` : ''}`)
+      );
+      collection.rulesWithoutDefinition.forEach(({ condition }) =>
+        console.log(`    metafield rule "${condition}" has no metafield definition`)
+      );
+      if (collection.disjunctive) {
+        console.log('    products only need to match one of the rules');
+      }
+    }
+
+    return weakCollections.length === 0 ? 0 : 1;
+  });
+}
+
+// If this script is run directly, audit the shop it was given
+if (require.main === module) {
+  auditRules(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('Error auditing collection rules:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { auditRules };
@@ -0,0 +1,532 @@
+const crypto = require("crypto");
+const { setTimeout } = require("timers/promises");
+const db = require("./db");
+const shops = require("./shops");
+const shopifyApi = require("./shopify-api");
+const collectionGenerator = require("./collection-generator");
+const { readBulkProducts } = require("./bulk-export");
+const { queueProduct, queueEvents } = require("./product-queue");
+
+// Consecutive failed page fetches before a job gives up
+const MAX_FETCH_ATTEMPTS = 5;
+
+// Ways a job can go through the catalog: paging through products and queueing each
+// one, or exporting the whole catalog with a bulk operation and planning it in one pass
+const JOB_MODES = ["paged", "bulk"];
+
+// How often a bulk job checks on its bulk operation
+const BULK_POLL_INTERVAL_MS = 5000;
+
+// Bulk operation statuses after which it won't produce a result
+const BULK_FAILED_STATUSES = ["FAILED", "CANCELED", "EXPIRED"];
+
+// Products parsed between progress updates of a bulk job
+const BULK_PROGRESS_INTERVAL = 500;
+
+// IDs of jobs whose fetch loop is running in this process
+const activeJobs = new Set();
+
+// IDs of active jobs that were resumed while their loop was stopping, to run again once it has
+const restartedJobs = new Set();
+
+let tableReady = null;
+
+/**
+ * Create the jobs table if needed
+ */
+function ensureJobsTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id TEXT PRIMARY KEY,
+        shop TEXT,
+        status TEXT NOT NULL,
+        end_cursor TEXT,
+        products_scanned INTEGER NOT NULL DEFAULT 0,
+        products_queued INTEGER NOT NULL DEFAULT 0,
+        products_processed INTEGER NOT NULL DEFAULT 0,
+        collections_created INTEGER NOT NULL DEFAULT 0,
+        failures INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `)
+      .then(() => shops.ensureShopColumn("backfill_jobs"))
+      .then(() => db.ensureColumn("backfill_jobs", "mode", "TEXT NOT NULL DEFAULT 'paged'"))
+      .then(() => db.ensureColumn("backfill_jobs", "bulk_operation_id", "TEXT"))
+      .then(() => db.ensureColumn("backfill_jobs", "bulk_status", "TEXT"))
+      .then(() => db.ensureColumn("backfill_jobs", "bulk_object_count", "INTEGER NOT NULL DEFAULT 0"))
+      .then(() => db.ensureColumn("backfill_jobs", "collections_planned", "INTEGER NOT NULL DEFAULT 0"))
+      .then(() => db.ensureColumn("backfill_jobs", "rule_mismatches", "INTEGER NOT NULL DEFAULT 0"));
+  }
+  return tableReady;
+}
+
+/**
+ * Convert a database row to the job shape returned by the API
+ * @param {Object} row - backfill_jobs row
+ * @returns {Object} Job
+ */
+function toJob(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    shop: row.shop,
+    mode: row.mode,
+    status: row.status,
+    endCursor: row.end_cursor,
+    bulkOperation: row.mode === "bulk" ? {
+      id: row.bulk_operation_id,
+      status: row.bulk_status,
+      objectCount: row.bulk_object_count,
+    } : undefined,
+    collectionsPlanned: row.mode === "bulk" ? row.collections_planned : undefined,
+    productsScanned: row.products_scanned,
+    productsQueued: row.products_queued,
+    productsProcessed: row.products_processed,
+    collectionsCreated: row.collections_created,
+    failures: row.failures,
+    ruleMismatches: row.rule_mismatches,
+    error: row.error,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+/**
+ * Get a job by ID, whichever shop it belongs to
+ * @param {String} jobId - Job ID
+ * @returns {Object} Job or null if not found
+ */
+async function findJob(jobId) {
+  await ensureJobsTable();
+  return toJob(await db.get("SELECT * FROM backfill_jobs WHERE id = ?", [jobId]));
+}
+
+/**
+ * Get one of the current shop's jobs by ID
+ * @param {String} jobId - Job ID
+ * @returns {Object} Job or null if not found
+ */
+async function getJob(jobId) {
+  await ensureJobsTable();
+  return toJob(await db.get(
+    "SELECT * FROM backfill_jobs WHERE id = ? AND shop = ?",
+    [jobId, shops.getCurrentShopDomain()]
+  ));
+}
+
+/**
+ * List the current shop's jobs, most recent first
+ * @returns {Array} Jobs
+ */
+async function listJobs() {
+  await ensureJobsTable();
+  const rows = await db.all(
+    "SELECT * FROM backfill_jobs WHERE shop = ? ORDER BY created_at DESC",
+    [shops.getCurrentShopDomain()]
+  );
+  return rows.map(toJob);
+}
+
+/**
+ * Update a job's status and error
+ * @param {String} jobId - Job ID
+ * @param {String} status - New status
+ * @param {String} [error] - Error message for failed jobs
+ */
+async function setJobStatus(jobId, status, error = null) {
+  await db.run(
+    "UPDATE backfill_jobs SET status = ?, error = ?, updated_at = ? WHERE id = ?",
+    [status, error, Date.now(), jobId]
+  );
+}
+
+/**
+ * Add to a job's counters
+ * @param {String} jobId - Job ID
+ * @param {Object} counts - Map of column name to increment
+ */
+async function incrementJobCounters(jobId, counts) {
+  const columns = Object.keys(counts);
+  await db.run(
+    `UPDATE backfill_jobs SET ${columns.map((column) => `${column} = ${column} + ?`).join(", ")}, updated_at = ? WHERE id = ?`,
+    [...columns.map((column) => counts[column]), Date.now(), jobId]
+  );
+}
+
+/**
+ * Complete a job that has queued all of its products once each of them has been processed or has failed
+ * @param {String} jobId - Job ID
+ */
+async function completeProcessedJob(jobId) {
+  const result = await db.run(
+    `UPDATE backfill_jobs SET status = 'completed', updated_at = ?
+     WHERE id = ? AND status = 'processing' AND products_processed + failures >= products_queued`,
+    [Date.now(), jobId]
+  );
+  if (result.changes > 0) {
+    console.log(`Job ${jobId}: all queued products have been processed`);
+  }
+}
+
+/**
+ * Page through all products from the job's cursor and queue each one.
+ * Stops when the job is cancelled or after MAX_FETCH_ATTEMPTS consecutive errors;
+ * the cursor is saved after every page so the job can be resumed. Once every product
+ * is queued the job is "processing" until the queue has processed them all.
+ * @param {String} jobId - Job ID
+ */
+async function runJob(jobId) {
+  let job = await findJob(jobId);
+  let cursor = job.endCursor;
+  let hasNextPage = true;
+  let attempt = 1;
+
+  while (hasNextPage) {
+    // Check for cancellation between pages
+    job = await findJob(jobId);
+    if (job.status !== "running") {
+      console.log(`Backfill job ${jobId} stopped with status ${job.status}`);
+      return;
+    }
+
+    try {
+      console.log(`Job ${jobId}: fetching batch of products${cursor ? " after " + cursor : ""}...`);
+
+      const result = await shopifyApi.getProductsGraphQL(cursor);
+
+      if (!result || !result.products || !result.products.edges) {
+        throw new Error("Error fetching products: Invalid response structure");
+      }
+
+      const products = result.products.edges;
+
+      // Queue each product
+      for (const { node } of products) {
+        queueProduct(node.id, { jobId, lane: "backfill" });
+      }
+
+      // Update pagination for next batch
+      hasNextPage = result.products.pageInfo.hasNextPage;
+      cursor = result.products.pageInfo.endCursor;
+      attempt = 1;
+
+      await db.run(
+        "UPDATE backfill_jobs SET end_cursor = ?, products_scanned = products_scanned + ?, products_queued = products_queued + ?, updated_at = ? WHERE id = ?",
+        [cursor, products.length, products.length, Date.now(), jobId]
+      );
+      console.log(`Job ${jobId}: queued ${products.length} products`);
+
+      // Add a small delay between batches to avoid hitting rate limits on the list API
+      if (hasNextPage) {
+        await setTimeout(550);
+      }
+    } catch (error) {
+      console.error(`Job ${jobId}: error fetching products batch (attempt ${attempt}):`, error.message);
+
+      if (attempt >= MAX_FETCH_ATTEMPTS) {
+        await setJobStatus(jobId, "failed", error.message);
+        return;
+      }
+
+      // Wait longer after each failed attempt
+      await setTimeout(Math.min(5000 * attempt, 30000));
+      attempt++;
+    }
+  }
+
+  // Unless the job was cancelled while fetching its last page
+  await db.run(
+    "UPDATE backfill_jobs SET status = 'processing', updated_at = ? WHERE id = ? AND status = 'running'",
+    [Date.now(), jobId]
+  );
+  console.log(`Job ${jobId}: finished queuing products for processing`);
+  await completeProcessedJob(jobId);
+}
+
+/**
+ * Wait for a bulk job's export to finish, starting it if the job doesn't have a
+ * usable one. The operation's status and object count are saved as progress.
+ * @param {String} jobId - Job ID
+ * @returns {Object} Completed bulk operation, or null if the job was stopped
+ * @throws {Error} If the bulk operation fails or can't be checked
+ */
+async function waitForBulkExport(jobId) {
+  let job = await findJob(jobId);
+  let operation = job.bulkOperation.id ? await shopifyApi.getBulkOperation(job.bulkOperation.id) : null;
+
+  // A resumed job needs a new export if its last one didn't complete
+  if (!operation || BULK_FAILED_STATUSES.includes(operation.status)) {
+    operation = await shopifyApi.runBulkProductExport();
+    await db.run(
+      "UPDATE backfill_jobs SET bulk_operation_id = ?, bulk_status = ?, bulk_object_count = 0, updated_at = ? WHERE id = ?",
+      [operation.id, operation.status, Date.now(), jobId]
+    );
+  }
+
+  let attempt = 1;
+
+  while (operation.status !== "COMPLETED") {
+    await setTimeout(BULK_POLL_INTERVAL_MS);
+
+    job = await findJob(jobId);
+    if (job.status !== "running") {
+      console.log(`Backfill job ${jobId} stopped with status ${job.status}, cancelling its bulk operation`);
+      await shopifyApi.cancelBulkOperation(operation.id).catch((error) => {
+        console.error(`Error cancelling bulk operation ${operation.id}:`, error.message);
+      });
+      return null;
+    }
+
+    try {
+      operation = await shopifyApi.getBulkOperation(operation.id);
+      attempt = 1;
+    } catch (error) {
+      console.error(`Job ${jobId}: error checking bulk operation (attempt ${attempt}):`, error.message);
+      if (attempt >= MAX_FETCH_ATTEMPTS) throw error;
+      attempt++;
+      continue;
+    }
+
+    if (!operation) {
+      throw new Error("Bulk operation not found");
+    }
+
+    await db.run(
+      "UPDATE backfill_jobs SET bulk_status = ?, bulk_object_count = ?, updated_at = ? WHERE id = ?",
+      [operation.status, parseInt(operation.objectCount, 10) || 0, Date.now(), jobId]
+    );
+
+    if (BULK_FAILED_STATUSES.includes(operation.status)) {
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ""}`);
+    }
+  }
+
+  return operation;
+}
+
+/**
+ * Export every product with a bulk operation, work out the distinct collections
+ * the catalog needs while streaming the export, and create the missing ones.
+ * Products aren't queued, so the job's processed count is the number of products planned.
+ * @param {String} jobId - Job ID
+ */
+async function runBulkJob(jobId) {
+  console.log(`Job ${jobId}: exporting products with a bulk operation...`);
+  const operation = await waitForBulkExport(jobId);
+  if (!operation) return;
+
+  const plannedCollections = new Map();
+  let productsScanned = 0;
+
+  // A shop without products has no result file
+  if (operation.url) {
+    const metafieldDefinitions = await collectionGenerator.getProductMetafieldDefinitions();
+
+    for await (const product of readBulkProducts(operation.url)) {
+      await collectionGenerator.planCatalogProduct(plannedCollections, product, metafieldDefinitions);
+      productsScanned++;
+
+      if (productsScanned % BULK_PROGRESS_INTERVAL === 0) {
+        await db.run(
+          "UPDATE backfill_jobs SET products_scanned = ?, products_processed = ?, collections_planned = ?, updated_at = ? WHERE id = ?",
+          [productsScanned, productsScanned, plannedCollections.size, Date.now(), jobId]
+        );
+
+        const job = await findJob(jobId);
+        if (job.status !== "running") {
+          console.log(`Backfill job ${jobId} stopped with status ${job.status}`);
+          return;
+        }
+      }
+    }
+  }
+
+  await db.run(
+    "UPDATE backfill_jobs SET products_scanned = ?, products_processed = ?, collections_planned = ?, updated_at = ? WHERE id = ?",
+    [productsScanned, productsScanned, plannedCollections.size, Date.now(), jobId]
+  );
+  console.log(`Job ${jobId}: planned ${plannedCollections.size} collections from ${productsScanned} products`);
+
+  const summary = await collectionGenerator.createMissingCollections(
+    plannedCollections.values(),
+    () => incrementJobCounters(jobId, { collections_created: 1 }),
+    { jobId }
+  );
+
+  if (summary.failed > 0) {
+    await incrementJobCounters(jobId, { failures: summary.failed });
+  }
+
+  await setJobStatus(jobId, "completed");
+  console.log(
+    `Job ${jobId}: created ${summary.created} collections, ${summary.existing} already existed, ` +
+    `${summary.belowMinimum} below the minimum product count, ${summary.failed} failed`
+  );
+}
+
+/**
+ * Run a job in the background for its shop, marking it failed if it throws
+ * @param {String} jobId - Job ID
+ * @param {String} shopDomain - Shop the job belongs to
+ */
+function runJobInBackground(jobId, shopDomain) {
+  // A cancelled job that is resumed quickly may still be finishing its last page.
+  // Its loop stops on seeing the cancellation, so run the job again once it has.
+  if (activeJobs.has(jobId)) {
+    restartedJobs.add(jobId);
+    return;
+  }
+  activeJobs.add(jobId);
+
+  shops.runWithShop(shopDomain, async () => {
+    const job = await findJob(jobId);
+    return job.mode === "bulk" ? runBulkJob(jobId) : runJob(jobId);
+  })
+    .catch(async (error) => {
+      console.error(`Error in backfill job ${jobId}:`, error);
+      await setJobStatus(jobId, "failed", error.message).catch(() => {});
+    })
+    .finally(() => {
+      activeJobs.delete(jobId);
+      if (restartedJobs.delete(jobId)) {
+        runJobInBackground(jobId, shopDomain);
+      }
+    });
+}
+
+/**
+ * Start a backfill job that goes through every product in the current shop
+ * @param {String} [mode] - "paged" to queue each product, or "bulk" to export the
+ * catalog with a bulk operation
+ * @returns {Object} The new job
+ * @throws {Error} If the mode is unknown
+ */
+async function startBackfillJob(mode = "paged") {
+  if (!JOB_MODES.includes(mode)) {
+    throw new Error(`Unknown backfill mode: ${mode}`);
+  }
+
+  await ensureJobsTable();
+
+  const jobId = crypto.randomUUID();
+  const shopDomain = shops.getCurrentShopDomain();
+  const now = Date.now();
+  await db.run(
+    "INSERT INTO backfill_jobs (id, shop, mode, status, created_at, updated_at) VALUES (?, ?, ?, 'running', ?, ?)",
+    [jobId, shopDomain, mode, now, now]
+  );
+
+  runJobInBackground(jobId, shopDomain);
+  return getJob(jobId);
+}
+
+/**
+ * Cancel a running job. Products it has already queued are still processed.
+ * @param {String} jobId - Job ID
+ * @returns {Object} Updated job, or null if not found
+ */
+async function cancelJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job) return null;
+
+  if (job.status === "running") {
+    await setJobStatus(jobId, "cancelled");
+  }
+  return getJob(jobId);
+}
+
+/**
+ * Cancel every running or processing job of a shop, e.g. after it uninstalls the app
+ * @param {String} shopDomain - Shop domain
+ * @returns {Number} Number of jobs cancelled
+ */
+async function cancelShopJobs(shopDomain) {
+  await ensureJobsTable();
+  const result = await db.run(
+    "UPDATE backfill_jobs SET status = 'cancelled', updated_at = ? WHERE shop = ? AND status IN ('running', 'processing')",
+    [Date.now(), shopDomain]
+  );
+  return result.changes;
+}
+
+/**
+ * Resume a job that was cancelled or failed, from its last cursor. Bulk jobs reuse
+ * their export if it completed, and start a new one otherwise.
+ * @param {String} jobId - Job ID
+ * @returns {Object} Updated job, or null if not found
+ */
+async function resumeJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job) return null;
+
+  // Claim the job in one step, so two resumes at once don't both start it
+  const claim = await db.run(
+    "UPDATE backfill_jobs SET status = 'running', error = NULL, updated_at = ? WHERE id = ? AND status IN ('cancelled', 'failed')",
+    [Date.now(), jobId]
+  );
+  if (claim.changes > 0) {
+    runJobInBackground(jobId, job.shop);
+  }
+  return getJob(jobId);
+}
+
+/**
+ * Resume jobs that were running when the server last stopped, for every shop
+ * @returns {Array} IDs of the resumed jobs
+ */
+async function resumeInterruptedJobs() {
+  await ensureJobsTable();
+
+  const rows = await db.all("SELECT id, shop FROM backfill_jobs WHERE status = 'running'");
+  for (const { id, shop } of rows) {
+    console.log(`Resuming interrupted backfill job ${id} for ${shop}`);
+    runJobInBackground(id, shop);
+  }
+  return rows.map((row) => row.id);
+}
+
+// Credit processed and failed products to the job that queued them, and complete
+// the job once it has heard back about all of them
+queueEvents.on("processed", (task, result) => {
+  if (!task.jobId) return;
+
+  incrementJobCounters(task.jobId, {
+    products_processed: 1,
+    collections_created: (result && result.collectionsCreated) || 0,
+  }).then(() => completeProcessedJob(task.jobId)).catch((error) => {
+    console.error(`Error updating backfill job ${task.jobId}:`, error);
+  });
+});
+
+queueEvents.on("failed", (task) => {
+  if (!task.jobId) return;
+
+  incrementJobCounters(task.jobId, { failures: 1 }).then(() => completeProcessedJob(task.jobId)).catch((error) => {
+    console.error(`Error updating backfill job ${task.jobId}:`, error);
+  });
+});
+
+// Count the collections created for a job with other rules than planned, whether they were
+// repaired or rolled back
+collectionGenerator.generatorEvents.on("generationFailed", (failure) => {
+  if (!failure.jobId || failure.reason !== "rule_mismatch") return;
+
+  incrementJobCounters(failure.jobId, { rule_mismatches: 1 }).catch((error) => {
+    console.error(`Error updating backfill job ${failure.jobId}:`, error);
+  });
+});
+
+module.exports = {
+  JOB_MODES,
+  startBackfillJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  cancelShopJobs,
+  resumeJob,
+  resumeInterruptedJobs,
+};
@@ -0,0 +1,44 @@
+const readline = require("readline");
+const axios = require("axios");
+
+/**
+ * Stream the products of a bulk product export. Each line of the JSONL file is
+ * either a product or one of its metafields, which follow their product and point
+ * back to it with __parentId.
+ * @param {String} url - URL of the bulk operation's result file
+ * @returns {AsyncGenerator} Products with their metafields, in the shape of getProductByIdGraphQL
+ */
+async function* readBulkProducts(url) {
+  const response = await axios.get(url, { responseType: "stream" });
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+  let product = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const object = JSON.parse(line);
+
+    if (object.__parentId) {
+      if (product && object.__parentId === product.id) {
+        product.metafields.push({ namespace: object.namespace, key: object.key, value: object.value });
+      }
+      continue;
+    }
+
+    if (product) yield product;
+    product = {
+      id: object.id,
+      title: object.title,
+      productType: object.productType,
+      product_type: object.productType,
+      vendor: object.vendor,
+      metafields: [],
+    };
+  }
+
+  if (product) yield product;
+}
+
+module.exports = {
+  readBulkProducts,
+};
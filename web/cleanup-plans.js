@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const db = require("./db");
+const shops = require("./shops");
+const shopifyApi = require("./shopify-api");
+const collectionGenerator = require("./collection-generator");
+
+let tableReady = null;
+
+/**
+ * Error for a plan that can't be applied as asked: it isn't pending any more, or the
+ * request names groups the plan doesn't have
+ */
+class CleanupPlanConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CleanupPlanConflictError";
+  }
+}
+
+/**
+ * Create the cleanup plans table if needed
+ */
+function ensurePlansTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS cleanup_plans (
+        id TEXT PRIMARY KEY,
+        shop TEXT,
+        status TEXT NOT NULL,
+        groups TEXT NOT NULL,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        applied_at INTEGER
+      );
+    `).then(() => shops.ensureShopColumn("cleanup_plans"));
+  }
+  return tableReady;
+}
+
+/**
+ * Convert a database row to the plan shape returned by the API
+ * @param {Object} row - cleanup_plans row
+ * @returns {Object} Plan
+ */
+function toPlan(row) {
+  if (!row) return null;
+
+  const groups = JSON.parse(row.groups);
+  return {
+    id: row.id,
+    shop: row.shop,
+    status: row.status,
+    groups,
+    totalToDelete: groups.reduce((total, group) => total + group.delete.length, 0),
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    appliedAt: row.applied_at ? new Date(row.applied_at).toISOString() : null,
+  };
+}
+
+/**
+ * Run a dry-run cleanup of the current shop and save the resulting deletion plan for review
+ * @param {Object} [options]
+ * @param {Object} [options.preferences] - Per group keep/delete preferences, see planDuplicateCleanup
+ * @returns {Object} The saved plan
+ */
+async function createCleanupPlan({ preferences = {} } = {}) {
+  await ensurePlansTable();
+
+  const { groups } = await collectionGenerator.cleanupDuplicateCollections({ dryRun: true, preferences });
+
+  const planId = crypto.randomUUID();
+  await db.run(
+    "INSERT INTO cleanup_plans (id, shop, status, groups, created_at) VALUES (?, ?, 'pending', ?, ?)",
+    [planId, shops.getCurrentShopDomain(), JSON.stringify(groups), Date.now()]
+  );
+
+  return getCleanupPlan(planId);
+}
+
+/**
+ * Get one of the current shop's saved plans by ID
+ * @param {String} planId - Plan ID
+ * @returns {Object} Plan or null if not found
+ */
+async function getCleanupPlan(planId) {
+  await ensurePlansTable();
+  return toPlan(await db.get(
+    "SELECT * FROM cleanup_plans WHERE id = ? AND shop = ?",
+    [planId, shops.getCurrentShopDomain()]
+  ));
+}
+
+/**
+ * List the current shop's saved plans, most recent first
+ * @returns {Array} Plans
+ */
+async function listCleanupPlans() {
+  await ensurePlansTable();
+  const rows = await db.all(
+    "SELECT * FROM cleanup_plans WHERE shop = ? ORDER BY created_at DESC",
+    [shops.getCurrentShopDomain()]
+  );
+  return rows.map(toPlan);
+}
+
+/**
+ * Apply a saved plan. Groups can be excluded by ID. A group is skipped if the
+ * collection it keeps no longer exists or its rules or attributes have changed,
+ * so an old plan can't leave a rule set without any collection. Collections that
+ * were already deleted are ignored, and those whose rules or attributes have
+ * changed since the plan was made are left alone as they may no longer be duplicates.
+ * Only collections that are still marked as generated are deleted.
+ * @param {String} planId - Plan ID
+ * @param {Object} [options]
+ * @param {Array} [options.excludeGroups] - IDs of groups to leave untouched
+ * @returns {Object} The updated plan, or null if not found
+ * @throws {CleanupPlanConflictError} If the plan is not pending or doesn't have an excluded group
+ * @throws {Error} If the collections can't be fetched or deleted
+ */
+async function applyCleanupPlan(planId, { excludeGroups = [] } = {}) {
+  const plan = await getCleanupPlan(planId);
+  if (!plan) return null;
+
+  const unknownGroups = excludeGroups.filter((groupId) => !plan.groups.some((group) => group.id === groupId));
+  if (unknownGroups.length > 0) {
+    throw new CleanupPlanConflictError(`Cleanup plan ${planId} has no groups ${unknownGroups.join(", ")}`);
+  }
+
+  // Claim the plan so it can't be applied twice at the same time
+  const claim = await db.run(
+    "UPDATE cleanup_plans SET status = 'applying' WHERE id = ? AND status = 'pending'",
+    [planId]
+  );
+  if (claim.changes === 0) {
+    throw new CleanupPlanConflictError(`Cleanup plan ${planId} is ${plan.status}, only pending plans can be applied`);
+  }
+
+  try {
+    // Check the plan against the collections as they are now
+    const currentCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+    const currentById = new Map(currentCollections.map((collection) => [collection.id, collection]));
+
+    const excluded = [];
+    const skipped = [];
+    const changed = [];
+    const collectionsToDelete = [];
+
+    for (const group of plan.groups) {
+      if (excludeGroups.includes(group.id)) {
+        excluded.push(group.id);
+        continue;
+      }
+
+      const keep = currentById.get(group.keep.id);
+      if (!keep || !collectionGenerator.isUnchangedSincePlan(keep, group.keep)) {
+        console.log(`Skipping group ${group.id}: kept collection "${group.keep.title}" no longer exists or has changed`);
+        skipped.push(group.id);
+        continue;
+      }
+
+      for (const planned of group.delete) {
+        const collection = currentById.get(planned.id);
+        if (!collection) continue;
+
+        if (!collectionGenerator.isUnchangedSincePlan(collection, planned)) {
+          console.log(`Not deleting "${planned.title}" (ID: ${planned.id}): its rules or attributes have changed`);
+          changed.push(planned.id);
+          continue;
+        }
+        collectionsToDelete.push(collection);
+      }
+    }
+
+    console.log(`Applying cleanup plan ${planId}: deleting ${collectionsToDelete.length} collections`);
+    const { deleted, failed, refused } = await collectionGenerator.deleteCollections(collectionsToDelete);
+
+    const result = { excluded, skipped, changed, deleted, failed, refused };
+    await db.run(
+      "UPDATE cleanup_plans SET status = 'applied', result = ?, applied_at = ? WHERE id = ?",
+      [JSON.stringify(result), Date.now(), planId]
+    );
+  } catch (error) {
+    // Collections deleted before the failure are filtered out on the next attempt
+    await db.run("UPDATE cleanup_plans SET status = 'pending' WHERE id = ?", [planId]);
+    throw error;
+  }
+
+  return getCleanupPlan(planId);
+}
+
+module.exports = {
+  CleanupPlanConflictError,
+  createCleanupPlan,
+  getCleanupPlan,
+  listCleanupPlans,
+  applyCleanupPlan,
+};
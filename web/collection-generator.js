@@ -1,42 +1,49 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
 const shopifyApi = require("./shopify-api");
-
-// Attributes we're tracking for combinations
-const PRODUCT_ATTRIBUTES = [
-  "condition",
-  "vendor",
-  "product_type",
-  "size_item",
-  "fuel_type",
-];
+const { ShopifyApiError } = require("./shopify-client");
+const shops = require("./shops");
+const attributeSchema = require("./attribute-schema");
+const productAttributes = require("./product-attributes");
+const combinationPolicy = require("./combination-policy");
+const collectionMetadata = require("./collection-metadata");
+const generationFailures = require("./generation-failures");
+const flaggedCollections = require("./flagged-collections");
+
+// Minimum number of products a generated collection needs. Combinations matched by
+// fewer products aren't created, and existing collections below it are flagged.
+const MIN_COLLECTION_PRODUCTS = Math.max(parseInt(process.env.MIN_COLLECTION_PRODUCTS || "1", 10) || 1, 1);
+
+// Emits "collectionCreated" (collection), "collectionDeleted" (collectionId) and
+// "generationFailed" (generation failure) so other modules can follow changes without requiring this one in a cycle
+const generatorEvents = new EventEmitter();
 
 /**
- * Extract attributes from a product
+ * Extract the schema's attributes from a product
  * @param {Object} product - Shopify product object
  * @returns {Object} Extracted attributes
  */
 function extractProductAttributes(product) {
   // Initialize attributes with empty values
-  const attributes = {
-    condition: "",
-    vendor: product.vendor || "",
-    product_type: product.productType || product.product_type || "",
-    size: "",
-    fuel_type: "",
-  };
+  const attributes = attributeSchema.emptyAttributes();
+
+  for (const attribute of attributeSchema.ATTRIBUTES) {
+    if (attribute.source === "vendor") {
+      attributes[attribute.name] = product.vendor || "";
+    } else if (attribute.source === "product_type") {
+      attributes[attribute.name] = product.productType || product.product_type || "";
+    }
+  }
 
   // Check if product has metafields
   if (product.metafields) {
     // Extract values from metafields
     product.metafields.forEach((metafield) => {
-      const { key, value } = metafield;
-
-      // Check for our specific attributes in metafields
-      if (key === "Condition" || key.toLowerCase() === "condition") {
-        attributes.condition = value;
-      } else if (key === "size_item" || key.toLowerCase() === "size") {
-        attributes.size_item = value;
-      } else if (key === "fuel_type") {
-        attributes.fuel_type = value;
+      const { namespace, key, value } = metafield;
+
+      const attribute = attributeSchema.findMetafieldAttribute(key, namespace);
+      if (attribute) {
+        attributes[attribute.name] = value;
       }
     });
   }
@@ -45,29 +52,28 @@ function extractProductAttributes(product) {
 }
 
 /**
- * Generate all possible combinations of attributes for a product
+ * Generate all possible combinations of attributes for a product, before the
+ * combination policy is applied
  * @param {Object} product - Shopify product object
  * @returns {Array} Array of attribute combinations
  */
-function generateAttributeCombinations(product) {
+function generateAllAttributeCombinations(product) {
   // Extract attributes from product
   const attributes = extractProductAttributes(product);
 
-  // Ensure product_type exists
-  if (!attributes.product_type) {
+  // Ensure required attributes exist
+  const REQUIRED_ATTRIBUTES = attributeSchema.REQUIRED_ATTRIBUTES.map((attr) => attr.name);
+  const OPTIONAL_ATTRIBUTES = attributeSchema.OPTIONAL_ATTRIBUTES.map((attr) => attr.name);
+
+  const missingAttribute = REQUIRED_ATTRIBUTES.find((attr) => !attributes[attr]);
+  if (missingAttribute) {
     console.warn(
-      "Product type is missing for product:",
+      `Required attribute ${missingAttribute} is missing for product:`,
       product.id || product.title
     );
-    return []; // Can't proceed without product type
+    return []; // Can't proceed without required attributes
   }
 
-  // Define which attributes are optional and which are required
-  const REQUIRED_ATTRIBUTES = ["product_type"];
-  const OPTIONAL_ATTRIBUTES = PRODUCT_ATTRIBUTES.filter(
-    (attr) => !REQUIRED_ATTRIBUTES.includes(attr)
-  );
-
   // Generate all possible combinations of optional attributes (2^n - 1, excluding empty combination)
   const combinations = [];
   const n = OPTIONAL_ATTRIBUTES.length;
@@ -102,6 +108,68 @@ function generateAttributeCombinations(product) {
   return combinations;
 }
 
+/**
+ * Generate the combinations of attributes for a product that the combination policy allows
+ * @param {Object} product - Shopify product object
+ * @returns {Array} Array of attribute combinations
+ */
+function generateAttributeCombinations(product) {
+  return generateAllAttributeCombinations(product).filter(combinationPolicy.isCombinationAllowed);
+}
+
+/**
+ * Convert an attribute value to a handle-friendly format
+ * @param {String} value - Attribute value
+ * @returns {String} Handle part
+ */
+function toHandle(value) {
+  return value.toLowerCase()
+    .replace(/[^\w\s-]/g, '') // Remove special characters except spaces and hyphens
+    .replace(/\s+/g, '-')     // Replace spaces with hyphens
+    .replace(/-+/g, '-')      // Remove consecutive hyphens
+    .trim();                   // Trim whitespace
+}
+
+/**
+ * Build the rules a collection of an attribute combination must have: one per
+ * attribute, from the attribute schema
+ * @param {Object} combination - Attribute combination
+ * @param {Object} metafieldDefinitions - Map of attribute names to definition IDs
+ * @returns {Object} The rules that can be built, and the metafield attributes that
+ * have no definition to build a rule with
+ */
+function getCombinationRules(combination, metafieldDefinitions = {}) {
+  const rules = [];
+  const missingDefinitions = [];
+
+  for (const [attr, value] of Object.entries(combination)) {
+    if (!value) continue;
+
+    const attribute = attributeSchema.getAttribute(attr);
+    if (!attribute) continue;
+
+    if (attribute.source !== "metafield") {
+      rules.push({
+        column: attributeSchema.SOURCE_COLUMNS[attribute.source],
+        relation: "equals",
+        condition: value,
+      });
+    } else if (metafieldDefinitions[attr]) {
+      // Metafield rules need the attribute's metafield definition
+      rules.push({
+        column: attributeSchema.SOURCE_COLUMNS.metafield,
+        relation: "equals",
+        condition: value,
+        condition_object_id: metafieldDefinitions[attr],
+      });
+    } else {
+      missingDefinitions.push(attr);
+    }
+  }
+
+  return { rules, missingDefinitions };
+}
+
 /**
  * Create collection title and rules from attribute combination
  * @param {Object} combination - Attribute combination
@@ -113,14 +181,8 @@ function createCollectionDetails(combination, metafieldDefinitions = {}) {
 
   if (attrEntries.length === 0) return null;
 
-  // Define the desired order of attributes
-  const attributeOrder = [
-    "condition",
-    "size_item",
-    "vendor",
-    "fuel_type",
-    "product_type",
-  ];
+  // Order of attributes in titles and handles
+  const attributeOrder = attributeSchema.ATTRIBUTES_BY_POSITION.map((attr) => attr.name);
 
   // Sort the attribute entries according to the defined order
   attrEntries.sort((a, b) => {
@@ -148,15 +210,8 @@ function createCollectionDetails(combination, metafieldDefinitions = {}) {
   
   // Process each attribute for the handle
   attrEntries.forEach(([attr, value]) => {
-    // Convert the value to a handle-friendly format
-    const handleValue = value.toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special characters except spaces and hyphens
-      .replace(/\s+/g, '-')     // Replace spaces with hyphens
-      .replace(/-+/g, '-')      // Remove consecutive hyphens
-      .trim();                   // Trim whitespace
-    
-    // Store in our handle parts object
-    handleParts[attr] = handleValue;
+    // Store the handle-friendly value in our handle parts object
+    handleParts[attr] = toHandle(value);
   });
   
   // Create a standardized handle that always follows our attribute order
@@ -167,47 +222,165 @@ function createCollectionDetails(combination, metafieldDefinitions = {}) {
     .join('-');                        // Join with hyphens
   
   // Create rules for the smart collection
-  const rules = attrEntries
-    .map(([attr, value]) => {
-      switch (attr) {
-        case "vendor":
-          return {
-            column: "vendor",
-            relation: "equals",
-            condition: value,
-          };
-        case "product_type":
-          return {
-            column: "type",
-            relation: "equals",
-            condition: value,
-          };
-        case "condition":
-        case "fuel_type":
-        case "size_item":
-          // Check if we have a metafield definition for this attribute
-          if (metafieldDefinitions[attr]) {
-            return {
-              column: "product_metafield_definition",
-              relation: "equals",
-              condition: value,
-              condition_object_id: metafieldDefinitions[attr],
-            };
-          }
-        default:
-          return null;
-      }
-    })
-    .filter((rule) => rule !== null);
+  const { rules } = getCombinationRules(Object.fromEntries(attrEntries), metafieldDefinitions);
 
   return { title, handle, rules };
 }
 
+/**
+ * Get a key identifying a rule, whether it is built by createCollectionDetails or returned by GraphQL
+ * @param {Object} rule - Collection rule
+ * @returns {String} Column, relation, condition and metafield definition ID of the rule
+ */
+function getRuleComparisonKey(rule) {
+  const definitionId = rule.conditionObject && rule.conditionObject.metafieldDefinition
+    ? rule.conditionObject.metafieldDefinition.id
+    : rule.condition_object_id;
+
+  return [
+    String(rule.column).toUpperCase(),
+    String(rule.relation).toUpperCase(),
+    rule.condition,
+    definitionId ? String(definitionId).split("/").pop() : "",
+  ].join(":");
+}
+
+/**
+ * Compare the rule set Shopify returned for a collection with the rules it was meant to have
+ * @param {Array} intendedRules - Rules from createCollectionDetails
+ * @param {Object} ruleSet - Collection ruleSet from GraphQL
+ * @returns {Object} Whether they match, the intended rules that are missing, the returned rules
+ * that weren't asked for, and whether the rules are applied disjunctively
+ */
+function compareCollectionRules(intendedRules, ruleSet) {
+  const unexpected = [...((ruleSet && ruleSet.rules) || [])];
+  const missing = intendedRules.filter((rule) => {
+    const key = getRuleComparisonKey(rule);
+    const index = unexpected.findIndex((actualRule) => getRuleComparisonKey(actualRule) === key);
+    if (index === -1) return true;
+
+    unexpected.splice(index, 1);
+    return false;
+  });
+  const disjunctive = Boolean(ruleSet && ruleSet.appliedDisjunctively);
+
+  return {
+    matches: Boolean(ruleSet) && missing.length === 0 && unexpected.length === 0 && !disjunctive,
+    missing,
+    unexpected,
+    disjunctive,
+  };
+}
+
+/**
+ * Record a collection the generator failed to create as planned, and tell the listeners
+ * @param {Object} failure - Failure as recordGenerationFailure takes it
+ */
+async function reportGenerationFailure(failure) {
+  try {
+    const recorded = await generationFailures.recordGenerationFailure(failure);
+    console.log(`Recorded ${failure.reason} of collection "${failure.title}" (${failure.resolution})`);
+    generatorEvents.emit("generationFailed", recorded);
+  } catch (error) {
+    console.error(`Error recording the ${failure.reason} of collection "${failure.title}":`, error);
+  }
+}
+
+/**
+ * Create a planned collection and check that Shopify kept the rules it was created with.
+ * The rules it is checked against are built from the planned combination, not taken from
+ * the plan, so that an attribute the plan left out is noticed. A collection with a metafield
+ * attribute that has no metafield definition isn't created at all. A collection whose rules
+ * came back different is given them again, and deleted if that doesn't work either, since
+ * it would hold products it isn't about. Either way the failure is recorded as a generation
+ * failure.
+ * @param {Object} planned - Planned collection with its title, handle and combination
+ * @param {Object} [context]
+ * @param {Object} [context.metafieldDefinitions] - Map of attribute names to definition IDs
+ * @param {String} [context.jobId] - Backfill job the collection is created for
+ * @param {String} [context.productId] - Product the collection is created for
+ * @returns {Object} The collection, or null if it couldn't be created with the intended rules
+ * @throws {ShopifyApiError} If Shopify refuses to create the collection
+ */
+async function createGeneratedCollection(planned, { metafieldDefinitions = {}, jobId = null, productId = null } = {}) {
+  const { rules: intendedRules, missingDefinitions } = getCombinationRules(planned.combination, metafieldDefinitions);
+
+  if (missingDefinitions.length > 0) {
+    console.error(
+      `Not creating collection "${planned.title}": no metafield definition for ${missingDefinitions.join(", ")}`
+    );
+    await reportGenerationFailure({
+      reason: "missing_definition",
+      resolution: "not_created",
+      jobId,
+      productId,
+      title: planned.title,
+      handle: planned.handle,
+      details: { combination: planned.combination, missingDefinitions },
+    });
+    return null;
+  }
+
+  const collection = await shopifyApi.createSmartCollectionGraphQL({
+    title: planned.title,
+    handle: planned.handle,
+    rules: intendedRules,
+    metafields: [collectionMetadata.toCollectionMetafield(planned.combination)]
+  });
+
+  const mismatch = compareCollectionRules(intendedRules, collection.ruleSet);
+  if (mismatch.matches) return collection;
+
+  console.error(
+    `Collection "${planned.title}" was created with other rules than requested. ` +
+    `Missing: ${JSON.stringify(mismatch.missing)}, unexpected: ${JSON.stringify(mismatch.unexpected)}`
+  );
+
+  let verifiedCollection = null;
+  try {
+    const updated = await shopifyApi.updateCollectionRules(collection.id, intendedRules);
+    if (compareCollectionRules(intendedRules, updated.ruleSet).matches) {
+      verifiedCollection = { ...collection, ruleSet: updated.ruleSet };
+    }
+  } catch (error) {
+    console.error(`Error repairing the rules of collection "${planned.title}":`, error.message);
+  }
+
+  let resolution = "repaired";
+  if (!verifiedCollection) {
+    const deleted = await shopifyApi.deleteSmartCollection(collection.id);
+    resolution = deleted ? "rolled_back" : "rollback_failed";
+  }
+  await reportGenerationFailure({
+    reason: "rule_mismatch",
+    resolution,
+    jobId,
+    productId,
+    collectionId: collection.id,
+    title: planned.title,
+    handle: planned.handle,
+    details: {
+      intendedRules,
+      actualRuleSet: collection.ruleSet,
+      missing: mismatch.missing,
+      unexpected: mismatch.unexpected,
+      disjunctive: mismatch.disjunctive,
+    },
+  });
+
+  return verifiedCollection;
+}
+
 /**
  * Process a product to create attribute-based collections
  * @param {String|Object} productIdOrObj - Shopify product ID or product object
+ * @param {Object} [options]
+ * @param {String} [options.jobId] - Backfill job the product was queued by
+ * @returns {Object} Summary with the number of collections created, or undefined if the product wasn't found
+ * @throws {Error} If the product can't be processed or any of its collections fail to be created,
+ * so that the queue can retry it
  */
-async function processProduct(productIdOrObj) {
+async function processProduct(productIdOrObj, { jobId = null } = {}) {
   try {
     // Get product details if only ID was provided
     let product;
@@ -219,136 +392,270 @@ async function processProduct(productIdOrObj) {
       return;
     }
 
+    // Remember the product's attributes so later products can count it towards their combinations
+    await productAttributes.recordProductAttributes(product.id, extractProductAttributes(product));
+
     // Get metafield definitions for creating proper rules
     const metafieldDefinitions = await getProductMetafieldDefinitions();
 
     // Get existing collections to check for duplicates
     const existingCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
 
-    // Generate all attribute combinations
-    const combinations = generateAttributeCombinations(product);
-    console.log(
-      `Generated ${combinations.length} combinations for product ${product.id}`
+    const plannedCollections = await planProductCollections(
+      product,
+      metafieldDefinitions,
+      existingCollections
     );
 
-    // For each combination, create a collection if it doesn't already exist
-    for (const combination of combinations) {
-      const collectionDetails = createCollectionDetails(
-        combination,
-        metafieldDefinitions
-      );
+    let collectionsCreated = 0;
+    let collectionsFailed = 0;
+    let collectionsBelowMinimum = 0;
 
-      if (!collectionDetails) continue;
+    // Create each collection that doesn't already exist
+    for (const planned of plannedCollections) {
+      if (planned.existingCollection) {
+        console.log(`Collection already exists: ${planned.title}`);
+        continue;
+      }
 
-      // Check if similar collection already exists using GraphQL method
-      if (
-        doesSimilarCollectionExistGraphQL(collectionDetails.rules, existingCollections)
-      ) {
-        console.log(`Collection already exists: ${collectionDetails.title}`);
+      if (!planned.wouldCreate) {
+        console.log(
+          `Not creating ${planned.title}: ${planned.matchingProducts} of ${MIN_COLLECTION_PRODUCTS} required products`
+        );
+        collectionsBelowMinimum++;
         continue;
       }
 
       // Create new collection using GraphQL
-      await shopifyApi.createSmartCollectionGraphQL(collectionDetails);
+      const collection = await createGeneratedCollection(planned, {
+        metafieldDefinitions,
+        jobId,
+        productId: product.id,
+      });
+      if (collection) {
+        collectionsCreated++;
+        generatorEvents.emit("collectionCreated", collection);
+      } else {
+        collectionsFailed++;
+      }
+    }
+
+    if (collectionsFailed > 0) {
+      throw new Error(
+        `Failed to create ${collectionsFailed} of ${collectionsFailed + collectionsCreated} new collections for product ${product.id}`
+      );
     }
 
     console.log(`Finished processing product ${product.id}`);
+    return { productId: product.id, collectionsCreated, collectionsBelowMinimum };
   } catch (error) {
     console.error("Error processing product:", error);
+    throw error;
   }
 }
 
 /**
- * Check if collection with similar rules already exists (GraphQL version)
- * @param {Array} rules - Collection rules to check
+ * Work out the collections a product's attribute combinations map to
+ * @param {Object} product - Shopify product object
+ * @param {Object} metafieldDefinitions - Map of attribute names to definition IDs
  * @param {Array} existingCollections - List of existing smart collections from GraphQL
- * @returns {Boolean} True if similar collection exists
+ * @returns {Array} One entry per combination with its title, handle, rules, the
+ * matching existing collection (or null), the number of products matching a new
+ * collection and whether it would be created
  */
-function doesSimilarCollectionExistGraphQL(rules, existingCollections) {
-  for (const collection of existingCollections) {
-    // Skip collections without ruleSet
-    if (!collection.ruleSet || !collection.ruleSet.rules) continue;
+async function planProductCollections(product, metafieldDefinitions, existingCollections) {
+  // Generate all attribute combinations
+  const combinations = generateAttributeCombinations(product);
+  console.log(
+    `Generated ${combinations.length} combinations for product ${product.id}`
+  );
 
-    // If rules length doesn't match, this isn't the same collection
-    if (collection.ruleSet.rules.length !== rules.length) continue;
+  const plannedCollections = [];
+  const plannedHandles = new Set();
 
-    // Check if all rules match
-    const allRulesMatch = rules.every((newRule) => {
-      // Convert REST rule format to uppercase column names for comparison with GraphQL
-      const newRuleColumn = newRule.column.toUpperCase();
-      const newRuleRelation = newRule.relation.toUpperCase();
-      
-      return collection.ruleSet.rules.some(
-        (existingRule) =>
-          existingRule.column === newRuleColumn &&
-          existingRule.relation === newRuleRelation &&
-          existingRule.condition === newRule.condition &&
-          // For metafield rules, check conditionObject
-          (newRuleColumn !== "PRODUCT_METAFIELD_DEFINITION" ||
-           (existingRule.conditionObject && 
-            existingRule.conditionObject.metafieldDefinition && 
-            existingRule.conditionObject.metafieldDefinition.id.includes(newRule.condition_object_id)))
-      );
-    });
+  for (const combination of combinations) {
+    const collectionDetails = createCollectionDetails(
+      combination,
+      metafieldDefinitions
+    );
 
-    if (allRulesMatch) return true;
+    if (!collectionDetails) continue;
+
+    // Combinations that include a missing attribute repeat smaller ones
+    if (plannedHandles.has(collectionDetails.handle)) continue;
+    plannedHandles.add(collectionDetails.handle);
+
+    // Check if similar collection already exists using GraphQL method. Without a metafield
+    // definition the rules are short of an attribute and would match a broader collection.
+    const { missingDefinitions } = getCombinationRules(combination, metafieldDefinitions);
+    const existingCollection = missingDefinitions.length > 0 ? null : findSimilarCollectionGraphQL(
+      collectionDetails.rules,
+      existingCollections
+    );
+
+    // New collections need enough products: the processed products with the same
+    // attribute values, plus this one
+    let matchingProducts = null;
+    if (!existingCollection && MIN_COLLECTION_PRODUCTS > 1) {
+      matchingProducts = await productAttributes.countMatchingProducts(combination, product.id) + 1;
+    }
+
+    plannedCollections.push({
+      combination,
+      ...collectionDetails,
+      existingCollection,
+      matchingProducts,
+      wouldCreate: !existingCollection &&
+        (matchingProducts === null || matchingProducts >= MIN_COLLECTION_PRODUCTS)
+    });
   }
 
-  return false;
+  return plannedCollections;
 }
 
 /**
- * Process all existing products to create attribute-based collections using GraphQL
+ * Add a product's combinations to a catalog-wide plan, counting each collection's
+ * matching products. The product's attributes are remembered as processProduct does.
+ * @param {Map} plannedCollections - Plan being built, keyed by handle
+ * @param {Object} product - Shopify product object with its metafields
+ * @param {Object} metafieldDefinitions - Map of attribute names to definition IDs
  */
-async function processAllExistingProducts() {
-  try {
-    let hasNextPage = true;
-    let cursor = null;
-    let productsProcessed = 0;
+async function planCatalogProduct(plannedCollections, product, metafieldDefinitions) {
+  await productAttributes.recordProductAttributes(product.id, extractProductAttributes(product));
 
-    while (hasNextPage) {
-      const result = await shopifyApi.getProductsGraphQL(cursor);
+  // Combinations that include a missing attribute repeat smaller ones
+  const productHandles = new Set();
 
-      if (!result || !result.products || !result.products.edges) {
-        console.error("Error fetching products: Invalid response structure");
-        break;
-      }
+  for (const combination of generateAttributeCombinations(product)) {
+    const collectionDetails = createCollectionDetails(combination, metafieldDefinitions);
+    if (!collectionDetails || productHandles.has(collectionDetails.handle)) continue;
+    productHandles.add(collectionDetails.handle);
 
-      const products = result.products.edges.map((edge) => {
-        // Transform the product structure to match what our processing expects
-        const product = edge.node;
-        return {
-          productId: product.id,
-          productTitle: product.title,
-        };
-      });
+    const planned = plannedCollections.get(collectionDetails.handle);
+    if (planned) {
+      planned.matchingProducts++;
+    } else {
+      plannedCollections.set(collectionDetails.handle, { combination, ...collectionDetails, matchingProducts: 1 });
+    }
+  }
+}
 
-      console.log(
-        `Processing ${products.length} products (total processed: ${productsProcessed})`
-      );
+/**
+ * Create the collections of a catalog-wide plan that don't exist yet and have
+ * at least MIN_COLLECTION_PRODUCTS matching products
+ * @param {Iterable} plannedCollections - Planned collections from planCatalogProduct
+ * @param {Function} [onCreated] - Called with each collection as it is created
+ * @param {Object} [options]
+ * @param {String} [options.jobId] - Backfill job the collections are created for
+ * @returns {Object} Number of collections created, already existing, below the minimum and failed
+ * @throws {ShopifyApiError} If the metafield definitions or existing collections can't be fetched
+ */
+async function createMissingCollections(plannedCollections, onCreated = () => {}, { jobId = null } = {}) {
+  const metafieldDefinitions = await getProductMetafieldDefinitions();
+  const existingCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+  const summary = { created: 0, existing: 0, belowMinimum: 0, failed: 0 };
+
+  for (const planned of plannedCollections) {
+    const { missingDefinitions } = getCombinationRules(planned.combination, metafieldDefinitions);
+    if (missingDefinitions.length === 0 && findSimilarCollectionGraphQL(planned.rules, existingCollections)) {
+      summary.existing++;
+      continue;
+    }
 
-      // Process each product
-      for (const product of products) {
-        await processProduct(product.productId);
-        productsProcessed++;
-      }
+    if (planned.matchingProducts < MIN_COLLECTION_PRODUCTS) {
+      summary.belowMinimum++;
+      continue;
+    }
 
-      // Update pagination info for next iteration
-      hasNextPage = result.products.pageInfo.hasNextPage;
-      cursor = result.products.pageInfo.endCursor;
+    // One collection Shopify refuses shouldn't stop the rest of the catalog
+    let collection = null;
+    try {
+      collection = await createGeneratedCollection(planned, { metafieldDefinitions, jobId });
+    } catch (error) {
+      console.error(`Error creating collection "${planned.title}":`, error.message);
     }
 
-    console.log(
-      `Finished processing all ${productsProcessed} existing products`
-    );
-  } catch (error) {
-    console.error("Error processing existing products:", error);
+    if (collection) {
+      summary.created++;
+      generatorEvents.emit("collectionCreated", collection);
+      await onCreated(collection);
+    } else {
+      summary.failed++;
+    }
   }
+
+  return summary;
+}
+
+/**
+ * Preview the collections processProduct would create for a product, without creating anything
+ * @param {String} productId - Shopify product ID (can be gid or just the number)
+ * @returns {Object} Product attributes and one entry per combination, or null if the product wasn't found
+ */
+async function previewProduct(productId) {
+  const product = await shopifyApi.getProductByIdGraphQL(productId);
+  if (!product) return null;
+
+  const metafieldDefinitions = await getProductMetafieldDefinitions();
+  const existingCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+
+  const plannedCollections = await planProductCollections(
+    product,
+    metafieldDefinitions,
+    existingCollections
+  );
+
+  return {
+    product: {
+      id: product.id,
+      title: product.title,
+      attributes: extractProductAttributes(product)
+    },
+    metafieldDefinitions,
+    combinations: plannedCollections.map((planned) => ({
+      combination: planned.combination,
+      title: planned.title,
+      handle: planned.handle,
+      rules: planned.rules,
+      existingCollection: planned.existingCollection ? {
+        id: planned.existingCollection.id,
+        title: planned.existingCollection.title,
+        handle: planned.existingCollection.handle
+      } : null,
+      matchingProducts: planned.matchingProducts,
+      wouldCreate: planned.wouldCreate
+    })),
+    minimumProducts: MIN_COLLECTION_PRODUCTS,
+    // Combinations the combination policy keeps from becoming collections
+    excludedCombinations: generateAllAttributeCombinations(product)
+      .map((combination) => ({
+        combination,
+        title: (createCollectionDetails(combination, metafieldDefinitions) || {}).title,
+        violations: combinationPolicy.getPolicyViolations(combination)
+      }))
+      .filter((excluded) => excluded.violations.length > 0),
+    toCreate: plannedCollections.filter((planned) => planned.wouldCreate).length
+  };
+}
+
+/**
+ * Find an existing collection with exactly the same rules: the same columns, relations,
+ * conditions and metafield definitions, applied together
+ * @param {Array} rules - Collection rules to check
+ * @param {Array} existingCollections - List of existing smart collections from GraphQL
+ * @returns {Object} Matching collection or null
+ */
+function findSimilarCollectionGraphQL(rules, existingCollections) {
+  return existingCollections.find(
+    (collection) => collection.ruleSet && compareCollectionRules(rules, collection.ruleSet).matches
+  ) || null;
 }
 
 /**
  * Get all metafield definitions for products
  * @returns {Object} Map of our internal attribute names to definition IDs
+ * @throws {ShopifyApiError} If the definitions can't be fetched, so that rules and parsed
+ * attributes are never built without them
  */
 async function getProductMetafieldDefinitions() {
   console.log(`Getting metafield definitions`);
@@ -356,14 +663,14 @@ async function getProductMetafieldDefinitions() {
   const query = `
   {
     metafieldDefinitions(
-      first: 50,
-      ownerType: PRODUCT,
-      namespace: "custom"
+      first: 250,
+      ownerType: PRODUCT
     ) {
       edges {
         node {
           id
           name
+          namespace
           key
           type {
             name
@@ -382,27 +689,23 @@ async function getProductMetafieldDefinitions() {
       !result.metafieldDefinitions ||
       !result.metafieldDefinitions.edges
     ) {
-      console.error(`Failed to fetch metafield definitions - invalid response structure`);
-      return {};
+      throw new ShopifyApiError("Invalid response structure fetching metafield definitions");
     }
 
     // Create a map of our internal attribute names to metafield definition IDs
     const definitionsMap = {};
 
     result.metafieldDefinitions.edges.forEach((edge) => {
-      const { key, id } = edge.node;
+      const { namespace, key, id } = edge.node;
       
       // Extract numeric ID from GraphQL ID (format: gid://shopify/MetafieldDefinition/ID)
       const numericId = id.split("/").pop();
 
       // Map Shopify keys to our internal attribute names
-      if (key === "Condition" || key.toLowerCase() === "condition") {
-        definitionsMap.condition = numericId;
-      } else if (key === "size_item") {
-        definitionsMap.size_item = numericId;
-      } else if (key === "fuel_type") {
-        definitionsMap.fuel_type = numericId;
-      } else {
+      const attribute = attributeSchema.findMetafieldAttribute(key, namespace);
+      if (attribute) {
+        definitionsMap[attribute.name] = numericId;
+      } else if (!definitionsMap[key]) {
         // For any other keys, use them as-is
         definitionsMap[key] = numericId;
       }
@@ -410,118 +713,350 @@ async function getProductMetafieldDefinitions() {
 
     return definitionsMap;
   } catch (error) {
-    console.error(`Error fetching metafield definitions:`, error);
-    return {};
+    console.error(`Error fetching metafield definitions:`, error.message);
+    throw error;
+  }
+}
+
+// Product metafield definitions the generator builds collection rules from
+const REQUIRED_METAFIELD_DEFINITIONS = attributeSchema.ATTRIBUTES
+  .filter((attribute) => attribute.source === "metafield")
+  .map((attribute) => ({
+    attribute: attribute.name,
+    name: attribute.label,
+    namespace: attribute.metafield.namespace,
+    key: attribute.metafield.key,
+    type: attribute.metafield.type || "single_line_text_field",
+  }));
+
+/**
+ * Create the product metafield definitions the generator depends on, skipping
+ * those that already exist
+ * @returns {Object} Keys of the definitions that were created and of those that failed
+ */
+async function ensureProductMetafieldDefinitions() {
+  const existingDefinitions = await getProductMetafieldDefinitions();
+  const created = [];
+  const failed = [];
+
+  for (const definition of REQUIRED_METAFIELD_DEFINITIONS) {
+    if (existingDefinitions[definition.attribute]) continue;
+
+    const createdDefinition = await shopifyApi.createMetafieldDefinitionGraphQL(definition);
+    if (createdDefinition) {
+      created.push(definition.key);
+    } else {
+      failed.push(definition.key);
+    }
+  }
+
+  return { created, failed };
+}
+
+/**
+ * Create a key representing a collection's rule set. Collections with the same key are duplicates.
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {String} Rule key, or null if the collection has no rules
+ */
+function getCollectionRuleKey(collection) {
+  // Skip collections without rules
+  if (!collection.ruleSet || !collection.ruleSet.rules || collection.ruleSet.rules.length === 0) return null;
+
+  // Sort the rules to ensure consistent key generation
+  const sortedRules = [...collection.ruleSet.rules].sort((a, b) => {
+    // First sort by column
+    const columnA = a.column.toLowerCase();
+    const columnB = b.column.toLowerCase();
+    if (columnA < columnB) return -1;
+    if (columnA > columnB) return 1;
+
+    // Then by condition
+    if (a.condition < b.condition) return -1;
+    if (a.condition > b.condition) return 1;
+
+    return 0;
+  });
+
+  // Generate a string key from the rule set
+  return sortedRules.map(rule => {
+    const conditionObjectId = rule.conditionObject &&
+                             rule.conditionObject.metafieldDefinition ?
+                             rule.conditionObject.metafieldDefinition.id : '';
+    return `${rule.column}:${rule.relation}:${rule.condition}${conditionObjectId ? ':' + conditionObjectId : ''}`;
+  }).join('|');
+}
+
+/**
+ * Get the key of the attributes a generated collection was generated from
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {String} Key, or null if the collection isn't marked as generated
+ */
+function getCollectionAttributesKey(collection) {
+  const metadata = collectionMetadata.readCollectionMetadata(collection);
+  return metadata ? `attributes:${JSON.stringify(metadata.attributes)}` : null;
+}
+
+/**
+ * Group smart collections holding the same products: those with identical rules, and
+ * generated collections with the same attributes
+ * @param {Array} allCollections - Smart collections from GraphQL
+ * @returns {Array} Groups of at least two collections, each with its keys
+ */
+function groupDuplicateCollections(allCollections) {
+  const groupsByKey = new Map();
+  const groups = new Set();
+
+  for (const collection of allCollections) {
+    const keys = [getCollectionRuleKey(collection), getCollectionAttributesKey(collection)].filter(Boolean);
+    if (keys.length === 0) continue;
+
+    // A collection can join two groups, one by rules and one by attributes, which then merge
+    const found = [...new Set(keys.map((key) => groupsByKey.get(key)).filter(Boolean))];
+    const group = found[0] || { keys: new Set(), collections: [] };
+    groups.add(group);
+
+    for (const other of found.slice(1)) {
+      other.keys.forEach((key) => group.keys.add(key));
+      group.collections.push(...other.collections);
+      groups.delete(other);
+    }
+
+    group.collections.push(collection);
+    keys.forEach((key) => group.keys.add(key));
+    group.keys.forEach((key) => groupsByKey.set(key, group));
+  }
+
+  return [...groups].filter((group) => group.collections.length > 1);
+}
+
+/**
+ * Group duplicate smart collections and decide which to delete. Only collections the app
+ * generated are ever deleted. A group keeps its hand-made collection if it has one (the
+ * lowest ID if several), otherwise its generated collection with the lowest ID, unless a
+ * preference names the collection to keep or leaves the group alone.
+ * @param {Array} allCollections - Smart collections from GraphQL
+ * @param {Object} [preferences] - Per group ID, { keep: gid or handle of the collection to keep }
+ * or { delete: false } to delete nothing in the group
+ * @returns {Array} Groups with an ID, their keys, the collection kept, the generated collections
+ * to delete and the other hand-made collections, which are left alone. Each collection is listed
+ * with its rule and attribute keys, so a saved plan can tell if it has changed since.
+ */
+function planDuplicateCleanup(allCollections, preferences = {}) {
+  const numericId = (collection) => parseInt(collection.id.split('/').pop());
+
+  const summarize = (collection) => ({
+    id: collection.id,
+    title: collection.title,
+    handle: collection.handle,
+    generated: collectionMetadata.isGeneratedCollection(collection),
+    ruleKey: getCollectionRuleKey(collection),
+    attributesKey: getCollectionAttributesKey(collection)
+  });
+
+  const plannedGroups = [];
+
+  for (const group of groupDuplicateCollections(allCollections)) {
+    const keys = [...group.keys].sort();
+    // Stable ID so a group can be referenced when applying a saved plan or setting a preference
+    const id = crypto.createHash("sha1").update(keys.join("\n")).digest("hex").slice(0, 12);
+
+    // Hand-made collections first, then by ID to keep the oldest/first one
+    // (using ID as a proxy since most GraphQL responses don't include created_at)
+    const collections = [...group.collections].sort((a, b) => {
+      const generatedA = collectionMetadata.isGeneratedCollection(a);
+      const generatedB = collectionMetadata.isGeneratedCollection(b);
+      if (generatedA !== generatedB) return generatedA ? 1 : -1;
+      return numericId(a) - numericId(b);
+    });
+
+    const preference = preferences[id] || {};
+    if (preference.delete === false) continue;
+
+    const preferred = preference.keep;
+    const keep = collections.find((collection) => collection.id === preferred || collection.handle === preferred) ||
+      collections[0];
+
+    const others = collections.filter((collection) => collection !== keep);
+    const toDelete = others.filter((collection) => collectionMetadata.isGeneratedCollection(collection));
+
+    // Groups of hand-made collections only have nothing the app may delete
+    if (toDelete.length === 0) continue;
+
+    plannedGroups.push({
+      id,
+      keys,
+      keep: summarize(keep),
+      delete: toDelete.map(summarize),
+      manual: others.filter((collection) => !toDelete.includes(collection)).map(summarize)
+    });
   }
+
+  return plannedGroups;
+}
+
+/**
+ * Check that a collection still has the rules and attributes it had when a plan was made
+ * @param {Object} collection - Shopify collection from GraphQL, as it is now
+ * @param {Object} planned - The collection as summarized in the plan
+ * @returns {Boolean} True if neither its rules nor its attributes have changed
+ */
+function isUnchangedSincePlan(collection, planned) {
+  return getCollectionRuleKey(collection) === planned.ruleKey &&
+    getCollectionAttributesKey(collection) === planned.attributesKey;
 }
 
 /**
- * Find and remove duplicate smart collections
+ * Delete generated smart collections one by one. Collections that don't carry the app's
+ * metafield are hand-made and are never deleted.
+ * @param {Array} collections - Collections to delete, as fetched from GraphQL with their metafield
+ * @returns {Object} IDs of the deleted collections, of those that failed and of the hand-made ones refused
  */
-async function cleanupDuplicateCollections() {
+async function deleteCollections(collections) {
+  const deleted = [];
+  const failed = [];
+  const refused = [];
+
+  // Delete collections one by one to avoid rate limits
+  for (const collection of collections) {
+    if (!collectionMetadata.isGeneratedCollection(collection)) {
+      console.log(`Not deleting hand-made collection "${collection.title}" (ID: ${collection.id})`);
+      refused.push(collection.id);
+      continue;
+    }
+
+    // Extract numeric ID from GraphQL ID (format: gid://shopify/Collection/ID)
+    const collectionId = collection.id.split('/').pop();
+
+    try {
+      const success = await shopifyApi.deleteSmartCollection(collectionId);
+      if (success) {
+        console.log(`Deleted collection "${collection.title}" (ID: ${collectionId})`);
+        deleted.push(collection.id);
+        generatorEvents.emit("collectionDeleted", collection.id);
+      } else {
+        failed.push(collection.id);
+      }
+
+      // Add a small delay to avoid hitting rate limits
+      await new Promise(resolve => setTimeout(resolve, 500));
+    } catch (error) {
+      console.error(`Error deleting collection ${collectionId}:`, error.message);
+      failed.push(collection.id);
+    }
+  }
+
+  return { deleted, failed, refused };
+}
+
+/**
+ * Find and remove duplicate generated smart collections
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Only return the deletion plan without deleting anything
+ * @param {Object} [options.preferences] - Per group ID, { keep: gid or handle } or { delete: false },
+ * see planDuplicateCleanup
+ * @returns {Object} The plan's groups, plus the deletion results unless this is a dry run
+ */
+async function cleanupDuplicateCollections({ dryRun = false, preferences = {} } = {}) {
   try {
-    console.log("Starting duplicate collection cleanup...");
+    console.log(`Starting duplicate collection cleanup${dryRun ? " (dry run)" : ""}...`);
     
     // Get all smart collections
     const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
     console.log(`Found ${allCollections.length} smart collections total`);
-    
-    // Group collections by their rule configurations
-    const collectionsByRules = {};
-    
-    // Process each collection
-    for (const collection of allCollections) {
-      // Skip collections without rules
-      if (!collection.ruleSet || !collection.ruleSet.rules || collection.ruleSet.rules.length === 0) continue;
-      
-      // Create a unique key representing this rule set
-      // Sort the rules to ensure consistent key generation
-      const sortedRules = [...collection.ruleSet.rules].sort((a, b) => {
-        // First sort by column
-        const columnA = a.column.toLowerCase();
-        const columnB = b.column.toLowerCase();
-        if (columnA < columnB) return -1;
-        if (columnA > columnB) return 1;
-        
-        // Then by condition
-        if (a.condition < b.condition) return -1;
-        if (a.condition > b.condition) return 1;
-        
-        return 0;
+
+    const groups = planDuplicateCleanup(allCollections, preferences);
+
+    for (const group of groups) {
+      console.log(`Found ${group.delete.length + group.manual.length + 1} duplicate collections:`);
+      console.log(`Keeping: "${group.keep.title}" (ID: ${group.keep.id})`);
+      group.delete.forEach((dupeCollection) => {
+        console.log(`Will delete: "${dupeCollection.title}" (ID: ${dupeCollection.id})`);
+      });
+      group.manual.forEach((manualCollection) => {
+        console.log(`Leaving hand-made: "${manualCollection.title}" (ID: ${manualCollection.id})`);
       });
-      
-      // Generate a string key from the rule set
-      const ruleKey = sortedRules.map(rule => {
-        const conditionObjectId = rule.conditionObject && 
-                                 rule.conditionObject.metafieldDefinition ? 
-                                 rule.conditionObject.metafieldDefinition.id : '';
-        return `${rule.column}:${rule.relation}:${rule.condition}${conditionObjectId ? ':' + conditionObjectId : ''}`;
-      }).join('|');
-      
-      // Add to our grouping
-      if (!collectionsByRules[ruleKey]) {
-        collectionsByRules[ruleKey] = [];
-      }
-      collectionsByRules[ruleKey].push(collection);
     }
-    
-    // Find and remove duplicates
-    const collectionsToDelete = [];
-    
-    for (const ruleKey in collectionsByRules) {
-      const collectionsWithSameRules = collectionsByRules[ruleKey];
-      
-      // If there are multiple collections with the same rules
-      if (collectionsWithSameRules.length > 1) {
-        console.log(`Found ${collectionsWithSameRules.length} collections with identical rules:`);
-        
-        // Sort by ID to keep the oldest/first one 
-        // (using ID as a proxy since most GraphQL responses don't include created_at)
-        collectionsWithSameRules.sort((a, b) => {
-          const idA = a.id.split('/').pop();
-          const idB = b.id.split('/').pop();
-          return parseInt(idA) - parseInt(idB);
-        });
-        
-        // Keep the first one, mark the rest for deletion
-        const keepCollection = collectionsWithSameRules[0];
-        console.log(`Keeping: "${keepCollection.title}" (ID: ${keepCollection.id})`);
-        
-        for (let i = 1; i < collectionsWithSameRules.length; i++) {
-          const dupeCollection = collectionsWithSameRules[i];
-          console.log(`Will delete: "${dupeCollection.title}" (ID: ${dupeCollection.id})`);
-          // Extract numeric ID from GraphQL ID (format: gid://shopify/Collection/ID)
-          const numericId = dupeCollection.id.split('/').pop();
-          collectionsToDelete.push(numericId);
-        }
-      }
+
+    if (dryRun) {
+      return { groups };
     }
+
+    const collectionsById = new Map(allCollections.map((collection) => [collection.id, collection]));
+    const collectionsToDelete = groups.flatMap((group) => group.delete.map((summary) => collectionsById.get(summary.id)));
     
     // Delete the duplicate collections
     if (collectionsToDelete.length > 0) {
       console.log(`\nDeleting ${collectionsToDelete.length} duplicate collections...`);
-      
-      // Delete collections one by one to avoid rate limits
-      for (const collectionId of collectionsToDelete) {
-        try {
-          await shopifyApi.deleteSmartCollection(collectionId);
-          console.log(`Deleted collection ID: ${collectionId}`);
-          
-          // Add a small delay to avoid hitting rate limits
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (error) {
-          console.error(`Error deleting collection ${collectionId}:`, error.message);
-        }
-      }
-      
+      const result = await deleteCollections(collectionsToDelete);
       console.log("Cleanup complete!");
-    } else {
-      console.log("No duplicate collections found!");
+      return { groups, ...result };
     }
-    
+
+    console.log("No duplicate collections found!");
+    return { groups, deleted: [], failed: [], refused: [] };
   } catch (error) {
     console.error("Error cleaning up collections:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the number of products in a collection
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {Number} Product count, or null if the collection was fetched without it
+ */
+function getCollectionProductCount(collection) {
+  if (collection.productsCount) return collection.productsCount.count;
+  if (collection.products && collection.products.edges) {
+    // Only tells empty collections apart from the others
+    return collection.products.edges.length === 0 ? 0 : null;
+  }
+  return null;
+}
+
+/**
+ * Check whether a collection has fewer products than MIN_COLLECTION_PRODUCTS
+ * @param {Number} productCount - Product count, or null if unknown
+ * @returns {Boolean} True if the collection is known to be below the minimum
+ */
+function isBelowMinimumProducts(productCount) {
+  return productCount !== null && productCount !== undefined && productCount < MIN_COLLECTION_PRODUCTS;
+}
+
+/**
+ * Flag the current shop's generated smart collections that have fewer products than
+ * MIN_COLLECTION_PRODUCTS (by default, those that no longer contain any products).
+ * Hand-made collections are left to the merchandisers who made them. The flags are
+ * stored, and collections that have enough products again or were deleted are unflagged.
+ * @returns {Array} Collections that are currently below the minimum
+ * @throws {ShopifyApiError} If the collections can't be fetched, leaving the flags as they were
+ */
+async function flagSmallCollections() {
+  const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+  const previouslyFlagged = new Set((await flaggedCollections.listFlaggedCollections()).map((flagged) => flagged.id));
+  const smallCollections = [];
+
+  for (const collection of allCollections) {
+    if (!collectionMetadata.isGeneratedCollection(collection)) continue;
+
+    const productCount = getCollectionProductCount(collection);
+    if (!isBelowMinimumProducts(productCount)) continue;
+
+    if (!previouslyFlagged.has(collection.id)) {
+      console.warn(
+        `Collection is below ${MIN_COLLECTION_PRODUCTS} products: "${collection.title}" (ID: ${collection.id}, ${productCount} products)`
+      );
+    }
+    smallCollections.push({
+      id: collection.id,
+      title: collection.title,
+      handle: collection.handle,
+      productCount,
+    });
   }
+
+  console.log(`Flagged ${smallCollections.length} collections below ${MIN_COLLECTION_PRODUCTS} products`);
+  return flaggedCollections.replaceFlaggedCollections(smallCollections);
 }
 
 // Helper function to safely extract image URL from collection
@@ -553,182 +1088,20 @@ function getCollectionImageUrl(collection) {
 }
 
 /**
- * Get related collections for a given collection handle
- * @param {String} collectionHandle - The handle of the current collection
- * @returns {Object} Related collections organized by tab category
- */
-async function getRelatedCollections(collectionHandle) {
-  try {
-    console.log(`Getting related collections for: ${collectionHandle}`);
-    
-    // Step 1: Get the current collection details
-    const collection = await shopifyApi.getCollectionByHandle(collectionHandle);
-    
-    if (!collection) {
-      console.error(`Collection not found with handle: ${collectionHandle}`);
-      throw new Error(`Collection not found with handle: ${collectionHandle}`);
-    }
-
-    // Fetch metafield definitions once - OPTIMIZATION
-    const metafieldDefinitions = await getProductMetafieldDefinitions();
-
-    // Step 2: Parse the collection attributes from title and rules
-    const collectionAttributes = await parseCollectionAttributes(collection, metafieldDefinitions);
-    
-    // Step 3: Get all collections
-    const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
-    console.log(`Processing ${allCollections.length} collections`);
-    
-    // Step 4: Organize related collections by category
-    const related = {
-      byCategory: [],
-      byManufacturer: [],
-      bySizeItem: [],
-      bySpecs: {
-        condition: [],
-        fuelType: []
-      },
-      parts: []
-    };
-
-    // Get product type (category)
-    const productType = collectionAttributes.product_type || '';
-    
-    // Calculate parent category (remove most specific attribute)
-    let parentCategory;
-    if (productType) {
-      // Basic parent is just the product type
-      parentCategory = productType;
-    }
-
-    // Get collections by category
-    let processedCount = 0;
-    
-    for (const otherCollection of allCollections) {
-      processedCount++;
-      if (processedCount % 100 === 0) {
-        console.log(`Processed ${processedCount}/${allCollections.length} collections`);
-      }
-      
-      // Pass metafield definitions to avoid refetching
-      const otherAttributes = await parseCollectionAttributes(otherCollection, metafieldDefinitions);
-      
-      // Skip the current collection
-      if (otherCollection.handle === collectionHandle) {
-        continue;
-      }
-      
-      // Get image URL safely
-      const imageUrl = getCollectionImageUrl(otherCollection);
-      
-      // Category tab: collections that share the product type but have different attributes
-      if (otherAttributes.product_type === productType) {
-        related.byCategory.push({
-          title: otherCollection.title,
-          handle: otherCollection.handle,
-          image: imageUrl
-        });
-      }
-      
-      // Manufacturer tab: if collection doesn't have a vendor filter but current collection has product type
-      if (!collectionAttributes.vendor && productType && 
-          otherAttributes.product_type === productType &&
-          otherAttributes.vendor) {
-        related.byManufacturer.push({
-          title: otherCollection.title,
-          handle: otherCollection.handle,
-          image: imageUrl
-        });
-      }
-      
-      // Height tab: if collection doesn't have a size filter but current collection has product type
-      if (!collectionAttributes.size_item && productType &&
-          otherAttributes.product_type === productType &&
-          otherAttributes.size_item) {
-        related.bySizeItem.push({
-          title: otherCollection.title,
-          handle: otherCollection.handle,
-          image: imageUrl
-        });
-      }
-      
-      // Specs - Condition: if collection doesn't have a condition filter but current collection has product type
-      if (!collectionAttributes.condition && productType &&
-          otherAttributes.product_type === productType &&
-          otherAttributes.condition) {
-        related.bySpecs.condition.push({
-          title: otherCollection.title,
-          handle: otherCollection.handle,
-          image: imageUrl
-        });
-      }
-      
-      // Specs - Fuel Type: if collection doesn't have a fuel_type filter but current collection has product type
-      if (!collectionAttributes.fuel_type && productType &&
-          otherAttributes.product_type === productType &&
-          otherAttributes.fuel_type) {
-        related.bySpecs.fuelType.push({
-          title: otherCollection.title,
-          handle: otherCollection.handle,
-          image: imageUrl
-        });
-      }
-    }
-    
-    // Always include parts collections
-    const partsCollections = [
-      "genie-parts", 
-      "jlg-parts", 
-      "skyjack-parts", 
-      "haulotte-parts"
-    ];
-
-    // Fetch each parts collection to get its image
-    related.parts = [];
-    for (const partHandle of partsCollections) {
-      try {
-        const partCollection = await shopifyApi.getCollectionByHandle(partHandle);
-        if (partCollection) {
-          const imageUrl = getCollectionImageUrl(partCollection);
-          related.parts.push({
-            title: partCollection.title || partHandle.replace('-parts', ' Parts'),
-            handle: partHandle,
-            image: imageUrl
-          });
-        }
-      } catch (error) {
-        console.log(`Error fetching parts collection ${partHandle}:`, error);
-        // Fallback to the collection without an image
-        related.parts.push({
-          title: partHandle.replace('-parts', ' Parts').replace(/(^|\s)\S/g, l => l.toUpperCase()),
-          handle: partHandle,
-          image: null
-        });
-      }
-    }
-    
-    console.log(`Completed finding related collections for: ${collectionHandle}`);
-    return related;
-  } catch (error) {
-    console.error(`Error in getRelatedCollections for ${collectionHandle}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Parse collection attributes from collection object
+ * Parse collection attributes from collection object: from the app's metafield on generated
+ * collections, otherwise reconstructed from the collection's rules
  * @param {Object} collection - Shopify collection object
  * @param {Object} [providedMetafieldDefinitions] - Optional metafield definitions to use instead of fetching
  * @returns {Object} Parsed attributes
  */
 async function parseCollectionAttributes(collection, providedMetafieldDefinitions = null) {
-  const attributes = {
-    product_type: '',
-    vendor: '',
-    condition: '',
-    size_item: '',
-    fuel_type: ''
-  };
+  const attributes = attributeSchema.emptyAttributes();
+
+  // Generated collections say exactly what they were generated from
+  const metadata = collectionMetadata.readCollectionMetadata(collection);
+  if (metadata) {
+    return { ...attributes, ...metadata.attributes };
+  }
   
   // Get metafield definitions mapping - use provided definitions or fetch them
   let metafieldDefinitions;
@@ -737,7 +1110,19 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
   } else {
     metafieldDefinitions = await getProductMetafieldDefinitions();
   }
-  
+
+  return parseRuleAttributes(collection, metafieldDefinitions);
+}
+
+/**
+ * Reconstruct the attributes a collection's rules select on
+ * @param {Object} collection - Shopify collection object
+ * @param {Object} metafieldDefinitions - Map of attribute names to definition IDs
+ * @returns {Object} Parsed attributes
+ */
+function parseRuleAttributes(collection, metafieldDefinitions) {
+  const attributes = attributeSchema.emptyAttributes();
+
   // Create a reverse mapping from definition IDs to our attribute keys
   const definitionIdToAttribute = {};
   for (const [attrName, definitionId] of Object.entries(metafieldDefinitions)) {
@@ -748,10 +1133,10 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
   if (collection.rules && Array.isArray(collection.rules)) {
     // REST API format
     for (const rule of collection.rules) {
-      if (rule.column === 'type') {
-        attributes.product_type = rule.condition;
-      } else if (rule.column === 'vendor') {
-        attributes.vendor = rule.condition;
+      const columnAttribute = attributeSchema.findColumnAttribute(rule.column);
+
+      if (columnAttribute) {
+        attributes[columnAttribute.name] = rule.condition;
       } else if (rule.column === 'product_metafield_definition' && rule.condition_object_id) {
         // Extract the numeric ID from the GraphQL ID if needed
         const definitionId = rule.condition_object_id.includes('/') 
@@ -769,11 +1154,10 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
     // GraphQL format
     for (const rule of collection.ruleSet.rules) {
       const column = rule.column.toLowerCase(); // GraphQL returns uppercase
+      const columnAttribute = attributeSchema.findColumnAttribute(column);
       
-      if (column === 'type') {
-        attributes.product_type = rule.condition;
-      } else if (column === 'vendor') {
-        attributes.vendor = rule.condition;
+      if (columnAttribute) {
+        attributes[columnAttribute.name] = rule.condition;
       } else if (column === 'product_metafield_definition') {
         // Here we can now use the conditionObject that contains metafieldDefinition
         if (rule.conditionObject && rule.conditionObject.metafieldDefinition) {
@@ -787,15 +1171,8 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
           
           // If no mapping found by ID, try to map using the key name
           if (!attributeKey) {
-            const key = metafieldDef.key.toLowerCase();
-            
-            if (key === 'condition' || key === 'Condition') {
-              attributeKey = 'condition';
-            } else if (key === 'size_item' || key === 'size') {
-              attributeKey = 'size_item';
-            } else if (key === 'fuel_type') {
-              attributeKey = 'fuel_type';
-            }
+            const attribute = attributeSchema.findMetafieldAttribute(metafieldDef.key, metafieldDef.namespace);
+            attributeKey = attribute && attribute.name;
           }
           
           // If we found an attribute key, set the value
@@ -805,15 +1182,10 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
           }
         }
         
-        // Fallback to pattern matching if we couldn't determine the attribute from metadata
-        const condition = rule.condition.toLowerCase();
-        
-        if (/\b(used|new|refurbished)\b/.test(condition)) {
-          attributes.condition = rule.condition;
-        } else if (/(\d+['"]|\d+ft|\d+-\d+|feet|\d+')/.test(condition)) {
-          attributes.size_item = rule.condition;
-        } else if (/\b(electric|diesel|gas|hybrid|propane)\b/.test(condition)) {
-          attributes.fuel_type = rule.condition;
+        // Fallback to the attributes' value patterns if we couldn't determine the attribute from metadata
+        const patternAttribute = attributeSchema.matchValuePattern(rule.condition);
+        if (patternAttribute) {
+          attributes[patternAttribute.name] = rule.condition;
         }
       }
     }
@@ -822,14 +1194,196 @@ async function parseCollectionAttributes(collection, providedMetafieldDefinition
   return attributes;
 }
 
+/**
+ * Mark the existing collections the generator created with the app's metafield. A collection
+ * looks generated when each of its rules maps to an attribute and those attributes give back
+ * its handle; anything else is left alone as hand-made. A hand-made collection can still look
+ * generated, so only the collections an admin has confirmed, e.g. from a dry run, are marked.
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Only report the collections that would be marked
+ * @param {Array} [options.confirmed] - IDs or handles of the collections confirmed as generated
+ * @returns {Object} Collections marked (or to mark), the number already marked, those skipped or
+ * failed, and those that look generated but weren't confirmed
+ */
+async function backfillCollectionMetadata({ dryRun = false, confirmed = [] } = {}) {
+  console.log(`Backfilling collection metadata${dryRun ? " (dry run)" : ""}...`);
+
+  const metafieldDefinitions = await getProductMetafieldDefinitions();
+  const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+  const summary = { marked: [], alreadyMarked: 0, skipped: [], unconfirmed: [], failed: [] };
+
+  for (const collection of allCollections) {
+    if (collectionMetadata.isGeneratedCollection(collection)) {
+      summary.alreadyMarked++;
+      continue;
+    }
+
+    const rules = (collection.ruleSet && collection.ruleSet.rules) || [];
+    const attributes = collectionMetadata.canonicalAttributes(
+      await parseCollectionAttributes(collection, metafieldDefinitions)
+    );
+    const details = createCollectionDetails(attributes);
+
+    if (
+      !collection.ruleSet ||
+      collection.ruleSet.appliedDisjunctively ||
+      Object.keys(attributes).length !== rules.length ||
+      !details ||
+      details.handle !== collection.handle
+    ) {
+      summary.skipped.push({ id: collection.id, title: collection.title, handle: collection.handle });
+      continue;
+    }
+
+    const marked = { id: collection.id, title: collection.title, handle: collection.handle, attributes };
+    if (dryRun) {
+      summary.marked.push(marked);
+      continue;
+    }
+
+    if (!confirmed.includes(collection.id) && !confirmed.includes(collection.handle)) {
+      summary.unconfirmed.push(marked);
+      continue;
+    }
+
+    try {
+      await shopifyApi.setCollectionMetafields(collection.id, [collectionMetadata.toCollectionMetafield(attributes)]);
+      summary.marked.push(marked);
+    } catch (error) {
+      console.error(`Error marking collection "${collection.title}":`, error.message);
+      summary.failed.push({ id: collection.id, title: collection.title, error: error.message });
+    }
+  }
+
+  console.log(
+    `Collection metadata: ${summary.marked.length} ${dryRun ? "to mark" : "marked"}, ` +
+    `${summary.alreadyMarked} already marked, ${summary.skipped.length} skipped, ` +
+    `${summary.unconfirmed.length} not confirmed, ${summary.failed.length} failed`
+  );
+  return summary;
+}
+
+/**
+ * Build a whole-word pattern for each attribute value the shop's products have
+ * @param {Object} knownValues - Map of attribute names to values, from getKnownAttributeValues
+ * @returns {Array} Attribute name, value and pattern of each value
+ */
+function getValuePatterns(knownValues) {
+  return Object.entries(knownValues).flatMap(([name, values]) =>
+    values.map((value) => {
+      const escapedValue = value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return { name, value, pattern: new RegExp(`(^|[^\\w])${escapedValue}($|[^\\w])`, "i") };
+    })
+  );
+}
+
+/**
+ * Find the attributes a collection title names. The longest matching value of an attribute
+ * wins, so "Boom Lifts" is preferred over "Lifts".
+ * @param {String} title - Collection title
+ * @param {Array} valuePatterns - Patterns from getValuePatterns
+ * @returns {Object} Canonical attributes the title implies
+ */
+function getTitleAttributes(title, valuePatterns) {
+  const attributes = {};
+
+  for (const { name, value, pattern } of valuePatterns) {
+    if (pattern.test(title) && (!attributes[name] || value.length > attributes[name].length)) {
+      attributes[name] = value;
+    }
+  }
+
+  return collectionMetadata.canonicalAttributes(attributes);
+}
+
+/**
+ * Find smart collections whose rules select more products than their title promises: rules
+ * missing an attribute the title (or, on generated collections, the app's metafield) names,
+ * metafield rules that lost their definition, and multi-attribute collections whose rules
+ * only need to match one condition
+ * @returns {Object} Number of collections checked and the weak ones, with what each is missing
+ */
+async function auditCollectionRules() {
+  const metafieldDefinitions = await getProductMetafieldDefinitions();
+  const valuePatterns = getValuePatterns(await productAttributes.getKnownAttributeValues());
+  const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+  const weakCollections = [];
+
+  for (const collection of allCollections) {
+    if (!collection.ruleSet || !collection.ruleSet.rules) continue;
+
+    const metadata = collectionMetadata.readCollectionMetadata(collection);
+    const impliedAttributes = metadata ? metadata.attributes : getTitleAttributes(collection.title, valuePatterns);
+
+    // A metafield rule without its definition doesn't select on the attribute it names
+    const rulesWithoutDefinition = collection.ruleSet.rules.filter(
+      (rule) =>
+        rule.column.toLowerCase() === "product_metafield_definition" &&
+        !(rule.conditionObject && rule.conditionObject.metafieldDefinition)
+    );
+    const definedRules = collection.ruleSet.rules.filter((rule) => !rulesWithoutDefinition.includes(rule));
+    const ruleAttributes = collectionMetadata.canonicalAttributes(
+      parseRuleAttributes({ ruleSet: { rules: definedRules } }, metafieldDefinitions)
+    );
+    const conditions = definedRules.map((rule) => String(rule.condition).toLowerCase());
+
+    // Attributes read from a title can belong to another attribute than the rule's, so any
+    // rule with the value covers them
+    const missingAttributes = Object.entries(impliedAttributes)
+      .filter(([name, value]) =>
+        ruleAttributes[name] !== value && (metadata || !conditions.includes(value.toLowerCase()))
+      )
+      .map(([attribute, value]) => ({ attribute, value, ruleValue: ruleAttributes[attribute] || null }));
+
+    const disjunctive = collection.ruleSet.appliedDisjunctively && Object.keys(impliedAttributes).length > 1;
+
+    if (missingAttributes.length > 0 || rulesWithoutDefinition.length > 0 || disjunctive) {
+      weakCollections.push({
+        id: collection.id,
+        title: collection.title,
+        handle: collection.handle,
+        generated: metadata !== null,
+        impliedAttributes,
+        ruleAttributes,
+        missingAttributes,
+        rulesWithoutDefinition: rulesWithoutDefinition.map(({ column, relation, condition }) => ({ column, relation, condition })),
+        disjunctive,
+      });
+    }
+  }
+
+  console.log(`Rule audit: ${weakCollections.length} of ${allCollections.length} collections have weaker rules than their title`);
+  return { collectionsChecked: allCollections.length, weakCollections };
+}
+
 module.exports = {
   processProduct,
-  processAllExistingProducts,
+  generateAllAttributeCombinations,
   generateAttributeCombinations,
   createCollectionDetails,
-  doesSimilarCollectionExistGraphQL,
+  toHandle,
+  findSimilarCollectionGraphQL,
+  planProductCollections,
+  planCatalogProduct,
+  createMissingCollections,
+  getCombinationRules,
+  createGeneratedCollection,
+  compareCollectionRules,
+  previewProduct,
   extractProductAttributes,
   getProductMetafieldDefinitions,
+  ensureProductMetafieldDefinitions,
   cleanupDuplicateCollections,
-  getRelatedCollections
+  planDuplicateCleanup,
+  isUnchangedSincePlan,
+  deleteCollections,
+  flagSmallCollections,
+  getCollectionProductCount,
+  isBelowMinimumProducts,
+  MIN_COLLECTION_PRODUCTS,
+  getCollectionImageUrl,
+  parseCollectionAttributes,
+  backfillCollectionMetadata,
+  auditCollectionRules,
+  generatorEvents
 };
@@ -0,0 +1,285 @@
+require("dotenv").config();
+const shopifyApi = require("./shopify-api");
+const shops = require("./shops");
+const collectionGenerator = require("./collection-generator");
+
+// How long the index is served before it is rebuilt in the background
+const COLLECTION_INDEX_TTL_MINUTES = parseFloat(process.env.COLLECTION_INDEX_TTL_MINUTES || "60");
+
+// Index state per shop domain
+const shopIndexes = new Map();
+
+/**
+ * Get the current shop's index state, creating an empty one on first use
+ * @returns {Object} Index state
+ */
+function getShopIndex() {
+  const shopDomain = shops.getCurrentShopDomain();
+
+  if (!shopIndexes.has(shopDomain)) {
+    shopIndexes.set(shopDomain, {
+      // Parsed smart collections keyed by handle: { id, title, handle, attributes, image, productCount }
+      entries: new Map(),
+      // Other collections looked up by handle (e.g. custom parts collections), keyed by
+      // handle. Handles Shopify answered as not found are kept as null so they aren't
+      // fetched again; failed lookups are never kept.
+      lookedUp: new Map(),
+      metafieldDefinitions: {},
+      builtAt: 0,
+      building: null,
+      // Bumped on every change so callers can tell when the collection graph changed
+      version: 0,
+    });
+  }
+  return shopIndexes.get(shopDomain);
+}
+
+/**
+ * Parse a GraphQL collection into an index entry
+ * @param {Object} index - Index state
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {Object} Index entry
+ */
+async function toEntry(index, collection) {
+  return {
+    id: collection.id,
+    title: collection.title,
+    handle: collection.handle,
+    attributes: await collectionGenerator.parseCollectionAttributes(collection, index.metafieldDefinitions),
+    image: collectionGenerator.getCollectionImageUrl(collection),
+    productCount: collectionGenerator.getCollectionProductCount(collection),
+  };
+}
+
+/**
+ * Rebuild the whole index from Shopify. The index is only replaced once every
+ * collection has been fetched and parsed, so a failed build leaves it as it was:
+ * still cold, or serving the previous build until the next attempt.
+ * @param {Object} index - Index state
+ * @throws {Error} If the collections or metafield definitions can't be fetched
+ */
+async function buildIndex(index) {
+  console.log(`Building collection index for ${shops.getCurrentShopDomain()}...`);
+
+  const metafieldDefinitions = await collectionGenerator.getProductMetafieldDefinitions();
+  const allCollections = await shopifyApi.getExistingSmartCollectionsGraphQL();
+
+  const newEntries = new Map();
+  for (const collection of allCollections) {
+    newEntries.set(collection.handle, await toEntry({ metafieldDefinitions }, collection));
+  }
+
+  index.metafieldDefinitions = metafieldDefinitions;
+  index.entries = newEntries;
+  index.lookedUp = new Map();
+  index.builtAt = Date.now();
+  index.version++;
+  console.log(`Indexed ${index.entries.size} collections`);
+}
+
+/**
+ * Start a rebuild of the current shop's index unless one is already running
+ * @returns {Promise} Resolves when the rebuild finishes
+ */
+function rebuildIndex() {
+  const index = getShopIndex();
+
+  if (!index.building) {
+    index.building = buildIndex(index).finally(() => {
+      index.building = null;
+    });
+  }
+  return index.building;
+}
+
+/**
+ * Make sure the current shop's index is built. A cold index is built before
+ * returning; a stale one is served as is while it is rebuilt in the background.
+ */
+async function ensureIndex() {
+  const index = getShopIndex();
+
+  if (!index.builtAt) {
+    await rebuildIndex();
+    return;
+  }
+
+  if (Date.now() - index.builtAt > COLLECTION_INDEX_TTL_MINUTES * 60 * 1000) {
+    rebuildIndex().catch((error) => {
+      console.error("Error rebuilding collection index:", error);
+    });
+  }
+}
+
+/**
+ * Get every indexed collection
+ * @returns {Array} Index entries
+ */
+async function getEntries() {
+  await ensureIndex();
+  return [...getShopIndex().entries.values()];
+}
+
+/**
+ * Get a collection by handle, fetching it from Shopify if it isn't indexed.
+ * Collections that aren't smart collections are cached apart so they never
+ * show up in getEntries.
+ * @param {String} handle - Collection handle
+ * @returns {Object} Index entry or null if the collection doesn't exist
+ */
+async function lookupCollection(handle) {
+  await ensureIndex();
+  const index = getShopIndex();
+  if (index.entries.has(handle)) return index.entries.get(handle);
+  if (index.lookedUp.has(handle)) return index.lookedUp.get(handle);
+
+  const collection = await shopifyApi.getCollectionByHandle(handle);
+  if (!collection) return null;
+
+  if (collection.ruleSet) {
+    await upsertCollection(collection);
+    return index.entries.get(collection.handle);
+  }
+
+  const entry = await toEntry(index, collection);
+  index.lookedUp.set(handle, entry);
+  return entry;
+}
+
+/**
+ * Get several collections by handle, fetching those that aren't indexed or cached
+ * from Shopify in batches
+ * @param {Array} handles - Collection handles
+ * @returns {Array} Index entries of the collections that exist, in the order of the handles
+ */
+async function lookupCollections(handles) {
+  await ensureIndex();
+  const index = getShopIndex();
+
+  const missingHandles = [...new Set(handles)].filter((handle) =>
+    !index.entries.has(handle) && !index.lookedUp.has(handle)
+  );
+
+  if (missingHandles.length > 0) {
+    const collections = await shopifyApi.getCollectionsByHandles(missingHandles);
+
+    for (const handle of missingHandles) {
+      const collection = collections.get(handle);
+
+      if (collection && collection.ruleSet) {
+        await upsertCollection(collection);
+      } else {
+        index.lookedUp.set(handle, collection ? await toEntry(index, collection) : null);
+      }
+    }
+  }
+
+  return handles
+    .map((handle) => index.entries.get(handle) || index.lookedUp.get(handle))
+    .filter(Boolean);
+}
+
+/**
+ * Get the metafield definitions the index was parsed with
+ * @returns {Object} Map of attribute names to definition IDs
+ */
+async function getMetafieldDefinitions() {
+  await ensureIndex();
+  return getShopIndex().metafieldDefinitions;
+}
+
+/**
+ * Add or replace a collection in the index. Does nothing while the index is
+ * cold, since the first build will pick the collection up.
+ * @param {Object} collection - Shopify collection from GraphQL
+ */
+async function upsertCollection(collection) {
+  const index = getShopIndex();
+  if (!index.builtAt) return;
+
+  // A handle can change, so drop any entry with the same ID first
+  for (const [handle, entry] of index.entries) {
+    if (entry.id === collection.id) index.entries.delete(handle);
+  }
+
+  index.entries.set(collection.handle, await toEntry(index, collection));
+  index.version++;
+}
+
+/**
+ * Fetch a collection from Shopify and update its index entry
+ * @param {String} handle - Collection handle
+ */
+async function refreshCollection(handle) {
+  const index = getShopIndex();
+  if (!index.builtAt) return;
+
+  const collection = await shopifyApi.getCollectionByHandle(handle);
+  index.lookedUp.delete(handle);
+
+  // Only smart collections are indexed
+  if (collection && collection.ruleSet) {
+    await upsertCollection(collection);
+  } else if (index.entries.delete(handle)) {
+    index.version++;
+  }
+}
+
+/**
+ * Remove a collection from the index
+ * @param {String} collectionId - Collection gid or numeric ID
+ */
+function removeCollection(collectionId) {
+  const index = getShopIndex();
+  const numericId = String(collectionId).split("/").pop();
+
+  for (const map of [index.entries, index.lookedUp]) {
+    for (const [handle, entry] of map) {
+      if (entry && String(entry.id).split("/").pop() === numericId) {
+        map.delete(handle);
+        index.version++;
+      }
+    }
+  }
+}
+
+/**
+ * Get the current shop's index status
+ * @returns {Object} Number of collections, when the index was built and its version
+ */
+function getIndexStatus() {
+  const index = getShopIndex();
+
+  return {
+    shop: shops.getCurrentShopDomain(),
+    collections: index.entries.size,
+    builtAt: index.builtAt ? new Date(index.builtAt).toISOString() : null,
+    building: !!index.building,
+    version: index.version,
+  };
+}
+
+// Keep the index current as collections are generated and deleted. The events are
+// emitted while the shop that owns the collection is the current shop.
+collectionGenerator.generatorEvents.on("collectionCreated", (collection) => {
+  refreshCollection(collection.handle).catch((error) => {
+    console.error(`Error indexing collection ${collection.handle}:`, error);
+  });
+});
+
+collectionGenerator.generatorEvents.on("collectionDeleted", (collectionId) => {
+  removeCollection(collectionId);
+});
+
+module.exports = {
+  ensureIndex,
+  rebuildIndex,
+  getEntries,
+  lookupCollection,
+  lookupCollections,
+  getMetafieldDefinitions,
+  upsertCollection,
+  refreshCollection,
+  removeCollection,
+  getIndexStatus,
+};
@@ -0,0 +1,80 @@
+require("dotenv").config();
+const attributeSchema = require("./attribute-schema");
+
+// App-owned metafield marking the collections the generator created. "$app:" namespaces
+// are reserved to the app, so merchants and other apps can't write to them.
+const COLLECTION_METAFIELD_NAMESPACE = process.env.COLLECTION_METAFIELD_NAMESPACE || "$app:shop_by_specs";
+const COLLECTION_METAFIELD_KEY = "attributes";
+
+// Version of the generator that wrote the metafield, bumped when the canonical form changes
+const GENERATOR_VERSION = 1;
+
+/**
+ * Get the canonical form of an attribute combination: the schema's attributes that have
+ * a value, in position order
+ * @param {Object} combination - Map of attribute names to values
+ * @returns {Object} Canonical attributes
+ */
+function canonicalAttributes(combination) {
+  const canonical = {};
+  for (const attribute of attributeSchema.ATTRIBUTES_BY_POSITION) {
+    if (combination[attribute.name]) {
+      canonical[attribute.name] = combination[attribute.name];
+    }
+  }
+  return canonical;
+}
+
+/**
+ * Build the metafield written on a generated collection
+ * @param {Object} combination - Attribute combination the collection was generated from
+ * @returns {Object} MetafieldInput with the canonical attributes and the generator version
+ */
+function toCollectionMetafield(combination) {
+  return {
+    namespace: COLLECTION_METAFIELD_NAMESPACE,
+    key: COLLECTION_METAFIELD_KEY,
+    type: "json",
+    value: JSON.stringify({ version: GENERATOR_VERSION, attributes: canonicalAttributes(combination) }),
+  };
+}
+
+/**
+ * Read the metafield of a collection fetched with its attributesMetafield
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {Object} Generator version and canonical attributes, or null if the collection
+ * isn't marked or the metafield can't be read
+ */
+function readCollectionMetadata(collection) {
+  const metafield = collection && collection.attributesMetafield;
+  if (!metafield || !metafield.value) return null;
+
+  try {
+    const metadata = JSON.parse(metafield.value);
+    if (!metadata || typeof metadata.attributes !== "object" || metadata.attributes === null) return null;
+
+    return { version: metadata.version, attributes: canonicalAttributes(metadata.attributes) };
+  } catch (error) {
+    console.error(`Invalid ${COLLECTION_METAFIELD_KEY} metafield on collection ${collection.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether the generator created a collection
+ * @param {Object} collection - Shopify collection from GraphQL
+ * @returns {Boolean} True if the collection carries the app's metafield
+ */
+function isGeneratedCollection(collection) {
+  return readCollectionMetadata(collection) !== null;
+}
+
+module.exports = {
+  COLLECTION_METAFIELD_NAMESPACE,
+  COLLECTION_METAFIELD_KEY,
+  GENERATOR_VERSION,
+  canonicalAttributes,
+  toCollectionMetafield,
+  readCollectionMetadata,
+  isGeneratedCollection,
+};
@@ -0,0 +1,112 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const attributeSchema = require("./attribute-schema");
+
+// File declaring which attribute combinations become collections
+const COMBINATION_POLICY_PATH = process.env.COMBINATION_POLICY_PATH || path.join(__dirname, "combination-policy.json");
+
+/**
+ * Check that a policy only names attributes from the schema
+ * @param {Array} names - Attribute names
+ * @param {String} where - Part of the policy the names come from, for the error message
+ * @throws {Error} If a name isn't in the schema
+ */
+function checkAttributeNames(names, where) {
+  for (const name of names) {
+    if (!attributeSchema.getAttribute(name)) {
+      throw new Error(`Combination policy ${where} names an unknown attribute: ${name}`);
+    }
+  }
+}
+
+/**
+ * Load and check the combination policy. A missing file allows every combination.
+ * @param {String} policyPath - Path of the policy file
+ * @returns {Object} Policy with maxDepth, requires and deny
+ * @throws {Error} If the policy is invalid
+ */
+function loadCombinationPolicy(policyPath) {
+  const policy = fs.existsSync(policyPath) ? JSON.parse(fs.readFileSync(policyPath, "utf8")) : {};
+
+  const maxDepth = policy.maxDepth === undefined || policy.maxDepth === null ? null : Number(policy.maxDepth);
+  if (maxDepth !== null && !(maxDepth >= 1)) {
+    throw new Error(`Combination policy maxDepth must be a positive number: ${policy.maxDepth}`);
+  }
+
+  const requires = policy.requires || {};
+  for (const [name, companions] of Object.entries(requires)) {
+    if (!Array.isArray(companions)) {
+      throw new Error(`Combination policy requires.${name} must be an array of attribute names`);
+    }
+    checkAttributeNames([name, ...companions], "requires");
+  }
+
+  const deny = policy.deny || [];
+  if (!Array.isArray(deny) || !deny.every(Array.isArray)) {
+    throw new Error("Combination policy deny must be an array of attribute name arrays");
+  }
+  deny.forEach((names) => checkAttributeNames(names, "deny"));
+
+  return { maxDepth, requires, deny };
+}
+
+const POLICY = loadCombinationPolicy(COMBINATION_POLICY_PATH);
+
+const REQUIRED_NAMES = new Set(attributeSchema.REQUIRED_ATTRIBUTES.map((attribute) => attribute.name));
+
+/**
+ * Get the reasons the policy forbids a combination
+ * @param {Object} combination - Map of attribute names to values
+ * @returns {Array} Reasons, empty if the combination is allowed
+ */
+function getPolicyViolations(combination) {
+  const names = Object.keys(combination).filter((name) => combination[name]);
+  const optionalNames = names.filter((name) => !REQUIRED_NAMES.has(name));
+  const violations = [];
+
+  // Maximum number of attributes, required ones included
+  if (POLICY.maxDepth !== null && names.length > POLICY.maxDepth) {
+    violations.push(`has ${names.length} attributes, more than the maximum of ${POLICY.maxDepth}`);
+  }
+
+  // Attributes that only make sense together with others
+  for (const name of names) {
+    const missing = (POLICY.requires[name] || []).filter((companion) => !combination[companion]);
+    if (missing.length > 0) {
+      violations.push(`${name} requires ${missing.join(", ")}`);
+    }
+  }
+
+  // Exact groupings of optional attributes that are never wanted
+  for (const denied of POLICY.deny) {
+    if (denied.length === optionalNames.length && denied.every((name) => optionalNames.includes(name))) {
+      violations.push(`${denied.join(" + ")} is denied`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check whether the policy allows a combination
+ * @param {Object} combination - Map of attribute names to values
+ * @returns {Boolean} True if the combination may become a collection
+ */
+function isCombinationAllowed(combination) {
+  return getPolicyViolations(combination).length === 0;
+}
+
+/**
+ * Get the policy in effect
+ * @returns {Object} Policy with maxDepth, requires and deny
+ */
+function getCombinationPolicy() {
+  return POLICY;
+}
+
+module.exports = {
+  getPolicyViolations,
+  isCombinationAllowed,
+  getCombinationPolicy,
+};
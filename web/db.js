@@ -0,0 +1,103 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+
+// Directory holding the app's persisted state
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const DATABASE_PATH = path.join(DATA_DIR, "shop-by-specs.sqlite");
+
+let database = null;
+
+/**
+ * Get the shared SQLite connection, opening it on first use
+ * @returns {Object} sqlite3 Database
+ */
+function getDatabase() {
+  if (!database) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    database = new sqlite3.Database(DATABASE_PATH);
+  }
+  return database;
+}
+
+/**
+ * Run a statement that doesn't return rows
+ * @param {String} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Object} lastID and changes of the statement
+ */
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Get the first row returned by a query
+ * @param {String} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Object} Row or undefined if there are none
+ */
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Get all rows returned by a query
+ * @param {String} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Array} Rows
+ */
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Execute one or more statements, e.g. table definitions
+ * @param {String} sql - SQL statements
+ */
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    getDatabase().exec(sql, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Add a column to an existing table unless it is already there, so tables created
+ * by an older version pick up new columns
+ * @param {String} table - Table name
+ * @param {String} column - Column name
+ * @param {String} definition - Column type and constraints
+ */
+async function ensureColumn(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((existing) => existing.name === column)) {
+    await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  run,
+  get,
+  all,
+  exec,
+  ensureColumn,
+};
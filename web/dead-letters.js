@@ -0,0 +1,160 @@
+const db = require("./db");
+const shops = require("./shops");
+const {
+  queueProduct,
+  queueEvents,
+  toProductGid,
+} = require("./product-queue");
+
+let tableReady = null;
+
+/**
+ * Create the dead-letter table if needed
+ */
+function ensureDeadLetterTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        product_id TEXT PRIMARY KEY,
+        shop TEXT,
+        action TEXT NOT NULL,
+        job_id TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        failed_at INTEGER NOT NULL
+      );
+    `).then(() => shops.ensureShopColumn("dead_letters"));
+  }
+  return tableReady;
+}
+
+/**
+ * Convert a database row to the shape returned by the API
+ * @param {Object} row - dead_letters row
+ * @returns {Object} Dead letter
+ */
+function toDeadLetter(row) {
+  return {
+    productId: row.product_id,
+    shop: row.shop,
+    action: row.action,
+    jobId: row.job_id,
+    error: row.error,
+    attempts: row.attempts,
+    failedAt: new Date(row.failed_at).toISOString(),
+  };
+}
+
+/**
+ * Store a task that ran out of retries. Attempts add up if the product fails again after a retry.
+ * @param {Object} task - Queue task, with the number of attempts the queue made at it
+ * @param {Error|String} error - Error from the last attempt
+ */
+async function recordDeadLetter(task, error) {
+  await ensureDeadLetterTable();
+
+  const errorMessage = error && error.message ? error.message : String(error);
+  await db.run(
+    `INSERT INTO dead_letters (product_id, shop, action, job_id, error, attempts, failed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (product_id) DO UPDATE SET
+       shop = excluded.shop,
+       action = excluded.action,
+       job_id = excluded.job_id,
+       error = excluded.error,
+       attempts = attempts + excluded.attempts,
+       failed_at = excluded.failed_at`,
+    [task.id, task.shop || null, task.action || "process", task.jobId || null, errorMessage, task.attempts || 1, Date.now()]
+  );
+}
+
+/**
+ * List the current shop's dead letters, most recent first
+ * @returns {Array} Dead letters
+ */
+async function listDeadLetters() {
+  await ensureDeadLetterTable();
+  const rows = await db.all(
+    "SELECT * FROM dead_letters WHERE shop = ? ORDER BY failed_at DESC",
+    [shops.getCurrentShopDomain()]
+  );
+  return rows.map(toDeadLetter);
+}
+
+/**
+ * Put a dead-lettered product back on the queue. It stays in the dead-letter
+ * store until it is processed successfully.
+ * @param {String|Number} productId - Numeric product ID or gid
+ * @returns {Object} The dead letter that was retried, or null if not found
+ */
+async function retryDeadLetter(productId) {
+  await ensureDeadLetterTable();
+
+  const row = await db.get(
+    "SELECT * FROM dead_letters WHERE product_id = ? AND shop = ?",
+    [toProductGid(productId), shops.getCurrentShopDomain()]
+  );
+  if (!row) return null;
+
+  queueProduct(row.product_id, { action: row.action, jobId: row.job_id });
+  return toDeadLetter(row);
+}
+
+/**
+ * Put every dead-lettered product of the current shop back on the queue
+ * @returns {Array} Dead letters that were retried
+ */
+async function retryAllDeadLetters() {
+  const deadLetters = await listDeadLetters();
+
+  for (const deadLetter of deadLetters) {
+    queueProduct(deadLetter.productId, { action: deadLetter.action, jobId: deadLetter.jobId });
+  }
+  return deadLetters;
+}
+
+/**
+ * Discard a dead-lettered product
+ * @param {String|Number} productId - Numeric product ID or gid
+ * @param {String} [shopDomain] - Shop the product belongs to, defaults to the current shop
+ * @returns {Boolean} True if it was found and discarded
+ */
+async function discardDeadLetter(productId, shopDomain = shops.getCurrentShopDomain()) {
+  await ensureDeadLetterTable();
+  const result = await db.run(
+    "DELETE FROM dead_letters WHERE product_id = ? AND shop = ?",
+    [toProductGid(productId), shopDomain]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Discard every dead-lettered product of the current shop
+ * @returns {Number} Number of dead letters discarded
+ */
+async function discardAllDeadLetters() {
+  await ensureDeadLetterTable();
+  const result = await db.run("DELETE FROM dead_letters WHERE shop = ?", [shops.getCurrentShopDomain()]);
+  return result.changes;
+}
+
+queueEvents.on("failed", (task, error) => {
+  recordDeadLetter(task, error).catch((err) => {
+    console.error(`Error recording dead letter for ${task.id}:`, err);
+  });
+});
+
+// A product that succeeds after a retry no longer needs attention
+queueEvents.on("processed", (task) => {
+  discardDeadLetter(task.id, task.shop).catch((error) => {
+    console.error(`Error clearing dead letter for ${task.id}:`, error);
+  });
+});
+
+module.exports = {
+  listDeadLetters,
+  retryDeadLetter,
+  retryAllDeadLetters,
+  discardDeadLetter,
+  discardAllDeadLetters,
+};
@@ -0,0 +1,86 @@
+const db = require("./db");
+const shops = require("./shops");
+
+let tableReady = null;
+
+/**
+ * Create the flagged collections table if needed
+ */
+function ensureFlaggedCollectionsTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS flagged_collections (
+        shop TEXT NOT NULL,
+        collection_id TEXT NOT NULL,
+        title TEXT,
+        handle TEXT,
+        product_count INTEGER,
+        flagged_at INTEGER NOT NULL,
+        PRIMARY KEY (shop, collection_id)
+      );
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Convert a database row to the shape returned by the API
+ * @param {Object} row - flagged_collections row
+ * @returns {Object} Flagged collection
+ */
+function toFlaggedCollection(row) {
+  return {
+    id: row.collection_id,
+    title: row.title,
+    handle: row.handle,
+    productCount: row.product_count,
+    flaggedAt: new Date(row.flagged_at).toISOString(),
+  };
+}
+
+/**
+ * List the current shop's flagged collections, longest flagged first
+ * @returns {Array} Flagged collections
+ */
+async function listFlaggedCollections() {
+  await ensureFlaggedCollectionsTable();
+  const rows = await db.all(
+    "SELECT * FROM flagged_collections WHERE shop = ? ORDER BY flagged_at, collection_id",
+    [shops.getCurrentShopDomain()]
+  );
+  return rows.map(toFlaggedCollection);
+}
+
+/**
+ * Make the given collections the current shop's flagged collections. Collections that
+ * were already flagged keep the time they were first flagged; the others are unflagged.
+ * @param {Array} collections - Collections with their id, title, handle and productCount
+ * @returns {Array} Flagged collections
+ */
+async function replaceFlaggedCollections(collections) {
+  await ensureFlaggedCollectionsTable();
+  const shopDomain = shops.getCurrentShopDomain();
+  const now = Date.now();
+
+  await db.run(
+    "DELETE FROM flagged_collections WHERE shop = ? AND collection_id NOT IN (SELECT value FROM json_each(?))",
+    [shopDomain, JSON.stringify(collections.map((collection) => collection.id))]
+  );
+
+  for (const collection of collections) {
+    await db.run(
+      `INSERT INTO flagged_collections (shop, collection_id, title, handle, product_count, flagged_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (shop, collection_id) DO UPDATE SET
+         title = excluded.title, handle = excluded.handle, product_count = excluded.product_count`,
+      [shopDomain, collection.id, collection.title, collection.handle, collection.productCount, now]
+    );
+  }
+
+  return listFlaggedCollections();
+}
+
+module.exports = {
+  listFlaggedCollections,
+  replaceFlaggedCollections,
+};
@@ -0,0 +1,123 @@
+const db = require("./db");
+const shops = require("./shops");
+
+let tableReady = null;
+
+/**
+ * Create the generation failures table if needed
+ */
+function ensureFailuresTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS generation_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shop TEXT NOT NULL,
+        job_id TEXT,
+        product_id TEXT,
+        collection_id TEXT,
+        title TEXT,
+        handle TEXT,
+        reason TEXT NOT NULL,
+        resolution TEXT,
+        details TEXT,
+        failed_at INTEGER NOT NULL
+      );
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Convert a database row to the shape returned by the API
+ * @param {Object} row - generation_failures row
+ * @returns {Object} Generation failure
+ */
+function toGenerationFailure(row) {
+  return {
+    id: row.id,
+    shop: row.shop,
+    jobId: row.job_id,
+    productId: row.product_id,
+    collectionId: row.collection_id,
+    title: row.title,
+    handle: row.handle,
+    reason: row.reason,
+    resolution: row.resolution,
+    details: row.details ? JSON.parse(row.details) : null,
+    failedAt: new Date(row.failed_at).toISOString(),
+  };
+}
+
+/**
+ * Store a collection the generator failed to create as planned, for the current shop
+ * @param {Object} failure
+ * @param {String} failure.reason - What went wrong, e.g. "rule_mismatch"
+ * @param {String} [failure.resolution] - What was done about it, e.g. "repaired" or "rolled_back"
+ * @param {String} [failure.jobId] - Backfill job the collection was created for
+ * @param {String} [failure.productId] - Product the collection was created for
+ * @param {String} [failure.collectionId] - Collection gid
+ * @param {String} [failure.title] - Collection title
+ * @param {String} [failure.handle] - Collection handle
+ * @param {Object} [failure.details] - Anything else worth keeping, stored as JSON
+ * @returns {Object} The stored failure
+ */
+async function recordGenerationFailure({
+  reason,
+  resolution = null,
+  jobId = null,
+  productId = null,
+  collectionId = null,
+  title = null,
+  handle = null,
+  details = null,
+}) {
+  await ensureFailuresTable();
+
+  const result = await db.run(
+    `INSERT INTO generation_failures
+       (shop, job_id, product_id, collection_id, title, handle, reason, resolution, details, failed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      shops.getCurrentShopDomain(),
+      jobId,
+      productId,
+      collectionId,
+      title,
+      handle,
+      reason,
+      resolution,
+      details ? JSON.stringify(details) : null,
+      Date.now(),
+    ]
+  );
+
+  return toGenerationFailure(await db.get("SELECT * FROM generation_failures WHERE id = ?", [result.lastID]));
+}
+
+/**
+ * List the current shop's generation failures, most recent first
+ * @param {Object} [options]
+ * @param {String} [options.jobId] - Only list the failures of this backfill job
+ * @returns {Array} Generation failures
+ */
+async function listGenerationFailures({ jobId = null } = {}) {
+  await ensureFailuresTable();
+
+  const conditions = ["shop = ?"];
+  const params = [shops.getCurrentShopDomain()];
+  if (jobId) {
+    conditions.push("job_id = ?");
+    params.push(jobId);
+  }
+
+  const rows = await db.all(
+    `SELECT * FROM generation_failures WHERE ${conditions.join(" AND ")} ORDER BY failed_at DESC, id DESC`,
+    params
+  );
+  return rows.map(toGenerationFailure);
+}
+
+module.exports = {
+  recordGenerationFailure,
+  listGenerationFailures,
+};
@@ -0,0 +1,65 @@
+require("dotenv").config();
+const crypto = require("crypto");
+
+// How long browsers and CDNs may reuse a storefront response, in seconds
+const STOREFRONT_CACHE_MAX_AGE = parseInt(process.env.STOREFRONT_CACHE_MAX_AGE || "60", 10);
+
+// How long after that a stale response may still be served while it is revalidated, in seconds
+const STOREFRONT_STALE_WHILE_REVALIDATE = parseInt(
+  process.env.STOREFRONT_STALE_WHILE_REVALIDATE || "300",
+  10
+);
+
+/**
+ * Build a strong ETag from a response body
+ * @param {String} body - Serialized response body
+ * @returns {String} Quoted ETag
+ */
+function computeEtag(body) {
+  return `"${crypto.createHash("sha256").update(body).digest("base64url").slice(0, 27)}"`;
+}
+
+/**
+ * Express middleware for public storefront routes. Successful JSON responses get
+ * an ETag hashed from their content and a Cache-Control header, and requests whose
+ * If-None-Match matches get a 304 without a body. Since the ETag is a hash of the
+ * content, it changes whenever the collections behind the response change.
+ * @returns {Function} Express middleware
+ */
+function cacheStorefrontResponse() {
+  const cacheControl =
+    `public, max-age=${STOREFRONT_CACHE_MAX_AGE}, stale-while-revalidate=${STOREFRONT_STALE_WHILE_REVALIDATE}`;
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (data) => {
+      // Errors must not be cached
+      if (res.statusCode !== 200) {
+        res.set("Cache-Control", "no-store");
+        return json(data);
+      }
+
+      const body = JSON.stringify(data);
+      res.set("ETag", computeEtag(body));
+      res.set("Cache-Control", cacheControl);
+      // The shop can come from a header, which the URL alone doesn't capture
+      res.vary("X-Shopify-Shop-Domain");
+
+      // req.fresh compares If-None-Match with the ETag set above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.type("json");
+      return res.send(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  cacheStorefrontResponse,
+  computeEtag,
+};
@@ -1,208 +1,394 @@
 require("dotenv").config();
 const express = require("express");
 const bodyParser = require("body-parser");
-const cors = require("cors");
 const collectionGenerator = require("./collection-generator");
 const shopifyApi = require("./shopify-api");
-const crypto = require("crypto");
-const getRawBody = require("raw-body");
-const Queue = require('better-queue');
-const { setTimeout } = require('timers/promises');
+const { verifyShopifyWebhook } = require("./webhook-verification");
+const { productQueue, queueProduct, getQueueStats } = require("./product-queue");
+const backfillJobs = require("./backfill-jobs");
+const deadLetters = require("./dead-letters");
+const generationFailures = require("./generation-failures");
+const flaggedCollections = require("./flagged-collections");
+const cleanupPlans = require("./cleanup-plans");
+const collectionIndex = require("./collection-index");
+const { getRelatedCollections } = require("./related-collections");
+const { requireAdmin, canAccessShop } = require("./admin-auth");
+const { cacheStorefrontResponse } = require("./http-cache");
+const { storefrontCors } = require("./storefront-cors");
+const shops = require("./shops");
+const oauth = require("./oauth");
+const { APP_PROXY_PATH, verifyAppProxy } = require("./app-proxy");
+const combinationPolicy = require("./combination-policy");
+const webhookSubscriptions = require("./webhook-subscriptions");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const SECRET_KEY = process.env.SHOPIFY_WEBHOOK_SECRET;
 const SITE_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
 
-// Get allowed origins from environment variables
-const envAllowedOrigins = process.env.ALLOWED_ORIGINS || '';
-const additionalOrigins = envAllowedOrigins ? envAllowedOrigins.split(',').map(origin => origin.trim()) : [];
-
-// Middleware
-app.use(cors({
-  origin: [
-    /\.myshopify\.com$/,  // Allow all Shopify store domains
-    'https://prince-kwesi-dev.myshopify.com',  // Your specific store
-    'https://cdn.shopify.com',
-    /localhost:\d+$/,  // Local development
-    ...additionalOrigins  // Add origins from environment variable
-  ],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-// CORS middleware for all routes as a backup
-app.use((req, res, next) => {  
-  const allowedOrigins = [
-    'https://prince-kwesi-dev.myshopify.com',
-    'https://cdn.shopify.com',
-    ...additionalOrigins
-  ];  
-  
-  const origin = req.headers.origin;
-  if (allowedOrigins.includes(origin) || /\.myshopify\.com$/.test(origin)) {
-    res.header('Access-Control-Allow-Origin', origin);
-  }
-  
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  
-  next();
-});
+// Only the configured origins may call the API from a browser
+app.use(storefrontCors());
 
 // Use body-parser for regular routes
 app.use((req, res, next) => {
   // Skip body parsing for webhook routes and handle them specially
-  if (req.path === '/webhooks/products/create') {
+  if (req.path.startsWith('/webhooks/')) {
     return next();
   }
   
   bodyParser.json()(req, res, next);
 });
 
-// Create a rate-limited queue for processing products
-const productQueue = new Queue(async (productId, cb) => {
+// Verify every webhook and drop duplicate deliveries
+app.use("/webhooks", verifyShopifyWebhook());
+
+// Webhook endpoint for the app being uninstalled from a shop. It comes before the
+// shop is resolved, since a retried delivery may arrive once the shop is gone.
+app.post("/webhooks/app/uninstalled", async (req, res) => {
   try {
-    console.log(`Processing product ${productId} from queue...`);
-    await collectionGenerator.processProduct(productId);
-    console.log(`Finished processing product ${productId}`);
-    cb(null, { success: true, productId });
+    const shopDomain = shops.normalizeShopDomain(req.webhook.shopDomain);
+    if (!shopDomain) {
+      return res.status(400).send("Missing shop domain");
+    }
+    console.log(`Received app/uninstalled webhook for ${shopDomain}`);
+
+    // Clean up before answering so Shopify retries the webhook if this fails
+    await oauth.uninstallShop(shopDomain);
+    res.status(200).send("OK");
   } catch (error) {
-    console.error(`Error processing product: ${productId}`, error);
-    cb(error);
+    console.error("Error processing webhook:", error);
+    res.status(500).send("Error processing webhook");
   }
-}, {
-  concurrent: 1, // Process one product at a time
-  afterProcessDelay: 500, // Ensure 500ms between API calls (2 per second max)
-  maxRetries: 3, // Retry failed tasks
-  retryDelay: 1000, // Wait 1 second between retries
 });
 
-// Optional: Track queue statistics
-productQueue.on('task_finish', (taskId, result, stats) => {
-  console.log(`Task ${taskId} finished in ${stats.elapsed}ms. With result: ${JSON.stringify(result)}. Queue size: ${productQueue.length}`);
+// Handle every other webhook for the shop that sent it
+app.use("/webhooks", shops.resolveShop());
+
+// Webhook endpoints for product creation and updates
+app.post(["/webhooks/products/create", "/webhooks/products/update"], async (req, res) => {
+  try {
+    const product = req.body;
+    console.log(
+      `Received ${req.webhook.topic || req.path} webhook for product: ${product.id} - ${product.title}`
+    );
+
+    // Respond to the webhook immediately to prevent timeouts
+    res.status(200).send("OK");
+
+    // Queue the product for processing with its current attributes
+    queueProduct(product.id, { lane: "webhook" });
+    
+  } catch (error) {
+    console.error("Error processing webhook:", error);
+    res.status(500).send("Error processing webhook");
+  }
 });
 
-productQueue.on('task_failed', (taskId, err, stats) => {
-  console.error(`Task ${taskId} failed after ${stats.elapsed}ms, attempt ${stats.attempts}`, err);
+// Webhook endpoint for product deletion
+app.post("/webhooks/products/delete", async (req, res) => {
+  try {
+    // Delete payloads only carry the product ID
+    const product = req.body;
+    console.log(`Received webhook for deleted product: ${product.id}`);
+
+    res.status(200).send("OK");
+
+    // Queue a check for collections the deletion may have emptied
+    queueProduct(product.id, { action: "deleted", lane: "webhook" });
+
+  } catch (error) {
+    console.error("Error processing webhook:", error);
+    res.status(500).send("Error processing webhook");
+  }
 });
 
-// Webhook endpoint for product creation
-app.post("/webhooks/products/create", async (req, res) => {
+// Webhook endpoints for collection changes, which keep the collection index current
+app.post(["/webhooks/collections/create", "/webhooks/collections/update"], async (req, res) => {
   try {
-    // We'll compare the hmac to our own hash
-    const hmac = req.get("X-Shopify-Hmac-Sha256");
+    const collection = req.body;
+    console.log(`Received ${req.webhook.topic || req.path} webhook for collection: ${collection.handle}`);
 
-    // Use raw-body to get the body (buffer)
-    const body = await getRawBody(req);
-    
-    // Create a hash using the body and our key
-    const hash = crypto
-      .createHmac("sha256", SECRET_KEY || '')
-      .update(body, "utf8")
-      .digest("base64");
-
-    // Use timing-safe comparison
-    try {
-      const hmacValid = crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hmac));
-      if (!hmacValid) {
-        console.log("Danger! Not from Shopify!");
-        return res.sendStatus(403);
-      }
-    } catch (e) {
-      // This catches errors like when the strings are of different lengths
-      console.log("HMAC validation error:", e);
-      return res.sendStatus(403);
-    }
+    res.status(200).send("OK");
 
-    // Parse the raw body into JSON
-    const product = JSON.parse(body);
-    console.log(
-      `Received webhook for new product: ${product.id} - ${product.title}`
-    );
+    // The payload doesn't carry the rules' metafield definitions, so fetch the collection
+    collectionIndex.refreshCollection(collection.handle).catch((error) => {
+      console.error(`Error refreshing collection ${collection.handle} in the index:`, error);
+    });
+
+  } catch (error) {
+    console.error("Error processing webhook:", error);
+    res.status(500).send("Error processing webhook");
+  }
+});
+
+app.post("/webhooks/collections/delete", async (req, res) => {
+  try {
+    const collection = req.body;
+    console.log(`Received webhook for deleted collection: ${collection.id}`);
 
-    // Respond to the webhook immediately to prevent timeouts
     res.status(200).send("OK");
 
-    // Queue the product for processing
-    productQueue.push(product.id);
-    
+    collectionIndex.removeCollection(collection.id);
+
   } catch (error) {
     console.error("Error processing webhook:", error);
     res.status(500).send("Error processing webhook");
   }
 });
 
-// Route to manually trigger processing all existing products
-app.get("/process-existing-products", async (req, res) => {
+// Route to start installing the app on a shop
+app.get("/auth", async (req, res) => {
   try {
-    // Respond immediately
-    res.status(200).send("Processing started in background");
-    
-    // Function to fetch and queue products in batches
-    const fetchAndQueueProducts = async () => {
-      let hasNextPage = true;
-      let cursor = null;
-      let totalQueued = 0;
-      
-      while (hasNextPage) {
-        try {
-          console.log(`Fetching batch of products${cursor ? " after " + cursor : ""}...`);
-          
-          const result = await shopifyApi.getProductsGraphQL(cursor);
-          
-          if (!result || !result.products || !result.products.edges) {
-            console.error("Error fetching products: Invalid response structure");
-            break;
-          }
-          
-          const products = result.products.edges;
-          
-          // Queue each product
-          for (const { node } of products) {
-            productQueue.push(node.id);
-            totalQueued++;
-          }
-          
-          console.log(`Queued ${products.length} products (total: ${totalQueued})`);
-          
-          // Update pagination for next batch
-          hasNextPage = result.products.pageInfo.hasNextPage;
-          cursor = result.products.pageInfo.endCursor;
-          
-          // Add a small delay between batches to avoid hitting rate limits on the list API
-          if (hasNextPage) {
-            await setTimeout(550);
-          }
-        } catch (error) {
-          console.error("Error fetching products batch:", error);
-          // Wait a bit longer on error before trying again
-          await setTimeout(5000);
-        }
-      }
-      
-      console.log(`Finished queuing ${totalQueued} products for processing`);
-    };
-    
-    // Run in background
-    fetchAndQueueProducts().catch(error => {
-      console.error("Error in background processing:", error);
+    if (!oauth.isOAuthConfigured()) {
+      return res.status(500).send("SHOPIFY_API_KEY and SHOPIFY_API_SECRET must be set to install the app");
+    }
+
+    const shopDomain = shops.normalizeShopDomain(req.query.shop);
+    if (!shopDomain) {
+      return res.status(400).send("A valid shop query parameter is required");
+    }
+
+    const { url, state } = await oauth.createInstallUrl(shopDomain, `${SITE_URL}/auth/callback`);
+    res.cookie(oauth.OAUTH_STATE_COOKIE, state, {
+      httpOnly: true,
+      secure: SITE_URL.startsWith("https://"),
+      sameSite: "lax",
+      maxAge: oauth.OAUTH_STATE_TTL_MINUTES * 60 * 1000,
     });
-    
+    res.redirect(url);
+  } catch (error) {
+    console.error("Error starting install:", error);
+    res.status(500).send("Error starting install");
+  }
+});
+
+// Route Shopify redirects back to once the merchant approves the install
+app.get("/auth/callback", async (req, res) => {
+  try {
+    const { code, state } = req.query;
+    const shopDomain = shops.normalizeShopDomain(req.query.shop);
+
+    if (!shopDomain || !code || !oauth.isValidOAuthHmac(req.query)) {
+      console.log("Rejected OAuth callback with an invalid signature");
+      return res.status(400).send("Invalid install request");
+    }
+
+    if (!state || oauth.getStateCookie(req) !== state || !(await oauth.consumeOAuthState(state, shopDomain))) {
+      console.log(`Rejected OAuth callback for ${shopDomain} with an invalid state`);
+      return res.status(403).send("Install request expired or didn't start here, please try again");
+    }
+
+    res.clearCookie(oauth.OAUTH_STATE_COOKIE);
+
+    const { accessToken } = await oauth.exchangeAccessToken(shopDomain, code);
+    await oauth.completeInstall(shopDomain, accessToken, SITE_URL);
+
+    res.redirect(oauth.getAppAdminUrl(shopDomain));
+  } catch (error) {
+    console.error("Error completing install:", error.response?.data || error.message);
+    res.status(500).send("Error completing install");
+  }
+});
+
+// Route to list the registered shops the admin API key is valid for, without their access tokens
+app.get("/shops", requireAdmin("read"), async (req, res) => {
+  try {
+    const registeredShops = (await shops.listShops()).filter((shop) => canAccessShop(req, shop.domain));
+    res.status(200).json(registeredShops);
+  } catch (error) {
+    console.error("Error listing shops:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to register a shop or replace its access token
+app.post("/shops", requireAdmin("write"), async (req, res) => {
+  try {
+    const { shop, accessToken } = req.body || {};
+    if (!shops.normalizeShopDomain(shop) || !accessToken) {
+      return res.status(400).json({ success: false, error: "A valid shop and accessToken are required" });
+    }
+    if (!canAccessShop(req, shop)) {
+      return res.status(403).json({ success: false, error: `Admin API key isn't valid for shop ${shop}` });
+    }
+
+    const domain = await shops.saveShop(shop, accessToken);
+    res.status(200).json({ success: true, shop: domain });
+  } catch (error) {
+    console.error("Error registering shop:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to remove a shop registered through the API
+app.delete("/shops/:shop", requireAdmin("delete"), async (req, res) => {
+  try {
+    if (!canAccessShop(req, req.params.shop)) {
+      return res.status(403).json({ success: false, error: `Admin API key isn't valid for shop ${req.params.shop}` });
+    }
+
+    const removed = await shops.removeShop(req.params.shop);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: "Shop not found" });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Error removing shop:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to manually trigger processing all existing products. With mode "bulk", the
+// catalog is exported with a bulk operation instead of being paged through.
+app.post("/process-existing-products", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const mode = (req.body && req.body.mode) || req.query.mode || "paged";
+    if (!backfillJobs.JOB_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${backfillJobs.JOB_MODES.join(", ")}`,
+      });
+    }
+
+    const job = await backfillJobs.startBackfillJob(mode);
+    res.status(202).json({ success: true, message: "Processing started in background", job });
   } catch (error) {
     console.error("Error starting product processing:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list backfill jobs
+app.get("/jobs", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const jobs = await backfillJobs.listJobs();
+    res.status(200).json(jobs);
+  } catch (error) {
+    console.error("Error listing jobs:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to fetch the progress of a backfill job
+app.get("/jobs/:id", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const job = await backfillJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to cancel a running backfill job
+app.post("/jobs/:id/cancel", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const job = await backfillJobs.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to resume a cancelled or failed backfill job from its last cursor
+app.post("/jobs/:id/resume", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const job = await backfillJobs.resumeJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error("Error resuming job:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list products that failed processing after all retries
+app.get("/dead-letters", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const failedProducts = await deadLetters.listDeadLetters();
+    res.status(200).json(failedProducts);
+  } catch (error) {
+    console.error("Error listing dead letters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to retry every dead-lettered product
+app.post("/dead-letters/retry", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const retried = await deadLetters.retryAllDeadLetters();
+    res.status(200).json({ success: true, retried: retried.length });
+  } catch (error) {
+    console.error("Error retrying dead letters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to retry a single dead-lettered product
+app.post("/dead-letters/:productId/retry", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const deadLetter = await deadLetters.retryDeadLetter(req.params.productId);
+    if (!deadLetter) {
+      return res.status(404).json({ success: false, error: "Dead letter not found" });
+    }
+    res.status(200).json({ success: true, deadLetter });
+  } catch (error) {
+    console.error("Error retrying dead letter:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to discard every dead-lettered product
+app.delete("/dead-letters", requireAdmin("delete"), shops.resolveShop(), async (req, res) => {
+  try {
+    const discarded = await deadLetters.discardAllDeadLetters();
+    res.status(200).json({ success: true, discarded });
+  } catch (error) {
+    console.error("Error discarding dead letters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to discard a single dead-lettered product
+app.delete("/dead-letters/:productId", requireAdmin("delete"), shops.resolveShop(), async (req, res) => {
+  try {
+    const discarded = await deadLetters.discardDeadLetter(req.params.productId);
+    if (!discarded) {
+      return res.status(404).json({ success: false, error: "Dead letter not found" });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Error discarding dead letter:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list collections that were created with other rules than planned, optionally for one job
+app.get("/generation-failures", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const failures = await generationFailures.listGenerationFailures({ jobId: req.query.jobId || null });
+    res.status(200).json(failures);
+  } catch (error) {
+    console.error("Error listing generation failures:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Route to manually process a specific product
-app.get("/process-product/:productId", async (req, res) => {
+app.post("/process-product/:productId", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
   try {
     const { productId } = req.params;
 
     // Add to queue
-    productQueue.push(productId);
+    queueProduct(productId, { lane: "manual" });
     
     res.status(200).send(`Product ${productId} added to processing queue. Current queue size: ${productQueue.length}`);
   } catch (error) {
@@ -211,53 +397,207 @@ app.get("/process-product/:productId", async (req, res) => {
   }
 });
 
-// Route to register webhooks
-app.get("/register-webhooks", async (req, res) => {
+// Route to preview the collections processing a product would create, without creating them
+app.get("/preview/product/:productId", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const preview = await collectionGenerator.previewProduct(req.params.productId);
+    if (!preview) {
+      return res.status(404).json({ success: false, error: "Product not found" });
+    }
+    res.status(200).json(preview);
+  } catch (error) {
+    console.error("Error previewing product:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to report queue depth per priority lane
+app.get("/queue", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
   try {
-    const baseUrl = req.query.url || `https://${req.headers.host}`;
-    const webhookUrl = `${baseUrl}/webhooks/products/create`;
+    const stats = await getQueueStats();
+    res.status(200).json(stats);
+  } catch (error) {
+    console.error("Error fetching queue stats:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const webhook = await shopifyApi.registerProductCreationWebhook(webhookUrl);
+/**
+ * Get the base URL webhook subscriptions should point to, from the request or WEBHOOK_BASE_URL.
+ * The request's Host header is never used, since anyone can send one.
+ * @param {Object} req - Express request
+ * @returns {String} Base URL, or null if neither gives one
+ */
+function getWebhookBaseUrl(req) {
+  return (req.body && req.body.url) || req.query.url || process.env.WEBHOOK_BASE_URL || null;
+}
 
-    if (webhook) {
-      res.status(200).json({ success: true, webhook });
-    } else {
-      res
-        .status(500)
-        .json({ success: false, error: "Failed to register webhook" });
+/**
+ * Reconcile the shop's webhook subscriptions and send the result
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendWebhookReconciliation(req, res) {
+  try {
+    const baseUrl = getWebhookBaseUrl(req);
+    if (!baseUrl) {
+      return res.status(400).json({ success: false, error: "A url is required when WEBHOOK_BASE_URL isn't set" });
     }
+
+    const dryRun = req.query.dryRun === "true" || (req.body && req.body.dryRun === true);
+    const result = await webhookSubscriptions.reconcileWebhookSubscriptions(baseUrl, { dryRun });
+
+    res.status(result.failed.length === 0 ? 200 : 500).json({ success: result.failed.length === 0, ...result });
   } catch (error) {
-    console.error("Error registering webhook:", error);
+    console.error("Error reconciling webhook subscriptions:", error);
     res.status(500).json({ success: false, error: error.message });
   }
+}
+
+// Route to subscribe to every webhook topic, kept for existing scripts; same as reconciling
+app.post("/register-webhooks", requireAdmin("write"), shops.resolveShop(), sendWebhookReconciliation);
+
+// Route to list the app's webhook subscriptions on the shop
+app.get("/webhook-subscriptions", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const subscriptions = await shopifyApi.getWebhookSubscriptions();
+    res.status(200).json({ success: true, subscriptions });
+  } catch (error) {
+    console.error("Error listing webhook subscriptions:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to create, move and delete subscriptions until they match every topic at ?url=, or with ?dryRun=true to only plan
+app.post("/webhook-subscriptions/reconcile", requireAdmin("write"), shops.resolveShop(), sendWebhookReconciliation);
+
+// Route to delete one webhook subscription, by gid or numeric ID
+app.delete("/webhook-subscriptions/:id", requireAdmin("delete"), shops.resolveShop(), async (req, res) => {
+  try {
+    const id = req.params.id.startsWith("gid://")
+      ? req.params.id
+      : `gid://shopify/WebhookSubscription/${req.params.id}`;
+
+    const deletedId = await shopifyApi.deleteWebhookSubscription(id);
+    res.status(200).json({ success: true, deletedId });
+  } catch (error) {
+    console.error("Error deleting webhook subscription:", error);
+    const status = error.userErrors && error.userErrors.length > 0 ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
 });
 
-// Route to delete all duplicate collections
-app.get("/delete-duplicate-collections", async (req, res) => {
+// Route to delete all duplicate generated collections, or with ?dryRun=true to save a deletion plan for review
+app.post("/delete-duplicate-collections", requireAdmin("delete"), shops.resolveShop(), async (req, res) => {
   try {
-    await collectionGenerator.cleanupDuplicateCollections();
-    res.status(200).send("Duplicate collections deleted successfully");
+    const preferences = (req.body && req.body.preferences) || {};
+    if (typeof preferences !== "object" || Array.isArray(preferences)) {
+      return res.status(400).json({ success: false, error: "preferences must map group IDs to { keep } or { delete: false }" });
+    }
+
+    if (req.query.dryRun === "true") {
+      const plan = await cleanupPlans.createCleanupPlan({ preferences });
+      return res.status(200).json({ success: true, plan });
+    }
+
+    const result = await collectionGenerator.cleanupDuplicateCollections({ preferences });
+    res.status(200).json({ success: true, deleted: result.deleted, failed: result.failed, refused: result.refused });
   } catch (error) {
     console.error("Error deleting duplicate collections:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Route to list saved cleanup plans
+app.get("/cleanup-plans", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const plans = await cleanupPlans.listCleanupPlans();
+    res.status(200).json(plans);
+  } catch (error) {
+    console.error("Error listing cleanup plans:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to fetch a saved cleanup plan
+app.get("/cleanup-plans/:id", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const plan = await cleanupPlans.getCleanupPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: "Cleanup plan not found" });
+    }
+    res.status(200).json(plan);
+  } catch (error) {
+    console.error("Error fetching cleanup plan:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to apply a saved cleanup plan, optionally excluding groups by ID
+app.post("/cleanup-plans/:id/apply", requireAdmin("delete"), shops.resolveShop(), async (req, res) => {
+  try {
+    const excludeGroups = (req.body && req.body.excludeGroups) || [];
+    if (!Array.isArray(excludeGroups)) {
+      return res.status(400).json({ success: false, error: "excludeGroups must be an array of group IDs" });
+    }
+
+    const plan = await cleanupPlans.applyCleanupPlan(req.params.id, { excludeGroups });
+    if (!plan) {
+      return res.status(404).json({ success: false, error: "Cleanup plan not found" });
+    }
+    res.status(200).json({ success: true, plan });
+  } catch (error) {
+    if (error instanceof cleanupPlans.CleanupPlanConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error("Error applying cleanup plan:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to mark the existing collections confirmed as generated with the app's attributes
+// metafield, or with ?dryRun=true to list the collections that look generated
+app.post("/collection-metadata/backfill", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true" || (req.body && req.body.dryRun === true);
+    const confirmed = (req.body && req.body.collections) || [];
+    if (!dryRun && (!Array.isArray(confirmed) || confirmed.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "collections must list the IDs or handles of the collections to mark, e.g. from a dry run",
+      });
+    }
+
+    const result = await collectionGenerator.backfillCollectionMetadata({ dryRun, confirmed });
+
+    res.status(result.failed.length === 0 ? 200 : 500).json({ success: result.failed.length === 0, dryRun, ...result });
+  } catch (error) {
+    console.error("Error backfilling collection metadata:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Route to fetch related collections for a given collection
-app.get("/related-collections/:collectionHandle", async (req, res) => {
+app.get("/related-collections/:collectionHandle", shops.resolveShop(), cacheStorefrontResponse(), async (req, res) => {
   try {
     const { collectionHandle } = req.params;
     console.log(`Processing related collections request for: ${collectionHandle}`);
     
-    // Set CORS headers specifically for this endpoint
-    const origin = req.headers.origin;
-    if (origin) {
-      res.header('Access-Control-Allow-Origin', origin);
-      res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    }
-    
-    const relatedCollections = await collectionGenerator.getRelatedCollections(collectionHandle);
+    const relatedCollections = await getRelatedCollections(collectionHandle);
+    res.status(200).json(relatedCollections);
+  } catch (error) {
+    console.error(`Error fetching related collections:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Same as above, for the theme block calling through the app proxy on the storefront's own domain
+app.get(`${APP_PROXY_PATH}/related/:collectionHandle`, verifyAppProxy(), cacheStorefrontResponse(), async (req, res) => {
+  try {
+    const { collectionHandle } = req.params;
+    console.log(`Processing app proxy related collections request for: ${collectionHandle}`);
+
+    const relatedCollections = await getRelatedCollections(collectionHandle);
     res.status(200).json(relatedCollections);
   } catch (error) {
     console.error(`Error fetching related collections:`, error.message);
@@ -265,8 +605,81 @@ app.get("/related-collections/:collectionHandle", async (req, res) => {
   }
 });
 
+// Route to report the state of the collection index
+app.get("/collection-index", requireAdmin("read"), shops.resolveShop(), (req, res) => {
+  res.status(200).json(collectionIndex.getIndexStatus());
+});
+
+// Route to rebuild the collection index from Shopify
+app.post("/collection-index/rebuild", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    await collectionIndex.rebuildIndex();
+    res.status(200).json({ success: true, index: collectionIndex.getIndexStatus() });
+  } catch (error) {
+    console.error("Error rebuilding collection index:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list existing collections whose attribute combination the combination policy forbids
+app.get("/policy-audit", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const collections = await collectionIndex.getEntries();
+    const violatingCollections = collections
+      .map((collection) => ({
+        id: collection.id,
+        title: collection.title,
+        handle: collection.handle,
+        attributes: collection.attributes,
+        violations: combinationPolicy.getPolicyViolations(collection.attributes)
+      }))
+      .filter((collection) => collection.violations.length > 0);
+
+    res.status(200).json({
+      policy: combinationPolicy.getCombinationPolicy(),
+      collectionsChecked: collections.length,
+      violatingCollections
+    });
+  } catch (error) {
+    console.error("Error auditing collections against the combination policy:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list smart collections whose rules select more products than their title implies
+app.get("/rule-audit", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    const audit = await collectionGenerator.auditCollectionRules();
+    res.status(200).json(audit);
+  } catch (error) {
+    console.error("Error auditing collection rules:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list collections flagged as below the minimum product count
+app.get("/flagged-collections", requireAdmin("read"), shops.resolveShop(), async (req, res) => {
+  try {
+    res.status(200).json(await flaggedCollections.listFlaggedCollections());
+  } catch (error) {
+    console.error("Error listing flagged collections:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to check every collection against the minimum product count now
+app.post("/flagged-collections/check", requireAdmin("write"), shops.resolveShop(), async (req, res) => {
+  try {
+    const flaggedCollections = await collectionGenerator.flagSmallCollections();
+    res.status(200).json(flaggedCollections);
+  } catch (error) {
+    console.error("Error checking collections:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Route to fetch all collections
-app.get("/all-collections", async (req, res) => {
+app.get("/all-collections", shops.resolveShop(), cacheStorefrontResponse(), async (req, res) => {
   try {
     const collections = await shopifyApi.getExistingSmartCollectionsGraphQL();
     res.status(200).json(collections);
@@ -277,7 +690,7 @@ app.get("/all-collections", async (req, res) => {
 });
 
 // Route to fetch a single collection
-app.get("/collection/:collectionHandle", async (req, res) => {
+app.get("/collection/:collectionHandle", shops.resolveShop(), cacheStorefrontResponse(), async (req, res) => {
   try {
     const { collectionHandle } = req.params;
     const collection = await shopifyApi.getCollectionByHandle(collectionHandle);
@@ -293,26 +706,57 @@ app.get("/", (req, res) => {
   res.status(200).send("Shop by Specs app is running!");
 });
 
-// Add OPTIONS route handler for CORS preflight requests
-app.options('*', (req, res) => {
-  // Set CORS headers manually for preflight requests
-  res.header('Access-Control-Allow-Origin', req.headers.origin);
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.status(204).end();
-});
-
 // Start the server
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);    
+
+    // Pick up backfills that were running when the server last stopped
+    backfillJobs.resumeInterruptedJobs().catch((error) => {
+      console.error("Error resuming backfill jobs:", error);
+    });
+
+    // Warm each shop's collection index so the first related-collections request doesn't wait on it
+    shops.listShops()
+      .then((registeredShops) => Promise.all(registeredShops.map(({ domain }) =>
+        shops.runWithShop(domain, () => collectionIndex.ensureIndex()).catch((error) => {
+          console.error(`Error building collection index for ${domain}:`, error);
+        })
+      )))
+      .catch((error) => {
+        console.error("Error listing shops:", error);
+      });
+
+    // Keep every shop's webhook subscriptions pointed at this deployment
+    if (process.env.WEBHOOK_BASE_URL) {
+      shops.listShops()
+        .then((registeredShops) => Promise.all(registeredShops.map(({ domain }) =>
+          shops.runWithShop(domain, () => webhookSubscriptions.reconcileWebhookSubscriptions(process.env.WEBHOOK_BASE_URL))
+            .then(({ create, update, delete: deleted, failed }) => {
+              console.log(
+                `Reconciled webhooks for ${domain}: ${create.length} created, ${update.length} moved, ` +
+                `${deleted.length} deleted, ${failed.length} failed`
+              );
+            })
+            .catch((error) => {
+              console.error(`Error reconciling webhooks for ${domain}:`, error);
+            })
+        )))
+        .catch((error) => {
+          console.error("Error listing shops:", error);
+        });
+    }
+
+    if (!process.env.ADMIN_API_KEYS) {
+      console.warn("ADMIN_API_KEYS is not set, admin routes will reject every request");
+    }
+
     console.log(
-      `Visit ${SITE_URL}/process-existing-products to process all existing products`
+      `POST ${SITE_URL}/process-existing-products with an admin API key to process all existing products`
     );
     console.log(
-      `Visit ${SITE_URL}/register-webhooks?url=${SITE_URL} to register webhooks`
+      `POST ${SITE_URL}/webhook-subscriptions/reconcile?url=${SITE_URL} with an admin API key to register webhooks`
     );
     console.log(
-      `Visit ${SITE_URL}/delete-duplicate-collections to delete duplicate collections`
+      `POST ${SITE_URL}/delete-duplicate-collections with an admin API key to delete duplicate collections`
     );
 });
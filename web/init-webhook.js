@@ -1,50 +1,93 @@
 require('dotenv').config();
 const shopifyApi = require('./shopify-api');
-const readline = require('readline');
+const shops = require('./shops');
+const webhookSubscriptions = require('./webhook-subscriptions');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: node init-webhook.js <command> [--shop <shop>]
+
+Commands:
+  list                         List the app's webhook subscriptions
+  reconcile [url] [--dry-run]  Subscribe to every topic at <url>/webhooks/<topic>, moving
+                               and deleting subscriptions that don't match
+                               (url defaults to WEBHOOK_BASE_URL or RENDER_EXTERNAL_URL)
+  delete <id>                  Delete a subscription by gid or numeric ID`;
+
+/**
+ * Print a reconciliation plan or result
+ * @param {Object} result - Result of reconcileWebhookSubscriptions
+ */
+function printReconciliation(result) {
+  result.keep.forEach(({ topic, address }) => console.log(`  keep    ${topic} -> ${address}`));
+  result.create.forEach(({ topic, address }) => console.log(`  create  ${topic} -> ${address}`));
+  result.update.forEach(({ topic, from, address }) => console.log(`  move    ${topic}: ${from} -> ${address}`));
+  result.delete.forEach(({ topic, address, reason }) => console.log(`  delete  ${topic} -> ${address} (${reason})`));
+  result.failed.forEach(({ action, topic, error }) => console.error(`  failed  ${action} ${topic}${error ? `: ${error}` : ''}`));
+}
 
 /**
- * Register the product creation webhook
+ * Run a webhook subscription command
+ * @param {Array} args - Command line arguments
+ * @returns {Number} Exit code
  */
-async function registerWebhook() {
-  try {
-    console.log('Registering product creation webhook...');
-    
-    // Ask for the webhook URL
-    rl.question('Enter your webhook.site URL: ', async (webhookSiteUrl) => {
-      if (!webhookSiteUrl) {
-        console.error('Webhook URL is required');
-        rl.close();
-        return;
+async function manageWebhooks(args) {
+  const [command, ...rest] = args.filter((arg, i) => arg !== '--shop' && args[i - 1] !== '--shop' && arg !== '--dry-run');
+  const shopIndex = args.indexOf('--shop');
+  const shopDomain = shopIndex === -1 ? shops.getCurrentShopDomain() : shops.normalizeShopDomain(args[shopIndex + 1]);
+
+  if (!shopDomain) {
+    console.error('A valid --shop is required when no default shop is configured');
+    return 1;
+  }
+
+  return shops.runWithShop(shopDomain, async () => {
+    switch (command) {
+      case 'list': {
+        const subscriptions = await shopifyApi.getWebhookSubscriptions();
+        console.log(`${subscriptions.length} webhook subscriptions on ${shopDomain}:`);
+        subscriptions.forEach(({ id, topic, address }) => console.log(`  ${topic} -> ${address} (${id})`));
+        return 0;
       }
-      
-      console.log(`Registering webhook to: ${webhookSiteUrl}`);
-      
-      // Register webhook with webhook.site URL
-      const webhook = await shopifyApi.registerProductCreationWebhook(webhookSiteUrl);
-      
-      if (webhook) {
-        console.log('Webhook registered successfully!');
-        console.log('Webhook details:', JSON.stringify(webhook, null, 2));
-      } else {
-        console.error('Failed to register webhook');
+
+      case 'reconcile': {
+        const baseUrl = rest[0] || process.env.WEBHOOK_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+        if (!baseUrl) {
+          console.error('A base URL is required, e.g. node init-webhook.js reconcile https://your-server-url.com');
+          return 1;
+        }
+
+        const dryRun = args.includes('--dry-run');
+        const result = await webhookSubscriptions.reconcileWebhookSubscriptions(baseUrl, { dryRun });
+        console.log(`${dryRun ? 'Planned' : 'Reconciled'} webhooks for ${shopDomain} at ${baseUrl}:`);
+        printReconciliation(result);
+        return result.failed.length === 0 ? 0 : 1;
       }
-      
-      rl.close();
-    });
-  } catch (error) {
-    console.error('Error registering webhook:', error);
-    rl.close();
-  }
+
+      case 'delete': {
+        if (!rest[0]) {
+          console.error('A subscription ID is required');
+          return 1;
+        }
+        const id = rest[0].startsWith('gid://') ? rest[0] : `gid://shopify/WebhookSubscription/${rest[0]}`;
+        await shopifyApi.deleteWebhookSubscription(id);
+        console.log(`Deleted webhook subscription ${id}`);
+        return 0;
+      }
+
+      default:
+        console.log(USAGE);
+        return command ? 1 : 0;
+    }
+  });
 }
 
-// If this script is run directly, register webhook
+// If this script is run directly, run the command it was given
 if (require.main === module) {
-  registerWebhook().catch(console.error);
+  manageWebhooks(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('Error managing webhooks:', error.message);
+      process.exit(1);
+    });
 }
 
-module.exports = { registerWebhook }; 
\ No newline at end of file
+module.exports = { manageWebhooks };
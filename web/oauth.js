@@ -0,0 +1,207 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const axios = require("axios");
+const db = require("./db");
+const shops = require("./shops");
+const webhookSubscriptions = require("./webhook-subscriptions");
+const collectionGenerator = require("./collection-generator");
+const { cancelShopTasks } = require("./product-queue");
+const backfillJobs = require("./backfill-jobs");
+
+const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
+
+// Access scopes requested on install: products for reading attributes and
+// metafield definitions, and for creating and deleting collections
+const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || "read_products,write_products";
+
+// How long an install has to come back to the callback
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+// Cookie tying the callback to the browser that started the install
+const OAUTH_STATE_COOKIE = "shopify_oauth_state";
+
+let tableReady = null;
+
+/**
+ * Create the OAuth states table if needed
+ */
+function ensureStatesTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS oauth_states (
+        state TEXT PRIMARY KEY,
+        shop TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Check whether the app's API key and secret are configured
+ * @returns {Boolean} True if installs can be handled
+ */
+function isOAuthConfigured() {
+  return !!(SHOPIFY_API_KEY && SHOPIFY_API_SECRET);
+}
+
+/**
+ * Start an install: save a state nonce and build the URL of Shopify's consent screen
+ * @param {String} shopDomain - Shop domain
+ * @param {String} redirectUri - URL of this app's OAuth callback
+ * @returns {Object} The authorize URL and the state it carries
+ */
+async function createInstallUrl(shopDomain, redirectUri) {
+  await ensureStatesTable();
+
+  const state = crypto.randomBytes(16).toString("hex");
+  const now = Date.now();
+
+  // Drop states of installs that were never completed
+  await db.run("DELETE FROM oauth_states WHERE created_at < ?", [now - OAUTH_STATE_TTL_MINUTES * 60 * 1000]);
+  await db.run("INSERT INTO oauth_states (state, shop, created_at) VALUES (?, ?, ?)", [state, shopDomain, now]);
+
+  const params = new URLSearchParams({
+    client_id: SHOPIFY_API_KEY,
+    scope: SHOPIFY_SCOPES,
+    redirect_uri: redirectUri,
+    state,
+  });
+
+  return { url: `https://${shopDomain}/admin/oauth/authorize?${params}`, state };
+}
+
+/**
+ * Check the HMAC Shopify adds to the OAuth callback query
+ * @param {Object} query - Parsed query parameters
+ * @returns {Boolean} True if the query was signed with the app's API secret
+ */
+function isValidOAuthHmac(query) {
+  const { hmac, signature, ...params } = query;
+  if (!hmac || !SHOPIFY_API_SECRET) return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(params[key]) ? params[key].join(",") : params[key]}`)
+    .join("&");
+
+  const digest = crypto.createHmac("sha256", SHOPIFY_API_SECRET).update(message).digest("hex");
+  const expected = Buffer.from(digest, "utf8");
+  const received = Buffer.from(String(hmac), "utf8");
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Use up a state nonce. Each state is only accepted once, for the shop it was
+ * created for and before it expires.
+ * @param {String} state - State from the callback
+ * @param {String} shopDomain - Shop domain from the callback
+ * @returns {Boolean} True if the state was valid
+ */
+async function consumeOAuthState(state, shopDomain) {
+  await ensureStatesTable();
+
+  const result = await db.run(
+    "DELETE FROM oauth_states WHERE state = ? AND shop = ? AND created_at >= ?",
+    [state, shopDomain, Date.now() - OAUTH_STATE_TTL_MINUTES * 60 * 1000]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Exchange an authorization code for an offline access token
+ * @param {String} shopDomain - Shop domain
+ * @param {String} code - Authorization code from the callback
+ * @returns {Object} Access token and the scopes it was granted
+ */
+async function exchangeAccessToken(shopDomain, code) {
+  const response = await axios.post(`https://${shopDomain}/admin/oauth/access_token`, {
+    client_id: SHOPIFY_API_KEY,
+    client_secret: SHOPIFY_API_SECRET,
+    code,
+  });
+
+  return { accessToken: response.data.access_token, scope: response.data.scope };
+}
+
+/**
+ * Finish an install: store the shop's token, subscribe to webhooks and create
+ * the metafield definitions the generator builds its rules from
+ * @param {String} shopDomain - Shop domain
+ * @param {String} accessToken - Offline access token
+ * @param {String} appUrl - Base URL of this app, for the webhook subscriptions
+ * @returns {Object} Summary of the webhooks and definitions that were set up
+ */
+async function completeInstall(shopDomain, accessToken, appUrl) {
+  await shops.saveShop(shopDomain, accessToken);
+
+  return shops.runWithShop(shopDomain, async () => {
+    const webhooks = await webhookSubscriptions.reconcileWebhookSubscriptions(appUrl);
+    const metafieldDefinitions = await collectionGenerator.ensureProductMetafieldDefinitions();
+
+    console.log(
+      `Installed on ${shopDomain}: ${webhooks.create.length} webhooks created, ${webhooks.update.length} moved, ` +
+      `${webhooks.failed.length} failed, created metafield definitions: ${metafieldDefinitions.created.join(", ") || "none"}`
+    );
+    return {
+      webhooks: { created: webhooks.create.length, moved: webhooks.update.length, failed: webhooks.failed.length },
+      metafieldDefinitions,
+    };
+  });
+}
+
+/**
+ * Clean up after a shop uninstalls the app: forget its token, drop its pending
+ * products and cancel its backfills
+ * @param {String} shopDomain - Shop domain
+ * @returns {Object} Summary of what was removed
+ */
+async function uninstallShop(shopDomain) {
+  const tokenRemoved = await shops.removeShop(shopDomain);
+  const tasksCancelled = await cancelShopTasks(shopDomain);
+  const jobsCancelled = await backfillJobs.cancelShopJobs(shopDomain);
+
+  console.log(
+    `Uninstalled from ${shopDomain}: cancelled ${tasksCancelled} queued products and ${jobsCancelled} backfill jobs`
+  );
+  return { tokenRemoved, tasksCancelled, jobsCancelled };
+}
+
+/**
+ * Read the state cookie set when the install started
+ * @param {Object} req - Express request
+ * @returns {String} State, or null if the cookie isn't set
+ */
+function getStateCookie(req) {
+  for (const cookie of (req.get("Cookie") || "").split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === OAUTH_STATE_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+/**
+ * Get the URL of the app inside the shop's admin
+ * @param {String} shopDomain - Shop domain
+ * @returns {String} Admin URL
+ */
+function getAppAdminUrl(shopDomain) {
+  return `https://${shopDomain}/admin/apps/${SHOPIFY_API_KEY}`;
+}
+
+module.exports = {
+  OAUTH_STATE_COOKIE,
+  OAUTH_STATE_TTL_MINUTES,
+  isOAuthConfigured,
+  createInstallUrl,
+  isValidOAuthHmac,
+  consumeOAuthState,
+  getStateCookie,
+  exchangeAccessToken,
+  completeInstall,
+  uninstallShop,
+  getAppAdminUrl,
+};
@@ -0,0 +1,111 @@
+const db = require("./db");
+const shops = require("./shops");
+
+let tableReady = null;
+
+/**
+ * Create the product attributes table if needed
+ */
+function ensureProductAttributesTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS product_attributes (
+        shop TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        attributes TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (shop, product_id)
+      );
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Get a product's numeric ID
+ * @param {String|Number} productId - Product gid or numeric ID
+ * @returns {String} Numeric ID
+ */
+function toNumericId(productId) {
+  return String(productId).split("/").pop();
+}
+
+/**
+ * Remember the attributes a product was last processed with, for the current shop
+ * @param {String|Number} productId - Product gid or numeric ID
+ * @param {Object} attributes - Extracted attributes
+ */
+async function recordProductAttributes(productId, attributes) {
+  await ensureProductAttributesTable();
+  await db.run(
+    `INSERT INTO product_attributes (shop, product_id, attributes, updated_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (shop, product_id) DO UPDATE SET attributes = excluded.attributes, updated_at = excluded.updated_at`,
+    [shops.getCurrentShopDomain(), toNumericId(productId), JSON.stringify(attributes), Date.now()]
+  );
+}
+
+/**
+ * Forget a deleted product's attributes
+ * @param {String|Number} productId - Product gid or numeric ID
+ * @returns {Boolean} True if the product was known
+ */
+async function removeProductAttributes(productId) {
+  await ensureProductAttributesTable();
+  const result = await db.run(
+    "DELETE FROM product_attributes WHERE shop = ? AND product_id = ?",
+    [shops.getCurrentShopDomain(), toNumericId(productId)]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Count the current shop's processed products that have every attribute value in a combination
+ * @param {Object} combination - Map of attribute names to values
+ * @param {String|Number} [excludeProductId] - Product to leave out of the count
+ * @returns {Number} Number of matching products
+ */
+async function countMatchingProducts(combination, excludeProductId = null) {
+  await ensureProductAttributesTable();
+
+  const conditions = ["shop = ?", "product_id != ?"];
+  const params = [shops.getCurrentShopDomain(), excludeProductId ? toNumericId(excludeProductId) : ""];
+
+  for (const [name, value] of Object.entries(combination)) {
+    conditions.push("json_extract(attributes, ?) = ?");
+    params.push(`$."${name}"`, value);
+  }
+
+  const row = await db.get(
+    `SELECT COUNT(*) AS count FROM product_attributes WHERE ${conditions.join(" AND ")}`,
+    params
+  );
+  return row.count;
+}
+
+/**
+ * Get every attribute value the current shop's processed products have
+ * @returns {Object} Map of attribute names to their distinct values
+ */
+async function getKnownAttributeValues() {
+  await ensureProductAttributesTable();
+
+  const rows = await db.all(
+    `SELECT DISTINCT attribute.key AS name, attribute.value AS value
+     FROM product_attributes, json_each(product_attributes.attributes) AS attribute
+     WHERE product_attributes.shop = ? AND attribute.value != ''`,
+    [shops.getCurrentShopDomain()]
+  );
+
+  const values = {};
+  for (const { name, value } of rows) {
+    (values[name] = values[name] || []).push(String(value));
+  }
+  return values;
+}
+
+module.exports = {
+  recordProductAttributes,
+  removeProductAttributes,
+  countMatchingProducts,
+  getKnownAttributeValues,
+};
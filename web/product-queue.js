@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const Queue = require("better-queue");
+const sqlite3 = require("sqlite3");
+const db = require("./db");
+const shops = require("./shops");
+const shopifyThrottle = require("./shopify-throttle");
+const collectionGenerator = require("./collection-generator");
+const productAttributes = require("./product-attributes");
+const { createQueueStore } = require("./queue-store");
+
+// Pending and in-flight tasks live in their own SQLite file, see queue-store.js
+const QUEUE_STORE_PATH = path.join(db.DATA_DIR, "product-queue.sqlite");
+
+// Tasks currently being processed, so failures can be recorded with their details
+const runningTasks = new Map();
+
+// Attempts made at each task since it was queued, counted as they start
+const taskAttempts = new Map();
+
+// Emits "processed" (task, result) and "failed" (task with its attempts, error) once a task has ended
+const queueEvents = new EventEmitter();
+
+// Attempts a task gets before it is reported as failed
+const PRODUCT_TASK_ATTEMPTS = 3;
+
+// Priority lanes, highest first: live webhooks jump ahead of manual requests,
+// which jump ahead of bulk backfills
+const QUEUE_LANES = {
+  webhook: 3,
+  manual: 2,
+  backfill: 1,
+};
+
+/**
+ * Normalize a product ID to its GraphQL ID so the same product always gets the same task ID
+ * @param {String|Number} productId - Numeric product ID or gid
+ * @returns {String} Product gid
+ */
+function toProductGid(productId) {
+  const id = String(productId);
+  return id.startsWith("gid://") ? id : `gid://shopify/Product/${id}`;
+}
+
+/**
+ * Merge a task pushed for a product that is already pending into the pending task.
+ * The product keeps the faster of the two lanes, and stays credited to the backfill
+ * job that queued it when a webhook or manual push carries no job of its own.
+ * @param {Object} oldTask - Pending task
+ * @param {Object} newTask - Task pushed for the same product
+ * @returns {Object} Merged task
+ */
+function mergeTasks(oldTask, newTask) {
+  const lane = (QUEUE_LANES[oldTask.lane] || 0) > (QUEUE_LANES[newTask.lane] || 0)
+    ? oldTask.lane
+    : newTask.lane;
+
+  return { ...newTask, lane, jobId: newTask.jobId || oldTask.jobId || null };
+}
+
+fs.mkdirSync(db.DATA_DIR, { recursive: true });
+
+/**
+ * Process a single queue task with its shop as the current shop
+ * @param {Object} task - Queue task
+ * @returns {Object} Task result
+ */
+function processTask(task) {
+  // Tasks queued before shops were tracked belong to the default shop
+  const shopDomain = task.shop || shops.getDefaultShopDomain();
+  return shops.runWithShop(shopDomain, () => processShopTask({ ...task, shop: shopDomain }));
+}
+
+/**
+ * Process a single queue task for the current shop
+ * @param {Object} task - Queue task
+ * @returns {Object} Task result
+ */
+async function processShopTask(task) {
+  const { id: productId, action } = task;
+  runningTasks.set(productId, task);
+  taskAttempts.set(productId, (taskAttempts.get(productId) || 0) + 1);
+
+  try {
+    if (action === "deleted") {
+      console.log(`Checking collections after deletion of product ${productId}...`);
+      await productAttributes.removeProductAttributes(productId);
+      const smallCollections = await collectionGenerator.flagSmallCollections();
+      return { success: true, productId, flagged: smallCollections.length };
+    }
+
+    console.log(`Processing product ${productId} from queue...`);
+    const summary = await collectionGenerator.processProduct(productId, { jobId: task.jobId });
+    console.log(`Finished processing product ${productId}`);
+    return { success: true, productId, ...summary };
+  } catch (error) {
+    console.error(`Error processing product: ${productId}`, error);
+    throw error;
+  }
+}
+
+// Create a rate-limited queue for processing products. Tasks are keyed by product
+// gid, so pushing a product that is already pending replaces its task instead of
+// queueing it twice. Product gids are unique across shops, and each task carries
+// the shop it belongs to.
+const productQueue = new Queue((task, cb) => {
+  processTask(task).then((result) => cb(null, result), (error) => cb(error));
+}, {
+  store: createQueueStore(QUEUE_STORE_PATH),
+  priority: (task, cb) => cb(null, QUEUE_LANES[task.lane] || QUEUE_LANES.manual),
+  merge: (oldTask, newTask, cb) => cb(null, mergeTasks(oldTask, newTask)),
+  concurrent: 1, // Process one product at a time
+  afterProcessDelay: 500, // Ensure 500ms between API calls (2 per second max)
+  maxRetries: PRODUCT_TASK_ATTEMPTS, // Retry failed tasks
+  retryDelay: 1000, // Wait 1 second between retries
+});
+
+productQueue.on('task_finish', (taskId, result, stats) => {
+  const task = runningTasks.get(taskId) || { id: taskId };
+  runningTasks.delete(taskId);
+  taskAttempts.delete(taskId);
+  queueEvents.emit("processed", task, result);
+  console.log(`Task ${taskId} finished in ${stats.elapsed}ms. With result: ${JSON.stringify(result)}. Queue size: ${productQueue.length}`);
+});
+
+productQueue.on('task_failed', (taskId, err, stats) => {
+  const task = runningTasks.get(taskId) || { id: taskId, action: "process" };
+  runningTasks.delete(taskId);
+  const attempts = taskAttempts.get(taskId) || 1;
+  taskAttempts.delete(taskId);
+  console.error(`Task ${taskId} failed after ${attempts} attempts and ${stats.elapsed}ms`, err);
+  queueEvents.emit("failed", { ...task, attempts }, err);
+});
+
+/**
+ * Add a product to the processing queue
+ * @param {String|Number} productId - Numeric product ID or gid
+ * @param {Object} options
+ * @param {String} [options.action] - "process" to generate collections, "deleted" to check for emptied collections
+ * @param {String} [options.jobId] - Backfill job that queued the product
+ * @param {String} [options.lane] - Priority lane: "webhook", "manual" or "backfill"
+ * @param {String} [options.shop] - Shop the product belongs to, defaults to the current shop
+ * @returns {Object} better-queue ticket
+ */
+function queueProduct(
+  productId,
+  { action = "process", jobId = null, lane = "manual", shop = shops.getCurrentShopDomain() } = {}
+) {
+  return productQueue.push({ id: toProductGid(productId), shop, action, jobId, lane });
+}
+
+/**
+ * Query the pending tasks in the queue's store through a read-only connection
+ * @param {String} sql - SQL query against the store's task table
+ * @param {Array} params - Query parameters
+ * @returns {Array} Rows, or none if the store hasn't been created yet
+ */
+function queryQueueStore(sql, params = []) {
+  if (!fs.existsSync(QUEUE_STORE_PATH)) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const store = new sqlite3.Database(QUEUE_STORE_PATH, sqlite3.OPEN_READONLY, (err) => {
+      if (err) return reject(err);
+
+      store.all(sql, params, (err, rows) => {
+        store.close();
+        if (err) return reject(err);
+        resolve(rows);
+      });
+    });
+  });
+}
+
+/**
+ * Get the number of pending tasks in each priority lane for a shop
+ * @param {String} shopDomain - Shop domain
+ * @returns {Object} Map of lane name to pending task count
+ */
+async function getLaneDepths(shopDomain) {
+  const depths = {};
+  for (const lane of Object.keys(QUEUE_LANES)) {
+    depths[lane] = 0;
+  }
+
+  const rows = await queryQueueStore(
+    `SELECT priority, COUNT(*) AS count FROM task
+     WHERE lock = '' AND json_extract(task, '$.shop') = ? GROUP BY priority`,
+    [shopDomain]
+  );
+
+  for (const { priority, count } of rows) {
+    const lane = Object.keys(QUEUE_LANES).find((name) => QUEUE_LANES[name] === priority) || "manual";
+    depths[lane] += count;
+  }
+  return depths;
+}
+
+/**
+ * Remove a shop's pending tasks from the queue, e.g. after it uninstalls the app
+ * @param {String} shopDomain - Shop domain
+ * @returns {Number} Number of tasks removed
+ */
+async function cancelShopTasks(shopDomain) {
+  const rows = await queryQueueStore(
+    "SELECT id FROM task WHERE lock = '' AND json_extract(task, '$.shop') = ?",
+    [shopDomain]
+  );
+
+  for (const { id } of rows) {
+    await new Promise((resolve) => productQueue.cancel(id, () => resolve()));
+  }
+  return rows.length;
+}
+
+/**
+ * Get queue statistics. The queue is shared by every shop, so its totals cover all
+ * shops while the lane depths only count the current shop's pending tasks. The current
+ * shop's API rate limit budget is included, since that is what the queue waits on.
+ * @returns {Object} Queue statistics
+ */
+async function getQueueStats() {
+  const shopDomain = shops.getCurrentShopDomain();
+
+  return {
+    ...productQueue.getStats(),
+    length: productQueue.length,
+    running: runningTasks.size,
+    shop: shopDomain,
+    lanes: await getLaneDepths(shopDomain),
+    throttle: shopifyThrottle.getThrottleStatus(shopDomain),
+  };
+}
+
+module.exports = {
+  productQueue,
+  queueEvents,
+  queueProduct,
+  mergeTasks,
+  getQueueStats,
+  cancelShopTasks,
+  toProductGid,
+  QUEUE_LANES,
+  PRODUCT_TASK_ATTEMPTS,
+};
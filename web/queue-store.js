@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const sqlite3 = require("sqlite3");
+
+// Same table as better-queue-sqlite used, so tasks queued by earlier versions still run
+const TABLE = "task";
+
+/**
+ * Create a better-queue store keeping the product queue's tasks in a SQLite file. It only
+ * implements better-queue's documented store interface (connect, getTask, putTask,
+ * deleteTask, takeFirstN, takeLastN, getLock, getRunningTasks, releaseLock and close).
+ *
+ * Taking the next tasks locks and reads them in one step, and getLock hands that batch
+ * back in the same tick. better-queue stops counting a fetch as in progress once the store
+ * has locked the tasks, before reading them, so a push in between could otherwise start a
+ * second task despite `concurrent: 1`.
+ *
+ * Shops take turns within the highest priority that has pending tasks: the next tasks come
+ * from the shop served longest ago in that lane, so a shop with thousands of pending products
+ * doesn't hold back another shop's products in the same lane. Turns in one lane don't count
+ * in another.
+ * @param {String} storePath - Path of the SQLite file
+ * @returns {Object} Store
+ */
+function createQueueStore(storePath) {
+  let database = null;
+  // Batches read by the last take, until better-queue asks for them
+  const takenBatches = new Map();
+  // Per priority, the turn at which each shop last had tasks taken. Each take only keeps the
+  // shops with tasks pending at its priority, so the state stays as small as the queue.
+  const laneTurns = new Map();
+  let turn = 0;
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    database.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes });
+    });
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    database.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+
+  // better-queue calls the store with Node-style callbacks
+  const withCallback = (promise, cb) => {
+    promise.then((result) => cb(null, result), (err) => cb(err));
+  };
+
+  /**
+   * Read the tasks holding a lock
+   * @param {String} lockId - Lock ID
+   * @returns {Object} Map of task ID to task
+   */
+  const readLock = async (lockId) => {
+    const batch = {};
+    for (const row of await all(`SELECT id, task FROM ${TABLE} WHERE lock = ?`, [lockId])) {
+      batch[row.id] = JSON.parse(row.task);
+    }
+    return batch;
+  };
+
+  /**
+   * Lock and read the next pending tasks of the shop whose turn it is, in the highest priority
+   * @param {Number} count - Maximum number of tasks to take
+   * @param {String} order - "ASC" to take the oldest tasks, "DESC" for the newest
+   * @returns {String} Lock ID, or "" if nothing is pending
+   */
+  const takeNextShopTasks = async (count, order) => {
+    const rows = await all(
+      `SELECT json_extract(task, '$.shop') AS shop, priority, MIN(added) AS added FROM ${TABLE}
+       WHERE lock = '' AND priority = (SELECT MAX(priority) FROM ${TABLE} WHERE lock = '')
+       GROUP BY shop`
+    );
+    if (rows.length === 0) return "";
+
+    const { priority } = rows[0];
+    const lastTurns = laneTurns.get(priority) || new Map();
+    const turns = new Map(rows.map((row) => [row.shop, lastTurns.get(row.shop) || 0]));
+
+    const [next] = rows.sort((a, b) => turns.get(a.shop) - turns.get(b.shop) || a.added - b.added);
+    turns.set(next.shop, ++turn);
+    laneTurns.set(priority, turns);
+
+    const lockId = crypto.randomUUID();
+    const { changes } = await run(
+      `UPDATE ${TABLE} SET lock = ? WHERE id IN (
+         SELECT id FROM ${TABLE} WHERE lock = '' AND priority = ? AND json_extract(task, '$.shop') IS ?
+         ORDER BY added ${order} LIMIT ?
+       )`,
+      [lockId, priority, next.shop, count]
+    );
+    if (!changes) return "";
+
+    takenBatches.set(lockId, await readLock(lockId));
+    return lockId;
+  };
+
+  return {
+    connect(cb) {
+      database = new sqlite3.Database(storePath, (err) => {
+        if (err) return cb(err);
+
+        // Run statements in the order they are issued, so a take sees every task put before it
+        database.serialize();
+        database.exec(
+          `CREATE TABLE IF NOT EXISTS ${TABLE} (id TEXT UNIQUE, lock TEXT, task TEXT, priority NUMERIC, added INTEGER PRIMARY KEY AUTOINCREMENT);
+           CREATE INDEX IF NOT EXISTS priorityIndex ON ${TABLE} (lock, priority desc, added);`,
+          (err) => {
+            if (err) return cb(err);
+            withCallback(
+              all(`SELECT COUNT(*) AS count FROM ${TABLE} WHERE lock = ''`).then(([{ count }]) => count),
+              cb
+            );
+          }
+        );
+      });
+    },
+
+    getTask(taskId, cb) {
+      withCallback(
+        all(`SELECT task FROM ${TABLE} WHERE id = ? AND lock = ''`, [taskId])
+          .then(([row]) => (row ? JSON.parse(row.task) : undefined)),
+        cb
+      );
+    },
+
+    putTask(taskId, task, priority, cb) {
+      withCallback(
+        run(
+          `INSERT OR REPLACE INTO ${TABLE} (id, task, priority, lock) VALUES (?, ?, ?, '')`,
+          [taskId, JSON.stringify(task), priority]
+        ).then(() => undefined),
+        cb
+      );
+    },
+
+    deleteTask(taskId, cb) {
+      withCallback(run(`DELETE FROM ${TABLE} WHERE id = ?`, [taskId]).then(() => undefined), cb);
+    },
+
+    takeFirstN(count, cb) {
+      withCallback(takeNextShopTasks(count, "ASC"), cb);
+    },
+
+    takeLastN(count, cb) {
+      withCallback(takeNextShopTasks(count, "DESC"), cb);
+    },
+
+    // Hand out the batch read by the take right away, before anything else can run
+    getLock(lockId, cb) {
+      if (!lockId) return cb(null, {});
+
+      if (takenBatches.has(lockId)) {
+        const batch = takenBatches.get(lockId);
+        takenBatches.delete(lockId);
+        return cb(null, batch);
+      }
+      withCallback(readLock(lockId), cb);
+    },
+
+    // Tasks that were locked when the process stopped, so better-queue can resume them
+    getRunningTasks(cb) {
+      withCallback(
+        all(`SELECT id, lock, task FROM ${TABLE} WHERE lock != ''`).then((rows) => {
+          const running = {};
+          for (const row of rows) {
+            running[row.lock] = running[row.lock] || {};
+            running[row.lock][row.id] = JSON.parse(row.task);
+          }
+          return running;
+        }),
+        cb
+      );
+    },
+
+    releaseLock(lockId, cb) {
+      withCallback(run(`DELETE FROM ${TABLE} WHERE lock = ?`, [lockId]).then(() => undefined), cb);
+    },
+
+    close(cb) {
+      if (!database) return cb();
+      database.close(cb);
+    },
+  };
+}
+
+module.exports = {
+  createQueueStore,
+};
@@ -0,0 +1,147 @@
+const collectionIndex = require("./collection-index");
+const attributeSchema = require("./attribute-schema");
+const { toHandle, isBelowMinimumProducts } = require("./collection-generator");
+
+// Attributes with a tab in the related-collections block
+const TAB_ATTRIBUTES = attributeSchema.ATTRIBUTES.filter((attribute) => attribute.tab);
+
+// Parts collections to show on every collection page. When empty, they are derived
+// from PARTS_HANDLE_TEMPLATE instead.
+const PARTS_COLLECTION_HANDLES = (process.env.PARTS_COLLECTION_HANDLES || "")
+  .split(",")
+  .map((handle) => handle.trim())
+  .filter(Boolean);
+
+// Handle of a vendor's parts collection; {vendor} is replaced with the vendor's handle
+const PARTS_HANDLE_TEMPLATE = process.env.PARTS_HANDLE_TEMPLATE || "{vendor}-parts";
+
+const VENDOR_ATTRIBUTE = attributeSchema.ATTRIBUTES.find((attribute) => attribute.source === "vendor");
+
+/**
+ * Get the handles of the parts collections to show for a collection. Without
+ * PARTS_COLLECTION_HANDLES, these are the parts collections of the collection's
+ * vendor, or of every vendor in its category if it doesn't filter on one.
+ * @param {Object} collectionAttributes - Attributes of the current collection
+ * @param {Array} categoryCollections - Collections sharing its required attributes
+ * @returns {Array} Parts collection handles
+ */
+function getPartsHandles(collectionAttributes, categoryCollections) {
+  if (PARTS_COLLECTION_HANDLES.length > 0) return PARTS_COLLECTION_HANDLES;
+  if (!VENDOR_ATTRIBUTE) return [];
+
+  const vendors = collectionAttributes[VENDOR_ATTRIBUTE.name]
+    ? [collectionAttributes[VENDOR_ATTRIBUTE.name]]
+    : categoryCollections.map((collection) => collection.attributes[VENDOR_ATTRIBUTE.name]);
+
+  const vendorHandles = [...new Set(vendors.filter(Boolean).map(toHandle))].sort();
+  return vendorHandles.map((vendorHandle) => PARTS_HANDLE_TEMPLATE.replace("{vendor}", vendorHandle));
+}
+
+/**
+ * Get related collections for a given collection handle
+ * @param {String} collectionHandle - The handle of the current collection
+ * @returns {Object} Related collections organized by tab, with the tabs to show in order
+ */
+async function getRelatedCollections(collectionHandle) {
+  try {
+    console.log(`Getting related collections for: ${collectionHandle}`);
+
+    // Step 1: Get the current collection and its parsed attributes
+    const collection = await collectionIndex.lookupCollection(collectionHandle);
+
+    if (!collection) {
+      console.error(`Collection not found with handle: ${collectionHandle}`);
+      throw new Error(`Collection not found with handle: ${collectionHandle}`);
+    }
+
+    const collectionAttributes = collection.attributes;
+
+    // Step 2: Get all collections from the index
+    const allCollections = await collectionIndex.getEntries();
+
+    // Step 3: Organize related collections by the tabs in the attribute schema
+    const related = {
+      tabs: [
+        ...TAB_ATTRIBUTES.map((attribute) => ({ key: attribute.tab.key, label: attribute.tab.label })),
+        { key: 'parts', label: 'Parts' }
+      ],
+      parts: []
+    };
+    for (const attribute of TAB_ATTRIBUTES) {
+      related[attribute.tab.key] = [];
+    }
+
+    // Related collections share the current collection's required attributes (e.g. product type)
+    const requiredAttributes = attributeSchema.REQUIRED_ATTRIBUTES;
+    const hasRequiredAttributes = requiredAttributes.every((attribute) => collectionAttributes[attribute.name]);
+    const categoryCollections = [];
+
+    for (const otherCollection of allCollections) {
+      // Skip the current collection, and collections too thin to link to
+      if (otherCollection.handle === collectionHandle ||
+          isBelowMinimumProducts(otherCollection.productCount)) {
+        continue;
+      }
+
+      const otherAttributes = otherCollection.attributes;
+      const summary = {
+        title: otherCollection.title,
+        handle: otherCollection.handle,
+        image: otherCollection.image
+      };
+
+      const sharesRequiredAttributes = requiredAttributes.every((attribute) =>
+        otherAttributes[attribute.name] === collectionAttributes[attribute.name]
+      );
+      if (!sharesRequiredAttributes) {
+        continue;
+      }
+      categoryCollections.push(otherCollection);
+
+      for (const attribute of TAB_ATTRIBUTES) {
+        // Tabs of required attributes (e.g. category): every collection sharing them
+        if (attribute.required) {
+          related[attribute.tab.key].push(summary);
+          continue;
+        }
+
+        // Other tabs: collections filtering on an attribute the current collection doesn't filter on
+        if (hasRequiredAttributes &&
+            !collectionAttributes[attribute.name] &&
+            otherAttributes[attribute.name]) {
+          related[attribute.tab.key].push(summary);
+        }
+      }
+    }
+
+    // Blocks built before tabs were listed read condition and fuel type from bySpecs
+    related.bySpecs = {
+      condition: related.byCondition || [],
+      fuelType: related.byFuelType || []
+    };
+
+    // Link to the parts collections that exist, looked up in one batch
+    try {
+      const partsHandles = getPartsHandles(collectionAttributes, hasRequiredAttributes ? categoryCollections : []);
+      const partsCollections = await collectionIndex.lookupCollections(partsHandles);
+
+      related.parts = partsCollections.map((partCollection) => ({
+        title: partCollection.title,
+        handle: partCollection.handle,
+        image: partCollection.image
+      }));
+    } catch (error) {
+      console.log(`Error fetching parts collections for ${collectionHandle}:`, error);
+    }
+
+    console.log(`Completed finding related collections for: ${collectionHandle}`);
+    return related;
+  } catch (error) {
+    console.error(`Error in getRelatedCollections for ${collectionHandle}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getRelatedCollections,
+};
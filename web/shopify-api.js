@@ -1,114 +1,69 @@
 require("dotenv").config();
-const axios = require("axios");
-const { setTimeout } = require('timers/promises');
+const shopifyClient = require("./shopify-client");
+const attributeSchema = require("./attribute-schema");
+const collectionMetadata = require("./collection-metadata");
 
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION;
+// Product metafields the attribute schema reads from, as "namespace.key"
+const PRODUCT_METAFIELD_KEYS = attributeSchema.getMetafieldIdentifiers();
 
-// Shopify API base URL
-const shopifyApiUrl = `https://${SHOPIFY_STORE}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}`;
+// The app's metafield on generated collections, fetched with every collection
+const COLLECTION_METADATA_FIELD = `attributesMetafield: metafield(namespace: ${JSON.stringify(
+  collectionMetadata.COLLECTION_METAFIELD_NAMESPACE
+)}, key: ${JSON.stringify(collectionMetadata.COLLECTION_METAFIELD_KEY)}) {
+  value
+}`;
 
-// Headers for Shopify API requests
-const shopifyHeaders = {
-  "Content-Type": "application/json",
-  "X-Shopify-Access-Token": SHOPIFY_ACCESS_TOKEN,
-};
+// Kept under its old name for the modules that run their own queries
+const runGraphQLQuery = shopifyClient.request;
 
-// Tracking for rate limiting
-let lastRequestTime = 0;
-const minRequestInterval = 500; // 500ms between requests = max 2 requests per second
-let retryQueue = [];
-let isProcessingQueue = false;
+// Rule set fetched after creating or updating a collection, to check what Shopify kept
+const COLLECTION_RULE_SET_FIELD = `ruleSet {
+              appliedDisjunctively
+              rules {
+                column
+                relation
+                condition
+                conditionObject {
+                  ...on CollectionRuleMetafieldCondition {
+                    metafieldDefinition {
+                      id
+                      namespace
+                      key
+                    }
+                  }
+                }
+              }
+            }`;
 
 /**
- * Run a GraphQL query with rate limiting and retry logic
- * @param {String} query - GraphQL query
- * @param {Object} variables - Query variables
- * @param {Number} attempt - Current attempt number (used for retries)
- * @returns {Object} Query result
+ * Convert a rule as createCollectionDetails builds it to a CollectionRuleInput
+ * @param {Object} rule - Rule with its column, relation, condition and, for metafield
+ * rules, the definition ID in condition_object_id
+ * @returns {Object} CollectionRuleInput
  */
-async function runGraphQLQuery(query, variables = {}, attempt = 1) {
-  // Wait if needed to respect rate limits
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < minRequestInterval) {
-    await setTimeout(minRequestInterval - timeSinceLastRequest);
+function toCollectionRuleInput(rule) {
+  const input = {
+    column: rule.column.toUpperCase(),
+    relation: rule.relation.toUpperCase(),
+    condition: rule.condition
+  };
+
+  // Metafield rules match nothing specific without their definition
+  if (rule.column.toLowerCase() === "product_metafield_definition" && rule.condition_object_id) {
+    const definitionId = String(rule.condition_object_id);
+    input.conditionObjectId = definitionId.startsWith("gid://")
+      ? definitionId
+      : `gid://shopify/MetafieldDefinition/${definitionId}`;
   }
-  
-  // Update last request time
-  lastRequestTime = Date.now();
-  
-  try {
-    const response = await fetch(`https://${SHOPIFY_STORE}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-      },
-      body: JSON.stringify({
-        query,
-        variables
-      })
-    });
 
-    // Handle rate limiting
-    if (response.status === 429) {
-      console.log(`Rate limited! Attempt ${attempt} - waiting before retry...`);
-      
-      // Exponential backoff: wait longer for each retry
-      const retryDelay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-      await setTimeout(retryDelay);
-      
-      // Retry with incremented attempt counter (up to max of 5 attempts)
-      if (attempt < 5) {
-        return runGraphQLQuery(query, variables, attempt + 1);
-      } else {
-        throw new Error('Max retry attempts reached after rate limiting');
-      }
-    }
-
-    const result = await response.json();
-    
-    // Check for GraphQL errors
-    if (result.errors) {
-      console.error("GraphQL errors:", result.errors);
-      
-      // Check if any error is a throttling error
-      const hasThrottleError = result.errors.some(error => 
-        error.message && error.message.includes('Throttled'));
-      
-      if (hasThrottleError && attempt < 5) {
-        console.log(`Throttled! Attempt ${attempt} - waiting before retry...`);
-        const retryDelay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-        await setTimeout(retryDelay);
-        return runGraphQLQuery(query, variables, attempt + 1);
-      }
-      
-      throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
-    }
-    
-    return result.data;
-  } catch (error) {
-    console.error(`Error in GraphQL request (attempt ${attempt}):`, error.message);
-    
-    // General retry for network errors
-    if (error.message.includes('fetch') && attempt < 5) {
-      console.log(`Network error! Attempt ${attempt} - retrying...`);
-      const retryDelay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-      await setTimeout(retryDelay);
-      return runGraphQLQuery(query, variables, attempt + 1);
-    }
-    
-    throw error;
-  }
+  return input;
 }
 
 /**
  * Create a new smart collection using GraphQL
- * @param {Object} collectionDetails - Collection title and rules
- * @returns {Object} Created collection or null if error
+ * @param {Object} collectionDetails - Collection title, handle and rules, and optional metafields
+ * @returns {Object} Created collection
+ * @throws {ShopifyApiError} If the shop has no publications to publish to or Shopify refuses the collection
  */
 async function createSmartCollectionGraphQL(collectionDetails) {
   try {
@@ -117,27 +72,12 @@ async function createSmartCollectionGraphQL(collectionDetails) {
 
     // First, get all active publications
     const publications = await getShopPublications();
-    if (!publications || publications.length === 0) {
-      console.error("No publications found to publish collection to");
-      return null;
+    if (publications.length === 0) {
+      throw new shopifyClient.ShopifyApiError("No publications found to publish collection to");
     }
 
     // Format rules for GraphQL
-    const graphqlRules = collectionDetails.rules.map(rule => {
-      // Convert REST API rule format to GraphQL format
-      const graphqlRule = {
-        column: rule.column.toUpperCase(),
-        relation: rule.relation.toUpperCase(),
-        condition: rule.condition
-      };
-
-      // Add condition object ID for metafield rules
-      if (rule.column === "product_metafield_definition" && rule.definition_id) {
-        graphqlRule.conditionObjectId = `gid://shopify/MetafieldDefinition/${rule.definition_id}`;
-      }
-
-      return graphqlRule;
-    });
+    const graphqlRules = collectionDetails.rules.map(toCollectionRuleInput);
 
     const query = `
       mutation CollectionCreate($input: CollectionInput!) {
@@ -151,14 +91,8 @@ async function createSmartCollectionGraphQL(collectionDetails) {
             title      
             handle
             sortOrder
-            ruleSet {
-              appliedDisjunctively
-              rules {
-                column
-                relation
-                condition
-              }
-            }    
+            ${COLLECTION_METADATA_FIELD}
+            ${COLLECTION_RULE_SET_FIELD}
           }
         }
       }
@@ -177,34 +111,30 @@ async function createSmartCollectionGraphQL(collectionDetails) {
           "appliedDisjunctively": false,
           "rules": graphqlRules
         },
-        "publications": publicationConnections
+        "publications": publicationConnections,
+        "metafields": collectionDetails.metafields || undefined
       }
     };
     
-    const result = await runGraphQLQuery(query, variables);
-
-    if (result.collectionCreate.userErrors && result.collectionCreate.userErrors.length > 0) {
-      console.error("GraphQL errors creating collection:", result.collectionCreate.userErrors);
-      return null;
-    }
-
-    return result.collectionCreate.collection;
+    const { collection } = await shopifyClient.mutate(query, variables, "collectionCreate");
+    return collection;
     
   } catch (error) {
     console.error(
       `Error creating smart collection "${collectionDetails.title}":`,
-      error.message
+      error.userErrors && error.userErrors.length ? error.userErrors : error.message
     );
     console.error(`Collection details that caused the error:`);
     console.error(`Title: ${collectionDetails.title}`);
     console.error(`Rules: ${JSON.stringify(collectionDetails.rules, null, 2)}`);
-    return null;
+    throw error;
   }
 }
 
 /**
  * Get all shop publications using GraphQL
  * @returns {Array} Array of publication objects
+ * @throws {ShopifyApiError} If the publications can't be fetched
  */
 async function getShopPublications() {
   try {
@@ -225,7 +155,7 @@ async function getShopPublications() {
     const result = await runGraphQLQuery(query);
     
     if (!result.publications || !result.publications.edges) {
-      return [];
+      throw new shopifyClient.ShopifyApiError("Invalid response structure fetching publications");
     }
 
     // Filter to only active publications
@@ -234,14 +164,16 @@ async function getShopPublications() {
       .filter(pub => pub.supportsFuturePublishing);
 
   } catch (error) {
-    console.error("Error fetching publications:", error);
-    return [];
+    console.error("Error fetching publications:", error.message);
+    throw error;
   }
 }
 
 /**
  * Get all existing smart collections using GraphQL
  * @returns {Array} List of smart collections
+ * @throws {ShopifyApiError} If any page fails to load, so that a failed fetch isn't mistaken
+ * for a shop without collections
  */
 async function getExistingSmartCollectionsGraphQL() {
   try {
@@ -251,10 +183,8 @@ async function getExistingSmartCollectionsGraphQL() {
 
     while (hasNextPage) {
       const query = `
-        {
-          collections(query: "collection_type:smart", first: 50 ${
-            cursor ? `, after: "${cursor}"` : ""
-          }) {
+        query SmartCollections($after: String) {
+          collections(query: "collection_type:smart", first: 50, after: $after) {
             pageInfo {
                 hasNextPage
                 endCursor
@@ -264,6 +194,10 @@ async function getExistingSmartCollectionsGraphQL() {
                 id
                 title
                 handle
+                ${COLLECTION_METADATA_FIELD}
+                productsCount{
+                    count
+                }
                 products(first: 1){
                     edges{
                         node{
@@ -288,6 +222,7 @@ async function getExistingSmartCollectionsGraphQL() {
                             ...on CollectionRuleMetafieldCondition{
                                 metafieldDefinition{
                                     id
+                                    namespace
                                     key
                                 }
                             }
@@ -299,11 +234,10 @@ async function getExistingSmartCollectionsGraphQL() {
           }
         }
       `;
-      const result = await runGraphQLQuery(query);
+      const result = await runGraphQLQuery(query, { after: cursor });
 
       if (!result || !result.collections || !result.collections.edges) {
-        console.error("Error fetching collections: Invalid response structure");
-        break;
+        throw new shopifyClient.ShopifyApiError("Invalid response structure fetching collections");
       }
 
       // Push the collections from this page to our array
@@ -316,11 +250,8 @@ async function getExistingSmartCollectionsGraphQL() {
 
     return collections;
   } catch (error) {
-    console.error(
-      "Error fetching smart collections:",
-      error.response?.data || error.message
-    );
-    return [];
+    console.error("Error fetching smart collections:", error.message);
+    throw error;
   }
 }
 
@@ -338,8 +269,8 @@ async function getProductByIdGraphQL(productId) {
   }
 
   const query = `
-    {
-      product(id: "${formattedId}") {
+    query Product($id: ID!) {
+      product(id: $id) {
         id
         title
         handle
@@ -352,9 +283,10 @@ async function getProductByIdGraphQL(productId) {
           name
           values
         }
-        metafields(first: 10, namespace: "custom") {
+        metafields(first: ${PRODUCT_METAFIELD_KEYS.length || 1}, keys: ${JSON.stringify(PRODUCT_METAFIELD_KEYS)}) {
           edges {
             node {
+              namespace
               key
               value
             }
@@ -364,7 +296,7 @@ async function getProductByIdGraphQL(productId) {
     }
   `;
 
-  const result = await runGraphQLQuery(query);
+  const result = await runGraphQLQuery(query, { id: formattedId });
 
   if (result && result.product) {
     // Transform the variants structure to match REST API format
@@ -389,8 +321,8 @@ async function getProductByIdGraphQL(productId) {
 async function getProducts(limit = 250, after = null) {
   try {
     const query = `
-    {
-        products(first: ${limit}, after: "${after}") {
+    query Products($first: Int!, $after: String) {
+        products(first: $first, after: $after) {
             edges {
                 node {
                     id
@@ -407,48 +339,205 @@ async function getProducts(limit = 250, after = null) {
     }
   `;
 
-    const result = await runGraphQLQuery(query);
+    const result = await runGraphQLQuery(query, { first: limit, after });
 
-    return result.data.products || [];
+    return result.products || [];
   } catch (error) {
-    console.error(
-      "Error fetching products:",
-      error.response?.data || error.message
-    );
+    console.error("Error fetching products:", error.message);
     return [];
   }
 }
 
+// Product webhook topics the app subscribes to
+const PRODUCT_WEBHOOK_TOPICS = [
+  "products/create",
+  "products/update",
+  "products/delete",
+];
+
+// Collection webhook topics, used to keep the collection index current
+const COLLECTION_WEBHOOK_TOPICS = [
+  "collections/create",
+  "collections/update",
+  "collections/delete",
+];
+
+// App lifecycle webhook topics
+const APP_WEBHOOK_TOPICS = [
+  "app/uninstalled",
+];
+
+// Every webhook topic the app subscribes to
+const WEBHOOK_TOPICS = [...PRODUCT_WEBHOOK_TOPICS, ...COLLECTION_WEBHOOK_TOPICS, ...APP_WEBHOOK_TOPICS];
+
+/**
+ * Get the GraphQL enum value of a webhook topic
+ * @param {String} topic - Webhook topic, e.g. "products/create"
+ * @returns {String} WebhookSubscriptionTopic, e.g. "PRODUCTS_CREATE"
+ */
+function toWebhookSubscriptionTopic(topic) {
+  return topic.replace(/\//g, "_").toUpperCase();
+}
+
 /**
- * Register a webhook for product creation
+ * Register a webhook for a topic
+ * @param {String} topic - Webhook topic, e.g. "products/create"
  * @param {String} callbackUrl - URL to receive webhook
- * @returns {Object} Webhook details or null if error
+ * @returns {Object} Webhook id, topic and address, or null if error
  */
-async function registerProductCreationWebhook(callbackUrl) {
+async function registerWebhook(topic, callbackUrl) {
   try {
-    const response = await axios.post(
-      `${shopifyApiUrl}/webhooks.json`,
+    const { webhookSubscription } = await shopifyClient.mutate(
+      `
+      mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+        webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+          webhookSubscription {
+            id
+            topic
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
       {
-        webhook: {
-          topic: "products/create",
-          address: callbackUrl,
-          format: "json",
-        },
+        topic: toWebhookSubscriptionTopic(topic),
+        webhookSubscription: { callbackUrl, format: "JSON" },
       },
-      { headers: shopifyHeaders }
+      "webhookSubscriptionCreate"
     );
 
-    console.log("Registered product creation webhook");
-    return response.data.webhook;
+    console.log(`Registered ${topic} webhook`);
+    return { id: webhookSubscription.id, topic, address: callbackUrl };
   } catch (error) {
-    console.error(
-      "Error registering webhook:",
-      error.response?.data || error.message
-    );
+    console.error(`Error registering ${topic} webhook:`, error.userErrors && error.userErrors.length ? error.userErrors : error.message);
     return null;
   }
 }
 
+/**
+ * Get the webhook topic of a GraphQL topic enum value
+ * @param {String} subscriptionTopic - WebhookSubscriptionTopic, e.g. "PRODUCTS_CREATE"
+ * @returns {String} Webhook topic, e.g. "products/create", or the lowercased enum value
+ *   for topics the app doesn't subscribe to
+ */
+function fromWebhookSubscriptionTopic(subscriptionTopic) {
+  return (
+    WEBHOOK_TOPICS.find((topic) => toWebhookSubscriptionTopic(topic) === subscriptionTopic) ||
+    subscriptionTopic.toLowerCase()
+  );
+}
+
+/**
+ * Get the app's webhook subscriptions on the current shop
+ * @returns {Array} Subscriptions with their id, topic and address
+ */
+async function getWebhookSubscriptions() {
+  const query = `
+    query WebhookSubscriptions($after: String) {
+      webhookSubscriptions(first: 100, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            topic
+            createdAt
+            endpoint {
+              __typename
+              ... on WebhookHttpEndpoint {
+                callbackUrl
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const subscriptions = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const result = await runGraphQLQuery(query, { after: cursor });
+
+    for (const { node } of result.webhookSubscriptions.edges) {
+      subscriptions.push({
+        id: node.id,
+        topic: fromWebhookSubscriptionTopic(node.topic),
+        address: node.endpoint && node.endpoint.callbackUrl ? node.endpoint.callbackUrl : null,
+        endpointType: node.endpoint ? node.endpoint.__typename : null,
+        createdAt: node.createdAt,
+      });
+    }
+
+    hasNextPage = result.webhookSubscriptions.pageInfo.hasNextPage;
+    cursor = result.webhookSubscriptions.pageInfo.endCursor;
+  }
+
+  return subscriptions;
+}
+
+/**
+ * Point a webhook subscription at a new address
+ * @param {String} subscriptionId - Webhook subscription gid
+ * @param {String} callbackUrl - New URL to receive the webhook
+ * @returns {Object} Updated subscription id
+ * @throws {ShopifyApiError} If Shopify refuses the update
+ */
+async function updateWebhookSubscription(subscriptionId, callbackUrl) {
+  const { webhookSubscription } = await shopifyClient.mutate(
+    `
+    mutation WebhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { id: subscriptionId, webhookSubscription: { callbackUrl } },
+    "webhookSubscriptionUpdate"
+  );
+
+  return webhookSubscription;
+}
+
+/**
+ * Delete a webhook subscription
+ * @param {String} subscriptionId - Webhook subscription gid
+ * @returns {String} ID of the deleted subscription
+ * @throws {ShopifyApiError} If Shopify refuses the deletion
+ */
+async function deleteWebhookSubscription(subscriptionId) {
+  const { deletedWebhookSubscriptionId } = await shopifyClient.mutate(
+    `
+    mutation WebhookSubscriptionDelete($id: ID!) {
+      webhookSubscriptionDelete(id: $id) {
+        deletedWebhookSubscriptionId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { id: subscriptionId },
+    "webhookSubscriptionDelete"
+  );
+
+  return deletedWebhookSubscriptionId;
+}
+
 /**
  * Get products using GraphQL (paginated)
  * @param {String} cursor - Pagination cursor
@@ -457,8 +546,8 @@ async function registerProductCreationWebhook(callbackUrl) {
  */
 async function getProductsGraphQL(cursor = null, first = 50) {
   const query = `
-  {
-    products(first: ${first}${cursor ? `, after: "${cursor}"` : ""}) {
+  query Products($first: Int!, $after: String) {
+    products(first: $first, after: $after) {
       pageInfo {
         hasNextPage
         endCursor
@@ -470,9 +559,10 @@ async function getProductsGraphQL(cursor = null, first = 50) {
           handle
           productType
           vendor
-          metafields(first: 10, namespace: "custom") {
+          metafields(first: ${PRODUCT_METAFIELD_KEYS.length || 1}, keys: ${JSON.stringify(PRODUCT_METAFIELD_KEYS)}) {
             edges {
               node {
+                namespace
                 key
                 value
               }
@@ -483,124 +573,366 @@ async function getProductsGraphQL(cursor = null, first = 50) {
     }
   }`;
 
-  return await runGraphQLQuery(query);
+  return await runGraphQLQuery(query, { first, after: cursor });
+}
+
+/**
+ * Create a product metafield definition that can be used in smart collection rules
+ * @param {Object} definition - Definition name, namespace, key and type
+ * @returns {Object} Created definition or null if error
+ */
+async function createMetafieldDefinitionGraphQL({ name, namespace, key, type }) {
+  const query = `
+    mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition {
+          id
+          name
+          key
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  try {
+    const { createdDefinition } = await shopifyClient.mutate(query, {
+      definition: {
+        name,
+        namespace,
+        key,
+        type,
+        ownerType: "PRODUCT",
+        capabilities: {
+          smartCollectionCondition: { enabled: true },
+        },
+      },
+    }, "metafieldDefinitionCreate");
+
+    console.log(`Created metafield definition ${namespace}.${key}`);
+    return createdDefinition;
+  } catch (error) {
+    console.error(`Error creating metafield definition ${namespace}.${key}:`, error.message);
+    return null;
+  }
 }
 
 /**
  * Delete a smart collection
- * @param {String} collectionId - The ID of the collection to delete
- * @returns {Object} Response data
+ * @param {String} collectionId - The collection's gid or numeric ID
+ * @returns {Boolean} True if the collection was deleted
  */
 async function deleteSmartCollection(collectionId) {
+  const id = String(collectionId).startsWith("gid://")
+    ? String(collectionId)
+    : `gid://shopify/Collection/${collectionId}`;
+
   try {
-    const response = await axios.delete(
-      `${shopifyApiUrl}/smart_collections/${collectionId}.json`,
-      { headers: shopifyHeaders }
+    await shopifyClient.mutate(
+      `
+      mutation CollectionDelete($input: CollectionDeleteInput!) {
+        collectionDelete(input: $input) {
+          deletedCollectionId
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+      { input: { id } },
+      "collectionDelete"
     );
     return true;
   } catch (error) {
-    console.error(
-      `Error deleting collection ${collectionId}:`,
-      error.response?.data || error.message
-    );
+    console.error(`Error deleting collection ${collectionId}:`, error.userErrors && error.userErrors.length ? error.userErrors : error.message);
     return false;
   }
 }
 
+/**
+ * Set metafields on a collection
+ * @param {String} collectionId - Collection gid
+ * @param {Array} metafields - Metafields with their namespace, key, type and value
+ * @returns {Array} The metafields that were set
+ * @throws {ShopifyApiError} If Shopify refuses the metafields
+ */
+async function setCollectionMetafields(collectionId, metafields) {
+  const result = await shopifyClient.mutate(
+    `
+    mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          namespace
+          key
+          value
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { metafields: metafields.map((metafield) => ({ ...metafield, ownerId: collectionId })) },
+    "metafieldsSet"
+  );
+
+  return result.metafields;
+}
+
+/**
+ * Replace the rules of a smart collection, applied conjunctively
+ * @param {String} collectionId - Collection gid
+ * @param {Array} rules - Rules as createCollectionDetails builds them
+ * @returns {Object} The collection's ID and the rule set Shopify kept
+ * @throws {ShopifyApiError} If Shopify refuses the rules
+ */
+async function updateCollectionRules(collectionId, rules) {
+  const { collection } = await shopifyClient.mutate(
+    `
+    mutation CollectionUpdate($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection {
+          id
+          ${COLLECTION_RULE_SET_FIELD}
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    {
+      input: {
+        id: collectionId,
+        ruleSet: { appliedDisjunctively: false, rules: rules.map(toCollectionRuleInput) },
+      },
+    },
+    "collectionUpdate"
+  );
+
+  return collection;
+}
+
+// Collection fields fetched by handle, with what the related-collections index needs
+const COLLECTION_BY_HANDLE_FIELDS = `
+  id
+  title
+  handle
+  ${COLLECTION_METADATA_FIELD}
+  image{
+    url
+    altText
+  }
+  productsCount{
+    count
+  }
+  products(first: 1){
+    edges{
+      node{
+        featuredMedia{
+          preview{
+            image{
+              url
+              altText
+            }
+          }
+        }
+      }
+    }
+  }
+  ruleSet{
+    appliedDisjunctively
+    rules{
+        column
+        condition
+        relation
+        conditionObject{
+          ...on CollectionRuleMetafieldCondition{
+              metafieldDefinition{
+                  id
+                  namespace
+                  key
+              }
+          }
+      }
+    }
+  }
+`;
+
 /**
  * Get a collection by its handle
  * @param {String} handle - Collection handle
  * @returns {Object} Collection object or null if not found
+ * @throws {ShopifyApiError} If the request fails
  */
 async function getCollectionByHandle(handle) {
   try {
-    // Try by GraphQL first
-    const graphqlResponse = await runGraphQLQuery(
+    const result = await runGraphQLQuery(
       `
-      {
-        collectionByHandle(handle: "${handle}") {
+      query CollectionByHandle($handle: String!) {
+        collectionByHandle(handle: $handle) {
+          ${COLLECTION_BY_HANDLE_FIELDS}
+        }
+      }
+    `,
+      { handle }
+    );
+
+    if (result && result.collectionByHandle) {
+      return result.collectionByHandle;
+    }
+
+    // Collection not found
+    console.log(`Collection with handle ${handle} not found`);
+    return null;
+  } catch (error) {
+    console.error(`Error fetching collection by handle ${handle}:`, error.message);
+    throw error;
+  }
+}
+
+// Handles looked up per GraphQL request by getCollectionsByHandles
+const COLLECTIONS_BY_HANDLE_BATCH_SIZE = 25;
+
+/**
+ * Get several collections by handle, batching the lookups into as few GraphQL
+ * requests as possible
+ * @param {Array} handles - Collection handles
+ * @returns {Map} Map of handle to collection, or to null if the collection doesn't exist
+ * @throws {Error} If a request fails, so that failures aren't mistaken for missing collections
+ */
+async function getCollectionsByHandles(handles) {
+  const collections = new Map();
+
+  for (let i = 0; i < handles.length; i += COLLECTIONS_BY_HANDLE_BATCH_SIZE) {
+    const batch = handles.slice(i, i + COLLECTIONS_BY_HANDLE_BATCH_SIZE);
+
+    const variableDefinitions = batch.map((_, j) => `$handle${j}: String!`).join(", ");
+    const fields = batch
+      .map((_, j) => `collection${j}: collectionByHandle(handle: $handle${j}) {${COLLECTION_BY_HANDLE_FIELDS}}`)
+      .join("\n");
+    const variables = Object.fromEntries(batch.map((handle, j) => [`handle${j}`, handle]));
+
+    const result = await runGraphQLQuery(`query CollectionsByHandles(${variableDefinitions}) {\n${fields}\n}`, variables);
+
+    batch.forEach((handle, j) => {
+      collections.set(handle, (result && result[`collection${j}`]) || null);
+    });
+  }
+
+  return collections;
+}
+
+/**
+ * Start a bulk operation exporting every product with the fields and metafields
+ * the attribute schema reads
+ * @returns {Object} Bulk operation with its ID and status
+ * @throws {ShopifyApiError} If Shopify refuses the operation, e.g. while another bulk query is running
+ */
+async function runBulkProductExport() {
+  const productsQuery = `
+  {
+    products {
+      edges {
+        node {
           id
           title
-          handle
-          image{
-            url
-            altText
-          }
-          products(first: 1){
-            edges{
-              node{
-                featuredMedia{
-                  preview{
-                    image{
-                      url
-                      altText
-                    }
-                  }
-                }
-              }
-            }
-          }
-          ruleSet{
-            appliedDisjunctively
-            rules{
-                column
-                condition
-                relation
-                conditionObject{
-                  ...on CollectionRuleMetafieldCondition{
-                      metafieldDefinition{
-                          id
-                          key
-                      }
-                  }
+          productType
+          vendor
+          metafields(keys: ${JSON.stringify(PRODUCT_METAFIELD_KEYS)}) {
+            edges {
+              node {
+                namespace
+                key
+                value
               }
             }
           }
         }
       }
-    `
-    );
+    }
+  }`;
 
-    if (graphqlResponse && graphqlResponse.collectionByHandle) {
-      return graphqlResponse.collectionByHandle;
+  const { bulkOperation } = await shopifyClient.mutate(
+    `
+    mutation BulkProductExport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
     }
+  `,
+    { query: productsQuery },
+    "bulkOperationRunQuery"
+  );
 
-    // Try to find the collection in smart collections first
-    const smartResponse = await axios.get(
-      `${shopifyApiUrl}/smart_collections.json?handle=${handle}`,
-      { headers: shopifyHeaders }
-    );
+  console.log(`Started bulk product export ${bulkOperation.id}`);
+  return bulkOperation;
+}
 
-    if (
-      smartResponse.data.smart_collections &&
-      smartResponse.data.smart_collections.length > 0
-    ) {
-      return smartResponse.data.smart_collections[0];
+/**
+ * Get the state of a bulk operation
+ * @param {String} operationId - Bulk operation gid
+ * @returns {Object} Bulk operation with its status, object count and result URL, or null if not found
+ */
+async function getBulkOperation(operationId) {
+  const result = await runGraphQLQuery(
+    `
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+        }
+      }
     }
+  `,
+    { id: operationId }
+  );
 
-    // If not found in smart collections, try custom collections
-    const customResponse = await axios.get(
-      `${shopifyApiUrl}/custom_collections.json?handle=${handle}`,
-      { headers: shopifyHeaders }
-    );
+  return (result && result.node) || null;
+}
 
-    if (
-      customResponse.data.custom_collections &&
-      customResponse.data.custom_collections.length > 0
-    ) {
-      return customResponse.data.custom_collections[0];
+/**
+ * Cancel a running bulk operation
+ * @param {String} operationId - Bulk operation gid
+ */
+async function cancelBulkOperation(operationId) {
+  await shopifyClient.mutate(
+    `
+    mutation BulkOperationCancel($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
     }
-
-    // Collection not found
-    console.log(`Collection with handle ${handle} not found`);
-    return null;
-  } catch (error) {
-    console.error(
-      `Error fetching collection by handle ${handle}:`,
-      error.response?.data || error.message
-    );
-    return null;
-  }
+  `,
+    { id: operationId },
+    "bulkOperationCancel"
+  );
 }
 
 module.exports = {
@@ -608,9 +940,23 @@ module.exports = {
   getExistingSmartCollectionsGraphQL,
   getProductByIdGraphQL,
   getProducts,
-  registerProductCreationWebhook,
+  registerWebhook,
+  getWebhookSubscriptions,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  PRODUCT_WEBHOOK_TOPICS,
+  COLLECTION_WEBHOOK_TOPICS,
+  APP_WEBHOOK_TOPICS,
+  WEBHOOK_TOPICS,
   runGraphQLQuery,
   getProductsGraphQL,
+  createMetafieldDefinitionGraphQL,
   deleteSmartCollection,
+  setCollectionMetafields,
+  updateCollectionRules,
   getCollectionByHandle,
+  getCollectionsByHandles,
+  runBulkProductExport,
+  getBulkOperation,
+  cancelBulkOperation,
 };
@@ -0,0 +1,223 @@
+require("dotenv").config();
+const { setTimeout } = require("timers/promises");
+const shops = require("./shops");
+const throttle = require("./shopify-throttle");
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION;
+
+// Attempts made for a throttled or failed request before giving up
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Error from a Shopify Admin API request, carrying what Shopify reported: the HTTP
+ * status, top-level GraphQL errors, a mutation's userErrors and the query cost
+ */
+class ShopifyApiError extends Error {
+  /**
+   * @param {String} message - Error message
+   * @param {Object} [details]
+   * @param {Number} [details.status] - HTTP status of the response
+   * @param {Array} [details.errors] - Top-level GraphQL errors
+   * @param {Array} [details.userErrors] - userErrors of the mutation
+   * @param {Object} [details.cost] - Query cost from extensions.cost
+   */
+  constructor(message, { status = null, errors = [], userErrors = [], cost = null } = {}) {
+    super(message);
+    this.name = "ShopifyApiError";
+    this.status = status;
+    this.errors = errors;
+    this.userErrors = userErrors;
+    this.cost = cost;
+  }
+}
+
+/**
+ * Get the API base URL and headers for the current shop
+ * @returns {Object} shopDomain, apiUrl and headers for Shopify API requests
+ * @throws {Error} If the current shop isn't registered
+ */
+async function getShopConnection() {
+  const shopDomain = shops.getCurrentShopDomain();
+  const shop = await shops.getShop(shopDomain);
+
+  if (!shop) {
+    throw new Error(`No access token registered for shop ${shopDomain}`);
+  }
+
+  return {
+    shopDomain: shop.domain,
+    apiUrl: `https://${shop.domain}/admin/api/${SHOPIFY_API_VERSION}`,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Access-Token": shop.accessToken,
+    },
+  };
+}
+
+/**
+ * Get the top-level errors of a response as a list. Shopify sends a plain string
+ * for some failures, e.g. an invalid access token.
+ * @param {Object} result - Parsed response body
+ * @returns {Array} Errors, each with at least a message
+ */
+function getResponseErrors(result) {
+  if (!result || !result.errors) return [];
+  return Array.isArray(result.errors) ? result.errors : [{ message: String(result.errors) }];
+}
+
+/**
+ * Check whether a GraphQL response was throttled
+ * @param {Object} result - Parsed response body
+ * @returns {Boolean} True if Shopify refused the query for lack of budget
+ */
+function isThrottledResult(result) {
+  return getResponseErrors(result).some(
+    (error) =>
+      (error.extensions && error.extensions.code === "THROTTLED") ||
+      (error.message && error.message.includes("Throttled"))
+  );
+}
+
+/**
+ * Wait before retrying a request that failed for a transient reason
+ * @param {Number} attempt - Attempt that failed
+ */
+async function backOff(attempt) {
+  await setTimeout(Math.min(1000 * Math.pow(2, attempt - 1), 30000));
+}
+
+/**
+ * Run a GraphQL query once the shop's cost bucket has room for it, retrying when
+ * throttled and on network or server errors
+ * @param {String} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Number} attempt - Current attempt number (used for retries)
+ * @returns {Object} Response data and its cost
+ * @throws {ShopifyApiError} If the request fails or returns errors
+ */
+async function execute(query, variables = {}, attempt = 1) {
+  const { shopDomain, apiUrl, headers } = await getShopConnection();
+
+  // Wait until the shop's bucket has room for the query's estimated cost
+  const reservedCost = await throttle.acquire("graphql", shopDomain, throttle.estimateQueryCost(query));
+
+  let response;
+  let result = null;
+  try {
+    response = await fetch(`${apiUrl}/graphql.json`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if (response.status !== 429) {
+      result = await response.json().catch(() => null);
+    }
+  } catch (error) {
+    throttle.release("graphql", shopDomain, reservedCost);
+    console.error(`Error in GraphQL request (attempt ${attempt}):`, error.message);
+
+    if (attempt < MAX_ATTEMPTS) {
+      console.log(`Network error! Attempt ${attempt} - retrying...`);
+      await backOff(attempt);
+      return execute(query, variables, attempt + 1);
+    }
+    throw new ShopifyApiError(`Shopify request failed: ${error.message}`);
+  }
+
+  // Bring the bucket in line with what Shopify reports, and learn the query's cost
+  const cost = (result && result.extensions && result.extensions.cost) || null;
+  throttle.release("graphql", shopDomain, reservedCost, cost ? cost.throttleStatus : null);
+  if (cost) {
+    throttle.recordQueryCost(query, cost.requestedQueryCost);
+  }
+
+  // Handle rate limiting: the next attempt waits for the bucket to refill
+  if (response.status === 429 || isThrottledResult(result)) {
+    if (!cost) {
+      throttle.drain("graphql", shopDomain);
+    }
+    if (attempt < MAX_ATTEMPTS) {
+      console.log(`Throttled! Attempt ${attempt} - waiting for the cost bucket to refill...`);
+      return execute(query, variables, attempt + 1);
+    }
+    throw new ShopifyApiError("Max retry attempts reached after rate limiting", {
+      status: response.status,
+      errors: getResponseErrors(result),
+      cost,
+    });
+  }
+
+  // Server errors are usually transient
+  if (response.status >= 500 && attempt < MAX_ATTEMPTS) {
+    console.log(`Shopify returned HTTP ${response.status}! Attempt ${attempt} - retrying...`);
+    await backOff(attempt);
+    return execute(query, variables, attempt + 1);
+  }
+
+  if (!response.ok || !result) {
+    throw new ShopifyApiError(`Shopify responded with HTTP ${response.status}`, {
+      status: response.status,
+      errors: getResponseErrors(result),
+      cost,
+    });
+  }
+
+  // Check for GraphQL errors
+  if (result.errors) {
+    console.error("GraphQL errors:", result.errors);
+    throw new ShopifyApiError(`GraphQL errors: ${JSON.stringify(result.errors)}`, {
+      status: response.status,
+      errors: result.errors,
+      cost,
+    });
+  }
+
+  return { data: result.data, cost, status: response.status };
+}
+
+/**
+ * Run a GraphQL query for the current shop
+ * @param {String} query - GraphQL query
+ * @param {Object} [variables] - Query variables
+ * @returns {Object} Response data
+ * @throws {ShopifyApiError} If the request fails or returns errors
+ */
+async function request(query, variables = {}) {
+  const { data } = await execute(query, variables);
+  return data;
+}
+
+/**
+ * Run a GraphQL mutation for the current shop and return its payload
+ * @param {String} query - GraphQL mutation
+ * @param {Object} variables - Mutation variables
+ * @param {String} field - Name of the mutation field holding the payload, e.g. "collectionDelete"
+ * @returns {Object} Mutation payload
+ * @throws {ShopifyApiError} If the request fails or the mutation returns userErrors
+ */
+async function mutate(query, variables, field) {
+  const { data, cost, status } = await execute(query, variables);
+  const payload = data && data[field];
+
+  if (!payload) {
+    throw new ShopifyApiError(`${field} returned no payload`, { status, cost });
+  }
+
+  if (payload.userErrors && payload.userErrors.length > 0) {
+    throw new ShopifyApiError(`${field} failed: ${payload.userErrors.map((error) => error.message).join(", ")}`, {
+      status,
+      userErrors: payload.userErrors,
+      cost,
+    });
+  }
+
+  return payload;
+}
+
+module.exports = {
+  ShopifyApiError,
+  getShopConnection,
+  request,
+  mutate,
+};
@@ -0,0 +1,164 @@
+const { setTimeout } = require("timers/promises");
+
+// Buckets assumed until Shopify reports a shop's real ones, in GraphQL cost points
+const DEFAULT_BUCKETS = {
+  graphql: { maximum: 1000, restoreRate: 50 },
+};
+
+// Cost assumed for a GraphQL query that hasn't run yet
+const DEFAULT_QUERY_COST = 50;
+
+// Leaky buckets keyed by "<api>:<shop domain>"
+const buckets = new Map();
+
+// Requested cost of each query shape the last time it ran
+const queryCosts = new Map();
+
+/**
+ * Get a shop's bucket for an API, creating it with the default limits on first use
+ * @param {String} api - API the bucket limits, e.g. "graphql"
+ * @param {String} shopDomain - Shop domain
+ * @returns {Object} Bucket with available, maximum, restoreRate, reserved and updatedAt
+ */
+function getBucket(api, shopDomain) {
+  const key = `${api}:${shopDomain}`;
+
+  if (!buckets.has(key)) {
+    const { maximum, restoreRate } = DEFAULT_BUCKETS[api];
+    buckets.set(key, { available: maximum, maximum, restoreRate, reserved: 0, updatedAt: Date.now() });
+  }
+  return buckets.get(key);
+}
+
+/**
+ * Add what has leaked back into a bucket since it was last updated
+ * @param {Object} bucket - Bucket
+ */
+function refill(bucket) {
+  const now = Date.now();
+  bucket.available = Math.min(
+    bucket.maximum,
+    bucket.available + ((now - bucket.updatedAt) / 1000) * bucket.restoreRate
+  );
+  bucket.updatedAt = now;
+}
+
+/**
+ * Wait until a bucket has room for a request, then reserve its cost. Requests run
+ * concurrently as long as their reserved costs fit in the bucket.
+ * @param {String} api - API the bucket limits, e.g. "graphql"
+ * @param {String} shopDomain - Shop domain
+ * @param {Number} cost - Estimated cost of the request
+ * @returns {Number} Reserved cost, to pass to release
+ */
+async function acquire(api, shopDomain, cost) {
+  const bucket = getBucket(api, shopDomain);
+
+  for (;;) {
+    // A request can never need more than a full bucket
+    const needed = Math.min(cost, bucket.maximum);
+
+    refill(bucket);
+    const free = bucket.available - bucket.reserved;
+    if (free >= needed) {
+      bucket.reserved += needed;
+      return needed;
+    }
+
+    // Wait just long enough for the missing cost to leak back
+    await setTimeout(Math.ceil(((needed - free) / bucket.restoreRate) * 1000));
+  }
+}
+
+/**
+ * Release a reservation once the request is done, updating the bucket from what
+ * Shopify reported. Without a report, the reserved cost is assumed spent.
+ * @param {String} api - API the bucket limits, e.g. "graphql"
+ * @param {String} shopDomain - Shop domain
+ * @param {Number} reservedCost - Cost returned by acquire
+ * @param {Object} [status] - Reported currentlyAvailable, and maximum and restoreRate if known
+ */
+function release(api, shopDomain, reservedCost, status = null) {
+  const bucket = getBucket(api, shopDomain);
+  bucket.reserved = Math.max(0, bucket.reserved - reservedCost);
+
+  if (!status) {
+    refill(bucket);
+    bucket.available = Math.max(0, bucket.available - reservedCost);
+    return;
+  }
+
+  if (status.maximumAvailable) bucket.maximum = status.maximumAvailable;
+  if (status.restoreRate) bucket.restoreRate = status.restoreRate;
+  bucket.available = Math.min(bucket.maximum, status.currentlyAvailable);
+  bucket.updatedAt = Date.now();
+}
+
+/**
+ * Empty a bucket after Shopify rate limited a request without saying what is left
+ * @param {String} api - API the bucket limits, e.g. "graphql"
+ * @param {String} shopDomain - Shop domain
+ */
+function drain(api, shopDomain) {
+  const bucket = getBucket(api, shopDomain);
+  bucket.available = 0;
+  bucket.updatedAt = Date.now();
+}
+
+/**
+ * Get the shape of a query, so that queries differing only in their IDs share a cost
+ * @param {String} query - GraphQL query
+ * @returns {String} Query with string literals blanked
+ */
+function getQueryShape(query) {
+  return query.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+}
+
+/**
+ * Estimate the cost of a query from the last time a query of the same shape ran
+ * @param {String} query - GraphQL query
+ * @returns {Number} Estimated cost
+ */
+function estimateQueryCost(query) {
+  return queryCosts.get(getQueryShape(query)) || DEFAULT_QUERY_COST;
+}
+
+/**
+ * Remember the cost Shopify requested for a query
+ * @param {String} query - GraphQL query
+ * @param {Number} requestedCost - requestedQueryCost from the response
+ */
+function recordQueryCost(query, requestedCost) {
+  if (typeof requestedCost === "number") {
+    queryCosts.set(getQueryShape(query), requestedCost);
+  }
+}
+
+/**
+ * Get the current state of a shop's buckets
+ * @param {String} shopDomain - Shop domain
+ * @returns {Object} Available, maximum and restore rate per API
+ */
+function getThrottleStatus(shopDomain) {
+  const status = {};
+  for (const api of Object.keys(DEFAULT_BUCKETS)) {
+    const bucket = getBucket(api, shopDomain);
+    refill(bucket);
+    status[api] = {
+      available: Math.floor(bucket.available),
+      reserved: bucket.reserved,
+      maximum: bucket.maximum,
+      restoreRate: bucket.restoreRate,
+    };
+  }
+  return status;
+}
+
+module.exports = {
+  acquire,
+  release,
+  drain,
+  estimateQueryCost,
+  recordQueryCost,
+  getThrottleStatus,
+};
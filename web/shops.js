@@ -0,0 +1,279 @@
+require("dotenv").config();
+const { AsyncLocalStorage } = require("async_hooks");
+const db = require("./db");
+
+// Holds the shop whose request, webhook or queued task is being handled
+const shopContext = new AsyncLocalStorage();
+
+let tableReady = null;
+
+/**
+ * Create the shops table if needed
+ */
+function ensureShopsTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS shops (
+        domain TEXT PRIMARY KEY,
+        access_token TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Normalize a shop name or domain to its myshopify.com domain
+ * @param {String} shop - Shop name ("my-store") or domain ("my-store.myshopify.com")
+ * @returns {String} Shop domain, or null if it isn't a valid shop
+ */
+function normalizeShopDomain(shop) {
+  if (!shop) return null;
+
+  const domain = String(shop).trim().toLowerCase().replace(/^https?:\/\//, "").replace(/\/.*$/, "");
+  const fullDomain = domain.endsWith(".myshopify.com") ? domain : `${domain}.myshopify.com`;
+
+  return /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(fullDomain) ? fullDomain : null;
+}
+
+/**
+ * Parse the SHOPIFY_SHOPS entries: comma-separated `shop:token` pairs, each optionally
+ * followed by `:webhook-secret` for a shop whose webhooks are signed with its own secret
+ * @returns {Array} Entries with their shop domain, access token and webhook secret
+ */
+function parseShopEntries() {
+  return (process.env.SHOPIFY_SHOPS || "")
+    .split(",")
+    .map((entry) => {
+      const [shop, accessToken = "", webhookSecret = ""] = entry.split(":").map((part) => part.trim());
+      return { domain: normalizeShopDomain(shop), accessToken, webhookSecret };
+    })
+    .filter(({ domain, accessToken }) => domain && accessToken);
+}
+
+/**
+ * Get the shops configured in the environment. SHOPIFY_SHOPS holds comma-separated
+ * `shop:token` entries; SHOPIFY_STORE and SHOPIFY_ACCESS_TOKEN add one more shop.
+ * @returns {Map} Map of shop domain to access token
+ */
+function getEnvShops() {
+  const envShops = new Map();
+
+  for (const { domain, accessToken } of parseShopEntries()) {
+    envShops.set(domain, accessToken);
+  }
+
+  const defaultDomain = normalizeShopDomain(process.env.SHOPIFY_STORE);
+  if (defaultDomain && process.env.SHOPIFY_ACCESS_TOKEN) {
+    envShops.set(defaultDomain, process.env.SHOPIFY_ACCESS_TOKEN);
+  }
+
+  return envShops;
+}
+
+/**
+ * Get a registered shop. Shops saved in the database take precedence over the environment.
+ * @param {String} shop - Shop name or domain
+ * @returns {Object} Shop with its domain, access token and where it is configured
+ * ("database" or "env"), or null if it isn't registered
+ */
+async function getShop(shop) {
+  const domain = normalizeShopDomain(shop);
+  if (!domain) return null;
+
+  await ensureShopsTable();
+  const row = await db.get("SELECT * FROM shops WHERE domain = ?", [domain]);
+  if (row) {
+    return { domain, accessToken: row.access_token, source: "database" };
+  }
+
+  const accessToken = getEnvShops().get(domain);
+  return accessToken ? { domain, accessToken, source: "env" } : null;
+}
+
+/**
+ * Get the webhook secrets configured for a shop in the environment: its own secret
+ * from SHOPIFY_SHOPS and, for the default shop, SHOPIFY_WEBHOOK_SECRETS and
+ * SHOPIFY_WEBHOOK_SECRET. Several secrets can be configured in SHOPIFY_WEBHOOK_SECRETS
+ * so that a new secret can be rolled out before the old one is retired.
+ * @param {String} shop - Shop name or domain
+ * @returns {Array} Secrets the shop's webhooks may be signed with
+ */
+function getEnvWebhookSecrets(shop) {
+  const domain = normalizeShopDomain(shop);
+  const secrets = parseShopEntries()
+    .filter((entry) => entry.domain === domain)
+    .map((entry) => entry.webhookSecret);
+
+  if (domain && domain === getDefaultShopDomain()) {
+    secrets.push(...(process.env.SHOPIFY_WEBHOOK_SECRETS || "").split(","), process.env.SHOPIFY_WEBHOOK_SECRET || "");
+  }
+
+  return [...new Set(secrets.map((secret) => secret.trim()).filter(Boolean))];
+}
+
+/**
+ * List registered shop domains, without their tokens
+ * @returns {Array} Shops with their domain and where they are configured
+ */
+async function listShops() {
+  await ensureShopsTable();
+
+  const shops = new Map();
+  for (const domain of getEnvShops().keys()) {
+    shops.set(domain, { domain, source: "env" });
+  }
+
+  const rows = await db.all("SELECT domain, updated_at FROM shops ORDER BY domain");
+  for (const row of rows) {
+    shops.set(row.domain, { domain: row.domain, source: "database", updatedAt: new Date(row.updated_at).toISOString() });
+  }
+
+  return [...shops.values()];
+}
+
+/**
+ * Register a shop or replace its access token
+ * @param {String} shop - Shop name or domain
+ * @param {String} accessToken - Admin API access token
+ * @returns {String} Shop domain
+ * @throws {Error} If the shop domain is invalid
+ */
+async function saveShop(shop, accessToken) {
+  const domain = normalizeShopDomain(shop);
+  if (!domain) {
+    throw new Error(`Invalid shop domain: ${shop}`);
+  }
+
+  await ensureShopsTable();
+  const now = Date.now();
+  await db.run(
+    `INSERT INTO shops (domain, access_token, created_at, updated_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (domain) DO UPDATE SET access_token = excluded.access_token, updated_at = excluded.updated_at`,
+    [domain, accessToken, now, now]
+  );
+  return domain;
+}
+
+/**
+ * Remove a shop saved in the database. Shops configured in the environment stay registered.
+ * @param {String} shop - Shop name or domain
+ * @returns {Boolean} True if the shop was found and removed
+ */
+async function removeShop(shop) {
+  await ensureShopsTable();
+  const result = await db.run("DELETE FROM shops WHERE domain = ?", [normalizeShopDomain(shop)]);
+  return result.changes > 0;
+}
+
+/**
+ * Get the shop used when none is given: SHOPIFY_STORE, or the only shop configured
+ * in the environment
+ * @returns {String} Shop domain, or null if there is no single default
+ */
+function getDefaultShopDomain() {
+  const defaultDomain = normalizeShopDomain(process.env.SHOPIFY_STORE);
+  if (defaultDomain) return defaultDomain;
+
+  const envShops = [...getEnvShops().keys()];
+  return envShops.length === 1 ? envShops[0] : null;
+}
+
+/**
+ * Add a shop column to a table created before shops were tracked. Existing rows
+ * are assigned to the default shop.
+ * @param {String} table - Table name
+ */
+async function ensureShopColumn(table) {
+  await db.ensureColumn(table, "shop", "TEXT");
+
+  const defaultDomain = getDefaultShopDomain();
+  if (defaultDomain) {
+    await db.run(`UPDATE ${table} SET shop = ? WHERE shop IS NULL`, [defaultDomain]);
+  }
+}
+
+/**
+ * Run a function with a shop as the current shop
+ * @param {String} shopDomain - Shop domain
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithShop(shopDomain, fn) {
+  return shopContext.run({ shopDomain }, fn);
+}
+
+/**
+ * Get the shop being handled, falling back to the default shop
+ * @returns {String} Shop domain
+ * @throws {Error} If there is no current shop and no default shop
+ */
+function getCurrentShopDomain() {
+  const context = shopContext.getStore();
+  const shopDomain = (context && context.shopDomain) || getDefaultShopDomain();
+
+  if (!shopDomain) {
+    throw new Error("No shop given and no default shop configured");
+  }
+  return shopDomain;
+}
+
+/**
+ * Express middleware that resolves the shop from the X-Shopify-Shop-Domain header
+ * or `shop` query parameter, falling back to the default shop, and runs the rest of
+ * the request with it as the current shop. A verified webhook is handled for the
+ * shop its signature was verified for. An admin request is refused for a shop its
+ * API key wasn't issued for.
+ * @returns {Function} Express middleware
+ */
+function resolveShop() {
+  return async (req, res, next) => {
+    const requestedShop = req.webhook
+      ? req.webhook.shopDomain
+      : req.get("X-Shopify-Shop-Domain") || req.query.shop;
+
+    try {
+      const shopDomain = requestedShop ? normalizeShopDomain(requestedShop) : getDefaultShopDomain();
+      if (!shopDomain) {
+        return res.status(400).json({
+          success: false,
+          error: requestedShop
+            ? `Invalid shop domain: ${requestedShop}`
+            : "Specify the shop with the X-Shopify-Shop-Domain header or the shop query parameter",
+        });
+      }
+
+      const shop = await getShop(shopDomain);
+      if (!shop) {
+        return res.status(404).json({ success: false, error: `Unknown shop: ${shopDomain}` });
+      }
+
+      // An admin API key issued for other shops can't act on this one, see admin-auth.js
+      if (req.adminShops && !req.adminShops.includes(shop.domain)) {
+        return res.status(403).json({ success: false, error: `Admin API key isn't valid for shop ${shop.domain}` });
+      }
+
+      req.shopDomain = shop.domain;
+      runWithShop(shop.domain, next);
+    } catch (error) {
+      console.error("Error resolving shop:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  normalizeShopDomain,
+  getShop,
+  getEnvWebhookSecrets,
+  listShops,
+  saveShop,
+  removeShop,
+  getDefaultShopDomain,
+  ensureShopColumn,
+  runWithShop,
+  getCurrentShopDomain,
+  resolveShop,
+};
@@ -0,0 +1,41 @@
+require("dotenv").config();
+const cors = require("cors");
+
+// Local development servers, allowed outside production only
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * Get the origins allowed to call the API from a browser: those listed in
+ * ALLOWED_ORIGINS, plus localhost unless NODE_ENV is production
+ * @returns {Array} Origins, as strings or patterns
+ */
+function getAllowedOrigins() {
+  const origins = (process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  if (process.env.NODE_ENV !== "production") {
+    origins.push(LOCAL_ORIGIN);
+  }
+  return origins;
+}
+
+/**
+ * Express middleware answering CORS requests, preflights included. Storefronts calling
+ * through the app proxy are same-origin, so CORS is only needed by theme blocks configured
+ * with an API base URL. Other origins get no CORS headers, and browsers block their reads.
+ * @returns {Function} Express middleware
+ */
+function storefrontCors() {
+  return cors({
+    origin: getAllowedOrigins(),
+    methods: ["GET", "POST", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization"],
+  });
+}
+
+module.exports = {
+  getAllowedOrigins,
+  storefrontCors,
+};
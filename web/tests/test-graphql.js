@@ -61,7 +61,7 @@ async function testGraphQLProduct() {
 
         // Check if similar collection already exists using GraphQL method
         if (
-          collectionGenerator.doesSimilarCollectionExistGraphQL(
+          collectionGenerator.findSimilarCollectionGraphQL(
             details.rules,
             existingCollections
           )
@@ -0,0 +1,68 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const { requireAdmin, canAccessShop } = require("../../admin-auth");
+
+process.env.SHOPIFY_SHOPS = "other-brand:other-token";
+
+beforeEach(() => {
+  process.env.ADMIN_API_KEYS = "ops-key:*,viewer-key:read,brand-key:read|write:other-brand";
+});
+
+/**
+ * Run a request through middleware
+ * @param {Array} middleware - Express middleware, in order
+ * @param {Object} headers - Request headers
+ * @returns {Object} Response status and body, or reached: true if every middleware called next
+ */
+async function send(middleware, headers = {}) {
+  const req = { method: "GET", path: "/jobs", query: {}, get: (name) => headers[name.toLowerCase()] };
+
+  for (const handler of middleware) {
+    const outcome = await new Promise((resolve) => {
+      const res = {
+        status(code) {
+          return { json: (body) => resolve({ status: code, body }) };
+        },
+      };
+      Promise.resolve(handler(req, res, () => resolve(null))).catch(resolve);
+    });
+    if (outcome) return outcome;
+  }
+  return { reached: true, req };
+}
+
+const bearer = (key, shop) => ({
+  authorization: `Bearer ${key}`,
+  ...(shop ? { "x-shopify-shop-domain": shop } : {}),
+});
+
+test("requires a known key holding the route's scope", async () => {
+  assert.equal((await send([requireAdmin("read")])).status, 401);
+  assert.equal((await send([requireAdmin("read")], bearer("nope"))).status, 401);
+  assert.equal((await send([requireAdmin("delete")], bearer("viewer-key"))).status, 403);
+  assert.equal((await send([requireAdmin("read")], bearer("viewer-key"))).reached, true);
+  assert.equal((await send([requireAdmin("delete")], bearer("ops-key"))).reached, true);
+});
+
+test("refuses a key for a shop it wasn't issued for", async () => {
+  const refused = await send([requireAdmin("write"), shops.resolveShop()], bearer("brand-key", TEST_SHOP));
+  assert.equal(refused.status, 403);
+  assert.match(refused.body.error, /isn't valid for shop test-shop\.myshopify\.com/);
+
+  const allowed = await send([requireAdmin("write"), shops.resolveShop()], bearer("brand-key", "other-brand"));
+  assert.equal(allowed.reached, true);
+  assert.equal(allowed.req.shopDomain, "other-brand.myshopify.com");
+});
+
+test("lets a key without shops act on every shop", async () => {
+  const { req } = await send([requireAdmin("read")], bearer("viewer-key"));
+  assert.equal(canAccessShop(req, TEST_SHOP), true);
+  assert.equal(canAccessShop(req, "other-brand"), true);
+
+  const { req: brandReq } = await send([requireAdmin("read")], bearer("brand-key"));
+  assert.equal(canAccessShop(brandReq, "other-brand"), true);
+  assert.equal(canAccessShop(brandReq, TEST_SHOP), false);
+});
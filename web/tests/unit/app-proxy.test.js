@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+require("./setup");
+
+const { isValidProxySignature } = require("../../app-proxy");
+
+/**
+ * Sign app proxy parameters the way Shopify does
+ * @param {Object} params - Query parameters
+ * @returns {Object} Parameters with their signature
+ */
+function sign(params) {
+  const message = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(params[key]) ? params[key].join(",") : params[key]}`)
+    .join("");
+  const signature = crypto.createHmac("sha256", process.env.SHOPIFY_API_SECRET).update(message).digest("hex");
+  return { ...params, signature };
+}
+
+const params = {
+  shop: "test-shop.myshopify.com",
+  path_prefix: "/apps/shop-by-specs",
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  extra: ["1", "2"],
+};
+
+test("accepts a query signed with the app's secret", () => {
+  assert.equal(isValidProxySignature(sign(params)), true);
+});
+
+test("rejects a tampered or unsigned query", () => {
+  assert.equal(isValidProxySignature({ ...sign(params), shop: "other-shop.myshopify.com" }), false);
+  assert.equal(isValidProxySignature(params), false);
+  assert.equal(isValidProxySignature({ ...params, signature: "abc" }), false);
+});
+
+test("rejects a signed query replayed outside the time window", () => {
+  const signed = sign(params);
+  const signedAt = Number(params.timestamp) * 1000;
+
+  assert.equal(isValidProxySignature(signed, signedAt + 60 * 1000), true);
+  assert.equal(isValidProxySignature(signed, signedAt + 10 * 60 * 1000), false);
+  assert.equal(isValidProxySignature(signed, signedAt - 10 * 60 * 1000), false);
+  assert.equal(isValidProxySignature(sign({ ...params, timestamp: undefined })), false);
+});
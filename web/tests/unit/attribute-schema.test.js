@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { graphqlRule } = require("./setup");
+
+const collectionGenerator = require("../../collection-generator");
+
+test("extracts the schema's attributes from a product, reading metafields by key or alias", () => {
+  const attributes = collectionGenerator.extractProductAttributes({
+    vendor: "Genie",
+    productType: "Boom Lift",
+    metafields: [
+      { namespace: "custom", key: "Condition", value: "Used" },
+      { namespace: "custom", key: "size", value: "60ft" },
+      { namespace: "other", key: "fuel_type", value: "Diesel" },
+    ],
+  });
+
+  assert.deepEqual(attributes, {
+    product_type: "Boom Lift",
+    vendor: "Genie",
+    size_item: "60ft",
+    condition: "Used",
+    fuel_type: "",
+  });
+});
+
+test("orders titles and handles by the schema's positions and builds one rule per attribute", () => {
+  const details = collectionGenerator.createCollectionDetails(
+    { product_type: "Boom Lift", vendor: "Genie", condition: "Used" },
+    { condition: "7" }
+  );
+
+  assert.equal(details.title, "Used Genie Boom Lift");
+  assert.equal(details.handle, "used-genie-boom-lift");
+  assert.deepEqual(details.rules, [
+    { column: "product_metafield_definition", relation: "equals", condition: "Used", condition_object_id: "7" },
+    { column: "vendor", relation: "equals", condition: "Genie" },
+    { column: "type", relation: "equals", condition: "Boom Lift" },
+  ]);
+});
+
+test("parses a collection's attributes back from its rules", async () => {
+  const attributes = await collectionGenerator.parseCollectionAttributes(
+    {
+      handle: "used-genie-boom-lift",
+      ruleSet: {
+        rules: [graphqlRule("VENDOR", "Genie"), graphqlRule("TYPE", "Boom Lift"), graphqlRule("PRODUCT_METAFIELD_DEFINITION", "Used", 7)],
+      },
+    },
+    { condition: "7" }
+  );
+
+  assert.deepEqual(attributes, {
+    product_type: "Boom Lift",
+    vendor: "Genie",
+    size_item: "",
+    condition: "Used",
+    fuel_type: "",
+  });
+});
@@ -0,0 +1,102 @@
+const { test, mock, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const collectionGenerator = require("../../collection-generator");
+const { productQueue } = require("../../product-queue");
+const backfillJobs = require("../../backfill-jobs");
+
+after(() => new Promise((resolve) => productQueue.destroy(resolve)));
+afterEach(() => mock.restoreAll());
+
+const inShop = (fn) => shops.runWithShop(TEST_SHOP, fn);
+
+const productsPage = (ids, { hasNextPage = false, endCursor = null } = {}) => ({
+  products: {
+    edges: ids.map((id) => ({ node: { id: `gid://shopify/Product/${id}` } })),
+    pageInfo: { hasNextPage, endCursor },
+  },
+});
+
+/**
+ * Wait for a job to reach a status
+ * @param {String} jobId - Job ID
+ * @param {String} status - Expected status
+ * @returns {Object} The job
+ */
+async function waitForJob(jobId, status) {
+  for (let attempt = 0; attempt < 300; attempt++) {
+    const job = await inShop(() => backfillJobs.getJob(jobId));
+    if (job.status === status) return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.fail(`Job ${jobId} never became ${status}`);
+}
+
+test("completes a paged job once its queued products are processed, not once they are queued", async () => {
+  mock.method(shopifyApi, "getProductsGraphQL", async () => productsPage(["11", "12"]));
+  mock.method(collectionGenerator, "processProduct", async () => ({ collectionsCreated: 1 }));
+
+  productQueue.pause();
+  const { id } = await inShop(() => backfillJobs.startBackfillJob());
+
+  const processing = await waitForJob(id, "processing");
+  assert.equal(processing.productsQueued, 2);
+  assert.equal(processing.productsProcessed, 0);
+
+  productQueue.resume();
+  const completed = await waitForJob(id, "completed");
+  assert.equal(completed.productsProcessed, 2);
+  assert.equal(completed.collectionsCreated, 2);
+});
+
+test("a cancelled job stops scanning and resumes from its last cursor", async () => {
+  let jobId;
+  const getProducts = mock.method(shopifyApi, "getProductsGraphQL", async () => {
+    await inShop(() => backfillJobs.cancelJob(jobId));
+    return productsPage(["21"], { hasNextPage: true, endCursor: "cursor-1" });
+  });
+  mock.method(collectionGenerator, "processProduct", async () => ({ collectionsCreated: 0 }));
+
+  ({ id: jobId } = await inShop(() => backfillJobs.startBackfillJob()));
+  // Let the job see the cancellation after its page
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  const cancelled = await inShop(() => backfillJobs.getJob(jobId));
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(cancelled.endCursor, "cursor-1");
+  assert.equal(getProducts.mock.callCount(), 1);
+
+  getProducts.mock.mockImplementation(async () => productsPage(["22"]));
+  const resumed = await inShop(() => backfillJobs.resumeJob(jobId));
+  assert.equal(resumed.status, "running");
+
+  const completed = await waitForJob(jobId, "completed");
+  assert.equal(getProducts.mock.calls[1].arguments[0], "cursor-1");
+  assert.equal(completed.productsQueued, 2);
+  assert.equal(completed.productsProcessed, 2);
+});
+
+test("a job resumed while its cancelled run is still stopping runs again", async () => {
+  let jobId;
+  let resumed;
+  const operation = { id: "gid://shopify/BulkOperation/1", status: "CREATED", url: null, objectCount: "0" };
+  mock.method(shopifyApi, "runBulkProductExport", async () => operation);
+  mock.method(shopifyApi, "getBulkOperation", async () => ({ ...operation, status: "COMPLETED" }));
+  // The cancelled run is still active while it cancels its bulk operation
+  const cancelOperation = mock.method(shopifyApi, "cancelBulkOperation", async () => {
+    resumed = await inShop(() => backfillJobs.resumeJob(jobId));
+  });
+  mock.method(collectionGenerator, "createMissingCollections", async () => (
+    { created: 0, existing: 0, belowMinimum: 0, failed: 0 }
+  ));
+
+  ({ id: jobId } = await inShop(() => backfillJobs.startBackfillJob("bulk")));
+  await inShop(() => backfillJobs.cancelJob(jobId));
+
+  await waitForJob(jobId, "completed");
+  assert.equal(cancelOperation.mock.callCount(), 1);
+  assert.equal(resumed.status, "running");
+});
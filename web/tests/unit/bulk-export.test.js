@@ -0,0 +1,79 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+require("./setup");
+
+const axios = require("axios");
+const { readBulkProducts } = require("../../bulk-export");
+
+/**
+ * Serve a bulk operation result file from memory
+ * @param {Array} objects - JSONL lines as objects
+ */
+function serveResultFile(objects) {
+  const body = objects.map((object) => JSON.stringify(object)).join("\n") + "\n\n";
+  mock.method(axios, "get", async () => ({ data: Readable.from([body]) }));
+}
+
+test("groups metafield lines under the product before them", async () => {
+  serveResultFile([
+    { id: "gid://shopify/Product/1", title: "Lift A", productType: "Boom Lift", vendor: "Genie" },
+    { namespace: "custom", key: "condition", value: "Used", __parentId: "gid://shopify/Product/1" },
+    { id: "gid://shopify/Product/2", title: "Lift B", productType: "Scissor Lift", vendor: "JLG" },
+    { namespace: "custom", key: "size_item", value: "40ft", __parentId: "gid://shopify/Product/2" },
+    { namespace: "custom", key: "condition", value: "New", __parentId: "gid://shopify/Product/2" },
+  ]);
+
+  const products = [];
+  for await (const product of readBulkProducts("https://example.com/result.jsonl")) {
+    products.push(product);
+  }
+
+  assert.deepEqual(products, [
+    {
+      id: "gid://shopify/Product/1",
+      title: "Lift A",
+      productType: "Boom Lift",
+      product_type: "Boom Lift",
+      vendor: "Genie",
+      metafields: [{ namespace: "custom", key: "condition", value: "Used" }],
+    },
+    {
+      id: "gid://shopify/Product/2",
+      title: "Lift B",
+      productType: "Scissor Lift",
+      product_type: "Scissor Lift",
+      vendor: "JLG",
+      metafields: [
+        { namespace: "custom", key: "size_item", value: "40ft" },
+        { namespace: "custom", key: "condition", value: "New" },
+      ],
+    },
+  ]);
+});
+
+test("drops metafields whose product isn't the current one", async () => {
+  serveResultFile([
+    { namespace: "custom", key: "condition", value: "Used", __parentId: "gid://shopify/Product/9" },
+    { id: "gid://shopify/Product/1", title: "Lift A", productType: "Boom Lift", vendor: "Genie" },
+    { namespace: "custom", key: "condition", value: "New", __parentId: "gid://shopify/Product/9" },
+  ]);
+
+  const products = [];
+  for await (const product of readBulkProducts("https://example.com/result.jsonl")) {
+    products.push(product);
+  }
+
+  assert.equal(products.length, 1);
+  assert.deepEqual(products[0].metafields, []);
+});
+
+test("yields nothing for an empty file", async () => {
+  serveResultFile([]);
+
+  const products = [];
+  for await (const product of readBulkProducts("https://example.com/result.jsonl")) {
+    products.push(product);
+  }
+  assert.deepEqual(products, []);
+});
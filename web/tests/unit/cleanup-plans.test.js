@@ -0,0 +1,79 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP, graphqlRule, attributesMetafield } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const cleanupPlans = require("../../cleanup-plans");
+
+const RULES = [graphqlRule("VENDOR", "Genie"), graphqlRule("TYPE", "Boom Lift")];
+const ATTRIBUTES = attributesMetafield({ vendor: "Genie", product_type: "Boom Lift" });
+const COLLECTIONS = [
+  { id: "gid://shopify/Collection/1", title: "Genie Boom Lift", handle: "genie-boom-lift", ruleSet: { rules: RULES }, attributesMetafield: ATTRIBUTES },
+  { id: "gid://shopify/Collection/2", title: "Genie Boom Lift", handle: "genie-boom-lift-1", ruleSet: { rules: RULES }, attributesMetafield: ATTRIBUTES },
+];
+
+afterEach(() => mock.restoreAll());
+
+const inShop = (fn) => shops.runWithShop(TEST_SHOP, fn);
+
+test("applies a pending plan once", async () => {
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => COLLECTIONS);
+  mock.method(shopifyApi, "deleteSmartCollection", async () => true);
+  mock.method(global, "setTimeout", (fn) => setImmediate(fn));
+
+  const plan = await inShop(() => cleanupPlans.createCleanupPlan());
+  const applied = await inShop(() => cleanupPlans.applyCleanupPlan(plan.id));
+
+  assert.equal(applied.status, "applied");
+  assert.deepEqual(applied.result.deleted, ["gid://shopify/Collection/2"]);
+
+  await assert.rejects(inShop(() => cleanupPlans.applyCleanupPlan(plan.id)), cleanupPlans.CleanupPlanConflictError);
+});
+
+test("refuses to exclude groups the plan doesn't have", async () => {
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => COLLECTIONS);
+
+  const plan = await inShop(() => cleanupPlans.createCleanupPlan());
+  await assert.rejects(
+    inShop(() => cleanupPlans.applyCleanupPlan(plan.id, { excludeGroups: ["not-a-group"] })),
+    cleanupPlans.CleanupPlanConflictError
+  );
+  assert.equal((await inShop(() => cleanupPlans.getCleanupPlan(plan.id))).status, "pending");
+});
+
+test("reports Shopify failures as they are and leaves the plan pending", async () => {
+  const fetchCollections = mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => COLLECTIONS);
+  const plan = await inShop(() => cleanupPlans.createCleanupPlan());
+
+  fetchCollections.mock.mockImplementation(async () => {
+    throw new Error("Shopify responded with HTTP 503");
+  });
+
+  await assert.rejects(inShop(() => cleanupPlans.applyCleanupPlan(plan.id)), (error) => {
+    assert.equal(error instanceof cleanupPlans.CleanupPlanConflictError, false);
+    assert.match(error.message, /HTTP 503/);
+    return true;
+  });
+  assert.equal((await inShop(() => cleanupPlans.getCleanupPlan(plan.id))).status, "pending");
+});
+
+test("leaves collections whose rules changed after the plan was made", async () => {
+  const fetchCollections = mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => COLLECTIONS);
+  const deleteCollection = mock.method(shopifyApi, "deleteSmartCollection", async () => true);
+
+  const plan = await inShop(() => cleanupPlans.createCleanupPlan());
+
+  // A merchandiser narrowed the duplicate down to used boom lifts in the meantime
+  const [kept, duplicate] = COLLECTIONS;
+  fetchCollections.mock.mockImplementation(async () => [
+    kept,
+    { ...duplicate, ruleSet: { rules: [...RULES, graphqlRule("PRODUCT_METAFIELD_DEFINITION", "Used", 1)] } },
+  ]);
+
+  const applied = await inShop(() => cleanupPlans.applyCleanupPlan(plan.id));
+
+  assert.deepEqual(applied.result.changed, ["gid://shopify/Collection/2"]);
+  assert.deepEqual(applied.result.deleted, []);
+  assert.equal(deleteCollection.mock.callCount(), 0);
+});
@@ -0,0 +1,54 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const collectionIndex = require("../../collection-index");
+const { ShopifyApiError } = require("../../shopify-client");
+
+const COLLECTION = { id: "gid://shopify/Collection/1", title: "Genie", handle: "genie", ruleSet: { rules: [] } };
+
+afterEach(() => mock.restoreAll());
+
+const inShop = (fn) => shops.runWithShop(TEST_SHOP, fn);
+
+/**
+ * Stub the metafield definitions and smart collections the index is built from
+ * @param {Function} fetchCollections - Stand-in for getExistingSmartCollectionsGraphQL
+ */
+function stubBuild(fetchCollections) {
+  mock.method(shopifyApi, "runGraphQLQuery", async () => ({ metafieldDefinitions: { edges: [] } }));
+  return mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", fetchCollections);
+}
+
+test("keeps a cold index cold when its build fails, and builds it on the next request", async () => {
+  stubBuild(async () => {
+    throw new ShopifyApiError("Shopify responded with HTTP 503", { status: 503 });
+  });
+
+  await assert.rejects(inShop(() => collectionIndex.lookupCollections(["genie"])), /HTTP 503/);
+  assert.equal(inShop(() => collectionIndex.getIndexStatus()).builtAt, null);
+
+  mock.restoreAll();
+  const fetchCollections = stubBuild(async () => [COLLECTION]);
+
+  const entries = await inShop(() => collectionIndex.lookupCollections(["genie"]));
+  assert.deepEqual(entries.map((entry) => entry.handle), ["genie"]);
+  assert.equal(fetchCollections.mock.callCount(), 1);
+  assert.notEqual(inShop(() => collectionIndex.getIndexStatus()).builtAt, null);
+});
+
+test("remembers handles Shopify doesn't know, but not failed lookups", async () => {
+  const lookup = mock.method(shopifyApi, "getCollectionsByHandles", async () => {
+    throw new ShopifyApiError("Shopify responded with HTTP 503", { status: 503 });
+  });
+
+  await assert.rejects(inShop(() => collectionIndex.lookupCollections(["parts"])), /HTTP 503/);
+
+  lookup.mock.mockImplementation(async (handles) => new Map(handles.map((handle) => [handle, null])));
+  assert.deepEqual(await inShop(() => collectionIndex.lookupCollections(["parts"])), []);
+  assert.deepEqual(await inShop(() => collectionIndex.lookupCollections(["parts"])), []);
+
+  assert.equal(lookup.mock.callCount(), 2);
+});
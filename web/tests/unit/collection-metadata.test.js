@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { graphqlRule, attributesMetafield } = require("./setup");
+
+const collectionMetadata = require("../../collection-metadata");
+const collectionGenerator = require("../../collection-generator");
+
+test("writes the canonical attributes and the generator version in the app's namespace", () => {
+  const metafield = collectionMetadata.toCollectionMetafield({ vendor: "Genie", product_type: "Boom Lift", condition: "" });
+
+  assert.equal(metafield.namespace, collectionMetadata.COLLECTION_METAFIELD_NAMESPACE);
+  assert.equal(metafield.type, "json");
+  assert.deepEqual(JSON.parse(metafield.value), {
+    version: collectionMetadata.GENERATOR_VERSION,
+    attributes: { vendor: "Genie", product_type: "Boom Lift" },
+  });
+});
+
+test("reads back what it wrote, and treats unreadable metafields as unmarked", () => {
+  const collection = { id: "gid://shopify/Collection/1", attributesMetafield: attributesMetafield({ product_type: "Boom Lift" }) };
+  assert.deepEqual(collectionMetadata.readCollectionMetadata(collection), {
+    version: 1,
+    attributes: { product_type: "Boom Lift" },
+  });
+  assert.equal(collectionMetadata.isGeneratedCollection(collection), true);
+
+  for (const value of ["not json", "null", JSON.stringify({ version: 1 })]) {
+    assert.equal(collectionMetadata.isGeneratedCollection({ id: "gid://shopify/Collection/2", attributesMetafield: { value } }), false);
+  }
+  assert.equal(collectionMetadata.isGeneratedCollection({ id: "gid://shopify/Collection/3", attributesMetafield: null }), false);
+});
+
+test("takes a generated collection's attributes from its metafield rather than its rules", async () => {
+  const attributes = await collectionGenerator.parseCollectionAttributes(
+    {
+      handle: "genie-boom-lift",
+      ruleSet: { rules: [graphqlRule("VENDOR", "Genie"), graphqlRule("TYPE", "Boom Lift")] },
+      attributesMetafield: attributesMetafield({ vendor: "Genie", product_type: "Boom Lift", fuel_type: "Diesel" }),
+    },
+    {}
+  );
+
+  assert.equal(attributes.fuel_type, "Diesel");
+  assert.equal(attributes.vendor, "Genie");
+});
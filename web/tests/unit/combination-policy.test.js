@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./setup");
+
+// A policy of its own, so the tests don't follow edits to the shipped one
+const policyPath = path.join(DATA_DIR, "combination-policy.json");
+fs.writeFileSync(policyPath, JSON.stringify({
+  maxDepth: 3,
+  requires: { size_item: ["vendor"] },
+  deny: [["condition", "fuel_type"]],
+}));
+process.env.COMBINATION_POLICY_PATH = policyPath;
+
+const combinationPolicy = require("../../combination-policy");
+
+test("allows combinations within the policy", () => {
+  assert.equal(combinationPolicy.isCombinationAllowed({ product_type: "Boom Lift", vendor: "Genie" }), true);
+  assert.equal(combinationPolicy.isCombinationAllowed({ product_type: "Boom Lift", vendor: "Genie", size_item: "40ft" }), true);
+});
+
+test("counts required attributes towards the maximum depth", () => {
+  const violations = combinationPolicy.getPolicyViolations({
+    product_type: "Boom Lift",
+    vendor: "Genie",
+    size_item: "40ft",
+    condition: "Used",
+  });
+  assert.deepEqual(violations, ["has 4 attributes, more than the maximum of 3"]);
+});
+
+test("requires companion attributes", () => {
+  assert.deepEqual(
+    combinationPolicy.getPolicyViolations({ product_type: "Boom Lift", size_item: "40ft" }),
+    ["size_item requires vendor"]
+  );
+});
+
+test("denies exact groupings of optional attributes only", () => {
+  assert.deepEqual(
+    combinationPolicy.getPolicyViolations({ product_type: "Boom Lift", condition: "Used", fuel_type: "Diesel" }),
+    ["condition + fuel_type is denied"]
+  );
+  assert.equal(combinationPolicy.isCombinationAllowed({ product_type: "Boom Lift", condition: "Used" }), true);
+});
+
+test("ignores attributes without a value", () => {
+  assert.equal(
+    combinationPolicy.isCombinationAllowed({ product_type: "Boom Lift", condition: "Used", fuel_type: "" }),
+    true
+  );
+});
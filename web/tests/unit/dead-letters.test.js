@@ -0,0 +1,29 @@
+const { test, mock, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const collectionGenerator = require("../../collection-generator");
+const { productQueue, queueProduct, queueEvents } = require("../../product-queue");
+const deadLetters = require("../../dead-letters");
+
+after(() => new Promise((resolve) => productQueue.destroy(resolve)));
+
+test("records the attempts the queue actually made at a failed product", async () => {
+  const processProduct = mock.method(collectionGenerator, "processProduct", async () => {
+    throw new Error("Shopify responded with HTTP 503");
+  });
+  const failed = new Promise((resolve) => queueEvents.once("failed", resolve));
+
+  await shops.runWithShop(TEST_SHOP, () => queueProduct("2"));
+  await failed;
+  // Let the dead-letter listener write the record
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const letter = (await shops.runWithShop(TEST_SHOP, () => deadLetters.listDeadLetters()))
+    .find(({ productId }) => productId === "gid://shopify/Product/2");
+  assert.equal(processProduct.mock.callCount(), 3);
+  assert.equal(letter.attempts, 3);
+  assert.equal(letter.error, "Shopify responded with HTTP 503");
+  processProduct.mock.restore();
+});
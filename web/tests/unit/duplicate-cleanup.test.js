@@ -0,0 +1,113 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { graphqlRule, attributesMetafield } = require("./setup");
+
+const shopifyApi = require("../../shopify-api");
+const collectionGenerator = require("../../collection-generator");
+
+const GENIE_BOOM_LIFT = [graphqlRule("VENDOR", "Genie"), graphqlRule("TYPE", "Boom Lift")];
+const GENIE_BOOM_LIFT_ATTRIBUTES = { vendor: "Genie", product_type: "Boom Lift" };
+
+/**
+ * Build a smart collection as GraphQL returns it
+ * @param {Number} id - Numeric collection ID
+ * @param {String} handle - Handle, also used as title
+ * @param {Array} rules - Rules
+ * @param {Object} [attributes] - Attributes of a generated collection
+ * @returns {Object} Collection
+ */
+function collection(id, handle, rules, attributes = null) {
+  return {
+    id: `gid://shopify/Collection/${id}`,
+    title: handle,
+    handle,
+    ruleSet: { appliedDisjunctively: false, rules },
+    attributesMetafield: attributes ? attributesMetafield(attributes) : null,
+  };
+}
+
+const summarizePlan = (groups) =>
+  groups.map((group) => ({
+    keep: group.keep.handle,
+    delete: group.delete.map((collection) => collection.handle),
+    manual: group.manual.map((collection) => collection.handle),
+  }));
+
+test("keeps the oldest generated collection of a generated-only group", () => {
+  const groups = collectionGenerator.planDuplicateCleanup([
+    collection(12, "genie-boom-lift-1", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+    collection(3, "genie-boom-lift", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+  ]);
+  assert.deepEqual(summarizePlan(groups), [{ keep: "genie-boom-lift", delete: ["genie-boom-lift-1"], manual: [] }]);
+});
+
+test("keeps a hand-made collection and only deletes generated ones", () => {
+  const groups = collectionGenerator.planDuplicateCleanup([
+    collection(1, "genie-boom-lift", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+    collection(5, "genie-boom-lifts-for-sale", GENIE_BOOM_LIFT),
+    collection(6, "genie-boom-lift-deals", GENIE_BOOM_LIFT),
+  ]);
+  assert.deepEqual(summarizePlan(groups), [
+    { keep: "genie-boom-lifts-for-sale", delete: ["genie-boom-lift"], manual: ["genie-boom-lift-deals"] },
+  ]);
+});
+
+test("groups generated collections with the same attributes but different rules", () => {
+  const groups = collectionGenerator.planDuplicateCleanup([
+    collection(1, "genie-boom-lift", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+    collection(2, "genie-boom-lift-1", [...GENIE_BOOM_LIFT, graphqlRule("TAG", "x")], GENIE_BOOM_LIFT_ATTRIBUTES),
+  ]);
+  assert.deepEqual(summarizePlan(groups), [{ keep: "genie-boom-lift", delete: ["genie-boom-lift-1"], manual: [] }]);
+});
+
+test("leaves groups of hand-made collections alone", () => {
+  const groups = collectionGenerator.planDuplicateCleanup([
+    collection(1, "jlg", [graphqlRule("VENDOR", "JLG")]),
+    collection(2, "jlg-lifts", [graphqlRule("VENDOR", "JLG")]),
+  ]);
+  assert.deepEqual(groups, []);
+});
+
+test("follows keep and skip preferences", () => {
+  const collections = [
+    collection(1, "genie-boom-lift", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+    collection(2, "genie-boom-lift-1", GENIE_BOOM_LIFT, GENIE_BOOM_LIFT_ATTRIBUTES),
+  ];
+  const [group] = collectionGenerator.planDuplicateCleanup(collections);
+
+  const kept = collectionGenerator.planDuplicateCleanup(collections, { [group.id]: { keep: "genie-boom-lift-1" } });
+  assert.deepEqual(summarizePlan(kept), [{ keep: "genie-boom-lift-1", delete: ["genie-boom-lift"], manual: [] }]);
+
+  assert.deepEqual(collectionGenerator.planDuplicateCleanup(collections, { [group.id]: { delete: false } }), []);
+});
+
+test("refuses to delete hand-made collections", async () => {
+  const deleteSmartCollection = mock.method(shopifyApi, "deleteSmartCollection", async () => true);
+
+  const result = await collectionGenerator.deleteCollections([
+    collection(5, "genie-boom-lifts-for-sale", GENIE_BOOM_LIFT),
+  ]);
+
+  assert.deepEqual(result, { deleted: [], failed: [], refused: ["gid://shopify/Collection/5"] });
+  assert.equal(deleteSmartCollection.mock.callCount(), 0);
+});
+
+test("marks only the collections that look generated and were confirmed", async () => {
+  mock.method(shopifyApi, "runGraphQLQuery", async () => ({ metafieldDefinitions: { edges: [] } }));
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => [
+    collection(1, "genie-boom-lift", GENIE_BOOM_LIFT),
+    collection(2, "jlg-boom-lift", [graphqlRule("VENDOR", "JLG"), graphqlRule("TYPE", "Boom Lift")]),
+  ]);
+  const setMetafields = mock.method(shopifyApi, "setCollectionMetafields", async () => true);
+
+  const dryRun = await collectionGenerator.backfillCollectionMetadata({ dryRun: true });
+  assert.deepEqual(dryRun.marked.map((candidate) => candidate.handle), ["genie-boom-lift", "jlg-boom-lift"]);
+  assert.equal(setMetafields.mock.callCount(), 0);
+
+  const result = await collectionGenerator.backfillCollectionMetadata({ confirmed: ["genie-boom-lift"] });
+  assert.deepEqual(result.marked.map((marked) => marked.handle), ["genie-boom-lift"]);
+  assert.deepEqual(result.unconfirmed.map((candidate) => candidate.handle), ["jlg-boom-lift"]);
+  assert.deepEqual(setMetafields.mock.calls.map((call) => call.arguments[0]), ["gid://shopify/Collection/1"]);
+
+  mock.restoreAll();
+});
@@ -0,0 +1,65 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP, attributesMetafield } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const collectionGenerator = require("../../collection-generator");
+const flaggedCollections = require("../../flagged-collections");
+const { ShopifyApiError } = require("../../shopify-client");
+
+afterEach(() => mock.restoreAll());
+
+const inShop = (fn) => shops.runWithShop(TEST_SHOP, fn);
+
+/**
+ * Build a smart collection as getExistingSmartCollectionsGraphQL returns it
+ * @param {Number} id - Numeric collection ID
+ * @param {Number} count - Number of products in the collection
+ * @param {Boolean} [generated] - Whether the app generated it
+ * @returns {Object} Collection
+ */
+function collection(id, count, generated = true) {
+  return {
+    id: `gid://shopify/Collection/${id}`,
+    title: `Collection ${id}`,
+    handle: `collection-${id}`,
+    productsCount: { count },
+    attributesMetafield: generated ? attributesMetafield({ vendor: `Vendor ${id}` }) : null,
+  };
+}
+
+test("stores the flags and unflags collections that have products again or are gone", async () => {
+  const fetchCollections = mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => [
+    collection(1, 0),
+    collection(2, 0),
+    collection(3, 4),
+  ]);
+
+  const flagged = await inShop(() => collectionGenerator.flagSmallCollections());
+  assert.deepEqual(flagged.map((entry) => entry.id), ["gid://shopify/Collection/1", "gid://shopify/Collection/2"]);
+
+  fetchCollections.mock.mockImplementation(async () => [collection(1, 0), collection(3, 4)]);
+  await inShop(() => collectionGenerator.flagSmallCollections());
+
+  const stored = await inShop(() => flaggedCollections.listFlaggedCollections());
+  assert.deepEqual(stored.map((entry) => [entry.id, entry.productCount]), [["gid://shopify/Collection/1", 0]]);
+  assert.equal(stored[0].flaggedAt, flagged[0].flaggedAt);
+});
+
+test("leaves hand-made collections unflagged, however few products they have", async () => {
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => [collection(4, 0, false), collection(5, 0)]);
+
+  const flagged = await inShop(() => collectionGenerator.flagSmallCollections());
+  assert.deepEqual(flagged.map((entry) => entry.id), ["gid://shopify/Collection/5"]);
+});
+
+test("fails without touching the flags when the collections can't be fetched", async () => {
+  const before = await inShop(() => flaggedCollections.listFlaggedCollections());
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => {
+    throw new ShopifyApiError("Shopify responded with HTTP 503", { status: 503 });
+  });
+
+  await assert.rejects(inShop(() => collectionGenerator.flagSmallCollections()), /HTTP 503/);
+  assert.deepEqual(await inShop(() => flaggedCollections.listFlaggedCollections()), before);
+});
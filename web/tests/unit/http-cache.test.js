@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./setup");
+
+const express = require("express");
+const { cacheStorefrontResponse, computeEtag } = require("../../http-cache");
+
+/**
+ * Run requests against an app answering with cacheStorefrontResponse
+ * @param {Function} handler - Route handler
+ * @param {Function} fn - Receives the base URL of the app
+ * @returns {*} Result of fn
+ */
+async function withApp(handler, fn) {
+  const app = express();
+  app.get("/related-collections/:handle", cacheStorefrontResponse(), handler);
+
+  const server = app.listen(0);
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Headers of a browser revalidating a cached response. fetch would otherwise add
+ * Cache-Control: no-cache to a conditional request, which is never answered with a 304.
+ * @param {String} etag - ETag of the cached response
+ * @returns {Object} Request headers
+ */
+const revalidate = (etag) => ({ "If-None-Match": etag, "Cache-Control": "max-age=0" });
+
+test("answers 304 when If-None-Match matches the content's ETag", async () => {
+  const collections = [{ handle: "genie-boom-lift" }];
+
+  await withApp((req, res) => res.json(collections), async (baseUrl) => {
+    const first = await fetch(`${baseUrl}/related-collections/genie`);
+    const etag = first.headers.get("etag");
+    assert.equal(first.status, 200);
+    assert.equal(etag, computeEtag(JSON.stringify(collections)));
+    assert.match(first.headers.get("cache-control"), /^public, max-age=\d+, stale-while-revalidate=\d+$/);
+    assert.match(first.headers.get("vary"), /X-Shopify-Shop-Domain/);
+    assert.deepEqual(await first.json(), collections);
+
+    const second = await fetch(`${baseUrl}/related-collections/genie`, { headers: revalidate(etag) });
+    assert.equal(second.status, 304);
+    assert.equal(await second.text(), "");
+  });
+});
+
+test("sends the full response once the content changes", async () => {
+  let collections = [{ handle: "genie-boom-lift" }];
+
+  await withApp((req, res) => res.json(collections), async (baseUrl) => {
+    const etag = (await fetch(`${baseUrl}/related-collections/genie`)).headers.get("etag");
+
+    collections = [...collections, { handle: "genie-scissor-lift" }];
+    const response = await fetch(`${baseUrl}/related-collections/genie`, { headers: revalidate(etag) });
+    assert.equal(response.status, 200);
+    assert.notEqual(response.headers.get("etag"), etag);
+    assert.deepEqual(await response.json(), collections);
+  });
+});
+
+test("doesn't cache errors", async () => {
+  await withApp((req, res) => res.status(500).json({ success: false, error: "boom" }), async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/related-collections/genie`);
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+  });
+});
@@ -0,0 +1,61 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const crypto = require("crypto");
+const shops = require("../../shops");
+const oauth = require("../../oauth");
+const { productQueue, queueProduct, getQueueStats } = require("../../product-queue");
+
+after(() => new Promise((resolve) => productQueue.destroy(resolve)));
+
+const INSTALLED_SHOP = "installed-shop.myshopify.com";
+
+/**
+ * Sign a callback query the way Shopify does
+ * @param {Object} params - Query parameters without the HMAC
+ * @param {String} secret - API secret
+ * @returns {Object} Query with its HMAC
+ */
+function signQuery(params, secret) {
+  const message = Object.keys(params).sort().map((key) => `${key}=${params[key]}`).join("&");
+  return { ...params, hmac: crypto.createHmac("sha256", secret).update(message).digest("hex") };
+}
+
+test("accepts only callbacks signed with the app's API secret", () => {
+  const params = { code: "abc", shop: INSTALLED_SHOP, state: "1234", timestamp: "1700000000" };
+
+  assert.equal(oauth.isValidOAuthHmac(signQuery(params, process.env.SHOPIFY_API_SECRET)), true);
+  assert.equal(oauth.isValidOAuthHmac(signQuery(params, "another-secret")), false);
+  assert.equal(
+    oauth.isValidOAuthHmac({ ...signQuery(params, process.env.SHOPIFY_API_SECRET), shop: "evil.myshopify.com" }),
+    false
+  );
+  assert.equal(oauth.isValidOAuthHmac(params), false);
+});
+
+test("accepts an install's state once, and only for its shop", async () => {
+  const { url, state } = await oauth.createInstallUrl(INSTALLED_SHOP, "https://app.example.com/auth/callback");
+  assert.equal(new URL(url).searchParams.get("state"), state);
+
+  assert.equal(await oauth.consumeOAuthState(state, "evil.myshopify.com"), false);
+  assert.equal(await oauth.consumeOAuthState(state, INSTALLED_SHOP), true);
+  assert.equal(await oauth.consumeOAuthState(state, INSTALLED_SHOP), false);
+});
+
+test("uninstalling forgets the shop's token and drops only its pending products", async () => {
+  await shops.saveShop(INSTALLED_SHOP, "installed-token");
+
+  productQueue.pause();
+  queueProduct("1", { shop: INSTALLED_SHOP });
+  queueProduct("2", { shop: INSTALLED_SHOP });
+  queueProduct("3", { shop: TEST_SHOP });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const result = await oauth.uninstallShop(INSTALLED_SHOP);
+  assert.deepEqual(result, { tokenRemoved: true, tasksCancelled: 2, jobsCancelled: 0 });
+  assert.equal(await shops.getShop(INSTALLED_SHOP), null);
+
+  const stats = await shops.runWithShop(TEST_SHOP, () => getQueueStats());
+  assert.equal(stats.lanes.manual, 1);
+});
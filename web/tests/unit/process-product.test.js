@@ -0,0 +1,107 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP, graphqlRule } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const collectionGenerator = require("../../collection-generator");
+const { ShopifyApiError } = require("../../shopify-client");
+
+const PRODUCT = {
+  id: "gid://shopify/Product/1",
+  title: "Genie S-45",
+  productType: "Boom Lift",
+  product_type: "Boom Lift",
+  vendor: "Genie",
+  metafields: [],
+};
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stub the Shopify reads processProduct makes
+ * @param {Object} [product] - Product returned by getProductByIdGraphQL
+ */
+function stubCatalog(product = PRODUCT) {
+  mock.method(shopifyApi, "getProductByIdGraphQL", async () => product);
+  mock.method(shopifyApi, "runGraphQLQuery", async () => ({ metafieldDefinitions: { edges: [] } }));
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => []);
+}
+
+test("fails with Shopify's error when a collection can't be created, so the queue retries it", async () => {
+  stubCatalog();
+  mock.method(shopifyApi, "createSmartCollectionGraphQL", async () => {
+    throw new ShopifyApiError("collectionCreate failed: Handle has already been taken", {
+      userErrors: [{ field: ["input", "handle"], message: "Handle has already been taken" }],
+    });
+  });
+
+  await assert.rejects(
+    shops.runWithShop(TEST_SHOP, () => collectionGenerator.processProduct(PRODUCT.id)),
+    (error) => error instanceof ShopifyApiError && error.userErrors.length === 1
+  );
+});
+
+test("creates nothing when the existing collections can't be fetched", async () => {
+  stubCatalog();
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => {
+    throw new ShopifyApiError("Shopify responded with HTTP 503", { status: 503 });
+  });
+  const create = mock.method(shopifyApi, "createSmartCollectionGraphQL", async () => {
+    throw new Error("should not be called");
+  });
+
+  await assert.rejects(
+    shops.runWithShop(TEST_SHOP, () => collectionGenerator.processProduct(PRODUCT.id)),
+    (error) => error.status === 503
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("fails when the product can't be fetched", async () => {
+  mock.method(shopifyApi, "getProductByIdGraphQL", async () => {
+    throw new Error("Shopify responded with HTTP 503");
+  });
+
+  await assert.rejects(
+    shops.runWithShop(TEST_SHOP, () => collectionGenerator.processProduct(PRODUCT.id)),
+    /HTTP 503/
+  );
+});
+
+test("skips a product that no longer exists", async () => {
+  stubCatalog(null);
+  assert.equal(await shops.runWithShop(TEST_SHOP, () => collectionGenerator.processProduct(PRODUCT.id)), undefined);
+});
+
+test("previews the collections a product would create without creating them", async () => {
+  stubCatalog();
+  mock.method(shopifyApi, "getExistingSmartCollectionsGraphQL", async () => [{
+    id: "gid://shopify/Collection/9",
+    title: "Boom Lift",
+    handle: "boom-lift",
+    ruleSet: { appliedDisjunctively: false, rules: [graphqlRule("TYPE", "Boom Lift")] },
+  }]);
+  const createCollection = mock.method(shopifyApi, "createSmartCollectionGraphQL", async () => null);
+
+  const preview = await shops.runWithShop(TEST_SHOP, () => collectionGenerator.previewProduct(PRODUCT.id));
+
+  assert.deepEqual(
+    preview.combinations.map(({ handle, wouldCreate, existingCollection }) => ({
+      handle,
+      wouldCreate,
+      existing: existingCollection && existingCollection.handle,
+    })),
+    [
+      { handle: "boom-lift", wouldCreate: false, existing: "boom-lift" },
+      { handle: "genie-boom-lift", wouldCreate: true, existing: null },
+    ]
+  );
+  assert.equal(preview.toCreate, 1);
+  assert.equal(createCollection.mock.callCount(), 0);
+});
+
+test("previews nothing for a product that doesn't exist", async () => {
+  stubCatalog(null);
+  assert.equal(await shops.runWithShop(TEST_SHOP, () => collectionGenerator.previewProduct(PRODUCT.id)), null);
+});
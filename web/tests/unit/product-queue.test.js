@@ -0,0 +1,138 @@
+const { test, mock, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const collectionGenerator = require("../../collection-generator");
+const shops = require("../../shops");
+const productAttributes = require("../../product-attributes");
+const { productQueue, queueProduct, queueEvents, mergeTasks, getQueueStats } = require("../../product-queue");
+
+after(() => new Promise((resolve) => productQueue.destroy(resolve)));
+
+const backfillTask = { id: "gid://shopify/Product/1", shop: "a.myshopify.com", action: "process", jobId: "job-1", lane: "backfill" };
+const webhookTask = { id: "gid://shopify/Product/1", shop: "a.myshopify.com", action: "process", jobId: null, lane: "webhook" };
+
+test("a webhook push keeps the backfill job of the pending task", () => {
+  assert.deepEqual(mergeTasks(backfillTask, webhookTask), { ...webhookTask, jobId: "job-1", lane: "webhook" });
+});
+
+test("a backfill push into a pending webhook task keeps the faster lane", () => {
+  assert.deepEqual(mergeTasks(webhookTask, backfillTask), { ...backfillTask, lane: "webhook" });
+});
+
+test("the latest push's job wins when both tasks have one", () => {
+  assert.equal(mergeTasks(backfillTask, { ...backfillTask, jobId: "job-2" }).jobId, "job-2");
+});
+
+test("keeps a product pushed twice pending once, in the store on disk", async () => {
+  const processed = [];
+  mock.method(collectionGenerator, "processProduct", async (productId) => {
+    processed.push(productId);
+    return { collectionsCreated: 0 };
+  });
+
+  productQueue.pause();
+  queueProduct("50", { shop: TEST_SHOP });
+  queueProduct("50", { shop: TEST_SHOP });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const stats = await shops.runWithShop(TEST_SHOP, () => getQueueStats());
+  assert.deepEqual(stats.lanes, { webhook: 0, manual: 1, backfill: 0 });
+  assert.deepEqual(Object.keys(stats.throttle.graphql), ["available", "reserved", "maximum", "restoreRate"]);
+
+  const finished = new Promise((resolve) => queueEvents.once("processed", resolve));
+  productQueue.resume();
+  await finished;
+  assert.deepEqual(processed, ["gid://shopify/Product/50"]);
+});
+
+test("processes one product at a time, each once, however fast they are pushed", async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const processed = [];
+  const processProduct = mock.method(collectionGenerator, "processProduct", async (productId) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    processed.push(productId);
+    running--;
+    return { collectionsCreated: 0 };
+  });
+
+  const productIds = Array.from({ length: 12 }, (_, i) => String(100 + i));
+  const finished = new Promise((resolve) => {
+    const onProcessed = () => {
+      if (processed.length === productIds.length) {
+        queueEvents.off("processed", onProcessed);
+        resolve();
+      }
+    };
+    queueEvents.on("processed", onProcessed);
+  });
+
+  // Push in pairs at varying moments, so that some pushes land while a task is being taken
+  for (let i = 0; i < productIds.length; i += 2) {
+    queueProduct(productIds[i], { shop: TEST_SHOP });
+    await new Promise((resolve) => setTimeout(resolve, i % 7));
+    queueProduct(productIds[i + 1], { shop: TEST_SHOP });
+    for (let tick = 0; tick < i % 3; tick++) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  await finished;
+
+  assert.equal(maxRunning, 1);
+  assert.deepEqual([...processed].sort(), productIds.map((id) => `gid://shopify/Product/${id}`).sort());
+  assert.equal(processProduct.mock.callCount(), productIds.length);
+});
+
+test("shops take turns within a lane, behind every shop's webhooks", async () => {
+  const processed = [];
+  mock.method(collectionGenerator, "processProduct", async (productId) => {
+    processed.push(productId.split("/").pop());
+    return { collectionsCreated: 0 };
+  });
+
+  const pushes = [
+    ...["a1", "a2", "a3", "a4"].map((id) => [id, { shop: "a.myshopify.com", lane: "backfill" }]),
+    ...["b1", "b2"].map((id) => [id, { shop: "b.myshopify.com", lane: "backfill" }]),
+    ["b3", { shop: "b.myshopify.com", lane: "webhook" }],
+  ];
+  const finished = new Promise((resolve) => {
+    const onProcessed = () => {
+      if (processed.length === pushes.length) {
+        queueEvents.off("processed", onProcessed);
+        resolve();
+      }
+    };
+    queueEvents.on("processed", onProcessed);
+  });
+
+  productQueue.pause();
+  for (const [id, options] of pushes) queueProduct(id, options);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  productQueue.resume();
+  await finished;
+
+  assert.equal(processed[0], "b3");
+  // Being served a webhook doesn't cost shop b its turn among the backfills, where shop a's came first
+  assert.deepEqual(processed.slice(1), ["a1", "b1", "a2", "b2", "a3", "a4"]);
+});
+
+test("a deleted product forgets its attributes and flags emptied collections instead of generating any", async () => {
+  const processProduct = mock.method(collectionGenerator, "processProduct", async () => ({ collectionsCreated: 0 }));
+  const flagSmallCollections = mock.method(collectionGenerator, "flagSmallCollections", async () => [
+    { id: "gid://shopify/Collection/7", handle: "genie-boom-lift" },
+  ]);
+  const combination = { product_type: "Boom Lift", vendor: "Genie" };
+  await shops.runWithShop(TEST_SHOP, () => productAttributes.recordProductAttributes("70", combination));
+
+  const finished = new Promise((resolve) => queueEvents.once("processed", (task, result) => resolve(result)));
+  queueProduct("70", { shop: TEST_SHOP, action: "deleted", lane: "webhook" });
+  const result = await finished;
+
+  assert.deepEqual(result, { success: true, productId: "gid://shopify/Product/70", flagged: 1 });
+  assert.equal(flagSmallCollections.mock.callCount(), 1);
+  assert.equal(processProduct.mock.callCount(), 0);
+  assert.equal(await shops.runWithShop(TEST_SHOP, () => productAttributes.countMatchingProducts(combination)), 0);
+});
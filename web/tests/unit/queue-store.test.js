@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { DATA_DIR } = require("./setup");
+
+const { createQueueStore } = require("../../queue-store");
+
+const STORE_PATH = path.join(DATA_DIR, "queue-store-test.sqlite");
+
+// The store's callbacks as promises
+const call = (store, method, ...args) => new Promise((resolve, reject) => {
+  store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+const task = (id, shop = "a.myshopify.com") => ({ id, shop, action: "process" });
+
+let store;
+
+before(async () => {
+  store = createQueueStore(STORE_PATH);
+  await call(store, "connect");
+});
+
+after(() => call(store, "close"));
+
+test("takes the oldest task of the highest priority, and hands out its batch locked", async () => {
+  await call(store, "putTask", "1", task("1"), 1);
+  await call(store, "putTask", "2", task("2"), 3);
+  await call(store, "putTask", "3", task("3"), 3);
+
+  const lockId = await call(store, "takeFirstN", 1);
+  assert.deepEqual(await call(store, "getLock", lockId), { 2: task("2") });
+  assert.equal(await call(store, "getTask", "2"), undefined);
+
+  await call(store, "releaseLock", lockId);
+  for (const id of ["1", "3"]) await call(store, "deleteTask", id);
+});
+
+test("replaces a pending task pushed again instead of keeping both", async () => {
+  await call(store, "putTask", "4", task("4"), 1);
+  await call(store, "putTask", "4", { ...task("4"), action: "deleted" }, 1);
+
+  assert.deepEqual(await call(store, "getTask", "4"), { ...task("4"), action: "deleted" });
+  const lockId = await call(store, "takeFirstN", 5);
+  assert.deepEqual(Object.keys(await call(store, "getLock", lockId)), ["4"]);
+  await call(store, "releaseLock", lockId);
+});
+
+test("takes nothing when no task is pending", async () => {
+  const lockId = await call(store, "takeFirstN", 1);
+  assert.equal(lockId, "");
+  assert.deepEqual(await call(store, "getLock", lockId), {});
+});
+
+test("alternates between shops within one priority", async () => {
+  const pushes = [["c1", "c"], ["c2", "c"], ["c3", "c"], ["d1", "d"], ["d2", "d"]];
+  for (const [id, shop] of pushes) {
+    await call(store, "putTask", id, task(id, `${shop}.myshopify.com`), 1);
+  }
+
+  const taken = [];
+  for (let i = 0; i < pushes.length; i++) {
+    const lockId = await call(store, "takeFirstN", 1);
+    taken.push(...Object.keys(await call(store, "getLock", lockId)));
+    await call(store, "releaseLock", lockId);
+  }
+  assert.deepEqual(taken, ["c1", "d1", "c2", "d2", "c3"]);
+});
+
+test("gives back the tasks that were running when the process stopped, and the pending count", async () => {
+  await call(store, "putTask", "5", task("5"), 1);
+  await call(store, "putTask", "6", task("6"), 1);
+  const lockId = await call(store, "takeFirstN", 1);
+  await call(store, "close");
+
+  store = createQueueStore(STORE_PATH);
+  assert.equal(await call(store, "connect"), 1);
+  assert.deepEqual(await call(store, "getRunningTasks"), { [lockId]: { 5: task("5") } });
+});
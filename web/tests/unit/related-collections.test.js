@@ -0,0 +1,74 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./setup");
+
+const collectionIndex = require("../../collection-index");
+const { getRelatedCollections } = require("../../related-collections");
+const { ShopifyApiError } = require("../../shopify-client");
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Build a collection index entry
+ * @param {String} handle - Handle, also used as title
+ * @param {Object} attributes - Parsed attributes
+ * @returns {Object} Index entry
+ */
+const entry = (handle, attributes) => ({ handle, title: handle, image: null, productCount: 10, attributes });
+
+const COLLECTIONS = [
+  entry("boom-lift", { product_type: "Boom Lift" }),
+  entry("genie-boom-lift", { product_type: "Boom Lift", vendor: "Genie" }),
+  entry("jlg-boom-lift", { product_type: "Boom Lift", vendor: "JLG" }),
+  entry("used-jlg-boom-lift", { product_type: "Boom Lift", vendor: "JLG", condition: "Used" }),
+  entry("skyjack-scissor-lift", { product_type: "Scissor Lift", vendor: "Skyjack" }),
+];
+
+/**
+ * Stub the collection index with COLLECTIONS and the parts collections that exist
+ * @param {Function} lookupCollections - Stand-in for collectionIndex.lookupCollections
+ * @returns {Object} Mock of lookupCollections
+ */
+function stubIndex(lookupCollections) {
+  mock.method(collectionIndex, "lookupCollection", async (handle) =>
+    COLLECTIONS.find((collection) => collection.handle === handle) || null
+  );
+  mock.method(collectionIndex, "getEntries", async () => COLLECTIONS);
+  return mock.method(collectionIndex, "lookupCollections", lookupCollections);
+}
+
+const existingParts = async (handles) => handles.map((handle) => entry(handle, {}));
+
+test("links a vendor collection to its vendor's parts collection", async () => {
+  const lookup = stubIndex(existingParts);
+
+  const related = await getRelatedCollections("genie-boom-lift");
+  assert.deepEqual(related.parts.map((collection) => collection.handle), ["genie-parts"]);
+  assert.deepEqual(lookup.mock.calls[0].arguments[0], ["genie-parts"]);
+});
+
+test("links a category collection to the parts of every vendor in its category, in one lookup", async () => {
+  // Only JLG has a parts collection
+  const lookup = stubIndex(async (handles) =>
+    handles.filter((handle) => handle === "jlg-parts").map((handle) => entry(handle, {}))
+  );
+
+  const related = await getRelatedCollections("boom-lift");
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.deepEqual(lookup.mock.calls[0].arguments[0], ["genie-parts", "jlg-parts"]);
+  assert.deepEqual(related.parts.map((collection) => collection.handle), ["jlg-parts"]);
+});
+
+test("still answers without parts when they can't be looked up", async () => {
+  stubIndex(async () => {
+    throw new ShopifyApiError("Shopify responded with HTTP 503", { status: 503 });
+  });
+
+  const related = await getRelatedCollections("boom-lift");
+  assert.deepEqual(related.parts, []);
+  assert.deepEqual(related.byManufacturer.map((collection) => collection.handle), [
+    "genie-boom-lift",
+    "jlg-boom-lift",
+    "used-jlg-boom-lift",
+  ]);
+});
@@ -0,0 +1,137 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP, graphqlRule } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const collectionGenerator = require("../../collection-generator");
+const generationFailures = require("../../generation-failures");
+
+const COMBINATION = { condition: "Used", vendor: "JLG", product_type: "Boom Lifts" };
+const METAFIELD_DEFINITIONS = { condition: "1" };
+const PLANNED = {
+  combination: COMBINATION,
+  ...collectionGenerator.createCollectionDetails(COMBINATION, METAFIELD_DEFINITIONS),
+};
+const INTENDED_RULE_SET = {
+  appliedDisjunctively: false,
+  rules: [graphqlRule("PRODUCT_METAFIELD_DEFINITION", "Used", 1), graphqlRule("VENDOR", "JLG"), graphqlRule("TYPE", "Boom Lifts")],
+};
+// What Shopify kept when the metafield rule was dropped
+const WEAKENED_RULE_SET = { appliedDisjunctively: false, rules: INTENDED_RULE_SET.rules.slice(1) };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stub the Shopify calls made while creating a collection
+ * @param {Object} ruleSets
+ * @param {Object} ruleSets.created - Rule set returned by the create
+ * @param {Object} [ruleSets.updated] - Rule set returned by the repair
+ * @returns {Object} The mocked functions
+ */
+function stubShopify({ created, updated = created }) {
+  return {
+    create: mock.method(shopifyApi, "createSmartCollectionGraphQL", async ({ title, handle }) => ({
+      id: "gid://shopify/Collection/9",
+      title,
+      handle,
+      ruleSet: created,
+    })),
+    update: mock.method(shopifyApi, "updateCollectionRules", async (id) => ({ id, ruleSet: updated })),
+    delete: mock.method(shopifyApi, "deleteSmartCollection", async () => true),
+  };
+}
+
+test("compares rules whatever their case and definition ID format", () => {
+  assert.equal(collectionGenerator.compareCollectionRules(PLANNED.rules, INTENDED_RULE_SET).matches, true);
+
+  const weakened = collectionGenerator.compareCollectionRules(PLANNED.rules, WEAKENED_RULE_SET);
+  assert.equal(weakened.matches, false);
+  assert.deepEqual(weakened.missing.map((rule) => rule.condition), ["Used"]);
+
+  const disjunctive = collectionGenerator.compareCollectionRules(PLANNED.rules, { ...INTENDED_RULE_SET, appliedDisjunctively: true });
+  assert.equal(disjunctive.matches, false);
+  assert.equal(disjunctive.disjunctive, true);
+});
+
+test("only takes a collection with exactly the same rules as existing", () => {
+  const otherDefinition = {
+    id: "gid://shopify/Collection/2",
+    ruleSet: { appliedDisjunctively: false, rules: [graphqlRule("PRODUCT_METAFIELD_DEFINITION", "Used", 11), ...WEAKENED_RULE_SET.rules] },
+  };
+  const disjunctive = { id: "gid://shopify/Collection/3", ruleSet: { ...INTENDED_RULE_SET, appliedDisjunctively: true } };
+  const same = { id: "gid://shopify/Collection/4", ruleSet: INTENDED_RULE_SET };
+
+  assert.equal(collectionGenerator.findSimilarCollectionGraphQL(PLANNED.rules, [otherDefinition, disjunctive]), null);
+  assert.equal(collectionGenerator.findSimilarCollectionGraphQL(PLANNED.rules, [otherDefinition, disjunctive, same]), same);
+});
+
+test("keeps a collection created with the intended rules", async () => {
+  const calls = stubShopify({ created: INTENDED_RULE_SET });
+
+  const collection = await shops.runWithShop(TEST_SHOP, () => collectionGenerator.createGeneratedCollection(PLANNED, { metafieldDefinitions: METAFIELD_DEFINITIONS }));
+
+  assert.equal(collection.id, "gid://shopify/Collection/9");
+  assert.equal(calls.update.mock.callCount(), 0);
+  assert.equal(calls.delete.mock.callCount(), 0);
+});
+
+test("repairs a collection whose rules came back weakened and records the mismatch", async () => {
+  const calls = stubShopify({ created: WEAKENED_RULE_SET, updated: INTENDED_RULE_SET });
+
+  const collection = await shops.runWithShop(TEST_SHOP, () =>
+    collectionGenerator.createGeneratedCollection(PLANNED, { metafieldDefinitions: METAFIELD_DEFINITIONS, jobId: "repair-job" })
+  );
+
+  assert.deepEqual(collection.ruleSet, INTENDED_RULE_SET);
+  assert.equal(calls.delete.mock.callCount(), 0);
+
+  const failures = await shops.runWithShop(TEST_SHOP, () => generationFailures.listGenerationFailures({ jobId: "repair-job" }));
+  assert.deepEqual(failures.map(({ reason, resolution }) => [reason, resolution]), [["rule_mismatch", "repaired"]]);
+});
+
+test("rolls back a collection that can't be given its rules", async () => {
+  const calls = stubShopify({ created: WEAKENED_RULE_SET });
+  const failed = [];
+  collectionGenerator.generatorEvents.once("generationFailed", (failure) => failed.push(failure));
+
+  const collection = await shops.runWithShop(TEST_SHOP, () =>
+    collectionGenerator.createGeneratedCollection(PLANNED, { metafieldDefinitions: METAFIELD_DEFINITIONS, jobId: "rollback-job" })
+  );
+
+  assert.equal(collection, null);
+  assert.deepEqual(calls.delete.mock.calls[0].arguments, ["gid://shopify/Collection/9"]);
+  assert.deepEqual(failed.map(({ jobId, resolution }) => [jobId, resolution]), [["rollback-job", "rolled_back"]]);
+});
+
+test("creates a collection with the rules of its combination, not those of a weakened plan", async () => {
+  const calls = stubShopify({ created: INTENDED_RULE_SET });
+  const weakenedPlan = { combination: COMBINATION, ...collectionGenerator.createCollectionDetails(COMBINATION, {}) };
+
+  const collection = await shops.runWithShop(TEST_SHOP, () =>
+    collectionGenerator.createGeneratedCollection(weakenedPlan, { metafieldDefinitions: METAFIELD_DEFINITIONS })
+  );
+
+  assert.equal(collection.id, "gid://shopify/Collection/9");
+  assert.deepEqual(
+    calls.create.mock.calls[0].arguments[0].rules.map((rule) => rule.condition).sort(),
+    ["Boom Lifts", "JLG", "Used"]
+  );
+});
+
+test("refuses to create a collection whose metafield attribute has no definition", async () => {
+  const calls = stubShopify({ created: WEAKENED_RULE_SET });
+  const failed = [];
+  collectionGenerator.generatorEvents.once("generationFailed", (failure) => failed.push(failure));
+
+  const collection = await shops.runWithShop(TEST_SHOP, () =>
+    collectionGenerator.createGeneratedCollection(PLANNED, { metafieldDefinitions: {}, jobId: "definition-job" })
+  );
+
+  assert.equal(collection, null);
+  assert.equal(calls.create.mock.callCount(), 0);
+  assert.deepEqual(
+    failed.map(({ reason, resolution, details }) => [reason, resolution, details.missingDefinitions]),
+    [["missing_definition", "not_created", ["condition"]]]
+  );
+});
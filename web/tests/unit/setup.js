@@ -0,0 +1,51 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Each test file runs in its own process with a throwaway data directory and a
+// default shop, so nothing touches the real database or a real store
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "shop-by-specs-test-"));
+
+process.env.DATA_DIR = DATA_DIR;
+process.env.SHOPIFY_STORE = "test-shop";
+process.env.SHOPIFY_ACCESS_TOKEN = "test-token";
+process.env.SHOPIFY_API_VERSION = "2025-01";
+process.env.SHOPIFY_API_SECRET = "test-api-secret";
+
+process.on("exit", () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const TEST_SHOP = "test-shop.myshopify.com";
+
+/**
+ * Build a smart collection rule as GraphQL returns it
+ * @param {String} column - Rule column, e.g. "VENDOR"
+ * @param {String} condition - Rule condition
+ * @param {String|Number} [definitionId] - Metafield definition of a PRODUCT_METAFIELD_DEFINITION rule
+ * @returns {Object} Collection rule
+ */
+function graphqlRule(column, condition, definitionId = null) {
+  return {
+    column,
+    relation: "EQUALS",
+    condition,
+    conditionObject: definitionId
+      ? { metafieldDefinition: { id: `gid://shopify/MetafieldDefinition/${definitionId}`, namespace: "custom", key: "condition" } }
+      : null,
+  };
+}
+
+/**
+ * Build the app's attributes metafield as GraphQL returns it
+ * @param {Object} attributes - Canonical attributes
+ * @returns {Object} attributesMetafield
+ */
+function attributesMetafield(attributes) {
+  return { value: JSON.stringify({ version: 1, attributes }) };
+}
+
+module.exports = {
+  DATA_DIR,
+  TEST_SHOP,
+  graphqlRule,
+  attributesMetafield,
+};
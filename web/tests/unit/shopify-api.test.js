@@ -0,0 +1,72 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyApi = require("../../shopify-api");
+const { ShopifyApiError } = require("../../shopify-client");
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Answer Shopify requests in turn with the given responses
+ * @param {Array} responses - Each with the HTTP status and the parsed body
+ */
+function stubFetch(responses) {
+  const queue = [...responses];
+  mock.method(global, "fetch", async () => {
+    const { status, body } = queue.shift();
+    return { status, ok: status < 400, json: async () => body };
+  });
+}
+
+const COLLECTIONS_PAGE = {
+  data: {
+    collections: {
+      pageInfo: { hasNextPage: true, endCursor: "cursor-1" },
+      edges: [{ node: { id: "gid://shopify/Collection/1", title: "Genie", handle: "genie" } }],
+    },
+  },
+};
+
+test("fails instead of returning the pages fetched before an error", async () => {
+  stubFetch([
+    { status: 200, body: COLLECTIONS_PAGE },
+    { status: 403, body: { errors: "[API] This action requires merchant approval" } },
+  ]);
+
+  await assert.rejects(shops.runWithShop(TEST_SHOP, () => shopifyApi.getExistingSmartCollectionsGraphQL()), (error) => {
+    assert.ok(error instanceof ShopifyApiError);
+    assert.equal(error.status, 403);
+    assert.match(error.errors[0].message, /merchant approval/);
+    return true;
+  });
+});
+
+test("tells a missing collection from a failed lookup", async () => {
+  stubFetch([
+    { status: 200, body: { data: { collectionByHandle: null } } },
+    { status: 401, body: { errors: "[API] Invalid API key or access token" } },
+  ]);
+
+  assert.equal(await shops.runWithShop(TEST_SHOP, () => shopifyApi.getCollectionByHandle("genie")), null);
+  await assert.rejects(
+    shops.runWithShop(TEST_SHOP, () => shopifyApi.getCollectionByHandle("genie")),
+    (error) => error instanceof ShopifyApiError && error.status === 401
+  );
+});
+
+test("passes on the userErrors of a refused collection", async () => {
+  stubFetch([
+    { status: 200, body: { data: { publications: { edges: [{ node: { id: "gid://shopify/Publication/1", supportsFuturePublishing: true } }] } } } },
+    {
+      status: 200,
+      body: { data: { collectionCreate: { collection: null, userErrors: [{ field: ["input", "handle"], message: "Handle has already been taken" }] } } },
+    },
+  ]);
+
+  await assert.rejects(
+    shops.runWithShop(TEST_SHOP, () => shopifyApi.createSmartCollectionGraphQL({ title: "Genie", handle: "genie", rules: [] })),
+    (error) => error instanceof ShopifyApiError && error.userErrors[0].message === "Handle has already been taken"
+  );
+});
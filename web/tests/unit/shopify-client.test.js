@@ -0,0 +1,77 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_SHOP } = require("./setup");
+
+const shops = require("../../shops");
+const shopifyClient = require("../../shopify-client");
+const { ShopifyApiError } = shopifyClient;
+
+afterEach(() => mock.restoreAll());
+
+const COST = {
+  requestedQueryCost: 10,
+  actualQueryCost: 10,
+  throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 990, restoreRate: 50 },
+};
+
+/**
+ * Answer Shopify requests in turn with the given responses
+ * @param {Array} responses - Each with the HTTP status and the parsed body
+ * @returns {Object} The mocked fetch
+ */
+function stubFetch(responses) {
+  const queue = [...responses];
+  return mock.method(global, "fetch", async () => {
+    const { status, body } = queue.shift();
+    return { status, ok: status < 400, json: async () => body };
+  });
+}
+
+const inShop = (fn) => shops.runWithShop(TEST_SHOP, fn);
+
+test("raises GraphQL errors with the status and cost Shopify reported", async () => {
+  const errors = [{ message: "Field 'nope' doesn't exist on type 'Shop'" }];
+  stubFetch([{ status: 200, body: { errors, extensions: { cost: COST } } }]);
+
+  await assert.rejects(inShop(() => shopifyClient.request("{ shop { nope } }")), (error) => {
+    assert.ok(error instanceof ShopifyApiError);
+    assert.equal(error.status, 200);
+    assert.deepEqual(error.errors, errors);
+    assert.deepEqual(error.cost, COST);
+    return true;
+  });
+});
+
+test("raises a mutation's userErrors", async () => {
+  const userErrors = [{ field: ["id"], message: "Collection does not exist" }];
+  stubFetch([{ status: 200, body: { data: { collectionDelete: { deletedCollectionId: null, userErrors } } } }]);
+
+  await assert.rejects(
+    inShop(() => shopifyClient.mutate("mutation { collectionDelete }", {}, "collectionDelete")),
+    (error) => {
+      assert.ok(error instanceof ShopifyApiError);
+      assert.deepEqual(error.userErrors, userErrors);
+      assert.match(error.message, /collectionDelete failed: Collection does not exist/);
+      return true;
+    }
+  );
+});
+
+test("raises a mutation without a payload", async () => {
+  stubFetch([{ status: 200, body: { data: { collectionDelete: null } } }]);
+
+  await assert.rejects(
+    inShop(() => shopifyClient.mutate("mutation { collectionDelete }", {}, "collectionDelete")),
+    /collectionDelete returned no payload/
+  );
+});
+
+test("retries a throttled query and returns its data", async () => {
+  const fetch = stubFetch([
+    { status: 200, body: { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }], extensions: { cost: COST } } },
+    { status: 200, body: { data: { shop: { name: "Test" } }, extensions: { cost: COST } } },
+  ]);
+
+  assert.deepEqual(await inShop(() => shopifyClient.request("{ shop { name } }")), { shop: { name: "Test" } });
+  assert.equal(fetch.mock.callCount(), 2);
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const throttle = require("../../shopify-throttle");
+
+/**
+ * Time how long a promise takes to settle
+ * @param {Promise} promise - Promise
+ * @returns {Number} Milliseconds
+ */
+async function elapsed(promise) {
+  const start = Date.now();
+  await promise;
+  return Date.now() - start;
+}
+
+test("lets requests run side by side while their costs fit in the bucket", async () => {
+  const shop = "side-by-side.myshopify.com";
+  const reserved = await Promise.all([
+    throttle.acquire("graphql", shop, 400),
+    throttle.acquire("graphql", shop, 400),
+  ]);
+
+  assert.deepEqual(reserved, [400, 400]);
+  assert.equal(throttle.getThrottleStatus(shop).graphql.reserved, 800);
+});
+
+test("waits only until the reported budget has restored the query's cost", async () => {
+  const shop = "backoff.myshopify.com";
+  const cost = await throttle.acquire("graphql", shop, 50);
+  throttle.release("graphql", shop, cost, { currentlyAvailable: 0, maximumAvailable: 1000, restoreRate: 500 });
+
+  // 50 points at 500 points a second
+  const waited = await elapsed(throttle.acquire("graphql", shop, 50));
+  assert.ok(waited >= 90 && waited < 500, `waited ${waited}ms`);
+});
+
+test("backs off after a throttled request until the bucket has refilled", async () => {
+  const shop = "throttled.myshopify.com";
+  const cost = await throttle.acquire("graphql", shop, 50);
+  throttle.release("graphql", shop, cost, { currentlyAvailable: 1000, maximumAvailable: 1000, restoreRate: 1000 });
+  throttle.drain("graphql", shop);
+
+  assert.equal(throttle.getThrottleStatus(shop).graphql.available < 50, true);
+  const waited = await elapsed(throttle.acquire("graphql", shop, 100));
+  assert.ok(waited >= 50, `waited ${waited}ms`);
+});
+
+test("learns a query's cost from the last time a query of the same shape ran", () => {
+  throttle.recordQueryCost('{ product(id: "gid://shopify/Product/1") { id } }', 12);
+  assert.equal(throttle.estimateQueryCost('{ product(id: "gid://shopify/Product/2") { id } }'), 12);
+});
@@ -0,0 +1,62 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./setup");
+
+const express = require("express");
+const { storefrontCors } = require("../../storefront-cors");
+
+const ENV = { ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS, NODE_ENV: process.env.NODE_ENV };
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(ENV)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+/**
+ * Send a preflight for a GET from an origin to an app using storefrontCors
+ * @param {String} origin - Origin of the request
+ * @returns {Object} Status and CORS headers of the response
+ */
+async function preflight(origin) {
+  const app = express();
+  app.use(storefrontCors());
+  app.get("/related-collections/genie", (req, res) => res.json([]));
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/related-collections/genie`, {
+      method: "OPTIONS",
+      headers: { Origin: origin, "Access-Control-Request-Method": "GET" },
+    });
+    return {
+      status: response.status,
+      allowOrigin: response.headers.get("access-control-allow-origin"),
+      allowCredentials: response.headers.get("access-control-allow-credentials"),
+    };
+  } finally {
+    server.close();
+  }
+}
+
+test("allows only the configured origins in production", async () => {
+  process.env.NODE_ENV = "production";
+  process.env.ALLOWED_ORIGINS = "https://www.example-lifts.com, https://staging.example-lifts.com";
+
+  assert.deepEqual(await preflight("https://www.example-lifts.com"), {
+    status: 204,
+    allowOrigin: "https://www.example-lifts.com",
+    allowCredentials: null,
+  });
+  assert.equal((await preflight("https://evil-store.myshopify.com")).allowOrigin, null);
+  assert.equal((await preflight("http://localhost:9292")).allowOrigin, null);
+});
+
+test("allows localhost outside production", async () => {
+  delete process.env.NODE_ENV;
+  delete process.env.ALLOWED_ORIGINS;
+
+  assert.equal((await preflight("http://localhost:9292")).allowOrigin, "http://localhost:9292");
+  assert.equal((await preflight("http://localhost.evil.com:9292")).allowOrigin, null);
+});
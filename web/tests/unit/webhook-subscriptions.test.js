@@ -0,0 +1,74 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+require("./setup");
+
+const shopifyApi = require("../../shopify-api");
+const { getDesiredSubscriptions, planReconciliation, reconcileWebhookSubscriptions } = require("../../webhook-subscriptions");
+
+const BASE_URL = "https://app.example.com";
+
+/**
+ * Build the current subscriptions for every desired one, as getWebhookSubscriptions returns them
+ * @param {String} baseUrl - Base URL the subscriptions deliver to
+ * @returns {Array} Subscriptions
+ */
+function subscriptionsAt(baseUrl) {
+  return getDesiredSubscriptions(baseUrl).map(({ topic, address }, i) => ({
+    id: `gid://shopify/WebhookSubscription/${i + 1}`,
+    topic,
+    address,
+    createdAt: `2024-01-${String(i + 1).padStart(2, "0")}T00:00:00Z`,
+  }));
+}
+
+test("subscribes every topic at its route, ignoring a trailing slash", () => {
+  const desired = getDesiredSubscriptions(`${BASE_URL}/`);
+  assert.deepEqual(desired.map((subscription) => subscription.topic), shopifyApi.WEBHOOK_TOPICS);
+  assert.equal(desired[0].address, `${BASE_URL}/webhooks/${desired[0].topic}`);
+});
+
+test("creates every subscription for a new shop", () => {
+  const plan = planReconciliation([], getDesiredSubscriptions(BASE_URL));
+  assert.equal(plan.create.length, shopifyApi.WEBHOOK_TOPICS.length);
+  assert.deepEqual([plan.keep, plan.update, plan.delete], [[], [], []]);
+});
+
+test("changes nothing once the subscriptions match", () => {
+  const current = subscriptionsAt(BASE_URL);
+  const plan = planReconciliation(current, getDesiredSubscriptions(BASE_URL));
+  assert.equal(plan.keep.length, current.length);
+  assert.deepEqual([plan.create, plan.update, plan.delete], [[], [], []]);
+});
+
+test("moves subscriptions to a new address instead of duplicating them", () => {
+  const plan = planReconciliation(subscriptionsAt("https://old.example.com"), getDesiredSubscriptions(BASE_URL));
+  assert.equal(plan.update.length, shopifyApi.WEBHOOK_TOPICS.length);
+  assert.equal(plan.update[0].from, `https://old.example.com/webhooks/${plan.update[0].topic}`);
+  assert.deepEqual([plan.keep, plan.create, plan.delete], [[], [], []]);
+});
+
+test("deletes duplicate and obsolete subscriptions", () => {
+  const [first] = subscriptionsAt(BASE_URL);
+  const current = [
+    ...subscriptionsAt(BASE_URL),
+    { ...first, id: "gid://shopify/WebhookSubscription/100", address: "https://old.example.com/x", createdAt: "2023-01-01T00:00:00Z" },
+    { id: "gid://shopify/WebhookSubscription/200", topic: "orders/create", address: `${BASE_URL}/webhooks/orders/create`, createdAt: "2024-01-01" },
+  ];
+
+  const plan = planReconciliation(current, getDesiredSubscriptions(BASE_URL));
+  assert.deepEqual(
+    plan.delete.map(({ id, reason }) => [id, reason]),
+    [["gid://shopify/WebhookSubscription/100", "duplicate"], ["gid://shopify/WebhookSubscription/200", "obsolete"]]
+  );
+  assert.equal(plan.keep.length, shopifyApi.WEBHOOK_TOPICS.length);
+});
+
+test("refuses to reconcile without a base URL instead of guessing one", async () => {
+  const getSubscriptions = mock.method(shopifyApi, "getWebhookSubscriptions", async () => []);
+  const registerWebhook = mock.method(shopifyApi, "registerWebhook", async () => ({}));
+
+  await assert.rejects(reconcileWebhookSubscriptions(undefined), /base URL is required/);
+  assert.equal(getSubscriptions.mock.callCount(), 0);
+  assert.equal(registerWebhook.mock.callCount(), 0);
+  mock.restoreAll();
+});
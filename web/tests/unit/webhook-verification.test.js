@@ -0,0 +1,131 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { TEST_SHOP } = require("./setup");
+
+process.env.SHOPIFY_WEBHOOK_SECRETS = "old-secret, new-secret";
+process.env.SHOPIFY_SHOPS = "other-shop:other-token:other-secret";
+
+const express = require("express");
+const shops = require("../../shops");
+const { verifyShopifyWebhook, isValidHmac } = require("../../webhook-verification");
+
+/**
+ * Sign a webhook body the way Shopify does
+ * @param {String} body - Raw body
+ * @param {String} secret - Signing secret
+ * @returns {String} Base64 HMAC
+ */
+function hmacOf(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body, "utf8").digest("base64");
+}
+
+let server;
+let baseUrl;
+const handled = [];
+const handledShops = [];
+
+before(async () => {
+  const app = express();
+  app.post("/webhooks/:topic", verifyShopifyWebhook(), (req, res) => {
+    handled.push(req.body);
+    handledShops.push(req.webhook.shopDomain);
+    res.sendStatus(req.params.topic === "failing" ? 500 : 200);
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Deliver a webhook to the test server
+ * @param {String} topic - Route topic
+ * @param {Object} payload - Webhook payload
+ * @param {Object} [options]
+ * @param {String} [options.secret] - Secret to sign with
+ * @param {String} [options.webhookId] - X-Shopify-Webhook-Id header
+ * @param {String} [options.shop] - X-Shopify-Shop-Domain header
+ * @returns {Response} Response
+ */
+function deliver(topic, payload, { secret = "new-secret", webhookId = crypto.randomUUID(), shop = TEST_SHOP } = {}) {
+  const body = JSON.stringify(payload);
+  return fetch(`${baseUrl}/webhooks/${topic}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Hmac-Sha256": hmacOf(body, secret),
+      "X-Shopify-Webhook-Id": webhookId,
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Shop-Domain": shop,
+    },
+    body,
+  });
+}
+
+test("checks the HMAC against every configured secret", () => {
+  const body = Buffer.from('{"id":1}');
+  assert.equal(isValidHmac(body, hmacOf(body, "old-secret"), ["old-secret", "new-secret"]), true);
+  assert.equal(isValidHmac(body, hmacOf(body, "other"), ["old-secret", "new-secret"]), false);
+  assert.equal(isValidHmac(body, "short", ["old-secret"]), false);
+  assert.equal(isValidHmac(body, undefined, ["old-secret"]), false);
+});
+
+test("rejects webhooks that aren't signed with a configured secret", async () => {
+  const response = await deliver("products", { id: 1 }, { secret: "wrong-secret" });
+  assert.equal(response.status, 403);
+});
+
+test("passes the parsed payload on and drops repeated deliveries", async () => {
+  handled.length = 0;
+  const webhookId = crypto.randomUUID();
+
+  assert.equal((await deliver("products", { id: 2 }, { webhookId })).status, 200);
+  const repeated = await deliver("products", { id: 2 }, { webhookId });
+
+  assert.equal(repeated.status, 200);
+  assert.equal(await repeated.text(), "Already processed");
+  assert.deepEqual(handled, [{ id: 2 }]);
+});
+
+test("lets a retry through when the first delivery failed", async () => {
+  handled.length = 0;
+  const webhookId = crypto.randomUUID();
+
+  assert.equal((await deliver("failing", { id: 3 }, { webhookId })).status, 500);
+  // The delivery is forgotten once the failed response has been sent
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal((await deliver("failing", { id: 3 }, { webhookId })).status, 500);
+
+  assert.deepEqual(handled, [{ id: 3 }, { id: 3 }]);
+});
+
+test("accepts a shop's own secret for that shop only", async () => {
+  handledShops.length = 0;
+
+  assert.equal((await deliver("products", { id: 4 }, { secret: "other-secret", shop: "other-shop.myshopify.com" })).status, 200);
+  assert.deepEqual(handledShops, ["other-shop.myshopify.com"]);
+
+  // A delivery signed for one shop can't be replayed as another's
+  assert.equal((await deliver("products", { id: 4 }, { secret: "other-secret", shop: TEST_SHOP })).status, 403);
+  assert.equal((await deliver("products", { id: 4 }, { secret: "new-secret", shop: "other-shop.myshopify.com" })).status, 403);
+  assert.equal((await deliver("products", { id: 4 }, { secret: "new-secret", shop: "" })).status, 403);
+});
+
+test("accepts the app's API secret for shops installed through OAuth", async () => {
+  await shops.saveShop("oauth-shop", "oauth-token");
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+
+  assert.equal((await deliver("products", { id: 5 }, { secret: apiSecret, shop: "oauth-shop.myshopify.com" })).status, 200);
+  assert.equal((await deliver("products", { id: 5 }, { secret: apiSecret, shop: TEST_SHOP })).status, 403);
+  assert.equal((await deliver("products", { id: 5 }, { secret: apiSecret, shop: "gone-shop.myshopify.com" })).status, 403);
+
+  // An uninstall retried once the shop is gone names the shop in its signed payload
+  const uninstalled = { myshopify_domain: "gone-shop.myshopify.com" };
+  assert.equal((await deliver("uninstalled", uninstalled, { secret: apiSecret, shop: "gone-shop.myshopify.com" })).status, 200);
+  assert.equal((await deliver("uninstalled", uninstalled, { secret: apiSecret, shop: "oauth-shop.myshopify.com" })).status, 403);
+  assert.equal((await deliver("uninstalled", uninstalled, { secret: apiSecret, shop: "other-shop.myshopify.com" })).status, 403);
+});
@@ -0,0 +1,119 @@
+require("dotenv").config();
+const shopifyApi = require("./shopify-api");
+
+/**
+ * Get the subscriptions the app should have: every webhook topic, delivered to
+ * its route on this server
+ * @param {String} baseUrl - Base URL of this app, e.g. https://example.com
+ * @returns {Array} Desired subscriptions with their topic and address
+ * @throws {Error} If the base URL is missing
+ */
+function getDesiredSubscriptions(baseUrl) {
+  if (!baseUrl) {
+    throw new Error("A base URL is required for webhook subscriptions");
+  }
+
+  const base = String(baseUrl).replace(/\/+$/, "");
+  return shopifyApi.WEBHOOK_TOPICS.map((topic) => ({ topic, address: `${base}/webhooks/${topic}` }));
+}
+
+/**
+ * Work out the changes that bring the current subscriptions in line with the desired ones.
+ * Per topic, a subscription already at the right address is kept. Otherwise the oldest one
+ * is moved to the right address, or a new one is created if there are none. Every other
+ * subscription to the topic is a duplicate, and subscriptions to topics that aren't wanted
+ * are obsolete.
+ * @param {Array} current - Current subscriptions, from getWebhookSubscriptions
+ * @param {Array} desired - Desired subscriptions, from getDesiredSubscriptions
+ * @returns {Object} Subscriptions to keep, create, update and delete
+ */
+function planReconciliation(current, desired) {
+  const plan = { keep: [], create: [], update: [], delete: [] };
+  const desiredTopics = new Set(desired.map((subscription) => subscription.topic));
+
+  for (const { topic, address } of desired) {
+    const existing = current
+      .filter((subscription) => subscription.topic === topic)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    const match = existing.find((subscription) => subscription.address === address);
+    const kept = match || existing[0];
+
+    if (!kept) {
+      plan.create.push({ topic, address });
+    } else if (kept === match) {
+      plan.keep.push(kept);
+    } else {
+      plan.update.push({ id: kept.id, topic, from: kept.address, address });
+    }
+
+    for (const subscription of existing) {
+      if (subscription !== kept) {
+        plan.delete.push({ ...subscription, reason: "duplicate" });
+      }
+    }
+  }
+
+  for (const subscription of current) {
+    if (!desiredTopics.has(subscription.topic)) {
+      plan.delete.push({ ...subscription, reason: "obsolete" });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Reconcile the current shop's webhook subscriptions with the desired ones. Running it
+ * again once the subscriptions match changes nothing.
+ * @param {String} baseUrl - Base URL of this app, e.g. https://example.com
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Only report the plan, without changing anything
+ * @returns {Object} The plan, and the changes that failed
+ * @throws {Error} If the base URL is missing
+ */
+async function reconcileWebhookSubscriptions(baseUrl, { dryRun = false } = {}) {
+  const desired = getDesiredSubscriptions(baseUrl);
+  const current = await shopifyApi.getWebhookSubscriptions();
+  const plan = planReconciliation(current, desired);
+  const failed = [];
+
+  if (dryRun) {
+    return { dryRun, ...plan, failed };
+  }
+
+  for (const { topic, address } of plan.create) {
+    const webhook = await shopifyApi.registerWebhook(topic, address);
+    if (!webhook) {
+      failed.push({ action: "create", topic, address });
+    }
+  }
+
+  for (const { id, topic, address } of plan.update) {
+    try {
+      await shopifyApi.updateWebhookSubscription(id, address);
+      console.log(`Moved ${topic} webhook to ${address}`);
+    } catch (error) {
+      console.error(`Error updating ${topic} webhook ${id}:`, error.message);
+      failed.push({ action: "update", id, topic, address, error: error.message });
+    }
+  }
+
+  for (const { id, topic, reason } of plan.delete) {
+    try {
+      await shopifyApi.deleteWebhookSubscription(id);
+      console.log(`Deleted ${reason} ${topic} webhook ${id}`);
+    } catch (error) {
+      console.error(`Error deleting ${topic} webhook ${id}:`, error.message);
+      failed.push({ action: "delete", id, topic, error: error.message });
+    }
+  }
+
+  return { dryRun, ...plan, failed };
+}
+
+module.exports = {
+  getDesiredSubscriptions,
+  planReconciliation,
+  reconcileWebhookSubscriptions,
+};
@@ -0,0 +1,191 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const getRawBody = require("raw-body");
+const db = require("./db");
+const shops = require("./shops");
+
+// How long a delivery ID is remembered, covering Shopify's retry window
+const WEBHOOK_DEDUPE_TTL_HOURS = parseFloat(process.env.WEBHOOK_DEDUPE_TTL_HOURS || "48");
+
+let tableReady = null;
+
+/**
+ * Get the secrets a shop's webhooks may be signed with: those configured for it in the
+ * environment and, for a shop that installed the app through OAuth, the app's API secret.
+ * The API secret is shared by every shop installed that way, so it only counts for a shop
+ * saved in the database, or one the signed payload itself names (the app/uninstalled
+ * payload does, and its retries may arrive once the shop is gone).
+ * @param {String} shopDomain - Shop the webhook claims to come from
+ * @param {Object} payload - Parsed payload, or null if it isn't JSON
+ * @returns {Array} Secrets to accept
+ */
+async function getShopWebhookSecrets(shopDomain, payload) {
+  const secrets = shops.getEnvWebhookSecrets(shopDomain);
+  const apiSecret = (process.env.SHOPIFY_API_SECRET || "").trim();
+
+  if (apiSecret) {
+    const shop = await shops.getShop(shopDomain);
+    const namedInPayload = Boolean(payload) && shops.normalizeShopDomain(payload.myshopify_domain) === shopDomain;
+    if ((shop && shop.source === "database") || namedInPayload) {
+      secrets.push(apiSecret);
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Parse a webhook body, before it is verified, to see whether it names its shop
+ * @param {Buffer} body - Raw request body
+ * @returns {Object} Parsed payload, or null if it isn't JSON
+ */
+function parsePayload(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a webhook body against its HMAC header using any of the secrets
+ * @param {Buffer} body - Raw request body
+ * @param {String} hmac - Value of the X-Shopify-Hmac-Sha256 header
+ * @param {Array} secrets - Secrets to try
+ * @returns {Boolean} True if the HMAC matches one of the secrets
+ */
+function isValidHmac(body, hmac, secrets) {
+  if (!hmac) return false;
+
+  return secrets.some((secret) => {
+    const hash = crypto
+      .createHmac("sha256", secret)
+      .update(body, "utf8")
+      .digest("base64");
+
+    // timingSafeEqual throws when the lengths differ
+    const hashBuffer = Buffer.from(hash);
+    const hmacBuffer = Buffer.from(hmac);
+    return hashBuffer.length === hmacBuffer.length &&
+      crypto.timingSafeEqual(hashBuffer, hmacBuffer);
+  });
+}
+
+/**
+ * Create the table of seen delivery IDs if needed
+ */
+function ensureDeliveriesTable() {
+  if (!tableReady) {
+    tableReady = db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        webhook_id TEXT PRIMARY KEY,
+        topic TEXT,
+        received_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_expiry ON webhook_deliveries (expires_at);
+    `);
+  }
+  return tableReady;
+}
+
+/**
+ * Record a delivery ID, unless it was already seen within the TTL
+ * @param {String} webhookId - Value of the X-Shopify-Webhook-Id header
+ * @param {String} topic - Webhook topic
+ * @returns {Boolean} True if this is the first time the ID was seen
+ */
+async function markDeliverySeen(webhookId, topic) {
+  await ensureDeliveriesTable();
+
+  const now = Date.now();
+  await db.run("DELETE FROM webhook_deliveries WHERE expires_at <= ?", [now]);
+
+  const result = await db.run(
+    "INSERT OR IGNORE INTO webhook_deliveries (webhook_id, topic, received_at, expires_at) VALUES (?, ?, ?, ?)",
+    [webhookId, topic, now, now + WEBHOOK_DEDUPE_TTL_HOURS * 60 * 60 * 1000]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Forget a delivery ID so that Shopify's retry is processed
+ * @param {String} webhookId - Value of the X-Shopify-Webhook-Id header
+ */
+async function forgetDelivery(webhookId) {
+  await ensureDeliveriesTable();
+  await db.run("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [webhookId]);
+}
+
+/**
+ * Express middleware that verifies Shopify webhooks and drops duplicate deliveries.
+ * The X-Shopify-Shop-Domain header isn't signed, so a webhook is only accepted when
+ * its HMAC matches a secret of the shop that header names. The request body must not
+ * have been parsed yet. On success the parsed payload is available as req.body and
+ * the delivery headers as req.webhook, with the verified shop as its shopDomain.
+ * @returns {Function} Express middleware
+ */
+function verifyShopifyWebhook() {
+  return async (req, res, next) => {
+    try {
+      // Use raw-body to get the body (buffer)
+      const body = await getRawBody(req);
+
+      const shopDomain = shops.normalizeShopDomain(req.get("X-Shopify-Shop-Domain"));
+      const payload = parsePayload(body);
+      const secrets = shopDomain ? await getShopWebhookSecrets(shopDomain, payload) : [];
+      if (secrets.length === 0) {
+        console.error(`No webhook secret configured for ${shopDomain || "a webhook without a shop"}, rejecting webhook`);
+        return res.sendStatus(403);
+      }
+
+      if (!isValidHmac(body, req.get("X-Shopify-Hmac-Sha256"), secrets)) {
+        console.log(`Danger! Not from Shopify for ${shopDomain}!`);
+        return res.sendStatus(403);
+      }
+
+      // A payload that names its shop must name the same one
+      if (payload && payload.myshopify_domain && shops.normalizeShopDomain(payload.myshopify_domain) !== shopDomain) {
+        console.log(`Rejected webhook for ${shopDomain} carrying the payload of ${payload.myshopify_domain}`);
+        return res.sendStatus(403);
+      }
+
+      req.webhook = {
+        id: req.get("X-Shopify-Webhook-Id"),
+        topic: req.get("X-Shopify-Topic"),
+        shopDomain,
+      };
+
+      if (req.webhook.id) {
+        const firstDelivery = await markDeliverySeen(req.webhook.id, req.webhook.topic);
+        if (!firstDelivery) {
+          console.log(`Ignoring duplicate webhook delivery ${req.webhook.id} (${req.webhook.topic})`);
+          return res.status(200).send("Already processed");
+        }
+
+        // Let Shopify's retry through if we fail to handle this delivery
+        res.on("finish", () => {
+          if (res.statusCode >= 300) {
+            forgetDelivery(req.webhook.id).catch((error) => {
+              console.error(`Error forgetting webhook delivery ${req.webhook.id}:`, error);
+            });
+          }
+        });
+      }
+
+      // Parse the raw body into JSON
+      req.body = JSON.parse(body);
+      next();
+    } catch (error) {
+      console.error("Error verifying webhook:", error);
+      res.status(500).send("Error processing webhook");
+    }
+  };
+}
+
+module.exports = {
+  verifyShopifyWebhook,
+  getShopWebhookSecrets,
+  isValidHmac,
+};